@@ -1,14 +1,21 @@
 /**
  * Sistema de Animaciones
  * Maneja efectos visuales y animaciones del simulador
+ *
+ * Las posiciones y velocidades de efectos y partículas están en coordenadas
+ * del mundo (m, m/s); los tamaños y radios visuales, en píxeles.
  */
 
 export class AnimationSystem {
     constructor(renderer) {
         this.renderer = renderer;
+        this.gravity = 9.81; // m/s² aplicada a las partículas
         this.animations = new Map();
         this.particles = [];
         this.effects = [];
+        // Partículas con masa que ya se desvanecieron: su momento sigue contando
+        this.releasedMass = 0; // kg
+        this.releasedMomentum = { x: 0, y: 0 }; // kg·m/s
         this.isRunning = false;
         this.animationId = null;
     }
@@ -34,7 +41,7 @@ export class AnimationSystem {
     }
 
     /**
-     * Crear partículas de explosión
+     * Crear partículas de explosión (velocidades entre 2 y 5 m/s)
      */
     createExplosionParticles(x, y, count = 10) {
         for (let i = 0; i < count; i++) {
@@ -57,6 +64,29 @@ export class AnimationSystem {
         }
     }
 
+    /**
+     * Crear una partícula de gas expulsado con masa real (kg)
+     * Avanza en tiempo de simulación con `stepMassiveParticles` y transporta
+     * momento m·v, de modo que cuerpo y gases forman el par acción-reacción.
+     */
+    createExhaustParticle(x, y, vx, vy, mass, color = '#f97316') {
+        const particle = {
+            id: Date.now() + Math.random(),
+            x,
+            y,
+            vx,
+            vy,
+            mass,
+            life: 1,
+            decay: 0.5, // vida perdida por segundo de simulación
+            size: 2 + Math.random() * 2,
+            color
+        };
+
+        this.particles.push(particle);
+        return particle;
+    }
+
     /**
      * Crear efecto de deslizamiento
      */
@@ -105,18 +135,62 @@ export class AnimationSystem {
      */
     updateParticles(deltaTime) {
         this.particles.forEach(particle => {
+            // Las partículas con masa avanzan con el paso de la física
+            if (particle.mass) return;
+
             // Actualizar posición
-            particle.x += particle.vx * deltaTime * 60;
-            particle.y += particle.vy * deltaTime * 60;
+            particle.x += particle.vx * deltaTime;
+            particle.y += particle.vy * deltaTime;
 
             // Aplicar gravedad
-            particle.vy += 0.1 * deltaTime * 60;
+            particle.vy -= this.gravity * deltaTime;
 
             // Reducir vida
             particle.life -= particle.decay * deltaTime * 60;
         });
     }
 
+    /**
+     * Avanzar las partículas con masa un paso `dt` de simulación
+     * Las que se desvanecen pasan a la reserva de momento, que sigue recibiendo
+     * el impulso del peso para que el balance total no cambie al dejar de dibujarlas.
+     */
+    stepMassiveParticles(dt, gravity = this.gravity) {
+        this.particles.forEach(particle => {
+            if (!particle.mass || particle.life <= 0) return;
+
+            particle.vy -= gravity * dt;
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+            particle.life -= particle.decay * dt;
+
+            if (particle.life <= 0) {
+                this.releasedMass += particle.mass;
+                this.releasedMomentum.x += particle.mass * particle.vx;
+                this.releasedMomentum.y += particle.mass * particle.vy;
+            }
+        });
+
+        this.releasedMomentum.y -= this.releasedMass * gravity * dt;
+    }
+
+    /**
+     * Momento total de las partículas con masa (kg·m/s), incluidas las desvanecidas
+     */
+    calculateParticleMomentum() {
+        const momentum = { x: this.releasedMomentum.x, y: this.releasedMomentum.y, mass: this.releasedMass };
+
+        this.particles.forEach(particle => {
+            if (!particle.mass || particle.life <= 0) return;
+
+            momentum.x += particle.mass * particle.vx;
+            momentum.y += particle.mass * particle.vy;
+            momentum.mass += particle.mass;
+        });
+
+        return momentum;
+    }
+
     /**
      * Actualizar efectos
      */
@@ -183,11 +257,12 @@ export class AnimationSystem {
             if (particle.life <= 0) return;
 
             const ctx = this.renderer.getContext();
+            const position = this.renderer.worldToScreen(particle.x, particle.y);
             ctx.save();
             ctx.globalAlpha = particle.life;
             ctx.fillStyle = particle.color;
             ctx.beginPath();
-            ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+            ctx.arc(position.x, position.y, particle.size, 0, Math.PI * 2);
             ctx.fill();
             ctx.restore();
         });
@@ -224,10 +299,11 @@ export class AnimationSystem {
      * Renderizar efecto de colisión
      */
     renderCollisionEffect(effect, ctx) {
+        const position = this.renderer.worldToScreen(effect.x, effect.y);
         ctx.strokeStyle = effect.color;
         ctx.lineWidth = 3;
         ctx.beginPath();
-        ctx.arc(effect.x, effect.y, effect.radius, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, effect.radius, 0, Math.PI * 2);
         ctx.stroke();
     }
 
@@ -238,8 +314,8 @@ export class AnimationSystem {
         // Crear partículas de deslizamiento
         if (Math.random() < 0.3) {
             const particle = {
-                x: effect.x + (Math.random() - 0.5) * 20,
-                y: effect.y + (Math.random() - 0.5) * 20,
+                x: effect.x + (Math.random() - 0.5) * 0.4,
+                y: effect.y + (Math.random() - 0.5) * 0.4,
                 vx: (Math.random() - 0.5) * 2,
                 vy: (Math.random() - 0.5) * 2,
                 life: 0.5,
@@ -257,11 +333,12 @@ export class AnimationSystem {
     renderForceEffect(effect, ctx) {
         // Dibujar ondas de fuerza
         const waveRadius = effect.radius || 20;
+        const position = this.renderer.worldToScreen(effect.x, effect.y);
         ctx.strokeStyle = '#3b82f6';
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
         ctx.beginPath();
-        ctx.arc(effect.x, effect.y, waveRadius, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, waveRadius, 0, Math.PI * 2);
         ctx.stroke();
         ctx.setLineDash([]);
     }
@@ -403,6 +480,8 @@ export class AnimationSystem {
         this.animations.clear();
         this.particles = [];
         this.effects = [];
+        this.releasedMass = 0;
+        this.releasedMomentum = { x: 0, y: 0 };
     }
 
     /**
@@ -9,9 +9,32 @@ export class CanvasRenderer {
         this.ctx = this.canvas.getContext('2d');
         this.width = this.canvas.width;
         this.height = this.canvas.height;
-        this.scale = 1;
-        this.offsetX = 0;
-        this.offsetY = 0;
+
+        // Cámara: el mundo se mide en metros con el eje y hacia arriba
+        this.scale = 50; // píxeles por metro
+        this.offsetX = 0; // coordenada x del mundo (m) en el borde izquierdo
+        this.offsetY = 0; // coordenada y del mundo (m) en el borde inferior
+
+        // Escalas de visualización de vectores (píxeles por unidad SI)
+        this.vectorScales = {
+            force: 2, // px por N
+            velocity: 4, // px por m/s
+            acceleration: 4 // px por m/s²
+        };
+
+        // Fracción del paso físico transcurrida desde el último paso (0-1)
+        this.interpolation = 1;
+
+        // Sistema de referencia del observador: cuánto se ha desplazado desde que se
+        // eligió (m), al final del paso actual y del anterior, y su velocidad (m/s).
+        // En el laboratorio todo es nulo. `period` marca los ejes periódicos del mundo
+        // ({ start, length } en m) para dibujar cada cuerpo en la copia que se ve.
+        this.frame = {
+            shift: { x: 0, y: 0 },
+            previousShift: { x: 0, y: 0 },
+            velocity: { x: 0, y: 0 },
+            period: { x: null, y: null }
+        };
 
         // Configuración de renderizado
         this.showVectors = true;
@@ -31,6 +54,27 @@ export class CanvasRenderer {
             trajectory: '#6b7280',
             text: '#374151'
         };
+
+        // Colores de las superficies
+        this.surfaceColors = {
+            ice: '#e0f2fe',
+            wood: '#8d6e63',
+            asphalt: '#424242',
+            sand: '#ffcc80'
+        };
+
+        // Diagrama de cuerpo libre: color y símbolo de cada tipo de fuerza
+        this.forceStyles = {
+            applied: { color: '#8b5cf6', label: 'F' },
+            gravity: { color: '#ef4444', label: 'mg' },
+            normal: { color: '#3b82f6', label: 'N' },
+            friction: { color: '#f59e0b', label: 'f' },
+            drag: { color: '#6b7280', label: 'D' },
+            spring: { color: '#10b981', label: 'Fₑ' },
+            tension: { color: '#14b8a6', label: 'T' },
+            gravitation: { color: '#6366f1', label: 'Fɢ' },
+            thrust: { color: '#f97316', label: 'E' }
+        };
     }
 
     /**
@@ -49,6 +93,140 @@ export class CanvasRenderer {
         }
     }
 
+    /**
+     * Configurar la cámara (escala en píxeles por metro y desplazamiento en metros)
+     */
+    setCamera(camera) {
+        if (camera.scale !== undefined) this.scale = camera.scale;
+        if (camera.offsetX !== undefined) this.offsetX = camera.offsetX;
+        if (camera.offsetY !== undefined) this.offsetY = camera.offsetY;
+    }
+
+    /**
+     * Fijar el sistema de referencia desde el que se dibuja la escena
+     * `shift` es el desplazamiento del observador (m) y `velocity` su velocidad (m/s);
+     * con `continuous` el desplazamiento anterior se conserva para interpolar.
+     */
+    setFrame({ shift, velocity, period = { x: null, y: null } }, continuous = true) {
+        this.frame.previousShift = continuous ? { ...this.frame.shift } : { ...shift };
+        this.frame.shift = { ...shift };
+        this.frame.velocity = { ...velocity };
+        this.frame.period = { ...period };
+    }
+
+    /**
+     * Copia de un punto que cae dentro del mundo visto por el observador
+     * En un eje periódico el observador que se aleja vuelve a encontrar los cuerpos
+     * por el otro lado; en los demás ejes el punto no cambia.
+     */
+    getVisibleImage(position, shift = this.getRenderShift()) {
+        const image = { ...position };
+
+        ['x', 'y'].forEach(axis => {
+            const period = this.frame.period[axis];
+            if (!period) return;
+
+            const laps = Math.floor((position[axis] - shift[axis] - period.start) / period.length);
+            image[axis] -= laps * period.length;
+        });
+
+        return image;
+    }
+
+    /**
+     * Desplazamiento del observador interpolado entre el paso anterior y el actual
+     */
+    getRenderShift() {
+        const { shift, previousShift } = this.frame;
+
+        return {
+            x: previousShift.x + (shift.x - previousShift.x) * this.interpolation,
+            y: previousShift.y + (shift.y - previousShift.y) * this.interpolation
+        };
+    }
+
+    /**
+     * Convertir coordenadas del mundo (m, y hacia arriba) a píxeles del canvas
+     * La escena se ve desde el observador: todo se desplaza lo que él se ha movido.
+     */
+    worldToScreen(x, y) {
+        const shift = this.getRenderShift();
+        return this.frameToScreen(x - shift.x, y - shift.y);
+    }
+
+    /**
+     * Convertir coordenadas fijas al observador (m) a píxeles del canvas
+     */
+    frameToScreen(x, y) {
+        return {
+            x: (x - this.offsetX) * this.scale,
+            y: this.height - (y - this.offsetY) * this.scale
+        };
+    }
+
+    /**
+     * Convertir píxeles del canvas a coordenadas del mundo
+     */
+    screenToWorld(x, y) {
+        const shift = this.getRenderShift();
+
+        return {
+            x: x / this.scale + this.offsetX + shift.x,
+            y: (this.height - y) / this.scale + this.offsetY + shift.y
+        };
+    }
+
+    /**
+     * Convertir una longitud del mundo (m) a píxeles
+     */
+    toScreenLength(length) {
+        return length * this.scale;
+    }
+
+    /**
+     * Obtener los límites visibles del mundo en metros (los de la cámara, sin el
+     * desplazamiento del observador)
+     */
+    getWorldBounds() {
+        return {
+            left: this.offsetX,
+            right: this.offsetX + this.width / this.scale,
+            bottom: this.offsetY,
+            top: this.offsetY + this.height / this.scale
+        };
+    }
+
+    /**
+     * Establecer la fracción de interpolación entre pasos físicos
+     */
+    setInterpolation(alpha) {
+        this.interpolation = Math.max(0, Math.min(alpha, 1));
+    }
+
+    /**
+     * Obtener la posición a dibujar, interpolada entre el paso anterior y el actual
+     * (en un mundo periódico, la copia que ve el observador)
+     */
+    getRenderPosition(object) {
+        const previous = object.previousPosition;
+        if (!previous) return this.getVisibleImage(object.position);
+
+        return this.getVisibleImage({
+            x: previous.x + (object.position.x - previous.x) * this.interpolation,
+            y: previous.y + (object.position.y - previous.y) * this.interpolation
+        });
+    }
+
+    /**
+     * Orientación interpolada entre el paso anterior y el actual
+     */
+    getRenderAngle(object) {
+        const angle = object.angle || 0;
+        if (object.previousAngle === undefined) return angle;
+
+        return object.previousAngle + (angle - object.previousAngle) * this.interpolation;
+    }
+
     /**
      * Dibujar cuadrícula
      */
@@ -56,19 +234,35 @@ export class CanvasRenderer {
         this.ctx.strokeStyle = this.colors.grid;
         this.ctx.lineWidth = 1;
 
+        // Separación en metros: la menor que deje al menos 40 px entre líneas
+        const spacing = [0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500]
+            .find(step => step * this.scale >= 40) || 1000;
+
+        // La cuadrícula está fija al mundo: en un sistema en movimiento se desplaza
+        const shift = this.getRenderShift();
+        const camera = this.getWorldBounds();
+        const bounds = {
+            left: camera.left + shift.x,
+            right: camera.right + shift.x,
+            bottom: camera.bottom + shift.y,
+            top: camera.top + shift.y
+        };
+
         // Líneas verticales
-        for (let x = 0; x <= this.width; x += 50) {
+        for (let x = Math.ceil(bounds.left / spacing) * spacing; x <= bounds.right; x += spacing) {
+            const screenX = this.worldToScreen(x, 0).x;
             this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, this.height);
+            this.ctx.moveTo(screenX, 0);
+            this.ctx.lineTo(screenX, this.height);
             this.ctx.stroke();
         }
 
         // Líneas horizontales
-        for (let y = 0; y <= this.height; y += 50) {
+        for (let y = Math.ceil(bounds.bottom / spacing) * spacing; y <= bounds.top; y += spacing) {
+            const screenY = this.worldToScreen(0, y).y;
             this.ctx.beginPath();
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(this.width, y);
+            this.ctx.moveTo(0, screenY);
+            this.ctx.lineTo(this.width, screenY);
             this.ctx.stroke();
         }
     }
@@ -77,9 +271,14 @@ export class CanvasRenderer {
      * Dibujar objeto físico
      */
     drawObject(object) {
-        const x = object.position.x;
-        const y = object.position.y;
-        const radius = object.radius;
+        const position = this.getRenderPosition(object);
+        const { x, y } = this.worldToScreen(position.x, position.y);
+        const radius = this.toScreenLength(object.radius);
+
+        // El eje y de pantalla apunta hacia abajo: un giro antihorario en el mundo es negativo aquí
+        this.ctx.save();
+        this.ctx.translate(x, y);
+        this.ctx.rotate(-this.getRenderAngle(object));
 
         // Sombra
         this.ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
@@ -88,15 +287,10 @@ export class CanvasRenderer {
         this.ctx.shadowOffsetY = 2;
 
         // Cuerpo del objeto
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
-
-        if (object.type === 'box') {
-            this.ctx.rect(x - radius, y - radius, radius * 2, radius * 2);
-        }
+        const isPolygon = this.traceShape(object, radius);
 
         // Gradiente
-        const gradient = this.ctx.createRadialGradient(x - radius / 3, y - radius / 3, 0, x, y, radius);
+        const gradient = this.ctx.createRadialGradient(-radius / 3, -radius / 3, 0, 0, 0, radius);
         gradient.addColorStop(0, this.lightenColor(object.color, 0.3));
         gradient.addColorStop(1, object.color);
 
@@ -114,40 +308,120 @@ export class CanvasRenderer {
         this.ctx.shadowOffsetX = 0;
         this.ctx.shadowOffsetY = 0;
 
+        // Marca de orientación para que se vea el giro de las esferas
+        if (object.type !== 'box' && !isPolygon) {
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, 0);
+            this.ctx.lineTo(radius, 0);
+            this.ctx.stroke();
+        }
+
+        this.ctx.restore();
+
         // Dibujar etiqueta si existe
         if (object.label) {
             this.drawLabel(x, y + radius + 15, object.label);
         }
     }
 
+    /**
+     * Trazar el contorno del cuerpo centrado en el origen del contexto
+     * Devuelve true si es un polígono convexo.
+     */
+    traceShape(object, radius) {
+        const isPolygon = object.shape && object.shape.type === 'polygon';
+
+        this.ctx.beginPath();
+
+        if (isPolygon) {
+            object.shape.vertices.forEach((vertex, index) => {
+                const vx = this.toScreenLength(vertex.x);
+                const vy = -this.toScreenLength(vertex.y);
+                if (index === 0) {
+                    this.ctx.moveTo(vx, vy);
+                } else {
+                    this.ctx.lineTo(vx, vy);
+                }
+            });
+            this.ctx.closePath();
+        } else if (object.type === 'box') {
+            this.ctx.rect(-radius, -radius, radius * 2, radius * 2);
+        } else {
+            this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        }
+
+        return isPolygon;
+    }
+
+    /**
+     * Dibujar el fantasma de un cuerpo en la posición de la solución analítica
+     * Es la misma forma, translúcida y con borde discontinuo; una línea lo une al
+     * cuerpo simulado y `label` muestra el error encima.
+     * `ghost` es `{ position, previousPosition, angle }` en coordenadas del mundo.
+     */
+    drawGhost(object, ghost, label = '') {
+        const position = this.getRenderPosition(ghost);
+        const { x, y } = this.worldToScreen(position.x, position.y);
+        const bodyPosition = this.getRenderPosition(object);
+        const body = this.worldToScreen(bodyPosition.x, bodyPosition.y);
+        const radius = this.toScreenLength(object.radius);
+
+        this.ctx.save();
+
+        // Línea hasta el cuerpo simulado (solo si se separan)
+        if (Math.hypot(body.x - x, body.y - y) > 2) {
+            this.ctx.strokeStyle = 'rgba(55, 65, 81, 0.5)';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([3, 3]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(body.x, body.y);
+            this.ctx.stroke();
+        }
+
+        this.ctx.translate(x, y);
+        this.ctx.rotate(-(ghost.angle || 0));
+        this.traceShape(object, radius);
+
+        this.ctx.globalAlpha = 0.3;
+        this.ctx.fillStyle = object.color || this.colors.object;
+        this.ctx.fill();
+
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.strokeStyle = this.colors.text;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.stroke();
+
+        this.ctx.restore();
+
+        if (label) {
+            this.drawLabel(x, y - radius - 12, label, '#6b7280');
+        }
+    }
+
     /**
      * Dibujar vector de fuerza
      */
     drawForceVector(object, force, color = this.colors.force) {
         if (!this.showVectors || (force.x === 0 && force.y === 0)) return;
 
-        const x = object.position.x;
-        const y = object.position.y;
-        const scale = 0.1; // Escala para visualización
-        const endX = x + force.x * scale;
-        const endY = y + force.y * scale;
-
-        this.drawVector(x, y, endX, endY, color, 'F');
+        this.drawWorldVector(this.getRenderPosition(object), force, this.vectorScales.force, color, 'F');
     }
 
     /**
-     * Dibujar vector de velocidad
+     * Dibujar vector de velocidad (relativa al observador)
      */
     drawVelocityVector(object, color = this.colors.velocity) {
-        if (!this.showVectors || (object.velocity.x === 0 && object.velocity.y === 0)) return;
-
-        const x = object.position.x;
-        const y = object.position.y;
-        const scale = 2; // Escala para visualización
-        const endX = x + object.velocity.x * scale;
-        const endY = y + object.velocity.y * scale;
+        const velocity = {
+            x: object.velocity.x - this.frame.velocity.x,
+            y: object.velocity.y - this.frame.velocity.y
+        };
+        if (!this.showVectors || (velocity.x === 0 && velocity.y === 0)) return;
 
-        this.drawVector(x, y, endX, endY, color, 'v');
+        this.drawWorldVector(this.getRenderPosition(object), velocity, this.vectorScales.velocity, color, 'v');
     }
 
     /**
@@ -156,17 +430,23 @@ export class CanvasRenderer {
     drawAccelerationVector(object, color = this.colors.acceleration) {
         if (!this.showVectors || (object.acceleration.x === 0 && object.acceleration.y === 0)) return;
 
-        const x = object.position.x;
-        const y = object.position.y;
-        const scale = 5; // Escala para visualización
-        const endX = x + object.acceleration.x * scale;
-        const endY = y + object.acceleration.y * scale;
+        this.drawWorldVector(this.getRenderPosition(object), object.acceleration, this.vectorScales.acceleration, color, 'a');
+    }
+
+    /**
+     * Dibujar un vector físico anclado en un punto del mundo
+     * La longitud en pantalla es la magnitud por `pixelsPerUnit`
+     */
+    drawWorldVector(origin, vector, pixelsPerUnit, color, label = '') {
+        const start = this.worldToScreen(origin.x, origin.y);
+        const endX = start.x + vector.x * pixelsPerUnit;
+        const endY = start.y - vector.y * pixelsPerUnit;
 
-        this.drawVector(x, y, endX, endY, color, 'a');
+        this.drawVector(start.x, start.y, endX, endY, color, label);
     }
 
     /**
-     * Dibujar vector genérico
+     * Dibujar vector genérico (coordenadas de pantalla)
      */
     drawVector(startX, startY, endX, endY, color, label = '') {
         const dx = endX - startX;
@@ -222,11 +502,29 @@ export class CanvasRenderer {
         this.ctx.setLineDash([5, 5]);
         this.ctx.beginPath();
 
-        this.trajectoryPoints.forEach((point, index) => {
-            if (index === 0) {
-                this.ctx.moveTo(point.x, point.y);
+        // Un corte (null) inicia un tramo nuevo, p. ej. al cruzar un borde periódico
+        // o al saltar a otra copia del mundo periódico
+        let startSegment = true;
+        let lastOffset = null;
+        this.trajectoryPoints.forEach(point => {
+            if (!point) {
+                startSegment = true;
+                return;
+            }
+
+            const image = this.getVisibleImage(point, { x: 0, y: 0 });
+            const offset = { x: image.x - point.x, y: image.y - point.y };
+            if (lastOffset && Math.hypot(offset.x - lastOffset.x, offset.y - lastOffset.y) > 1e-6) {
+                startSegment = true;
+            }
+            lastOffset = offset;
+
+            const screen = this.frameToScreen(image.x, image.y);
+            if (startSegment) {
+                this.ctx.moveTo(screen.x, screen.y);
+                startSegment = false;
             } else {
-                this.ctx.lineTo(point.x, point.y);
+                this.ctx.lineTo(screen.x, screen.y);
             }
         });
 
@@ -235,16 +533,24 @@ export class CanvasRenderer {
     }
 
     /**
-     * Añadir punto a la trayectoria
+     * Añadir punto a la trayectoria (coordenadas del mundo)
+     * Se guarda respecto al observador: la trayectoria es la que él ve.
      */
     addTrajectoryPoint(x, y) {
-        this.trajectoryPoints.push({ x, y });
+        this.trajectoryPoints.push({ x: x - this.frame.shift.x, y: y - this.frame.shift.y });
 
         if (this.trajectoryPoints.length > this.maxTrajectoryPoints) {
             this.trajectoryPoints.shift();
         }
     }
 
+    /**
+     * Cortar la trayectoria: el siguiente punto empieza un tramo nuevo
+     */
+    breakTrajectory() {
+        this.trajectoryPoints.push(null);
+    }
+
     /**
      * Limpiar trayectoria
      */
@@ -253,24 +559,20 @@ export class CanvasRenderer {
     }
 
     /**
-     * Dibujar superficie
+     * Dibujar superficie cuya cara superior está a la altura `level` (m)
      */
-    drawSurface(surfaceType, y = this.height - 20) {
-        const surfaceColors = {
-            ice: '#e0f2fe',
-            wood: '#8d6e63',
-            asphalt: '#424242',
-            sand: '#ffcc80'
-        };
+    drawSurface(surfaceType, level = 0) {
+        const origin = this.worldToScreen(0, level);
+        const y = origin.y;
 
-        this.ctx.fillStyle = surfaceColors[surfaceType] || surfaceColors.ice;
+        this.ctx.fillStyle = this.surfaceColors[surfaceType] || this.surfaceColors.ice;
         this.ctx.fillRect(0, y, this.width, this.height - y);
 
-        // Textura de la superficie
+        // Textura de la superficie, fija al suelo (se desplaza si el observador se mueve)
         this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
         this.ctx.lineWidth = 1;
 
-        for (let x = 0; x < this.width; x += 20) {
+        for (let x = (origin.x % 20) - 20; x < this.width; x += 20) {
             this.ctx.beginPath();
             this.ctx.moveTo(x, y);
             this.ctx.lineTo(x + 10, y + 5);
@@ -278,25 +580,239 @@ export class CanvasRenderer {
         }
     }
 
+    /**
+     * Dibujar un plano inclinado
+     * `foot` es el pie de la rampa (m), `angle` su inclinación (rad) y `length` la longitud
+     * de la pendiente (m); la rampa sube hacia +x con la misma textura que `drawSurface`.
+     */
+    drawInclinedSurface(surfaceType, foot, angle, length) {
+        const bottom = this.worldToScreen(foot.x, foot.y);
+        const corner = this.worldToScreen(foot.x + length * Math.cos(angle), foot.y);
+        const top = this.worldToScreen(foot.x + length * Math.cos(angle), foot.y + length * Math.sin(angle));
+
+        this.ctx.fillStyle = this.surfaceColors[surfaceType] || this.surfaceColors.ice;
+        this.ctx.beginPath();
+        this.ctx.moveTo(bottom.x, bottom.y);
+        this.ctx.lineTo(corner.x, corner.y);
+        this.ctx.lineTo(top.x, top.y);
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        // Textura a lo largo de la pendiente
+        const slopeLength = Math.sqrt((top.x - bottom.x) ** 2 + (top.y - bottom.y) ** 2);
+        const ux = (top.x - bottom.x) / slopeLength;
+        const uy = (top.y - bottom.y) / slopeLength;
+
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+        this.ctx.lineWidth = 1;
+
+        for (let d = 0; d < slopeLength; d += 20) {
+            const x = bottom.x + ux * d;
+            const y = bottom.y + uy * d;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(x + ux * 10 - uy * 5, y + uy * 10 + ux * 5);
+            this.ctx.stroke();
+        }
+
+        // Arco del ángulo en el pie de la rampa
+        this.ctx.strokeStyle = this.colors.text;
+        this.ctx.beginPath();
+        this.ctx.arc(bottom.x, bottom.y, 40, -angle, 0);
+        this.ctx.stroke();
+    }
+
+    /**
+     * Dibujar el diagrama de cuerpo libre de un objeto
+     * `contributions` es el desglose de `ForceSystem.calculateNetForce`; cada fuerza
+     * se dibuja desde el centro con el estilo de su tipo. Con `axes` (`{ u, n }`, unitarios)
+     * se añaden en línea discontinua las componentes ∥ y ⊥ de las fuerzas oblicuas.
+     */
+    drawFreeBodyDiagram(object, contributions, pixelsPerNewton, axes = null) {
+        if (!this.showVectors) return;
+
+        const origin = this.getRenderPosition(object);
+
+        contributions.forEach(contribution => {
+            const magnitude = Math.sqrt(contribution.x ** 2 + contribution.y ** 2);
+            if (magnitude === 0) return;
+
+            const style = this.forceStyles[contribution.kind] || this.forceStyles.applied;
+            const label = contribution.label || style.label;
+
+            if (axes) {
+                this.ctx.setLineDash([6, 4]);
+                [[axes.u, '∥'], [axes.n, '⊥']].forEach(([axis, suffix]) => {
+                    const projection = contribution.x * axis.x + contribution.y * axis.y;
+
+                    // Las fuerzas ya alineadas con un eje no se descomponen
+                    if (Math.abs(projection) < 1e-9 * magnitude || Math.abs(projection) > magnitude * (1 - 1e-9)) return;
+
+                    this.drawWorldVector(
+                        origin,
+                        { x: axis.x * projection, y: axis.y * projection },
+                        pixelsPerNewton,
+                        this.lightenColor(style.color, 0.4),
+                        label + suffix
+                    );
+                });
+                this.ctx.setLineDash([]);
+            }
+
+            this.drawWorldVector(origin, contribution, pixelsPerNewton, style.color, label);
+        });
+    }
+
+    /**
+     * Dibujar una restricción entre dos puntos del mundo
+     * Cuerda (línea fina, discontinua si está floja), varilla (barra gruesa) o pasador (círculo).
+     * Con `showTension` se etiqueta la tensión en el punto medio.
+     */
+    drawConstraint(pointA, pointB, constraint, showTension = false) {
+        const a = this.worldToScreen(pointA.x, pointA.y);
+        const b = this.worldToScreen(pointB.x, pointB.y);
+
+        if (constraint.type === 'pin') {
+            this.ctx.fillStyle = this.colors.text;
+            this.ctx.beginPath();
+            this.ctx.arc(b.x, b.y, 4, 0, Math.PI * 2);
+            this.ctx.fill();
+            return;
+        }
+
+        this.ctx.strokeStyle = constraint.type === 'rod' ? '#475569' : '#92400e';
+        this.ctx.lineWidth = constraint.type === 'rod' ? 5 : 2;
+        this.ctx.setLineDash(constraint.isTaut ? [] : [4, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(a.x, a.y);
+        this.ctx.lineTo(b.x, b.y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        if (showTension) {
+            this.drawLabel((a.x + b.x) / 2, (a.y + b.y) / 2 - 12, `T = ${constraint.tension.toFixed(2)} N`, this.forceStyles.tension.color);
+        }
+    }
+
+    /**
+     * Dibujar una polea con su cuerda
+     * Cada tramo va del cuerpo (`pointA`, `pointB`) a su punto de salida en la rueda,
+     * que gira con el ángulo de la polea. Con `labels` (`[nombreA, nombreB]`) se etiqueta
+     * la tensión de cada tramo.
+     */
+    drawPulley(pointA, pointB, constraint, labels = null) {
+        const { center, radius, exitA, exitB, angle } = constraint.pulley;
+        const c = this.worldToScreen(center.x, center.y);
+        const r = this.toScreenLength(radius);
+        const sides = [
+            { from: this.worldToScreen(pointA.x, pointA.y), to: this.worldToScreen(exitA.x, exitA.y), tension: constraint.tension },
+            { from: this.worldToScreen(pointB.x, pointB.y), to: this.worldToScreen(exitB.x, exitB.y), tension: constraint.tensionB }
+        ];
+
+        // Tramos de cuerda
+        this.ctx.strokeStyle = '#92400e';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash(constraint.isTaut ? [] : [4, 4]);
+        sides.forEach(side => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(side.from.x, side.from.y);
+            this.ctx.lineTo(side.to.x, side.to.y);
+            this.ctx.stroke();
+        });
+        this.ctx.setLineDash([]);
+
+        // Rueda con radios para ver el giro (en pantalla y crece hacia abajo)
+        this.ctx.fillStyle = '#e5e7eb';
+        this.ctx.strokeStyle = this.colors.text;
+        this.ctx.beginPath();
+        this.ctx.arc(c.x, c.y, r, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+
+        for (let i = 0; i < 3; i++) {
+            const spoke = angle + i * 2 * Math.PI / 3;
+            this.ctx.beginPath();
+            this.ctx.moveTo(c.x, c.y);
+            this.ctx.lineTo(c.x + r * Math.cos(spoke), c.y + r * Math.sin(spoke));
+            this.ctx.stroke();
+        }
+
+        if (labels) {
+            sides.forEach((side, i) => {
+                this.drawLabel(
+                    (side.from.x + side.to.x) / 2 + 14,
+                    (side.from.y + side.to.y) / 2,
+                    `${labels[i]} = ${side.tension.toFixed(2)} N`,
+                    this.forceStyles.tension.color
+                );
+            });
+        }
+    }
+
     /**
      * Dibujar zona de colisión
      */
     drawCollisionZone(objectA, objectB) {
-        const centerX = (objectA.position.x + objectB.position.x) / 2;
-        const centerY = (objectA.position.y + objectB.position.y) / 2;
-        const radius = Math.max(objectA.radius, objectB.radius) * 2;
+        const positionA = this.getRenderPosition(objectA);
+        const positionB = this.getRenderPosition(objectB);
+        const center = this.worldToScreen(
+            (positionA.x + positionB.x) / 2,
+            (positionA.y + positionB.y) / 2
+        );
+        const radius = this.toScreenLength(Math.max(objectA.radius, objectB.radius) * 2);
 
         this.ctx.strokeStyle = 'rgba(245, 158, 11, 0.5)';
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([5, 5]);
         this.ctx.beginPath();
-        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
         this.ctx.stroke();
         this.ctx.setLineDash([]);
     }
 
     /**
-     * Dibujar etiqueta de texto
+     * Dibujar los bordes del mundo según su tipo
+     * Pared: línea continua (más gruesa cuanto más elástica); periódico: discontinua;
+     * abierto: sin línea.
+     */
+    drawBoundaries(bounds, boundaries) {
+        // En un mundo periódico se dibuja la copia de los bordes que ve el observador
+        const corner = this.getVisibleImage({ x: bounds.left, y: bounds.bottom });
+        const offset = { x: corner.x - bounds.left, y: corner.y - bounds.bottom };
+        const topLeft = this.worldToScreen(bounds.left + offset.x, bounds.top + offset.y);
+        const bottomRight = this.worldToScreen(bounds.right + offset.x, bounds.bottom + offset.y);
+        const edges = {
+            left: [topLeft.x, topLeft.y, topLeft.x, bottomRight.y],
+            right: [bottomRight.x, topLeft.y, bottomRight.x, bottomRight.y],
+            bottom: [topLeft.x, bottomRight.y, bottomRight.x, bottomRight.y],
+            top: [topLeft.x, topLeft.y, bottomRight.x, topLeft.y]
+        };
+
+        Object.entries(edges).forEach(([edge, [x1, y1, x2, y2]]) => {
+            const boundary = boundaries[edge];
+            if (!boundary || boundary.type === 'open') return;
+
+            if (boundary.type === 'wrap') {
+                this.ctx.strokeStyle = 'rgba(99, 102, 241, 0.6)';
+                this.ctx.lineWidth = 2;
+                this.ctx.setLineDash([8, 6]);
+            } else {
+                this.ctx.strokeStyle = this.colors.text;
+                this.ctx.lineWidth = 2 + 4 * boundary.restitution;
+                this.ctx.setLineDash([]);
+            }
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(x1, y1);
+            this.ctx.lineTo(x2, y2);
+            this.ctx.stroke();
+        });
+
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Dibujar etiqueta de texto (coordenadas de pantalla)
      */
     drawLabel(x, y, text, color = this.colors.text) {
         this.ctx.fillStyle = color;
@@ -352,6 +868,124 @@ export class CanvasRenderer {
         this.drawLabel(x + width / 2, y - 10, 'Energía', this.colors.text);
     }
 
+    /**
+     * Dibujar gráfico de líneas en un rectángulo de pantalla
+     * `series`: [{ points: [{ x, y }], color, label, fill }]; con `fill` se sombrea
+     * el área entre la curva y el eje y = 0
+     * `options`: { title, xLabel, yLabel, xRange: [min, max], yRange: [min, max] }
+     */
+    drawLineChart(rect, series, options = {}) {
+        const { x, y, width, height } = rect;
+        const points = series.reduce((all, serie) => all.concat(serie.points), []);
+
+        // Rangos de los ejes (automáticos si no se indican)
+        let [xMin, xMax] = options.xRange || [
+            Math.min(...points.map(point => point.x)),
+            Math.max(...points.map(point => point.x))
+        ];
+        let [yMin, yMax] = options.yRange || [
+            Math.min(...points.map(point => point.y)),
+            Math.max(...points.map(point => point.y))
+        ];
+        if (!isFinite(xMin) || xMax - xMin === 0) [xMin, xMax] = [xMin || 0, (xMin || 0) + 1];
+        if (!isFinite(yMin) || yMax - yMin === 0) [yMin, yMax] = [(yMin || 0) - 1, (yMin || 0) + 1];
+
+        const toX = value => x + (value - xMin) / (xMax - xMin) * width;
+        const toY = value => y + height - (value - yMin) / (yMax - yMin) * height;
+
+        // Fondo y borde
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = this.colors.grid;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x, y, width, height);
+
+        // Línea de cero
+        if (yMin < 0 && yMax > 0) {
+            this.ctx.strokeStyle = this.colors.trajectory;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, toY(0));
+            this.ctx.lineTo(x + width, toY(0));
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
+        // Áreas sombreadas bajo las curvas (antes que las líneas)
+        const zeroY = Math.max(y, Math.min(y + height, toY(0)));
+        series.forEach(serie => {
+            if (!serie.fill || serie.points.length < 2) return;
+
+            this.ctx.fillStyle = serie.fill;
+            this.ctx.beginPath();
+            this.ctx.moveTo(toX(serie.points[0].x), zeroY);
+            serie.points.forEach(point => {
+                this.ctx.lineTo(toX(point.x), Math.max(y, Math.min(y + height, toY(point.y))));
+            });
+            this.ctx.lineTo(toX(serie.points[serie.points.length - 1].x), zeroY);
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+
+        // Series
+        series.forEach(serie => {
+            if (serie.points.length < 2) return;
+
+            this.ctx.strokeStyle = serie.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            serie.points.forEach((point, index) => {
+                const px = toX(point.x);
+                const py = Math.max(y, Math.min(y + height, toY(point.y)));
+                if (index === 0) {
+                    this.ctx.moveTo(px, py);
+                } else {
+                    this.ctx.lineTo(px, py);
+                }
+            });
+            this.ctx.stroke();
+        });
+
+        // Textos: título, leyenda y rango de los ejes
+        this.ctx.font = '12px Inter, sans-serif';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.textAlign = 'left';
+
+        if (options.title) {
+            this.ctx.fillStyle = this.colors.text;
+            this.ctx.fillText(options.title, x + 8, y + 12);
+        }
+
+        series.forEach((serie, index) => {
+            if (!serie.label) return;
+            this.ctx.fillStyle = serie.color;
+            this.ctx.fillText(serie.label, x + 8, y + 30 + index * 16);
+        });
+
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.font = '10px Inter, sans-serif';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(this.formatAxisValue(yMax), x - 4, y + 6);
+        this.ctx.fillText(this.formatAxisValue(yMin), x - 4, y + height - 6);
+        this.ctx.fillText(`${this.formatAxisValue(xMax)}${options.xLabel ? ' ' + options.xLabel : ''}`, x + width, y + height + 10);
+
+        if (options.yLabel) {
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(options.yLabel, x + 4, y + height - 8);
+        }
+    }
+
+    /**
+     * Formatear un valor de eje con pocas cifras
+     */
+    formatAxisValue(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude !== 0 && (magnitude < 0.01 || magnitude >= 10000)) {
+            return value.toExponential(1);
+        }
+        return parseFloat(value.toFixed(2)).toString();
+    }
+
     /**
      * Aclarar color
      */
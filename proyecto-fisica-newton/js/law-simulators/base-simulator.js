@@ -0,0 +1,450 @@
+/**
+ * Simulador Base
+ * Bucle de animación, reloj de paso fijo y ciclo de vida compartidos por todos los escenarios
+ *
+ * Cada escenario hereda de esta clase y solo describe sus datos:
+ * `createScene()` registra cuerpos y fuerzas, `afterStep()` reacciona a cada paso
+ * y `render()` dibuja la escena. El motor avanza con `physics.step(dt)`.
+ *
+ * Un escenario con solución cerrada la describe en `getAnalyticStates(time)`:
+ * cada cuerpo que devuelve se dibuja también como un "fantasma" translúcido en la
+ * posición analítica, con el error de la simulación frente a ella.
+ *
+ * La escena puede verse desde otro sistema de referencia inercial (transformación
+ * de Galileo): uno con velocidad constante, uno ligado a un cuerpo o el del centro
+ * de masa de los cuerpos de `getFrameBodies()`. La física sigue en el laboratorio;
+ * solo cambian el dibujo y las velocidades y momentos que se muestran.
+ */
+
+import { PhysicsEngine } from '../physics/newton-laws.js';
+import { ForceSystem } from '../physics/forces.js';
+import { MotionSystem } from '../physics/motion.js';
+import { CanvasRenderer } from '../canvas/renderer.js';
+import { AnimationSystem } from '../canvas/animations.js';
+
+export class BaseSimulator {
+    constructor(canvasId) {
+        this.canvasId = canvasId;
+        this.motion = new MotionSystem();
+        this.forces = new ForceSystem();
+        this.physics = new PhysicsEngine(this.motion, this.forces);
+        this.renderer = new CanvasRenderer(canvasId);
+        this.animations = new AnimationSystem(this.renderer);
+
+        this.isRunning = false;
+        this.animationId = null;
+
+        // Fantasmas de la solución analítica: id del cuerpo → { position, previousPosition, velocity, angle }
+        this.ghosts = new Map();
+        this.showGhost = true;
+
+        // Sistema de referencia: 'lab', 'velocity' (velocidad constante), 'body' o 'com'
+        this.frame = { type: 'lab', velocity: { x: 0, y: 0 }, bodyId: null };
+        // Posición del observador al elegir el sistema: la escena se dibuja desplazada
+        // lo que el observador se ha movido desde entonces (en un mundo periódico,
+        // cada cuerpo en la copia que queda a la vista)
+        this.frameReference = { x: 0, y: 0 };
+
+        this.physics.onBoundary(event => this.handleFrameBoundary(event));
+    }
+
+    /**
+     * Inicializar simulador
+     */
+    initialize() {
+        this.createScene();
+        this.updateGhosts(this.motion.simulationTime);
+        this.resetFrame();
+        this.render();
+    }
+
+    /**
+     * Crear cuerpos y fuerzas del escenario
+     */
+    createScene() { }
+
+    /**
+     * Iniciar simulación
+     */
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.motion.resume();
+        this.onStart();
+        this.animate();
+    }
+
+    /**
+     * Acción al iniciar (efectos visuales, etc.)
+     */
+    onStart() { }
+
+    /**
+     * Pausar simulación
+     */
+    pause() {
+        this.isRunning = false;
+        this.motion.pause();
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    /**
+     * Detener simulación
+     */
+    stop() {
+        this.pause();
+        this.reset();
+    }
+
+    /**
+     * Resetear simulador
+     */
+    reset() {
+        this.pause();
+        this.physics.clear();
+        this.forces.clear();
+        this.motion.reset();
+        this.animations.stopAllAnimations();
+        this.renderer.clearTrajectory();
+        this.renderer.setInterpolation(1);
+        this.ghosts.clear();
+        this.createScene();
+        this.updateGhosts(this.motion.simulationTime);
+        this.resetFrame();
+        this.render();
+    }
+
+    /**
+     * Bucle de animación
+     */
+    animate() {
+        if (!this.isRunning) return;
+
+        const currentTime = performance.now();
+        const frameTime = this.motion.updateTime(currentTime);
+
+        if (frameTime > 0) {
+            // Pasos fijos de física según el tiempo real transcurrido
+            const alpha = this.motion.advance(frameTime, (dt, time) => this.update(dt, time));
+
+            this.animations.update(frameTime);
+            this.renderer.setInterpolation(alpha);
+            this.render();
+        }
+
+        this.animationId = requestAnimationFrame(() => this.animate());
+    }
+
+    /**
+     * Avanzar la simulación un paso fijo de `dt` segundos
+     */
+    update(dt, time) {
+        const contacts = this.physics.step(dt);
+        this.updateFrame(true, time + dt);
+        this.afterStep(dt, time, contacts);
+        this.updateGhosts(time + dt);
+    }
+
+    /**
+     * Reaccionar al resultado de un paso (trayectorias, efectos, contactos)
+     */
+    afterStep(dt, time, contacts) { }
+
+    /**
+     * Solución analítica en el instante `time` (s)
+     * Devuelve `[{ id, position, velocity, angle }]` para los cuerpos que la tienen;
+     * vacío si el escenario no tiene solución cerrada.
+     */
+    getAnalyticStates(time) {
+        return [];
+    }
+
+    /**
+     * Mover los fantasmas a la solución analítica del final del paso
+     * La posición anterior se conserva para interpolarlos igual que a los cuerpos.
+     */
+    updateGhosts(time) {
+        const states = this.getAnalyticStates(time);
+        const ids = new Set(states.map(state => state.id));
+
+        this.ghosts.forEach((ghost, id) => {
+            if (!ids.has(id)) this.ghosts.delete(id);
+        });
+
+        states.forEach(state => {
+            const previous = this.ghosts.get(state.id);
+            this.ghosts.set(state.id, {
+                position: { ...state.position },
+                previousPosition: previous ? { ...previous.position } : { ...state.position },
+                velocity: { ...state.velocity },
+                angle: state.angle || 0
+            });
+        });
+    }
+
+    /**
+     * Trasladar un fantasma junto con su cuerpo (cruce de un borde periódico)
+     */
+    shiftGhost(id, shift) {
+        const ghost = this.ghosts.get(id);
+        if (!ghost) return;
+
+        ['position', 'previousPosition'].forEach(key => {
+            ghost[key].x += shift.x;
+            ghost[key].y += shift.y;
+        });
+    }
+
+    /**
+     * Error de un cuerpo frente a su fantasma: distancia (m) y diferencia de velocidad (m/s)
+     */
+    getGhostError(id) {
+        const ghost = this.ghosts.get(id);
+        const object = this.physics.objects.get(id);
+        if (!ghost || !object) return null;
+
+        return {
+            position: Math.hypot(object.position.x - ghost.position.x, object.position.y - ghost.position.y),
+            velocity: Math.hypot(object.velocity.x - ghost.velocity.x, object.velocity.y - ghost.velocity.y)
+        };
+    }
+
+    /**
+     * Mayor error de la escena frente a la solución analítica (null si no hay fantasmas)
+     */
+    getAnalyticError() {
+        const errors = Array.from(this.ghosts.keys())
+            .map(id => this.getGhostError(id))
+            .filter(error => error);
+        if (errors.length === 0) return null;
+
+        return {
+            position: Math.max(...errors.map(error => error.position)),
+            velocity: Math.max(...errors.map(error => error.velocity))
+        };
+    }
+
+    /**
+     * Texto del error analítico para los paneles
+     */
+    getAnalyticErrorLabel() {
+        const error = this.getAnalyticError();
+        if (!error) return 'Sin solución cerrada';
+
+        return `Δx = ${this.formatError(error.position)} m, Δv = ${this.formatError(error.velocity)} m/s`;
+    }
+
+    /**
+     * Formato de un error: notación científica si es muy pequeño
+     */
+    formatError(value) {
+        return value !== 0 && value < 0.01 ? value.toExponential(1) : value.toFixed(2);
+    }
+
+    /**
+     * Dibujar los fantasmas con el error de posición de cada cuerpo
+     */
+    drawGhosts() {
+        if (!this.showGhost) return;
+
+        this.ghosts.forEach((ghost, id) => {
+            const object = this.physics.objects.get(id);
+            if (!object) return;
+
+            const error = this.getGhostError(id);
+            this.renderer.drawGhost(object, ghost, `Δx = ${this.formatError(error.position)} m`);
+        });
+    }
+
+    /**
+     * Mostrar u ocultar los fantasmas
+     */
+    setGhostVisible(visible) {
+        this.showGhost = visible;
+        this.render();
+    }
+
+    /**
+     * Cuerpos a los que puede ligarse el observador `[{ id, label }]`
+     * También son los que entran en el centro de masa.
+     */
+    getFrameBodies() {
+        return [];
+    }
+
+    /**
+     * Estado del observador en el laboratorio en el instante `time` (s): `{ position, velocity }`
+     * Null si el cuerpo o los cuerpos de los que depende ya no están.
+     */
+    getObserverState(time = this.motion.simulationTime) {
+        const { type, velocity, bodyId } = this.frame;
+
+        if (type === 'velocity') {
+            return {
+                position: { x: velocity.x * time, y: velocity.y * time },
+                velocity: { ...velocity }
+            };
+        }
+
+        if (type === 'body') {
+            const object = this.physics.objects.get(bodyId);
+            if (!object) return null;
+
+            return { position: { ...object.position }, velocity: { ...object.velocity } };
+        }
+
+        if (type === 'com') {
+            const objects = this.getFrameObjects();
+            const mass = objects.reduce((sum, object) => sum + object.mass, 0);
+            if (mass <= 0) return null;
+
+            const average = key => ({
+                x: objects.reduce((sum, object) => sum + object.mass * object[key].x, 0) / mass,
+                y: objects.reduce((sum, object) => sum + object.mass * object[key].y, 0) / mass
+            });
+            return { position: average('position'), velocity: average('velocity') };
+        }
+
+        return { position: { x: 0, y: 0 }, velocity: { x: 0, y: 0 } };
+    }
+
+    /**
+     * Cuerpos de `getFrameBodies()` presentes en el motor
+     */
+    getFrameObjects() {
+        return this.getFrameBodies()
+            .map(body => this.physics.objects.get(body.id))
+            .filter(object => object);
+    }
+
+    /**
+     * Cambiar de sistema de referencia
+     * `frame` es `{ type, velocity, bodyId }` parcial; la escena se ve desde la
+     * posición actual del nuevo observador, así que no salta al cambiar.
+     */
+    setFrame(frame) {
+        this.frame = {
+            ...this.frame,
+            ...frame,
+            velocity: { ...this.frame.velocity, ...frame.velocity }
+        };
+        this.renderer.clearTrajectory();
+        this.resetFrame();
+        this.render();
+    }
+
+    /**
+     * Tomar la posición actual del observador como referencia (desplazamiento nulo)
+     */
+    resetFrame() {
+        const observer = this.getObserverState();
+        this.frameReference = observer ? { ...observer.position } : { x: 0, y: 0 };
+        this.updateFrame(false);
+    }
+
+    /**
+     * Pasar al renderizador el desplazamiento y la velocidad del observador
+     * Si el observador desaparece, la escena se queda donde estaba y en reposo.
+     */
+    updateFrame(continuous = true, time = this.motion.simulationTime) {
+        const observer = this.getObserverState(time);
+        const shift = observer
+            ? { x: observer.position.x - this.frameReference.x, y: observer.position.y - this.frameReference.y }
+            : this.renderer.frame.shift;
+
+        this.renderer.setFrame({
+            shift,
+            velocity: observer ? observer.velocity : { x: 0, y: 0 },
+            period: this.getWorldPeriod()
+        }, continuous);
+    }
+
+    /**
+     * Ejes periódicos del mundo: `{ x, y }` con `{ start, length }` (m) o null
+     */
+    getWorldPeriod() {
+        const { bounds, boundaries } = this.physics;
+        const periodic = (low, high) => boundaries[low].type === 'wrap' && boundaries[high].type === 'wrap';
+
+        return {
+            x: periodic('left', 'right') ? { start: bounds.left, length: bounds.right - bounds.left } : null,
+            y: periodic('bottom', 'top') ? { start: bounds.bottom, length: bounds.top - bounds.bottom } : null
+        };
+    }
+
+    /**
+     * Un cuerpo que reaparece por un borde periódico arrastra consigo al observador
+     * ligado a él (y al centro de masa, en proporción a su masa). En un mundo
+     * periódico ese salto no se ve; se aplica también al desplazamiento del paso
+     * anterior para que la interpolación no barra la escena.
+     */
+    handleFrameBoundary(event) {
+        if (event.type !== 'wrap') return;
+
+        const { type, bodyId } = this.frame;
+        let weight = 0;
+
+        if (type === 'body' && event.objectId === bodyId) {
+            weight = 1;
+        } else if (type === 'com') {
+            const objects = this.getFrameObjects();
+            const object = objects.find(candidate => candidate.id === event.objectId);
+            const mass = objects.reduce((sum, candidate) => sum + candidate.mass, 0);
+            if (object && mass > 0) weight = object.mass / mass;
+        }
+
+        this.renderer.frame.shift.x += weight * event.shift.x;
+        this.renderer.frame.shift.y += weight * event.shift.y;
+    }
+
+    /**
+     * Velocidad (m/s) vista por el observador
+     */
+    toFrameVelocity(velocity) {
+        const observer = this.renderer.frame.velocity;
+        return { x: velocity.x - observer.x, y: velocity.y - observer.y };
+    }
+
+    /**
+     * Momentum (kg·m/s) de un cuerpo de masa `mass` visto por el observador
+     */
+    toFrameMomentum(momentum, mass) {
+        const observer = this.renderer.frame.velocity;
+        return { x: momentum.x - mass * observer.x, y: momentum.y - mass * observer.y };
+    }
+
+    /**
+     * Nombre del sistema de referencia para los paneles
+     */
+    getFrameLabel() {
+        const { type, velocity, bodyId } = this.frame;
+
+        if (type === 'velocity') return `v = ${velocity.x.toFixed(1)} m/s`;
+        if (type === 'com') return 'Centro de masa';
+        if (type === 'body') {
+            const body = this.getFrameBodies().find(candidate => candidate.id === bodyId);
+            return body ? body.label : 'Laboratorio';
+        }
+
+        return 'Laboratorio';
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() { }
+
+    /**
+     * Destruir simulador
+     */
+    destroy() {
+        this.stop();
+        this.physics.clear();
+        this.forces.clear();
+        this.animations.stopAllAnimations();
+    }
+}
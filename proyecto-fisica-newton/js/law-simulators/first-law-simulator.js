@@ -3,48 +3,156 @@
  * Demuestra cómo los objetos mantienen su estado de movimiento
  */
 
-import { PhysicsEngine } from '../physics/newton-laws.js';
-import { ForceSystem } from '../physics/forces.js';
-import { MotionSystem } from '../physics/motion.js';
-import { CanvasRenderer } from '../canvas/renderer.js';
-import { AnimationSystem } from '../canvas/animations.js';
+import { BaseSimulator } from './base-simulator.js';
+import { SURFACE_FRICTION } from '../physics/forces.js';
 
-export class FirstLawSimulator {
-    constructor(canvasId) {
-        this.canvasId = canvasId;
-        this.physics = new PhysicsEngine();
-        this.forces = new ForceSystem();
-        this.motion = new MotionSystem();
-        this.renderer = new CanvasRenderer(canvasId);
-        this.animations = new AnimationSystem(this.renderer);
+// Muestras del balance de energía que se guardan para el gráfico (30 s a 60 pasos/s)
+const MAX_ENERGY_SAMPLES = 1800;
 
-        this.isRunning = false;
-        this.animationId = null;
-        this.lastTime = 0;
+export class FirstLawSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
 
         // Configuración del simulador
         this.config = {
             initialVelocity: 10,
-            frictionCoefficient: 0.1,
+            frictionCoefficient: 0.01, // μk
             surfaceType: 'ice',
             objectMass: 1,
-            objectRadius: 15
+            objectRadius: 0.5, // m
+            track: 'endless' // 'endless': pista periódica sin fin | 'walls': paredes en los extremos
         };
 
         // Objetos del simulador
         this.skatingObject = null;
-        this.surfaceLevel = 350;
+        this.surfaceLevel = 2.5; // altura de la superficie (m)
+        this.startX = 5; // posición inicial (m)
+        this.stopDistance = null; // distancia recorrida hasta detenerse (m)
+        this.stopTime = null; // tiempo hasta detenerse (s)
+        this.wrapOffset = 0; // desplazamiento acumulado por los cruces de la pista periódica (m)
+        this.laps = 0;
+        this.initialEnergy = 0; // KE + PE al empezar (J)
+        this.energySamples = []; // [{ t, kinetic, potential, dissipated }]
+        this.chartRect = { x: 520, y: 20, width: 260, height: 130 };
+        this.ghostSeed = null; // { time, position, velocity } de partida de la solución analítica
+        this.ghostReseed = false; // volver a partir del estado simulado al final del paso
+
+        this.renderer.setCamera({ scale: 20 });
+        this.physics.setBounds(this.renderer.getWorldBounds());
+        this.physics.onBoundary(event => this.handleBoundary(event));
 
         this.initialize();
     }
 
     /**
-     * Inicializar simulador
+     * Crear escena: patinador y fricción de Coulomb con la superficie
      */
-    initialize() {
+    createScene() {
+        this.applyTrack();
         this.createSkatingObject();
-        this.setupSurface();
-        this.render();
+        this.forces.addFriction(
+            'surface-friction',
+            'skater',
+            this.config.frictionCoefficient,
+            this.getStaticCoefficient()
+        );
+
+        this.stopDistance = null;
+        this.stopTime = null;
+        this.wrapOffset = 0;
+        this.laps = 0;
+        this.resetEnergyBaseline();
+        this.seedGhost();
+    }
+
+    /**
+     * Tomar el estado actual del patinador como partida de la solución analítica
+     */
+    seedGhost(time = this.motion.simulationTime) {
+        this.ghostReseed = false;
+        if (!this.skatingObject) return;
+
+        this.ghostSeed = {
+            time,
+            position: { ...this.skatingObject.position },
+            velocity: { ...this.skatingObject.velocity }
+        };
+    }
+
+    /**
+     * Solución analítica: deceleración uniforme μk·g hasta detenerse
+     * x = x₀ + v₀·t − ½·μk·g·t² mientras t < v₀/(μk·g); después, reposo.
+     * No modela las paredes: tras cada rebote se parte del estado simulado.
+     */
+    getAnalyticStates(time) {
+        if (!this.ghostSeed) return [];
+
+        const { position, velocity } = this.ghostSeed;
+        const speed = Math.abs(velocity.x);
+        const direction = Math.sign(velocity.x);
+        const deceleration = this.config.frictionCoefficient * this.forces.gravity;
+        const stopTime = deceleration > 0 ? speed / deceleration : Infinity;
+        const elapsed = Math.min(Math.max(0, time - this.ghostSeed.time), stopTime);
+
+        return [{
+            id: 'skater',
+            position: {
+                x: position.x + direction * (speed * elapsed - 0.5 * deceleration * elapsed ** 2),
+                y: position.y
+            },
+            velocity: { x: direction * (speed - deceleration * elapsed), y: 0 }
+        }];
+    }
+
+    /**
+     * Tomar la energía actual como inicial y empezar el balance desde cero
+     */
+    resetEnergyBaseline() {
+        this.physics.energy.clear();
+
+        const { kinetic, potential } = this.getEnergyStats();
+        this.initialEnergy = kinetic + potential;
+        this.energySamples = [{ t: this.motion.simulationTime, kinetic, potential, dissipated: 0 }];
+    }
+
+    /**
+     * Configurar los extremos de la pista: periódicos (pista sin fin) o paredes
+     */
+    applyTrack() {
+        const type = this.config.track === 'walls' ? 'wall' : 'wrap';
+        this.physics.setBoundaries({ left: { type }, right: { type } });
+    }
+
+    /**
+     * Al cruzar un extremo de la pista sin fin se acumula el desplazamiento
+     * para medir la distancia real recorrida
+     */
+    handleBoundary(event) {
+        if (event.objectId !== 'skater') return;
+
+        // La solución analítica no incluye el rebote: se reanuda desde el estado simulado
+        if (event.type === 'wall') {
+            this.ghostReseed = true;
+            return;
+        }
+        if (event.type !== 'wrap') return;
+
+        // El fantasma cruza la pista con el patinador
+        if (this.ghostSeed) {
+            this.ghostSeed.position.x += event.shift.x;
+            this.shiftGhost('skater', event.shift);
+        }
+
+        this.wrapOffset -= event.shift.x;
+        this.laps++;
+        this.renderer.breakTrajectory();
+    }
+
+    /**
+     * Distancia recorrida desde el punto de partida (m)
+     */
+    getDistance() {
+        return Math.abs(this.skatingObject.position.x + this.wrapOffset - this.startX);
     }
 
     /**
@@ -53,7 +161,7 @@ export class FirstLawSimulator {
     createSkatingObject() {
         this.skatingObject = this.physics.createObject(
             'skater',
-            { x: 100, y: this.surfaceLevel - this.config.objectRadius },
+            { x: this.startX, y: this.surfaceLevel + this.config.objectRadius },
             { x: this.config.initialVelocity, y: 0 },
             this.config.objectMass,
             this.config.objectRadius
@@ -65,90 +173,57 @@ export class FirstLawSimulator {
     }
 
     /**
-     * Configurar superficie
+     * Configurar superficie: μk por defecto del material
      */
     setupSurface() {
-        const surfaceFriction = {
-            ice: 0.01,
-            wood: 0.2,
-            asphalt: 0.7,
-            sand: 0.9
-        };
-
-        this.config.frictionCoefficient = surfaceFriction[this.config.surfaceType] || 0.01;
+        const surface = SURFACE_FRICTION[this.config.surfaceType] || SURFACE_FRICTION.ice;
+        this.config.frictionCoefficient = surface.kinetic;
     }
 
     /**
-     * Iniciar simulación
+     * Coeficiente estático de la superficie (nunca menor que μk)
      */
-    start() {
-        if (this.isRunning) return;
-
-        this.isRunning = true;
-        this.lastTime = 0;
-        this.animate();
-
-        // Crear efecto de inicio
-        this.animations.createSlidingEffect(this.skatingObject, this.config.surfaceType);
+    getStaticCoefficient() {
+        const surface = SURFACE_FRICTION[this.config.surfaceType] || SURFACE_FRICTION.ice;
+        return Math.max(surface.static, this.config.frictionCoefficient);
     }
 
     /**
-     * Pausar simulación
+     * Distancia de frenado teórica: d = v₀² / (2·μk·g)
      */
-    pause() {
-        this.isRunning = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-    }
+    calculateStoppingDistance() {
+        const deceleration = this.config.frictionCoefficient * this.forces.gravity;
+        if (deceleration === 0) return Infinity;
 
-    /**
-     * Detener simulación
-     */
-    stop() {
-        this.pause();
-        this.reset();
+        return this.config.initialVelocity ** 2 / (2 * deceleration);
     }
 
     /**
-     * Resetear simulador
+     * Tiempo de frenado teórico: v = v₀ − μk·g·t = 0
      */
-    reset() {
-        this.pause();
-        this.physics.clear();
-        this.animations.stopAllAnimations();
-        this.renderer.clearTrajectory();
-        this.createSkatingObject();
-        this.setupSurface();
-        this.render();
+    calculateStoppingTime() {
+        const deceleration = this.config.frictionCoefficient * this.forces.gravity;
+        if (deceleration === 0) return Infinity;
+
+        return this.config.initialVelocity / deceleration;
     }
 
     /**
-     * Bucle de animación
+     * Efecto visual al iniciar
      */
-    animate() {
-        if (!this.isRunning) return;
-
-        const currentTime = performance.now();
-        const deltaTime = this.motion.updateTime(currentTime);
-
-        if (deltaTime > 0) {
-            this.update(deltaTime);
-            this.render();
-        }
-
-        this.animationId = requestAnimationFrame(() => this.animate());
+    onStart() {
+        this.animations.createSlidingEffect(this.skatingObject, this.config.surfaceType);
     }
 
     /**
-     * Actualizar simulación
+     * Reaccionar a cada paso de la simulación
      */
-    update(deltaTime) {
+    afterStep(dt, time) {
         if (!this.skatingObject) return;
 
-        // Aplicar Primera Ley de Newton con fricción
-        this.physics.applyInertia('skater', this.config.frictionCoefficient);
+        if (this.ghostReseed) {
+            this.seedGhost(time + dt);
+        }
 
         // Añadir punto a la trayectoria
         this.renderer.addTrajectoryPoint(
@@ -161,15 +236,19 @@ export class FirstLawSimulator {
             this.animations.createSlidingEffect(this.skatingObject, this.config.surfaceType);
         }
 
-        // Detener si la velocidad es muy baja
+        // Registrar el frenado: la fricción estática mantiene al cuerpo en reposo
         const speed = Math.sqrt(
             this.skatingObject.velocity.x ** 2 + this.skatingObject.velocity.y ** 2
         );
 
-        if (speed < 0.1) {
-            this.skatingObject.velocity.x = 0;
-            this.skatingObject.velocity.y = 0;
+        if (speed === 0 && this.stopDistance === null) {
+            this.stopDistance = this.getDistance();
+            this.stopTime = time + dt;
         }
+
+        const { kinetic, potential, dissipated } = this.getEnergyStats();
+        this.energySamples.push({ t: time + dt, kinetic, potential, dissipated });
+        if (this.energySamples.length > MAX_ENERGY_SAMPLES) this.energySamples.shift();
     }
 
     /**
@@ -186,6 +265,7 @@ export class FirstLawSimulator {
 
         // Dibujar objeto
         if (this.skatingObject) {
+            this.drawGhosts();
             this.renderer.drawObject(this.skatingObject);
 
             // Dibujar vectores
@@ -193,6 +273,7 @@ export class FirstLawSimulator {
 
             // Dibujar indicador de fricción
             this.drawFrictionIndicator();
+            this.drawEnergyChart();
         }
 
         // Renderizar efectos
@@ -206,15 +287,74 @@ export class FirstLawSimulator {
     drawFrictionIndicator() {
         const ctx = this.renderer.getContext();
         const x = 20;
-        const y = this.surfaceLevel + 30;
+        const y = 30;
+
+        const predicted = this.calculateStoppingDistance();
+        const measured = this.stopDistance ?? this.getDistance();
 
         ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.fillRect(x - 5, y - 15, 120, 20);
+        ctx.fillRect(x - 5, y - 15, 250, this.config.track === 'endless' ? 74 : 56);
 
         ctx.fillStyle = 'white';
         ctx.font = '12px Inter, sans-serif';
         ctx.textAlign = 'left';
-        ctx.fillText(`Fricción: ${this.config.frictionCoefficient.toFixed(2)}`, x, y);
+        ctx.fillText(
+            `μs = ${this.getStaticCoefficient().toFixed(2)}   μk = ${this.config.frictionCoefficient.toFixed(2)}`,
+            x,
+            y
+        );
+        ctx.fillText(
+            `d teórica = v₀²/(2μk·g) = ${Number.isFinite(predicted) ? predicted.toFixed(2) + ' m' : '∞'}`,
+            x,
+            y + 18
+        );
+        ctx.fillText(
+            `d ${this.stopDistance === null ? 'recorrida' : 'de frenado'} = ${measured.toFixed(2)} m`,
+            x,
+            y + 36
+        );
+
+        if (this.config.track === 'endless') {
+            ctx.fillText(`Vueltas a la pista: ${this.laps}`, x, y + 54);
+        }
+    }
+
+    /**
+     * Dibujar el balance de energía apilado: cinética, potencial y disipada
+     * Cada capa se rellena desde cero sobre la anterior, así que el borde superior
+     * es KE + PE + disipada, que se mantiene en la energía inicial.
+     */
+    drawEnergyChart() {
+        const stack = (sample, layers) => layers.reduce((sum, layer) => sum + sample[layer], 0);
+        const curve = layers => this.energySamples.map(sample => ({ x: sample.t, y: stack(sample, layers) }));
+        const last = this.energySamples[this.energySamples.length - 1];
+        const top = Math.max(1, this.initialEnergy, ...this.energySamples.map(sample => stack(sample, ['kinetic', 'potential', 'dissipated'])));
+
+        this.renderer.drawLineChart(this.chartRect, [
+            {
+                points: curve(['kinetic', 'potential', 'dissipated']),
+                color: '#ef4444',
+                fill: '#fecaca',
+                label: `Disipada ${last.dissipated.toFixed(1)} J`
+            },
+            {
+                points: curve(['kinetic', 'potential']),
+                color: '#3b82f6',
+                fill: '#bfdbfe',
+                label: `Potencial ${last.potential.toFixed(1)} J`
+            },
+            {
+                points: curve(['kinetic']),
+                color: '#10b981',
+                fill: '#a7f3d0',
+                label: `Cinética ${last.kinetic.toFixed(1)} J`
+            }
+        ], {
+            title: 'Energía [J]',
+            xLabel: 's',
+            xRange: [this.energySamples[0].t, Math.max(this.energySamples[0].t + 1, last.t)],
+            yRange: [0, top * 1.1]
+        });
     }
 
     /**
@@ -223,10 +363,20 @@ export class FirstLawSimulator {
     updateConfig(newConfig) {
         Object.assign(this.config, newConfig);
 
-        if (newConfig.surfaceType) {
+        // Cambiar de superficie carga su μk salvo que se indique uno explícito
+        if (newConfig.surfaceType && newConfig.frictionCoefficient === undefined) {
             this.setupSurface();
         }
 
+        this.forces.updateForce('surface-friction', {
+            coefficient: this.config.frictionCoefficient,
+            staticCoefficient: this.getStaticCoefficient()
+        });
+
+        if (newConfig.track !== undefined) {
+            this.applyTrack();
+        }
+
         if (newConfig.initialVelocity !== undefined && this.skatingObject) {
             this.skatingObject.velocity.x = newConfig.initialVelocity;
         }
@@ -234,6 +384,14 @@ export class FirstLawSimulator {
         if (newConfig.objectMass !== undefined && this.skatingObject) {
             this.skatingObject.mass = newConfig.objectMass;
         }
+
+        // Cambiar la velocidad o la masa a mano no es trabajo de ninguna fuerza
+        if ((newConfig.initialVelocity !== undefined || newConfig.objectMass !== undefined) && this.skatingObject) {
+            this.resetEnergyBaseline();
+        }
+
+        // La solución analítica sigue desde aquí con la nueva velocidad o fricción
+        this.seedGhost();
     }
 
     /**
@@ -246,34 +404,67 @@ export class FirstLawSimulator {
             this.skatingObject.velocity.x ** 2 + this.skatingObject.velocity.y ** 2
         );
 
-        const distance = Math.abs(this.skatingObject.position.x - 100);
+        const distance = this.getDistance();
+
+        // Velocidad vista por el observador: en reposo o en movimiento uniforme
+        // según el sistema de referencia, con las mismas leyes en ambos
+        const velocity = this.toFrameVelocity(this.skatingObject.velocity);
 
         return {
             velocity: {
-                x: this.skatingObject.velocity.x,
-                y: this.skatingObject.velocity.y,
-                magnitude: speed
+                x: velocity.x,
+                y: velocity.y,
+                magnitude: Math.sqrt(velocity.x ** 2 + velocity.y ** 2)
             },
+            frameLabel: this.getFrameLabel(),
             friction: this.config.frictionCoefficient,
+            staticFriction: this.getStaticCoefficient(),
             distance: distance,
+            stoppingDistance: this.calculateStoppingDistance(),
+            stoppingTime: this.calculateStoppingTime(),
+            measuredStoppingDistance: this.stopDistance,
+            measuredStoppingTime: this.stopTime,
             surfaceType: this.config.surfaceType,
-            isMoving: speed > 0.1
+            track: this.config.track,
+            laps: this.laps,
+            dissipatedEnergy: this.getEnergyStats().dissipated,
+            analyticError: this.getAnalyticError(),
+            analyticErrorLabel: this.getAnalyticErrorLabel(),
+            isMoving: speed > 0
         };
     }
 
+    /**
+     * Cuerpos a los que puede ligarse el observador
+     */
+    getFrameBodies() {
+        return [{ id: 'skater', label: 'Patinador' }];
+    }
+
     /**
      * Obtener estadísticas de energía
+     * La energía potencial se mide desde la altura del centro apoyado en la superficie;
+     * la disipada sale del balance del motor (fricción y, con paredes, los rebotes).
      */
     getEnergyStats() {
-        if (!this.skatingObject) return { kinetic: 0, potential: 0, total: 0 };
+        if (!this.skatingObject) return { kinetic: 0, potential: 0, dissipated: 0, total: 0 };
 
-        const kinetic = this.physics.calculateKineticEnergy(this.skatingObject);
-        const potential = this.physics.calculatePotentialEnergy(this.skatingObject, this.surfaceLevel);
+        const kinetic = this.physics.calculateKineticEnergy(this.skatingObject) +
+            this.physics.calculateRotationalEnergy(this.skatingObject);
+        const potential = this.physics.calculatePotentialEnergy(
+            this.skatingObject,
+            this.surfaceLevel + this.config.objectRadius
+        );
+        const ledger = this.physics.getEnergyLedger([this.skatingObject.id]);
 
         return {
             kinetic,
             potential,
-            total: kinetic + potential
+            dissipated: ledger.dissipated,
+            total: kinetic + potential + ledger.dissipated - ledger.input,
+            initial: this.initialEnergy,
+            friction: -(ledger.categories.friction || 0),
+            walls: -(ledger.categories.walls || 0)
         };
     }
 
@@ -289,7 +480,7 @@ export class FirstLawSimulator {
             },
             'wood-sliding': {
                 surfaceType: 'wood',
-                initialVelocity: 12,
+                initialVelocity: 10,
                 frictionCoefficient: 0.2
             },
             'asphalt-stopping': {
@@ -310,13 +501,4 @@ export class FirstLawSimulator {
             this.reset();
         }
     }
-
-    /**
-     * Destruir simulador
-     */
-    destroy() {
-        this.stop();
-        this.physics.clear();
-        this.animations.stopAllAnimations();
-    }
 }
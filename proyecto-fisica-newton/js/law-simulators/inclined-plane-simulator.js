@@ -0,0 +1,308 @@
+/**
+ * Simulador del Plano Inclinado
+ * Descompone el peso en componentes paralela y perpendicular a la rampa
+ * y decide si el bloque desliza comparando tan θ con μs
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+import { SURFACE_FRICTION } from '../physics/forces.js';
+import { createBoxShape } from '../physics/shapes.js';
+
+export class InclinedPlaneSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            angle: 30, // inclinación de la rampa (grados)
+            surfaceType: 'wood',
+            blockMass: 2, // kg
+            blockSize: 1 // lado del bloque (m)
+        };
+
+        // Geometría de la rampa: sube hacia +x desde el pie
+        this.foot = { x: 3, y: 2 }; // pie de la rampa (m)
+        this.rampLength = 12; // longitud de la pendiente (m)
+
+        // Objetos del simulador
+        this.block = null;
+        this.reachedBottom = false;
+
+        this.renderer.setCamera({ scale: 25 });
+        this.physics.setBounds(this.renderer.getWorldBounds());
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena: bloque en lo alto de la rampa con peso, normal y fricción
+     */
+    createScene() {
+        const surface = SURFACE_FRICTION[this.config.surfaceType] || SURFACE_FRICTION.wood;
+
+        this.createBlock();
+        this.forces.addGravity('gravity', 'block');
+        this.forces.addNormalForce('normal', 'block', this.config.angle);
+        this.forces.addFriction('friction', 'block', surface.kinetic, surface.static);
+
+        this.reachedBottom = false;
+    }
+
+    /**
+     * Crear el bloque apoyado sobre la pendiente, girado con ella
+     */
+    createBlock() {
+        const { u, n } = this.getAxes();
+        const distance = this.rampLength - this.config.blockSize;
+        const halfSize = this.config.blockSize / 2;
+
+        this.block = this.physics.createObject(
+            'block',
+            {
+                x: this.foot.x + u.x * distance + n.x * halfSize,
+                y: this.foot.y + u.y * distance + n.y * halfSize
+            },
+            { x: 0, y: 0 },
+            this.config.blockMass,
+            halfSize
+        );
+
+        this.block.color = '#0ea5e9';
+        this.block.type = 'box';
+        this.block.label = 'Bloque';
+        this.block.angle = this.getAngle();
+        this.block.previousAngle = this.block.angle;
+        this.physics.setShape('block', createBoxShape(this.config.blockSize));
+    }
+
+    /**
+     * Inclinación en radianes
+     */
+    getAngle() {
+        return this.config.angle * Math.PI / 180;
+    }
+
+    /**
+     * Ejes de la rampa: `u` pendiente arriba y `n` normal hacia afuera
+     */
+    getAxes() {
+        const angle = this.getAngle();
+
+        return {
+            u: { x: Math.cos(angle), y: Math.sin(angle) },
+            n: { x: -Math.sin(angle), y: Math.cos(angle) }
+        };
+    }
+
+    /**
+     * Distancia del centro del bloque al pie de la rampa, medida sobre la pendiente (m)
+     */
+    getSlopePosition() {
+        if (!this.block) return 0;
+
+        const { u } = this.getAxes();
+        return (this.block.position.x - this.foot.x) * u.x + (this.block.position.y - this.foot.y) * u.y;
+    }
+
+    /**
+     * Componentes del peso, normal y fricción sobre los ejes de la rampa (N)
+     */
+    calculateForceBreakdown() {
+        const { u, n } = this.getAxes();
+        const weight = this.config.blockMass * this.forces.gravity;
+        const netForce = this.forces.calculateNetForce(this.block);
+
+        const magnitudeOf = kind => {
+            const contribution = netForce.contributions.find(item => item.kind === kind);
+            return contribution ? Math.sqrt(contribution.x ** 2 + contribution.y ** 2) : 0;
+        };
+
+        return {
+            weight,
+            weightParallel: weight * Math.sin(this.getAngle()),
+            weightPerpendicular: weight * Math.cos(this.getAngle()),
+            normalForce: magnitudeOf('normal'),
+            frictionForce: magnitudeOf('friction'),
+            netParallel: netForce.x * u.x + netForce.y * u.y,
+            netPerpendicular: netForce.x * n.x + netForce.y * n.y,
+            contributions: netForce.contributions
+        };
+    }
+
+    /**
+     * ¿Vence el peso a la fricción estática? tan θ > μs
+     */
+    isSliding() {
+        const surface = SURFACE_FRICTION[this.config.surfaceType] || SURFACE_FRICTION.wood;
+        return Math.tan(this.getAngle()) > surface.static;
+    }
+
+    /**
+     * Ángulo crítico a partir del cual el bloque desliza: θc = atan(μs) (grados)
+     */
+    getCriticalAngle() {
+        const surface = SURFACE_FRICTION[this.config.surfaceType] || SURFACE_FRICTION.wood;
+        return Math.atan(surface.static) * 180 / Math.PI;
+    }
+
+    /**
+     * Aceleración teórica pendiente abajo: a = g (sin θ − μk cos θ), o 0 si no desliza
+     */
+    calculatePredictedAcceleration() {
+        if (!this.isSliding()) return 0;
+
+        const surface = SURFACE_FRICTION[this.config.surfaceType] || SURFACE_FRICTION.wood;
+        const angle = this.getAngle();
+
+        return this.forces.gravity * (Math.sin(angle) - surface.kinetic * Math.cos(angle));
+    }
+
+    /**
+     * Reaccionar a cada paso de la simulación
+     */
+    afterStep() {
+        if (!this.block || this.reachedBottom) return;
+
+        // El bloque se detiene al llegar al pie de la rampa
+        if (this.getSlopePosition() <= this.config.blockSize / 2) {
+            this.block.velocity.x = 0;
+            this.block.velocity.y = 0;
+            this.block.isStatic = true;
+            this.reachedBottom = true;
+        }
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        // Dibujar suelo y rampa con la textura de la superficie
+        this.renderer.drawSurface(this.config.surfaceType, this.foot.y);
+        this.renderer.drawInclinedSurface(this.config.surfaceType, this.foot, this.getAngle(), this.rampLength);
+
+        const angleLabel = this.renderer.worldToScreen(this.foot.x + 2.2, this.foot.y + 0.4);
+        this.renderer.drawLabel(angleLabel.x, angleLabel.y, `θ = ${this.config.angle}°`);
+
+        if (this.block) {
+            this.renderer.drawObject(this.block);
+
+            // Diagrama de cuerpo libre: el peso mide siempre 80 px
+            const breakdown = this.calculateForceBreakdown();
+            this.renderer.drawFreeBodyDiagram(
+                this.block,
+                breakdown.contributions,
+                80 / breakdown.weight,
+                this.getAxes()
+            );
+
+            this.renderer.drawVelocityVector(this.block);
+        }
+
+        // Dibujar información de la ley
+        this.drawLawInfo();
+    }
+
+    /**
+     * Dibujar información de la ley
+     */
+    drawLawInfo() {
+        if (!this.block) return;
+
+        const ctx = this.renderer.getContext();
+        const surface = SURFACE_FRICTION[this.config.surfaceType] || SURFACE_FRICTION.wood;
+        const breakdown = this.calculateForceBreakdown();
+        const x = 20;
+        const y = 30;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 10, y - 20, 260, 160);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillText(`${surface.label}: μs = ${surface.static}, μk = ${surface.kinetic}`, x, y);
+        ctx.fillText(`mg sin θ = ${breakdown.weightParallel.toFixed(2)} N`, x, y + 20);
+        ctx.fillText(`mg cos θ = ${breakdown.weightPerpendicular.toFixed(2)} N`, x, y + 40);
+        ctx.fillText(`N = ${breakdown.normalForce.toFixed(2)} N`, x, y + 60);
+        ctx.fillText(`f = ${breakdown.frictionForce.toFixed(2)} N`, x, y + 80);
+        ctx.fillText(`θc = atan(μs) = ${this.getCriticalAngle().toFixed(1)}°`, x, y + 100);
+        ctx.fillText(
+            `a = g(sin θ − μk cos θ) = ${this.calculatePredictedAcceleration().toFixed(2)} m/s²`,
+            x,
+            y + 120
+        );
+
+        ctx.fillStyle = this.isSliding() ? '#fca5a5' : '#86efac';
+        ctx.fillText(this.isSliding() ? 'El bloque desliza' : 'La fricción estática lo sostiene', x, y + 140);
+    }
+
+    /**
+     * Actualizar configuración
+     * Cambiar la rampa, la superficie o el bloque reconstruye la escena.
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        if (!this.block) return null;
+
+        const { u } = this.getAxes();
+        const breakdown = this.calculateForceBreakdown();
+        const speed = Math.sqrt(this.block.velocity.x ** 2 + this.block.velocity.y ** 2);
+
+        return {
+            angle: this.config.angle,
+            surfaceType: this.config.surfaceType,
+            mass: this.config.blockMass,
+            weightParallel: breakdown.weightParallel,
+            weightPerpendicular: breakdown.weightPerpendicular,
+            normalForce: breakdown.normalForce,
+            frictionForce: breakdown.frictionForce,
+            netForce: breakdown.netParallel,
+            acceleration: -(this.block.acceleration.x * u.x + this.block.acceleration.y * u.y),
+            predictedAcceleration: this.calculatePredictedAcceleration(),
+            criticalAngle: this.getCriticalAngle(),
+            isSliding: this.isSliding(),
+            velocity: speed,
+            distance: this.rampLength - this.config.blockSize - this.getSlopePosition(),
+            reachedBottom: this.reachedBottom
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     */
+    createExample(exampleType) {
+        const examples = {
+            'wood-holds': {
+                angle: 15,
+                surfaceType: 'wood'
+            },
+            'ice-slides': {
+                angle: 10,
+                surfaceType: 'ice'
+            },
+            'asphalt-critical': {
+                angle: 42,
+                surfaceType: 'asphalt'
+            },
+            'sand-steep': {
+                angle: 50,
+                surfaceType: 'sand'
+            }
+        };
+
+        const example = examples[exampleType];
+        if (example) {
+            this.updateConfig(example);
+        }
+    }
+}
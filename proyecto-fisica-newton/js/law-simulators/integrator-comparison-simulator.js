@@ -0,0 +1,289 @@
+/**
+ * Comparación de Integradores Numéricos
+ * Ejecuta el mismo escenario con dos integradores y grafica la deriva de la energía
+ *
+ * Cada ejecución es un PhysicsEngine completo con sus fuerzas registradas en un
+ * ForceSystem, igual que en los demás simuladores; las dos solo difieren en el
+ * integrador de su MotionSystem. El MotionSystem del simulador base es el reloj
+ * del bucle de animación y su motor queda vacío.
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+import { PhysicsEngine } from '../physics/newton-laws.js';
+import { ForceSystem } from '../physics/forces.js';
+import { MotionSystem } from '../physics/motion.js';
+import { getIntegrator } from '../physics/integrators.js';
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Escenarios conservativos: la energía exacta es constante,
+ * así que cualquier variación es error del integrador.
+ * `createScene(physics, forces)` crea el cuerpo y registra sus fuerzas en el motor.
+ */
+const SCENARIOS = {
+    spring: {
+        label: 'Oscilador armónico (T = 1 s)',
+        mass: 1,
+        stiffness: TWO_PI ** 2, // k = 4π² N/m para un periodo de 1 s con m = 1 kg
+        createScene(physics, forces, id) {
+            const body = physics.createObject(id, { x: 0, y: 1 }, { x: 0, y: 0 }, this.mass, 0.12);
+
+            // Resorte de longitud natural nula anclado en el origen: F = −k·r
+            forces.addSpring('spring', id, { anchor: { x: 0, y: 0 }, springConstant: this.stiffness });
+            return body;
+        },
+        energy(body) {
+            const speedSquared = body.velocity.x ** 2 + body.velocity.y ** 2;
+            const distanceSquared = body.position.x ** 2 + body.position.y ** 2;
+            return 0.5 * body.mass * speedSquared + 0.5 * this.stiffness * distanceSquared;
+        }
+    },
+    orbit: {
+        label: 'Órbita circular (T = 1 s)',
+        mass: 1,
+        starMass: 1,
+        gm: TWO_PI ** 2, // GM = 4π² m³/s² para un periodo de 1 s con r = 1 m
+        createScene(physics, forces, id) {
+            // Estrella fija en el origen: la gravitación solo mueve al planeta
+            const star = physics.createObject('star', { x: 0, y: 0 }, { x: 0, y: 0 }, this.starMass, 0.1);
+            star.isStatic = true;
+
+            const body = physics.createObject(id, { x: 1, y: 0 }, { x: 0, y: TWO_PI }, this.mass, 0.12);
+            forces.addGravitation('gravitation', { constant: this.gm / this.starMass });
+            return body;
+        },
+        energy(body) {
+            const speedSquared = body.velocity.x ** 2 + body.velocity.y ** 2;
+            const r = Math.sqrt(body.position.x ** 2 + body.position.y ** 2);
+            return 0.5 * body.mass * speedSquared - this.gm * body.mass / r;
+        }
+    }
+};
+
+export class IntegratorComparisonSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            integratorA: 'explicit-euler',
+            integratorB: 'velocity-verlet',
+            scenario: 'spring',
+            timeStep: 1 / 30 // s
+        };
+
+        // Ejecuciones paralelas: una por integrador
+        this.runs = [];
+        this.colors = ['#ef4444', '#3b82f6'];
+        this.maxSamples = 1500;
+
+        // El escenario se dibuja a la izquierda y el gráfico a la derecha
+        this.renderer.setCamera({ scale: 60, offsetX: -160 / 60, offsetY: -200 / 60 });
+        this.sceneOffsets = [-1.2, 1.2]; // desplazamiento visual de cada ejecución (m)
+        this.chartRect = { x: 340, y: 20, width: 440, height: 350 };
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena: una ejecución por integrador con el mismo estado inicial
+     */
+    createScene() {
+        const scenario = SCENARIOS[this.config.scenario];
+        this.motion.timeStep = this.config.timeStep;
+
+        this.runs = [this.config.integratorA, this.config.integratorB].map((integrator, index) => {
+            const motion = new MotionSystem();
+            motion.setIntegrator(integrator);
+
+            const forces = new ForceSystem();
+            const physics = new PhysicsEngine(motion, forces);
+
+            // Bordes abiertos: sin paredes, la energía solo cambia por el error del integrador
+            physics.setBoundaries({
+                left: { type: 'open' },
+                right: { type: 'open' },
+                bottom: { type: 'open' },
+                top: { type: 'open' }
+            });
+
+            const body = scenario.createScene(physics, forces, `body-${index}`);
+            body.color = this.colors[index];
+
+            return {
+                integrator,
+                label: getIntegrator(integrator).label,
+                motion,
+                physics,
+                body,
+                initialEnergy: scenario.energy(body),
+                trail: [],
+                samples: [{ x: 0, y: 0 }]
+            };
+        });
+    }
+
+    /**
+     * Avanzar ambas ejecuciones un paso `dt`
+     * Cada motor lleva su propio reloj para evaluar las fuerzas en su instante.
+     */
+    update(dt, time) {
+        this.runs.forEach(run => {
+            run.physics.step(dt);
+            run.motion.simulationTime += dt;
+
+            run.trail.push({ ...run.body.position });
+            if (run.trail.length > 300) run.trail.shift();
+
+            run.samples.push({ x: time + dt, y: this.calculateDrift(run) * 100 });
+            if (run.samples.length > this.maxSamples) run.samples.shift();
+        });
+    }
+
+    /**
+     * Deriva relativa de la energía: (E - E₀) / |E₀|
+     */
+    calculateDrift(run) {
+        const energy = SCENARIOS[this.config.scenario].energy(run.body);
+        return (energy - run.initialEnergy) / Math.abs(run.initialEnergy);
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        this.runs.forEach((run, index) => this.drawRun(run, this.sceneOffsets[index]));
+
+        this.renderer.drawLineChart(
+            this.chartRect,
+            this.runs.map((run, index) => ({
+                points: run.samples,
+                color: this.colors[index],
+                label: `${run.label}: ${(this.calculateDrift(run) * 100).toFixed(3)} %`
+            })),
+            { title: 'Deriva de energía (E − E₀)/E₀ [%]', xLabel: 's' }
+        );
+    }
+
+    /**
+     * Dibujar una ejecución desplazada horizontalmente
+     */
+    drawRun(run, offsetX) {
+        const ctx = this.renderer.getContext();
+        const anchor = this.renderer.worldToScreen(offsetX, 0);
+
+        // Trayectoria (órbita) o resorte (oscilador)
+        if (this.config.scenario === 'orbit') {
+            ctx.fillStyle = '#f59e0b';
+            ctx.beginPath();
+            ctx.arc(anchor.x, anchor.y, 6, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.strokeStyle = run.body.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            run.trail.forEach((point, index) => {
+                const screen = this.renderer.worldToScreen(point.x + offsetX, point.y);
+                if (index === 0) {
+                    ctx.moveTo(screen.x, screen.y);
+                } else {
+                    ctx.lineTo(screen.x, screen.y);
+                }
+            });
+            ctx.stroke();
+        } else {
+            const top = this.renderer.worldToScreen(offsetX, 2.5);
+            const position = this.renderer.getRenderPosition(run.body);
+            const bob = this.renderer.worldToScreen(offsetX, position.y);
+
+            ctx.strokeStyle = this.renderer.colors.trajectory;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(top.x - 20, top.y);
+            ctx.lineTo(top.x + 20, top.y);
+            ctx.stroke();
+
+            // Resorte en zigzag entre el soporte y el cuerpo
+            const coils = 12;
+            ctx.beginPath();
+            ctx.moveTo(top.x, top.y);
+            for (let i = 1; i < coils; i++) {
+                const py = top.y + (bob.y - top.y) * i / coils;
+                ctx.lineTo(top.x + (i % 2 === 0 ? -8 : 8), py);
+            }
+            ctx.lineTo(bob.x, bob.y);
+            ctx.stroke();
+        }
+
+        const position = this.renderer.getRenderPosition(run.body);
+        this.renderer.drawObject({
+            ...run.body,
+            position: { x: position.x + offsetX, y: position.y },
+            previousPosition: null,
+            label: run.label
+        });
+    }
+
+    /**
+     * Actualizar configuración
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+
+        // Cambiar integradores, escenario o paso reinicia la comparación
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        return {
+            scenario: this.config.scenario,
+            timeStep: this.config.timeStep,
+            time: this.motion.simulationTime,
+            runs: this.runs.map(run => ({
+                integrator: run.integrator,
+                label: run.label,
+                energy: SCENARIOS[this.config.scenario].energy(run.body),
+                drift: this.calculateDrift(run)
+            }))
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     */
+    createExample(exampleType) {
+        const examples = {
+            'euler-vs-symplectic': {
+                integratorA: 'explicit-euler',
+                integratorB: 'semi-implicit-euler',
+                scenario: 'spring',
+                timeStep: 1 / 30
+            },
+            'verlet-vs-rk4': {
+                integratorA: 'velocity-verlet',
+                integratorB: 'rk4',
+                scenario: 'orbit',
+                timeStep: 1 / 20
+            }
+        };
+
+        const example = examples[exampleType];
+        if (example) {
+            this.updateConfig(example);
+        }
+    }
+
+    /**
+     * Destruir simulador
+     */
+    destroy() {
+        super.destroy();
+        this.runs = [];
+    }
+}
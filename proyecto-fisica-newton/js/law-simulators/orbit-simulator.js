@@ -0,0 +1,476 @@
+/**
+ * Simulador de Órbitas - Gravitación Universal
+ * Un satélite lanzado cerca de un planeta sigue una órbita circular, elíptica
+ * o de escape según su velocidad inicial
+ *
+ * Los dos cuerpos se atraen con F = G·M·m/r² (iguales y opuestas), así que el
+ * planeta también se mueve. G está a escala de pantalla para que una órbita dure segundos.
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+
+/**
+ * Tipos de órbita según la energía y el periapsis
+ */
+export const ORBIT_TYPES = {
+    circular: { label: 'Circular', color: '#10b981' },
+    elliptical: { label: 'Elíptica', color: '#3b82f6' },
+    escape: { label: 'Escape', color: '#ef4444' },
+    impact: { label: 'Impacto', color: '#6b7280' }
+};
+
+// Por debajo de esta excentricidad la órbita se considera circular
+const CIRCULAR_ECCENTRICITY = 0.02;
+
+export class OrbitSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            gravitationalConstant: 1, // N·m²/kg² (a escala de pantalla)
+            planetMass: 1000, // kg
+            satelliteMass: 1, // kg
+            orbitRadius: 5, // m, distancia inicial entre los centros
+            launchSpeed: 14.1, // m/s, rapidez inicial del satélite
+            launchAngle: 0 // grados respecto a la dirección tangencial (hacia afuera positivo)
+        };
+
+        // Geometría: el planeta en el origen, con espacio a la izquierda para el apoapsis
+        this.planetRadius = 1; // m
+        this.satelliteRadius = 0.25; // m
+        this.chartRect = { x: 20, y: 20, width: 240, height: 120 };
+
+        // Objetos del simulador
+        this.planet = null;
+        this.satellite = null;
+        this.launchElements = null; // elementos orbitales predichos por el lanzamiento
+        this.initialEnergy = 0;
+        this.energyScale = 1; // |U₀|: cerca del escape E₀ ≈ 0 y no sirve como escala
+        this.initialAngularMomentum = 0;
+        this.crashed = false;
+        this.crossings = []; // instantes en que el satélite cruza su dirección de lanzamiento (s)
+        this.samples = { kinetic: [], potential: [], total: [] };
+        this.maxSamples = 900;
+
+        // Paso más fino que el resto de escenarios: el periodo orbital es de pocos segundos
+        this.motion.timeStep = 1 / 240;
+
+        this.renderer.setCamera({ scale: 20, offsetX: -26, offsetY: -10 });
+
+        // Bordes abiertos: una órbita de escape sale de la pantalla
+        this.physics.setBoundaries({
+            left: { type: 'open' },
+            right: { type: 'open' },
+            bottom: { type: 'open' },
+            top: { type: 'open' }
+        });
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena: planeta y satélite con atracción gravitatoria mutua
+     * El planeta recibe el momentum opuesto para que el centro de masa quede en reposo.
+     */
+    createScene() {
+        const { planetMass, satelliteMass, orbitRadius, launchSpeed, launchAngle } = this.config;
+        const angle = launchAngle * Math.PI / 180;
+        const velocity = {
+            x: launchSpeed * Math.sin(angle),
+            y: launchSpeed * Math.cos(angle)
+        };
+
+        this.planet = this.physics.createObject(
+            'planet',
+            { x: 0, y: 0 },
+            { x: -velocity.x * satelliteMass / planetMass, y: -velocity.y * satelliteMass / planetMass },
+            planetMass,
+            this.planetRadius
+        );
+        this.planet.color = '#2563eb';
+        this.planet.label = 'M';
+
+        this.satellite = this.physics.createObject(
+            'satellite',
+            { x: orbitRadius, y: 0 },
+            velocity,
+            satelliteMass,
+            this.satelliteRadius
+        );
+        this.satellite.color = '#f59e0b';
+        this.satellite.label = 'm';
+        this.satellite.restitution = 0;
+
+        this.forces.addGravitation('gravitation', { constant: this.config.gravitationalConstant });
+
+        this.crashed = false;
+        this.crossings = [0];
+        this.launchElements = this.calculateOrbitalElements();
+        const energy = this.getEnergy();
+        this.initialEnergy = energy.total;
+        this.energyScale = Math.abs(energy.potential);
+        this.initialAngularMomentum = this.getAngularMomentum();
+        this.samples = { kinetic: [], potential: [], total: [] };
+        this.recordEnergy(0);
+    }
+
+    /**
+     * Parámetro gravitacional del par: μ = G(M + m)
+     */
+    getGravitationalParameter() {
+        return this.config.gravitationalConstant * (this.config.planetMass + this.config.satelliteMass);
+    }
+
+    /**
+     * Rapidez de lanzamiento para una órbita circular: v = √(μ/r) · M/(M + m)
+     * (el factor de masas reparte la velocidad relativa entre satélite y planeta)
+     */
+    calculateCircularSpeed() {
+        const { planetMass, satelliteMass, orbitRadius } = this.config;
+        return Math.sqrt(this.getGravitationalParameter() / orbitRadius) * planetMass / (planetMass + satelliteMass);
+    }
+
+    /**
+     * Rapidez de escape desde el radio inicial: v = √(2μ/r) · M/(M + m)
+     */
+    calculateEscapeSpeed() {
+        return this.calculateCircularSpeed() * Math.SQRT2;
+    }
+
+    /**
+     * Posición y velocidad del satélite relativas al planeta
+     */
+    getRelativeState() {
+        return {
+            position: {
+                x: this.satellite.position.x - this.planet.position.x,
+                y: this.satellite.position.y - this.planet.position.y
+            },
+            velocity: {
+                x: this.satellite.velocity.x - this.planet.velocity.x,
+                y: this.satellite.velocity.y - this.planet.velocity.y
+            }
+        };
+    }
+
+    /**
+     * Elementos orbitales del movimiento relativo (problema de dos cuerpos)
+     * ε = v²/2 − μ/r, h = r × v, e = √(1 + 2εh²/μ²), a = −μ/(2ε)
+     */
+    calculateOrbitalElements() {
+        const mu = this.getGravitationalParameter();
+        const { position, velocity } = this.getRelativeState();
+        const distance = Math.sqrt(position.x ** 2 + position.y ** 2);
+        const speedSquared = velocity.x ** 2 + velocity.y ** 2;
+        const radialSpeed = (position.x * velocity.x + position.y * velocity.y) / distance;
+
+        const specificEnergy = speedSquared / 2 - mu / distance;
+        const specificAngularMomentum = position.x * velocity.y - position.y * velocity.x;
+
+        // Vector de excentricidad: apunta al periapsis
+        const factor = speedSquared - mu / distance;
+        const eccentricityVector = {
+            x: (factor * position.x - distance * radialSpeed * velocity.x) / mu,
+            y: (factor * position.y - distance * radialSpeed * velocity.y) / mu
+        };
+        const eccentricity = Math.sqrt(eccentricityVector.x ** 2 + eccentricityVector.y ** 2);
+        const semiLatusRectum = specificAngularMomentum ** 2 / mu;
+        const semiMajorAxis = specificEnergy < 0 ? -mu / (2 * specificEnergy) : Infinity;
+
+        return {
+            specificEnergy,
+            specificAngularMomentum,
+            eccentricity,
+            periapsisAngle: Math.atan2(eccentricityVector.y, eccentricityVector.x),
+            semiLatusRectum,
+            semiMajorAxis,
+            periapsis: semiLatusRectum / (1 + eccentricity),
+            apoapsis: eccentricity < 1 ? semiLatusRectum / (1 - eccentricity) : Infinity,
+            period: isFinite(semiMajorAxis) ? 2 * Math.PI * Math.sqrt(semiMajorAxis ** 3 / mu) : Infinity
+        };
+    }
+
+    /**
+     * Clasificar la órbita: escape si ε ≥ 0, impacto si el periapsis queda
+     * dentro del planeta, circular si e ≈ 0 y elíptica en otro caso
+     * Por defecto usa los elementos del lanzamiento, que no arrastran el error numérico.
+     */
+    classifyOrbit(elements = this.launchElements) {
+        if (this.crashed) return 'impact';
+        if (elements.specificEnergy >= 0) return 'escape';
+        if (elements.periapsis < this.planetRadius + this.satelliteRadius) return 'impact';
+        if (elements.eccentricity < CIRCULAR_ECCENTRICITY) return 'circular';
+        return 'elliptical';
+    }
+
+    /**
+     * Energía del sistema: cinética y potencial gravitatoria U = −G·M·m/r
+     */
+    getEnergy() {
+        return this.motion.calculateSystemEnergy(this.physics.getAllObjects(), 0, {
+            gravity: 0,
+            gravitationalConstant: this.config.gravitationalConstant
+        });
+    }
+
+    /**
+     * Momento angular total respecto al centro de masa
+     */
+    getAngularMomentum() {
+        const totalMass = this.planet.mass + this.satellite.mass;
+        const centerOfMass = {
+            x: (this.planet.mass * this.planet.position.x + this.satellite.mass * this.satellite.position.x) / totalMass,
+            y: (this.planet.mass * this.planet.position.y + this.satellite.mass * this.satellite.position.y) / totalMass
+        };
+
+        return this.motion.calculateAngularMomentum(this.physics.getAllObjects(), centerOfMass);
+    }
+
+    /**
+     * Variación relativa de una magnitud conservada respecto a `scale`
+     */
+    getDrift(value, initial, scale = Math.abs(initial)) {
+        return scale !== 0 ? (value - initial) / scale : 0;
+    }
+
+    /**
+     * Periodo medido: tiempo entre los dos últimos cruces de la dirección de lanzamiento
+     */
+    getMeasuredPeriod() {
+        const count = this.crossings.length;
+        if (count < 2) return 0;
+
+        return this.crossings[count - 1] - this.crossings[count - 2];
+    }
+
+    /**
+     * Registrar las energías del instante `time`
+     */
+    recordEnergy(time) {
+        const energy = this.getEnergy();
+
+        ['kinetic', 'potential', 'total'].forEach(key => {
+            this.samples[key].push({ x: time, y: energy[key] });
+            if (this.samples[key].length > this.maxSamples) this.samples[key].shift();
+        });
+    }
+
+    /**
+     * Reaccionar a cada paso de la simulación
+     */
+    afterStep(dt, time, contacts) {
+        if (!this.satellite || this.crashed) return;
+
+        // El satélite choca con el planeta: quedan unidos y en reposo (el momentum total es cero)
+        const impact = contacts.some(contact =>
+            [contact.objectA, contact.objectB].includes('planet') &&
+            [contact.objectA, contact.objectB].includes('satellite')
+        );
+
+        if (impact) {
+            this.crashed = true;
+            [this.planet, this.satellite].forEach(body => {
+                body.velocity = { x: 0, y: 0 };
+                body.isStatic = true;
+            });
+        }
+
+        // Cruce de la dirección de lanzamiento (+x relativo al planeta), interpolado dentro del paso
+        const previousY = this.satellite.previousPosition.y - this.planet.previousPosition.y;
+        const { position } = this.getRelativeState();
+
+        if (previousY < 0 && position.y >= 0 && position.x > 0) {
+            this.crossings.push(time + dt * previousY / (previousY - position.y));
+        }
+
+        this.renderer.addTrajectoryPoint(this.satellite.position.x, this.satellite.position.y);
+        this.recordEnergy(time + dt);
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        if (this.satellite) {
+            this.drawPredictedOrbit();
+            this.renderer.drawTrajectory();
+            this.renderer.drawObject(this.planet);
+            this.renderer.drawObject(this.satellite);
+
+            // Fuerzas iguales y opuestas sobre los dos cuerpos, a la misma escala
+            const scale = 60 * this.config.orbitRadius ** 2 /
+                (this.config.gravitationalConstant * this.config.planetMass * this.config.satelliteMass);
+            [this.planet, this.satellite].forEach(body => {
+                const contributions = body.netForce.contributions.length > 0
+                    ? body.netForce.contributions
+                    : this.forces.calculateNetForce(body, this.physics.createSnapshot()).contributions;
+                this.renderer.drawFreeBodyDiagram(body, contributions, scale);
+            });
+
+            this.renderer.drawVelocityVector(this.satellite);
+        }
+
+        const energy = this.getEnergy();
+        this.renderer.drawLineChart(
+            this.chartRect,
+            [
+                { points: this.samples.kinetic, color: '#10b981', label: `K = ${energy.kinetic.toFixed(0)} J` },
+                { points: this.samples.potential, color: '#6366f1', label: `U = ${energy.potential.toFixed(0)} J` },
+                { points: this.samples.total, color: '#374151', label: `E = ${energy.total.toFixed(0)} J` }
+            ],
+            { title: 'Energía [J]', xLabel: 's' }
+        );
+
+        this.drawLawInfo();
+    }
+
+    /**
+     * Dibujar la cónica de Kepler predicha por el lanzamiento (línea punteada)
+     * r(ν) = p / (1 + e·cos ν), con ν medido desde el periapsis
+     */
+    drawPredictedOrbit() {
+        if (this.crashed) return;
+
+        const elements = this.launchElements;
+        const ctx = this.renderer.getContext();
+        const steps = 180;
+        const maxDistance = 60; // m, recorta las ramas abiertas
+        const type = ORBIT_TYPES[this.classifyOrbit(elements)];
+
+        ctx.strokeStyle = this.renderer.lightenColor(type.color, 0.3);
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 5]);
+        ctx.beginPath();
+
+        let drawing = false;
+        for (let i = 0; i <= steps; i++) {
+            const trueAnomaly = -Math.PI + 2 * Math.PI * i / steps;
+            const denominator = 1 + elements.eccentricity * Math.cos(trueAnomaly);
+            const distance = denominator > 0 ? elements.semiLatusRectum / denominator : Infinity;
+
+            if (distance > maxDistance) {
+                drawing = false;
+                continue;
+            }
+
+            const angle = elements.periapsisAngle + trueAnomaly;
+            const point = this.renderer.worldToScreen(
+                this.planet.position.x + distance * Math.cos(angle),
+                this.planet.position.y + distance * Math.sin(angle)
+            );
+
+            if (drawing) {
+                ctx.lineTo(point.x, point.y);
+            } else {
+                ctx.moveTo(point.x, point.y);
+                drawing = true;
+            }
+        }
+
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Dibujar información de la ley
+     */
+    drawLawInfo() {
+        if (!this.satellite) return;
+
+        const ctx = this.renderer.getContext();
+        const x = 30;
+        const y = 180;
+        const elements = this.launchElements;
+        const type = ORBIT_TYPES[this.classifyOrbit(elements)];
+        const measured = this.getMeasuredPeriod();
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 10, y - 20, 250, 200);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillText('F = G·M·m / r²', x, y);
+        ctx.fillText(`Órbita: ${type.label} (e = ${elements.eccentricity.toFixed(3)})`, x, y + 20);
+        ctx.fillText(`v lanzamiento = ${this.config.launchSpeed.toFixed(2)} m/s`, x, y + 40);
+        ctx.fillText(`v circular = ${this.calculateCircularSpeed().toFixed(2)} m/s`, x, y + 60);
+        ctx.fillText(`v escape = ${this.calculateEscapeSpeed().toFixed(2)} m/s`, x, y + 80);
+        ctx.fillText(`T Kepler = ${isFinite(elements.period) ? elements.period.toFixed(3) + ' s' : '—'}`, x, y + 100);
+        ctx.fillText(`T medido = ${measured > 0 ? measured.toFixed(3) + ' s' : '—'}`, x, y + 120);
+        ctx.fillText(`ΔE/|U₀| = ${this.getDrift(this.getEnergy().total, this.initialEnergy, this.energyScale).toExponential(1)}`, x, y + 140);
+        ctx.fillText(`ΔL/L₀ = ${this.getDrift(this.getAngularMomentum(), this.initialAngularMomentum).toExponential(1)}`, x, y + 160);
+    }
+
+    /**
+     * Actualizar configuración
+     * Cualquier cambio vuelve a lanzar el satélite desde su posición inicial.
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        if (!this.satellite) return null;
+
+        const elements = this.launchElements;
+        const orbitType = this.classifyOrbit(elements);
+        const energy = this.getEnergy();
+        const angularMomentum = this.getAngularMomentum();
+        const { position } = this.getRelativeState();
+
+        return {
+            orbitType,
+            orbitLabel: ORBIT_TYPES[orbitType].label,
+            gravitationalConstant: this.config.gravitationalConstant,
+            launchSpeed: this.config.launchSpeed,
+            circularSpeed: this.calculateCircularSpeed(),
+            escapeSpeed: this.calculateEscapeSpeed(),
+            distance: Math.sqrt(position.x ** 2 + position.y ** 2),
+            speed: Math.sqrt(this.satellite.velocity.x ** 2 + this.satellite.velocity.y ** 2),
+            eccentricity: elements.eccentricity,
+            semiMajorAxis: elements.semiMajorAxis,
+            periapsis: elements.periapsis,
+            apoapsis: elements.apoapsis,
+            period: elements.period,
+            measuredPeriod: this.getMeasuredPeriod(),
+            kinetic: energy.kinetic,
+            potential: energy.potential,
+            energy: energy.total,
+            energyDrift: this.getDrift(energy.total, this.initialEnergy, this.energyScale),
+            angularMomentum,
+            angularMomentumDrift: this.getDrift(angularMomentum, this.initialAngularMomentum),
+            crashed: this.crashed
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     * La rapidez de cada ejemplo se da como fracción de la circular o de la de escape.
+     */
+    createExample(exampleType) {
+        const examples = {
+            'circular': { satelliteMass: 1, launchAngle: 0, reference: 'circular', factor: 1 },
+            'elliptical': { satelliteMass: 1, launchAngle: 0, reference: 'circular', factor: 1.2 },
+            'escape': { satelliteMass: 1, launchAngle: 0, reference: 'escape', factor: 1.05 },
+            'binary': { satelliteMass: 300, launchAngle: 0, reference: 'circular', factor: 1 },
+            'crash': { satelliteMass: 1, launchAngle: -30, reference: 'circular', factor: 0.5 }
+        };
+
+        const example = examples[exampleType];
+        if (!example) return;
+
+        const { reference, factor, ...config } = example;
+        Object.assign(this.config, config);
+
+        const speed = reference === 'escape' ? this.calculateEscapeSpeed() : this.calculateCircularSpeed();
+        this.updateConfig({ launchSpeed: Math.round(speed * factor * 100) / 100 });
+    }
+}
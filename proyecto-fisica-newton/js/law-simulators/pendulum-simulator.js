@@ -0,0 +1,312 @@
+/**
+ * Simulador del Péndulo Simple
+ * Compara el periodo medido con la aproximación de ángulo pequeño 2π√(L/g)
+ * y con el periodo exacto para grandes amplitudes
+ *
+ * La masa se cancela en mg sin θ = m·a, así que el periodo no depende de ella.
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+
+export class PendulumSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            length: 2, // m
+            bobMass: 1, // kg
+            releaseAngle: 30, // grados desde la vertical, hacia +x
+            airResistance: 0 // coeficiente de arrastre cuadrático (N·s²/m²)
+        };
+
+        // Geometría: el pivote queda arriba a la izquierda y el gráfico a la derecha
+        this.pivot = { x: 5, y: 7.5 }; // m
+        this.chartRect = { x: 520, y: 20, width: 260, height: 150 };
+
+        // Objetos del simulador
+        this.bob = null;
+        this.crossings = []; // instantes en que el péndulo cruza la vertical hacia -x (s)
+        this.samples = [];
+        this.maxSamples = 900;
+
+        this.renderer.setCamera({ scale: 50 });
+        this.physics.setBounds(this.renderer.getWorldBounds());
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena: lenteja colgada del pivote por una cuerda, con peso y arrastre
+     */
+    createScene() {
+        const angle = this.config.releaseAngle * Math.PI / 180;
+
+        this.bob = this.physics.createObject(
+            'bob',
+            {
+                x: this.pivot.x + this.config.length * Math.sin(angle),
+                y: this.pivot.y - this.config.length * Math.cos(angle)
+            },
+            { x: 0, y: 0 },
+            this.config.bobMass,
+            0.1 + 0.05 * Math.cbrt(this.config.bobMass) // m, crece con la masa solo para verla
+        );
+
+        this.bob.color = '#e11d48';
+        this.bob.label = `${this.config.bobMass} kg`;
+
+        this.forces.addGravity('gravity', 'bob');
+        this.forces.addDrag('air-resistance', 'bob', this.config.airResistance);
+        this.physics.constraints.addRope('string', 'bob', null, {
+            anchorB: this.pivot,
+            length: this.config.length
+        });
+
+        this.crossings = [];
+        this.samples = [{ x: 0, y: this.config.releaseAngle }];
+    }
+
+    /**
+     * Ángulo actual respecto a la vertical (rad, positivo hacia +x)
+     */
+    getAngle() {
+        if (!this.bob) return 0;
+
+        return Math.atan2(this.bob.position.x - this.pivot.x, this.pivot.y - this.bob.position.y);
+    }
+
+    /**
+     * Periodo de ángulo pequeño: T₀ = 2π√(L/g)
+     */
+    calculateSmallAnglePeriod() {
+        return 2 * Math.PI * Math.sqrt(this.config.length / this.forces.gravity);
+    }
+
+    /**
+     * Periodo exacto para una amplitud θ₀: T = T₀ / AGM(1, cos(θ₀/2))
+     * (equivalente a 4√(L/g)·K(sin(θ₀/2)) con la integral elíptica completa)
+     */
+    calculateExactPeriod() {
+        const amplitude = this.config.releaseAngle * Math.PI / 180;
+        let a = 1;
+        let b = Math.cos(amplitude / 2);
+
+        for (let i = 0; i < 10 && Math.abs(a - b) > 1e-12; i++) {
+            [a, b] = [(a + b) / 2, Math.sqrt(a * b)];
+        }
+
+        return this.calculateSmallAnglePeriod() / a;
+    }
+
+    /**
+     * Corrección de gran amplitud en serie: T ≈ T₀ (1 + θ₀²/16 + 11θ₀⁴/3072)
+     */
+    calculateSeriesPeriod() {
+        const amplitude = this.config.releaseAngle * Math.PI / 180;
+        return this.calculateSmallAnglePeriod() * (1 + amplitude ** 2 / 16 + 11 * amplitude ** 4 / 3072);
+    }
+
+    /**
+     * Periodo medido: tiempo entre los dos últimos cruces de la vertical en el mismo sentido
+     */
+    getMeasuredPeriod() {
+        const count = this.crossings.length;
+        if (count < 2) return 0;
+
+        return this.crossings[count - 1] - this.crossings[count - 2];
+    }
+
+    /**
+     * Reaccionar a cada paso de la simulación
+     */
+    afterStep(dt, time) {
+        if (!this.bob) return;
+
+        // Cruce de la vertical hacia -x, interpolado dentro del paso
+        const previousOffset = this.bob.previousPosition.x - this.pivot.x;
+        const offset = this.bob.position.x - this.pivot.x;
+
+        if (previousOffset > 0 && offset <= 0) {
+            this.crossings.push(time + dt * previousOffset / (previousOffset - offset));
+        }
+
+        // Trazar el arco y registrar θ(t)
+        this.renderer.addTrajectoryPoint(this.bob.position.x, this.bob.position.y);
+
+        this.samples.push({ x: time + dt, y: this.getAngle() * 180 / Math.PI });
+        if (this.samples.length > this.maxSamples) this.samples.shift();
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        this.drawReferenceArc();
+        this.renderer.drawTrajectory();
+
+        if (this.bob) {
+            const string = this.physics.constraints.get('string');
+            this.renderer.drawConstraint(this.pivot, this.renderer.getRenderPosition(this.bob), string);
+            this.drawPivot();
+            this.renderer.drawObject(this.bob);
+
+            // Peso, tensión y arrastre del último paso; antes de soltar, solo el peso
+            const contributions = this.bob.netForce.contributions.length > 0
+                ? this.bob.netForce.contributions
+                : this.forces.calculateNetForce(this.bob).contributions;
+            this.renderer.drawFreeBodyDiagram(
+                this.bob,
+                contributions,
+                60 / (this.config.bobMass * this.forces.gravity)
+            );
+        }
+
+        this.renderer.drawLineChart(
+            this.chartRect,
+            [{ points: this.samples, color: '#e11d48', label: `θ = ${(this.getAngle() * 180 / Math.PI).toFixed(1)}°` }],
+            { title: 'Ángulo θ(t) [°]', xLabel: 's' }
+        );
+
+        this.drawLawInfo();
+    }
+
+    /**
+     * Arco de la amplitud inicial (−θ₀ a θ₀)
+     */
+    drawReferenceArc() {
+        const ctx = this.renderer.getContext();
+        const center = this.renderer.worldToScreen(this.pivot.x, this.pivot.y);
+        const radius = this.renderer.toScreenLength(this.config.length);
+        const amplitude = this.config.releaseAngle * Math.PI / 180;
+
+        // En pantalla la vertical hacia abajo es π/2
+        ctx.strokeStyle = 'rgba(107, 114, 128, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, Math.PI / 2 - amplitude, Math.PI / 2 + amplitude);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(center.x, center.y);
+        ctx.lineTo(center.x, center.y + radius);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Dibujar el soporte del péndulo
+     */
+    drawPivot() {
+        const ctx = this.renderer.getContext();
+        const { x, y } = this.renderer.worldToScreen(this.pivot.x, this.pivot.y);
+
+        ctx.strokeStyle = this.renderer.colors.text;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(x - 30, y);
+        ctx.lineTo(x + 30, y);
+        ctx.stroke();
+
+        ctx.fillStyle = this.renderer.colors.text;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Dibujar información de la ley
+     */
+    drawLawInfo() {
+        const ctx = this.renderer.getContext();
+        const x = 520;
+        const y = 200;
+        const measured = this.getMeasuredPeriod();
+        const string = this.physics.constraints.get('string');
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 10, y - 20, 280, 140);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillText(`T₀ = 2π√(L/g) = ${this.calculateSmallAnglePeriod().toFixed(3)} s`, x, y);
+        ctx.fillText(`T(θ₀) exacto = ${this.calculateExactPeriod().toFixed(3)} s`, x, y + 20);
+        ctx.fillText(`T₀(1 + θ₀²/16 + …) = ${this.calculateSeriesPeriod().toFixed(3)} s`, x, y + 40);
+        ctx.fillText(`T medido = ${measured > 0 ? measured.toFixed(3) + ' s' : '—'}`, x, y + 60);
+        ctx.fillText(`Tensión = ${string ? string.tension.toFixed(2) : '0.00'} N`, x, y + 80);
+        ctx.fillText(`m = ${this.config.bobMass} kg (no cambia T)`, x, y + 100);
+    }
+
+    /**
+     * Actualizar configuración
+     * Cualquier cambio vuelve a soltar el péndulo desde su ángulo inicial.
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        if (!this.bob) return null;
+
+        const string = this.physics.constraints.get('string');
+
+        return {
+            length: this.config.length,
+            mass: this.config.bobMass,
+            releaseAngle: this.config.releaseAngle,
+            angle: this.getAngle() * 180 / Math.PI,
+            measuredPeriod: this.getMeasuredPeriod(),
+            smallAnglePeriod: this.calculateSmallAnglePeriod(),
+            exactPeriod: this.calculateExactPeriod(),
+            seriesPeriod: this.calculateSeriesPeriod(),
+            tension: string ? string.tension : 0,
+            oscillations: Math.max(0, this.crossings.length - 1)
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     */
+    createExample(exampleType) {
+        const examples = {
+            'light-bob': {
+                length: 2,
+                bobMass: 0.2,
+                releaseAngle: 10,
+                airResistance: 0
+            },
+            'heavy-bob': {
+                length: 2,
+                bobMass: 5,
+                releaseAngle: 10,
+                airResistance: 0
+            },
+            'large-angle': {
+                length: 2,
+                bobMass: 1,
+                releaseAngle: 80,
+                airResistance: 0
+            },
+            'air-damped': {
+                length: 2,
+                bobMass: 0.5,
+                releaseAngle: 45,
+                airResistance: 0.05
+            }
+        };
+
+        const example = examples[exampleType];
+        if (example) {
+            this.updateConfig(example);
+        }
+    }
+}
@@ -0,0 +1,405 @@
+/**
+ * Simulador de Tiro Parabólico
+ * Lanzamiento con rapidez, ángulo y altura inicial, con resistencia del aire opcional
+ *
+ * Sin aire, la única fuerza es el peso y es vertical: la componente horizontal de
+ * la velocidad no cambia (Primera Ley) y la vertical disminuye a razón de g (Segunda Ley).
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+
+export class ProjectileSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            launchSpeed: 20, // m/s
+            launchAngle: 45, // grados sobre la horizontal
+            launchHeight: 0, // m
+            airResistance: 0, // coeficiente de arrastre cuadrático (N·s²/m²)
+            targetDistance: 30 // distancia horizontal del blanco (m)
+        };
+
+        // Geometría
+        this.launchX = 2; // m
+        this.targetWidth = 2; // m
+        this.markerInterval = 0.25; // separación entre marcas de velocidad (s)
+
+        // Objetos del simulador
+        this.projectile = null;
+        this.landed = false;
+        this.measuredRange = null;
+        this.measuredFlightTime = null;
+        this.measuredApex = 0;
+        this.markers = []; // posición y velocidad a intervalos regulares
+
+        this.physics.setBoundaries({
+            left: { type: 'open' },
+            right: { type: 'open' },
+            bottom: { type: 'open' },
+            top: { type: 'open' }
+        });
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena: proyectil en la plataforma de lanzamiento, con peso y arrastre
+     */
+    createScene() {
+        const angle = this.config.launchAngle * Math.PI / 180;
+
+        this.projectile = this.physics.createObject(
+            'projectile',
+            { x: this.launchX, y: this.config.launchHeight },
+            {
+                x: this.config.launchSpeed * Math.cos(angle),
+                y: this.config.launchSpeed * Math.sin(angle)
+            },
+            1,
+            0.4
+        );
+
+        this.projectile.color = '#84cc16';
+
+        this.forces.addGravity('gravity', 'projectile');
+        this.forces.addDrag('air-resistance', 'projectile', this.config.airResistance);
+
+        this.landed = false;
+        this.measuredRange = null;
+        this.measuredFlightTime = null;
+        this.measuredApex = this.config.launchHeight;
+        this.markers = [this.createMarker(0)];
+
+        this.fitCamera();
+    }
+
+    /**
+     * Ajustar la cámara para que quepan la trayectoria sin aire y el blanco
+     */
+    fitCamera() {
+        const width = Math.max(this.calculateRange(), this.config.targetDistance + this.targetWidth) + this.launchX + 4;
+        const height = this.calculateApex() + 3;
+        const scale = Math.max(3, Math.min(40,
+            this.renderer.width / width,
+            (this.renderer.height - 20) / height
+        ));
+
+        this.renderer.setCamera({ scale, offsetX: 0, offsetY: -20 / scale });
+    }
+
+    /**
+     * Componentes de la velocidad de lanzamiento (m/s)
+     */
+    getLaunchVelocity() {
+        const angle = this.config.launchAngle * Math.PI / 180;
+
+        return {
+            x: this.config.launchSpeed * Math.cos(angle),
+            y: this.config.launchSpeed * Math.sin(angle)
+        };
+    }
+
+    /**
+     * Tiempo de vuelo sin aire: h + v_y·t − ½g·t² = 0
+     */
+    calculateFlightTime() {
+        const { y: vy } = this.getLaunchVelocity();
+        const g = this.forces.gravity;
+
+        return (vy + Math.sqrt(vy * vy + 2 * g * this.config.launchHeight)) / g;
+    }
+
+    /**
+     * Alcance sin aire: R = v_x·t_vuelo
+     */
+    calculateRange() {
+        return this.getLaunchVelocity().x * this.calculateFlightTime();
+    }
+
+    /**
+     * Altura máxima sin aire: h + v_y²/(2g)
+     */
+    calculateApex() {
+        const { y: vy } = this.getLaunchVelocity();
+
+        return this.config.launchHeight + Math.max(0, vy) ** 2 / (2 * this.forces.gravity);
+    }
+
+    /**
+     * Ángulos de lanzamiento (grados) que alcanzan el blanco sin aire
+     * Con u = tan θ y a = g·x²/(2v²): a·u² − x·u + (a − h) = 0.
+     * Devuelve el tiro bajo y el alto, o una lista vacía si el blanco está fuera de alcance.
+     */
+    calculateTargetAngles() {
+        const x = this.config.targetDistance;
+        const v = this.config.launchSpeed;
+        if (x <= 0 || v === 0) return [];
+
+        const a = this.forces.gravity * x * x / (2 * v * v);
+        const discriminant = x * x - 4 * a * (a - this.config.launchHeight);
+        if (discriminant < 0) return [];
+
+        const root = Math.sqrt(discriminant);
+        return [(x - root) / (2 * a), (x + root) / (2 * a)].map(u => Math.atan(u) * 180 / Math.PI);
+    }
+
+    /**
+     * ¿Cayó el proyectil sobre el blanco?
+     */
+    isTargetHit() {
+        if (this.measuredRange === null) return false;
+
+        return Math.abs(this.measuredRange - this.config.targetDistance) <= this.targetWidth / 2;
+    }
+
+    /**
+     * Marca de velocidad en el instante `time`
+     */
+    createMarker(time) {
+        return {
+            time,
+            position: { ...this.projectile.position },
+            velocity: { ...this.projectile.velocity }
+        };
+    }
+
+    /**
+     * Reaccionar a cada paso de la simulación
+     */
+    afterStep(dt, time) {
+        if (!this.projectile || this.landed) return;
+
+        const now = time + dt;
+        const { position, previousPosition } = this.projectile;
+
+        this.measuredApex = Math.max(this.measuredApex, position.y);
+
+        // Aterrizaje: el centro cruza el suelo, interpolado dentro del paso
+        if (position.y <= 0) {
+            const drop = previousPosition.y - position.y;
+            const fraction = drop > 0 ? previousPosition.y / drop : 1;
+            const landingX = previousPosition.x + (position.x - previousPosition.x) * fraction;
+
+            this.landed = true;
+            this.measuredFlightTime = time + dt * fraction;
+            this.measuredRange = landingX - this.launchX;
+
+            this.projectile.position = { x: landingX, y: 0 };
+            this.projectile.velocity = { x: 0, y: 0 };
+            this.projectile.isStatic = true;
+
+            this.animations.createCollisionEffect(landingX, 0, this.isTargetHit() ? 2 : 1);
+        }
+
+        this.renderer.addTrajectoryPoint(this.projectile.position.x, this.projectile.position.y);
+
+        const lastMarker = this.markers[this.markers.length - 1];
+        if (!this.landed && now - lastMarker.time >= this.markerInterval) {
+            this.markers.push(this.createMarker(now));
+        }
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        this.drawGround();
+        this.drawLauncher();
+        this.drawTarget();
+        this.renderer.drawTrajectory();
+        this.drawVelocityComponents();
+
+        if (this.projectile) {
+            this.renderer.drawObject(this.projectile);
+
+            if (!this.landed) {
+                const contributions = this.projectile.netForce.contributions.length > 0
+                    ? this.projectile.netForce.contributions
+                    : this.forces.calculateNetForce(this.projectile).contributions;
+                this.renderer.drawFreeBodyDiagram(this.projectile, contributions, 40 / this.forces.gravity);
+            }
+        }
+
+        this.drawLawInfo();
+    }
+
+    /**
+     * Componentes vₓ (horizontal) y v_y (vertical) a intervalos regulares de la trayectoria
+     */
+    drawVelocityComponents() {
+        const pixelsPerSpeed = 60 / Math.max(this.config.launchSpeed, 1);
+
+        this.markers.forEach(marker => {
+            this.renderer.drawWorldVector(
+                marker.position,
+                { x: marker.velocity.x, y: 0 },
+                pixelsPerSpeed,
+                '#3b82f6'
+            );
+            this.renderer.drawWorldVector(
+                marker.position,
+                { x: 0, y: marker.velocity.y },
+                pixelsPerSpeed,
+                '#ef4444'
+            );
+        });
+    }
+
+    /**
+     * Dibujar el suelo (y = 0)
+     */
+    drawGround() {
+        const ctx = this.renderer.getContext();
+        const { y } = this.renderer.worldToScreen(0, 0);
+
+        ctx.fillStyle = '#a3a380';
+        ctx.fillRect(0, y, this.renderer.width, this.renderer.height - y);
+    }
+
+    /**
+     * Dibujar la plataforma de lanzamiento a la altura inicial
+     */
+    drawLauncher() {
+        if (this.config.launchHeight <= 0) return;
+
+        const ctx = this.renderer.getContext();
+        const topLeft = this.renderer.worldToScreen(0, this.config.launchHeight);
+        const bottomRight = this.renderer.worldToScreen(this.launchX, 0);
+
+        ctx.fillStyle = '#78716c';
+        ctx.fillRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+    }
+
+    /**
+     * Dibujar el blanco sobre el suelo
+     */
+    drawTarget() {
+        const ctx = this.renderer.getContext();
+        const left = this.renderer.worldToScreen(this.launchX + this.config.targetDistance - this.targetWidth / 2, 0);
+        const right = this.renderer.worldToScreen(this.launchX + this.config.targetDistance + this.targetWidth / 2, 0);
+
+        ctx.fillStyle = this.isTargetHit() ? '#10b981' : '#ef4444';
+        ctx.fillRect(left.x, left.y - 4, right.x - left.x, 8);
+        this.renderer.drawLabel((left.x + right.x) / 2, left.y - 14, 'Blanco');
+    }
+
+    /**
+     * Dibujar información de la ley: valores medidos frente a los analíticos sin aire
+     */
+    drawLawInfo() {
+        const ctx = this.renderer.getContext();
+        const x = 520;
+        const y = 30;
+        const format = (value, unit) => value === null ? '—' : `${value.toFixed(2)} ${unit}`;
+        const angles = this.calculateTargetAngles();
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 10, y - 20, 280, 140);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillText('Medido  |  sin aire', x, y);
+        ctx.fillText(`Alcance: ${format(this.measuredRange, 'm')} | ${this.calculateRange().toFixed(2)} m`, x, y + 20);
+        ctx.fillText(`Altura máx.: ${this.measuredApex.toFixed(2)} m | ${this.calculateApex().toFixed(2)} m`, x, y + 40);
+        ctx.fillText(`Vuelo: ${format(this.measuredFlightTime, 's')} | ${this.calculateFlightTime().toFixed(2)} s`, x, y + 60);
+
+        if (this.projectile) {
+            ctx.fillStyle = '#93c5fd';
+            ctx.fillText(`vₓ = ${this.projectile.velocity.x.toFixed(2)} m/s`, x, y + 80);
+            ctx.fillStyle = '#fca5a5';
+            ctx.fillText(`v_y = ${this.projectile.velocity.y.toFixed(2)} m/s`, x + 130, y + 80);
+        }
+
+        ctx.fillStyle = 'white';
+        ctx.fillText(
+            angles.length > 0
+                ? `Blanco: θ = ${angles[0].toFixed(1)}° o ${angles[1].toFixed(1)}°`
+                : 'Blanco fuera de alcance',
+            x,
+            y + 100
+        );
+    }
+
+    /**
+     * Actualizar configuración
+     * Cualquier cambio vuelve a preparar el lanzamiento.
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        if (!this.projectile) return null;
+
+        return {
+            velocity: { ...this.projectile.velocity },
+            horizontalVelocity: this.projectile.velocity.x,
+            verticalVelocity: this.projectile.velocity.y,
+            range: this.measuredRange ?? this.projectile.position.x - this.launchX,
+            measuredRange: this.measuredRange,
+            predictedRange: this.calculateRange(),
+            apex: this.measuredApex,
+            predictedApex: this.calculateApex(),
+            flightTime: this.measuredFlightTime ?? this.motion.simulationTime,
+            measuredFlightTime: this.measuredFlightTime,
+            predictedFlightTime: this.calculateFlightTime(),
+            targetAngles: this.calculateTargetAngles(),
+            targetHit: this.isTargetHit(),
+            targetLabel: this.landed ? (this.isTargetHit() ? '¡Acierto!' : 'Fallo') : '—',
+            landed: this.landed
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     */
+    createExample(exampleType) {
+        const examples = {
+            'max-range': {
+                launchSpeed: 20,
+                launchAngle: 45,
+                launchHeight: 0,
+                airResistance: 0
+            },
+            'low-angle': {
+                launchSpeed: 20,
+                launchAngle: 30,
+                launchHeight: 0,
+                airResistance: 0
+            },
+            'high-angle': {
+                launchSpeed: 20,
+                launchAngle: 60,
+                launchHeight: 0,
+                airResistance: 0
+            },
+            'cliff-launch': {
+                launchSpeed: 15,
+                launchAngle: 0,
+                launchHeight: 20,
+                airResistance: 0
+            },
+            'with-drag': {
+                launchSpeed: 20,
+                launchAngle: 45,
+                launchHeight: 0,
+                airResistance: 0.02
+            }
+        };
+
+        const example = examples[exampleType];
+        if (example) {
+            this.updateConfig(example);
+        }
+    }
+}
@@ -0,0 +1,456 @@
+/**
+ * Simulador de Poleas
+ * Máquina de Atwood, bloque sobre una mesa y bloque sobre un plano inclinado,
+ * unidos a una masa colgante por una cuerda que pasa por una polea fija
+ *
+ * m₁ es siempre la masa colgante; la aceleración es positiva cuando m₁ baja.
+ * Las dos masas forman un solo sistema: (m₁ + m₂ + I/r²)·a = fuerza neta a lo largo de la cuerda.
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+import { createBoxShape } from '../physics/shapes.js';
+
+export class PulleySimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            setup: 'atwood', // 'atwood' | 'table' | 'incline'
+            mass1: 3, // masa colgante (kg)
+            mass2: 2, // kg
+            friction: 0.2, // μ entre m₂ y la superficie (estático y cinético)
+            pulleyInertia: 0, // kg·m²
+            inclineAngle: 30 // grados
+        };
+
+        // Geometría común (m)
+        this.pulleyRadius = 0.5;
+        this.boxSize = 0.7;
+        this.floorLevel = 0.5;
+        this.tableLevel = 5; // altura de la mesa
+        this.tableEdge = 12; // borde derecho de la mesa
+        this.rampTop = { x: 12, y: 6.6 }; // arista superior del plano inclinado
+        this.rampLength = 7;
+
+        // Objetos del simulador
+        this.mass1 = null;
+        this.mass2 = null;
+        this.string = null;
+        this.stringSpeed = 0; // rapidez con la que baja m₁ (m/s)
+        this.measuredAcceleration = 0;
+        this.finished = false;
+
+        this.renderer.setCamera({ scale: 40 });
+        this.physics.setBounds(this.renderer.getWorldBounds());
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena según el montaje elegido
+     */
+    createScene() {
+        const r = this.pulleyRadius;
+        const half = this.boxSize / 2;
+
+        this.mass1 = this.createMass('mass-1', this.config.mass1, '#f97316', 'm₁');
+        this.mass2 = this.createMass('mass-2', this.config.mass2, '#0ea5e9', 'm₂');
+
+        this.forces.addGravity('gravity-1', 'mass-1');
+        this.forces.addGravity('gravity-2', 'mass-2');
+
+        if (this.config.setup === 'table') {
+            // m₂ sobre la mesa y m₁ colgando del borde
+            const center = { x: this.tableEdge + 0.2, y: this.tableLevel + half - r };
+
+            this.placeMass(this.mass2, { x: 4, y: this.tableLevel + half });
+            this.placeMass(this.mass1, { x: center.x + r, y: 3.5 });
+            this.forces.addNormalForce('normal-2', 'mass-2', 0);
+            this.forces.addFriction('friction-2', 'mass-2', this.config.friction);
+
+            this.string = this.physics.constraints.addPulley('string', 'mass-2', 'mass-1', {
+                center,
+                radius: r,
+                inertia: this.config.pulleyInertia,
+                exitA: { x: center.x, y: center.y + r },
+                exitB: { x: center.x + r, y: center.y }
+            });
+        } else if (this.config.setup === 'incline') {
+            // m₂ sobre la rampa y m₁ colgando de la polea en lo alto
+            const { u, n } = this.getAxes();
+            const exitA = {
+                x: this.rampTop.x + 0.2 * u.x + half * n.x,
+                y: this.rampTop.y + 0.2 * u.y + half * n.y
+            };
+            const center = { x: exitA.x - r * n.x, y: exitA.y - r * n.y };
+
+            this.placeMass(this.mass2, {
+                x: this.rampTop.x - 4.5 * u.x + half * n.x,
+                y: this.rampTop.y - 4.5 * u.y + half * n.y
+            }, this.getAngle());
+            this.placeMass(this.mass1, { x: center.x + r, y: 3.5 });
+            this.forces.addNormalForce('normal-2', 'mass-2', this.config.inclineAngle);
+            this.forces.addFriction('friction-2', 'mass-2', this.config.friction);
+
+            this.string = this.physics.constraints.addPulley('string', 'mass-2', 'mass-1', {
+                center,
+                radius: r,
+                inertia: this.config.pulleyInertia,
+                exitA,
+                exitB: { x: center.x + r, y: center.y }
+            });
+        } else {
+            // Máquina de Atwood: m₁ a la izquierda y m₂ a la derecha
+            const center = { x: 10, y: 9 };
+
+            this.placeMass(this.mass1, { x: center.x - r, y: 5 });
+            this.placeMass(this.mass2, { x: center.x + r, y: 5 });
+
+            this.string = this.physics.constraints.addPulley('string', 'mass-1', 'mass-2', {
+                center,
+                radius: r,
+                inertia: this.config.pulleyInertia
+            });
+        }
+
+        this.stringSpeed = 0;
+        this.measuredAcceleration = 0;
+        this.finished = false;
+    }
+
+    /**
+     * Crear una caja de masa `mass`
+     */
+    createMass(id, mass, color, label) {
+        const object = this.physics.createObject(id, { x: 0, y: 0 }, { x: 0, y: 0 }, mass, this.boxSize / 2);
+
+        object.color = color;
+        object.type = 'box';
+        object.label = `${label} = ${mass} kg`;
+        this.physics.setShape(id, createBoxShape(this.boxSize));
+
+        return object;
+    }
+
+    /**
+     * Colocar una masa (y su estado anterior) en una posición y orientación
+     */
+    placeMass(object, position, angle = 0) {
+        object.position = { ...position };
+        object.previousPosition = { ...position };
+        object.angle = angle;
+        object.previousAngle = angle;
+    }
+
+    /**
+     * Inclinación de la rampa en radianes
+     */
+    getAngle() {
+        return this.config.inclineAngle * Math.PI / 180;
+    }
+
+    /**
+     * Ejes de la rampa: `u` pendiente arriba y `n` normal hacia afuera
+     */
+    getAxes() {
+        const angle = this.getAngle();
+
+        return {
+            u: { x: Math.cos(angle), y: Math.sin(angle) },
+            n: { x: -Math.sin(angle), y: Math.cos(angle) }
+        };
+    }
+
+    /**
+     * Pie de la rampa (m)
+     */
+    getRampFoot() {
+        const { u } = this.getAxes();
+
+        return {
+            x: this.rampTop.x - this.rampLength * u.x,
+            y: this.rampTop.y - this.rampLength * u.y
+        };
+    }
+
+    /**
+     * Masa equivalente de la polea: I/r² (kg)
+     */
+    getPulleyMass() {
+        return this.config.pulleyInertia / this.pulleyRadius ** 2;
+    }
+
+    /**
+     * Aceleración analítica del sistema (positiva si m₁ baja)
+     * - Atwood: a = (m₁ − m₂)g / (m₁ + m₂ + I/r²)
+     * - Mesa: a = (m₁ − μm₂)g / (m₁ + m₂ + I/r²), o 0 si la fricción estática lo sostiene
+     * - Plano: a = (m₁ − m₂ sin θ ∓ μm₂ cos θ)g / (m₁ + m₂ + I/r²)
+     */
+    calculatePredictedAcceleration() {
+        const { mass1, mass2, friction } = this.config;
+        const g = this.forces.gravity;
+        const totalMass = mass1 + mass2 + this.getPulleyMass();
+
+        if (this.config.setup === 'atwood') {
+            return (mass1 - mass2) * g / totalMass;
+        }
+
+        // Fuerza que mueve el sistema y fricción máxima sobre m₂
+        const angle = this.config.setup === 'incline' ? this.getAngle() : 0;
+        const driving = (mass1 - mass2 * Math.sin(angle)) * g;
+        const maxFriction = friction * mass2 * g * Math.cos(angle);
+
+        if (Math.abs(driving) <= maxFriction) return 0;
+
+        return (driving - Math.sign(driving) * maxFriction) / totalMass;
+    }
+
+    /**
+     * Tensiones medidas en el lado de m₁ y en el de m₂ (N)
+     */
+    getTensions() {
+        if (!this.string) return { tension1: 0, tension2: 0 };
+
+        // En la máquina de Atwood m₁ es el cuerpo A de la cuerda; en los demás montajes es el B
+        return this.config.setup === 'atwood'
+            ? { tension1: this.string.tension, tension2: this.string.tensionB }
+            : { tension1: this.string.tensionB, tension2: this.string.tension };
+    }
+
+    /**
+     * Reaccionar a cada paso de la simulación
+     */
+    afterStep(dt) {
+        if (!this.mass1 || this.finished) return;
+
+        // Aceleración medida a partir de la rapidez de la cuerda
+        const speed = -this.mass1.velocity.y;
+        this.measuredAcceleration = (speed - this.stringSpeed) / dt;
+        this.stringSpeed = speed;
+
+        if (this.hasReachedEnd()) {
+            [this.mass1, this.mass2].forEach(object => {
+                object.velocity.x = 0;
+                object.velocity.y = 0;
+                object.isStatic = true;
+            });
+            this.string.pulley.angularVelocity = 0;
+            this.stringSpeed = 0;
+            this.finished = true;
+        }
+    }
+
+    /**
+     * ¿Alguna masa llegó al suelo, a la polea o al borde de su superficie?
+     */
+    hasReachedEnd() {
+        const half = this.boxSize / 2;
+        const { center } = this.string.pulley;
+
+        // Masas colgantes: suelo o polea
+        const hanging = this.config.setup === 'atwood' ? [this.mass1, this.mass2] : [this.mass1];
+        const hangingEnd = hanging.some(object =>
+            object.position.y - half <= this.floorLevel ||
+            object.position.y + half >= center.y - this.pulleyRadius - 0.1
+        );
+        if (hangingEnd) return true;
+
+        if (this.config.setup === 'table') {
+            return this.mass2.position.x + half >= this.tableEdge - 0.1 || this.mass2.position.x - half <= 0.5;
+        }
+
+        if (this.config.setup === 'incline') {
+            const { u } = this.getAxes();
+            const along = (this.mass2.position.x - this.rampTop.x) * u.x + (this.mass2.position.y - this.rampTop.y) * u.y;
+            return along >= -half - 0.1 || along <= -this.rampLength + half;
+        }
+
+        return false;
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        this.renderer.drawSurface('wood', this.floorLevel);
+        this.drawSupport();
+
+        if (this.mass1 && this.mass2) {
+            const labels = this.config.setup === 'atwood' ? ['T₁', 'T₂'] : ['T₂', 'T₁'];
+
+            this.renderer.drawPulley(
+                this.renderer.getRenderPosition(this.physics.objects.get(this.string.bodyA)),
+                this.renderer.getRenderPosition(this.physics.objects.get(this.string.bodyB)),
+                this.string,
+                labels
+            );
+
+            // Diagrama de cuerpo libre de cada masa, a la misma escala
+            const pixelsPerNewton = 60 / (Math.max(this.config.mass1, this.config.mass2) * this.forces.gravity);
+
+            [this.mass1, this.mass2].forEach(object => {
+                this.renderer.drawObject(object);
+
+                const contributions = object.netForce.contributions.length > 0
+                    ? object.netForce.contributions
+                    : this.forces.calculateNetForce(object).contributions;
+                const axes = object === this.mass2 && this.config.setup === 'incline' ? this.getAxes() : null;
+
+                this.renderer.drawFreeBodyDiagram(object, contributions, pixelsPerNewton, axes);
+            });
+        }
+
+        this.drawLawInfo();
+    }
+
+    /**
+     * Dibujar la mesa, la rampa o el soporte de la polea
+     */
+    drawSupport() {
+        const ctx = this.renderer.getContext();
+
+        if (this.config.setup === 'table') {
+            const top = this.renderer.worldToScreen(0.5, this.tableLevel);
+            const bottom = this.renderer.worldToScreen(this.tableEdge, this.floorLevel);
+
+            ctx.fillStyle = this.renderer.surfaceColors.wood;
+            ctx.fillRect(top.x, top.y, bottom.x - top.x, 12);
+            ctx.fillRect(top.x + 10, top.y, 12, bottom.y - top.y);
+            ctx.fillRect(bottom.x - 22, top.y, 12, bottom.y - top.y);
+        } else if (this.config.setup === 'incline') {
+            const foot = this.getRampFoot();
+            const top = this.renderer.worldToScreen(foot.x, foot.y);
+            const bottom = this.renderer.worldToScreen(this.rampTop.x, this.floorLevel);
+
+            // Pedestal bajo la rampa
+            ctx.fillStyle = this.renderer.surfaceColors.wood;
+            ctx.fillRect(top.x, top.y, bottom.x - top.x, bottom.y - top.y);
+
+            this.renderer.drawInclinedSurface('wood', foot, this.getAngle(), this.rampLength);
+        } else {
+            const left = this.renderer.worldToScreen(9, 10);
+            const right = this.renderer.worldToScreen(11, 9);
+
+            ctx.strokeStyle = this.renderer.colors.text;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(left.x, left.y + 4);
+            ctx.lineTo(right.x, left.y + 4);
+            ctx.moveTo((left.x + right.x) / 2, left.y + 4);
+            ctx.lineTo((left.x + right.x) / 2, right.y);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Dibujar información de la ley
+     */
+    drawLawInfo() {
+        const ctx = this.renderer.getContext();
+        const { tension1, tension2 } = this.getTensions();
+        const x = 20;
+        const y = 30;
+        const formulas = {
+            atwood: 'a = (m₁ − m₂)g / (m₁ + m₂ + I/r²)',
+            table: 'a = (m₁ − μm₂)g / (m₁ + m₂ + I/r²)',
+            incline: 'a = (m₁ − m₂ sin θ ∓ μm₂ cos θ)g / (m₁ + m₂ + I/r²)'
+        };
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 10, y - 20, 330, 120);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillText(formulas[this.config.setup] || formulas.atwood, x, y);
+        ctx.fillText(`a analítica = ${this.calculatePredictedAcceleration().toFixed(3)} m/s²`, x, y + 20);
+        ctx.fillText(`a medida = ${this.measuredAcceleration.toFixed(3)} m/s²`, x, y + 40);
+        ctx.fillText(`T₁ = ${tension1.toFixed(2)} N   T₂ = ${tension2.toFixed(2)} N`, x, y + 60);
+        ctx.fillText(`I/r² = ${this.getPulleyMass().toFixed(2)} kg`, x, y + 80);
+    }
+
+    /**
+     * Actualizar configuración
+     * Cualquier cambio reconstruye el montaje.
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        if (!this.mass1) return null;
+
+        const { tension1, tension2 } = this.getTensions();
+        const predictedAcceleration = this.calculatePredictedAcceleration();
+
+        return {
+            setup: this.config.setup,
+            mass1: this.config.mass1,
+            mass2: this.config.mass2,
+            acceleration: this.measuredAcceleration,
+            predictedAcceleration,
+            tension1,
+            tension2,
+            predictedTension1: this.config.mass1 * (this.forces.gravity - predictedAcceleration),
+            pulleyInertia: this.config.pulleyInertia,
+            pulleyAngularVelocity: this.string ? this.string.pulley.angularVelocity : 0,
+            velocity: this.stringSpeed,
+            finished: this.finished
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     */
+    createExample(exampleType) {
+        const examples = {
+            'classic-atwood': {
+                setup: 'atwood',
+                mass1: 3,
+                mass2: 2,
+                pulleyInertia: 0
+            },
+            'heavy-pulley': {
+                setup: 'atwood',
+                mass1: 3,
+                mass2: 2,
+                pulleyInertia: 0.5
+            },
+            'table-pull': {
+                setup: 'table',
+                mass1: 1,
+                mass2: 2,
+                friction: 0.2,
+                pulleyInertia: 0
+            },
+            'table-holds': {
+                setup: 'table',
+                mass1: 0.5,
+                mass2: 2,
+                friction: 0.4,
+                pulleyInertia: 0
+            },
+            'incline-pulley': {
+                setup: 'incline',
+                mass1: 2,
+                mass2: 3,
+                friction: 0.1,
+                pulleyInertia: 0,
+                inclineAngle: 30
+            }
+        };
+
+        const example = examples[exampleType];
+        if (example) {
+            this.updateConfig(example);
+        }
+    }
+}
@@ -0,0 +1,560 @@
+/**
+ * Simulador del Cohete - Masa Variable y Tercera Ley
+ * El motor expulsa gases a una velocidad de escape u con un caudal ṁ
+ *
+ * El cohete empuja a los gases hacia abajo y los gases empujan al cohete
+ * hacia arriba con el empuje E = ṁ·u (par acción-reacción). Al quemar
+ * combustible la masa disminuye y, con el mismo empuje, la aceleración crece.
+ * El resultado se compara con la ecuación de Tsiolkovsky:
+ * Δv = u·ln(m₀/m) − g·t (el segundo término son las pérdidas por gravedad).
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+
+// Masa mínima de estructura y carga útil, que nunca se quema (kg)
+const MIN_DRY_MASS = 5;
+
+/**
+ * Entornos del lanzamiento
+ */
+export const ROCKET_ENVIRONMENTS = {
+    earth: 'Desde la Tierra',
+    space: 'Espacio libre'
+};
+
+export class RocketSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            environment: 'earth', // 'earth' | 'space'
+            initialMass: 100, // masa total al despegar (kg)
+            fuelMass: 75, // kg de combustible incluidos en la masa inicial
+            exhaustSpeed: 250, // velocidad de escape relativa al cohete (m/s)
+            massFlowRate: 6 // caudal de gases (kg/s)
+        };
+
+        // Geometría: el cohete sube por la izquierda y el gráfico queda a la derecha
+        this.launchX = 40; // m
+        this.rocketLength = 6; // m
+        this.rocketWidth = 2; // m
+        this.chartRect = { x: 520, y: 20, width: 260, height: 150 };
+
+        // Objetos del simulador
+        this.rocket = null;
+        this.liftoffTime = null; // instante en que el empuje supera al peso (s)
+        this.burnoutTime = null; // instante en que se agota el combustible (s)
+        this.burnoutSpeed = 0; // m/s
+        this.maxAltitude = 0; // m
+        this.crashed = false;
+        this.externalImpulse = { x: 0, y: 0 }; // impulso del peso y de la plataforma (N·s)
+        this.samples = [];
+        this.maxSamples = 1200;
+        this.sampleInterval = 0.05; // s
+
+        this.renderer.setCamera({ scale: 5, offsetX: 0 });
+        this.physics.setBoundaries({
+            left: { type: 'open' },
+            right: { type: 'open' },
+            bottom: { type: 'open' },
+            top: { type: 'open' }
+        });
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena: cohete lleno en la plataforma (o en reposo en el espacio)
+     */
+    createScene() {
+        this.rocket = this.physics.createObject(
+            'rocket',
+            { x: this.launchX, y: this.rocketLength / 2 },
+            { x: 0, y: 0 },
+            this.config.initialMass,
+            this.rocketWidth / 2
+        );
+
+        this.rocket.color = '#f43f5e';
+        this.rocket.fixedRotation = true;
+        this.physics.setMassFlow('rocket', {
+            rate: this.config.massFlowRate,
+            exhaustSpeed: this.config.exhaustSpeed,
+            direction: { x: 0, y: -1 },
+            dryMass: this.getDryMass()
+        });
+
+        this.forces.addThrust('thrust', 'rocket');
+        if (this.hasGravity()) {
+            this.forces.addGravity('gravity', 'rocket');
+        }
+
+        this.liftoffTime = this.calculateLiftoffTime();
+        this.burnoutTime = null;
+        this.burnoutSpeed = 0;
+        this.maxAltitude = 0;
+        this.crashed = false;
+        this.externalImpulse = { x: 0, y: 0 };
+        this.samples = [{ x: 0, y: 0 }];
+    }
+
+    /**
+     * ¿Actúa el peso? (solo en el lanzamiento desde la Tierra)
+     */
+    hasGravity() {
+        return this.config.environment === 'earth';
+    }
+
+    /**
+     * Gravedad del entorno (m/s²)
+     */
+    getGravity() {
+        return this.hasGravity() ? this.forces.gravity : 0;
+    }
+
+    /**
+     * Masa en seco: estructura y carga útil sin combustible (kg)
+     */
+    getDryMass() {
+        return Math.max(MIN_DRY_MASS, this.config.initialMass - this.config.fuelMass);
+    }
+
+    /**
+     * Masa actual del cohete (kg)
+     */
+    getMass() {
+        return this.rocket ? this.rocket.mass : this.config.initialMass;
+    }
+
+    /**
+     * Empuje del motor: E = ṁ·u (N), nulo sin combustible
+     */
+    getThrust() {
+        if (!this.rocket || this.rocket.mass <= this.getDryMass()) return 0;
+
+        return this.config.massFlowRate * this.config.exhaustSpeed;
+    }
+
+    /**
+     * Peso actual: m·g (N)
+     */
+    getWeight() {
+        return this.getMass() * this.getGravity();
+    }
+
+    /**
+     * Tiempo total de combustión: t = m_comb / ṁ (s)
+     */
+    calculateBurnTime() {
+        if (this.config.massFlowRate <= 0) return 0;
+
+        return this.config.fuelMass / this.config.massFlowRate;
+    }
+
+    /**
+     * Instante en que el empuje iguala al peso y el cohete despega
+     * Desde la Tierra: m(t)·g = ṁ·u; en el espacio, t = 0.
+     * Devuelve null si se agota el combustible antes de despegar.
+     */
+    calculateLiftoffTime() {
+        const g = this.getGravity();
+        if (g === 0) return 0;
+
+        const thrust = this.config.massFlowRate * this.config.exhaustSpeed;
+        const liftoffMass = Math.min(this.config.initialMass, thrust / g);
+        if (liftoffMass <= this.getDryMass()) return null;
+
+        return (this.config.initialMass - liftoffMass) / this.config.massFlowRate;
+    }
+
+    /**
+     * Ecuación de Tsiolkovsky ideal, sin gravedad: Δv = u·ln(m₀/m_seca)
+     */
+    calculateIdealDeltaV() {
+        return this.config.exhaustSpeed * Math.log(this.config.initialMass / this.getDryMass());
+    }
+
+    /**
+     * Velocidad prevista por Tsiolkovsky en el instante `time` (m/s)
+     * v(t) = u·ln(m_despegue/m(t)) − g·(t − t_despegue) durante la combustión;
+     * después, caída libre desde la velocidad de fin de combustión.
+     */
+    calculateTsiolkovskyVelocity(time) {
+        if (this.liftoffTime === null || time <= this.liftoffTime) return 0;
+
+        const g = this.getGravity();
+        const rate = this.config.massFlowRate;
+        const burnEnd = this.calculateBurnTime();
+        const burning = Math.min(time, burnEnd);
+        const liftoffMass = this.config.initialMass - rate * this.liftoffTime;
+        const mass = this.config.initialMass - rate * burning;
+
+        return this.config.exhaustSpeed * Math.log(liftoffMass / mass) - g * (time - this.liftoffTime);
+    }
+
+    /**
+     * Altura de la base del cohete sobre la plataforma (m)
+     */
+    getAltitude() {
+        if (!this.rocket) return 0;
+
+        return this.rocket.position.y - this.rocketLength / 2;
+    }
+
+    /**
+     * Velocidad vertical del cohete (m/s)
+     */
+    getVelocity() {
+        return this.rocket ? this.rocket.velocity.y : 0;
+    }
+
+    /**
+     * Aceleración actual: a = (E − m·g)/m (m/s²)
+     */
+    getAcceleration() {
+        return this.rocket ? this.rocket.acceleration.y : 0;
+    }
+
+    /**
+     * Momento del cohete, de los gases y su suma (kg·m/s)
+     * Sin fuerzas externas la suma no cambia; con ellas cambia en el impulso externo.
+     */
+    calculateMomentumBalance() {
+        const rocket = this.rocket
+            ? { x: this.rocket.mass * this.rocket.velocity.x, y: this.rocket.mass * this.rocket.velocity.y }
+            : { x: 0, y: 0 };
+        const exhaust = this.animations.calculateParticleMomentum();
+        const total = { x: rocket.x + exhaust.x, y: rocket.y + exhaust.y };
+
+        return {
+            rocket,
+            exhaust,
+            total,
+            externalImpulse: { ...this.externalImpulse },
+            error: Math.hypot(total.x - this.externalImpulse.x, total.y - this.externalImpulse.y)
+        };
+    }
+
+    /**
+     * Reaccionar a cada paso de la simulación
+     */
+    afterStep(dt, time) {
+        if (!this.rocket || this.crashed) return;
+
+        const now = time + dt;
+        const g = this.getGravity();
+
+        // Gases expulsados en este paso: una partícula con su masa y su velocidad real
+        this.animations.stepMassiveParticles(dt, g);
+        this.physics.ejections.forEach(ejection => {
+            const nozzle = this.rocket.position.y - this.rocketLength / 2;
+            this.animations.createExhaustParticle(
+                this.rocket.position.x + (Math.random() - 0.5) * this.rocketWidth * 0.6,
+                nozzle,
+                ejection.velocity.x,
+                ejection.velocity.y,
+                ejection.mass,
+                Math.random() < 0.5 ? '#f97316' : '#facc15'
+            );
+        });
+
+        // Impulso externo sobre el sistema cohete + gases: el peso de toda la masa inicial
+        this.externalImpulse.y -= this.config.initialMass * g * dt;
+
+        // La plataforma sostiene al cohete mientras el empuje no supera al peso
+        if (this.hasGravity() && this.getAltitude() < 0) {
+            const hasFlown = this.maxAltitude > 0;
+            this.externalImpulse.y -= this.rocket.mass * this.rocket.velocity.y;
+            this.rocket.position.y = this.rocketLength / 2;
+            this.rocket.velocity = { x: 0, y: 0 };
+            this.rocket.acceleration = { x: 0, y: 0 };
+
+            // De regreso sin combustible: impacto contra el suelo
+            if (hasFlown && this.getThrust() === 0) {
+                this.crashed = true;
+                this.rocket.isStatic = true;
+                this.animations.createCollisionEffect(this.rocket.position.x, 0, 2);
+            }
+        }
+
+        this.maxAltitude = Math.max(this.maxAltitude, this.getAltitude());
+
+        if (this.burnoutTime === null && this.getThrust() === 0) {
+            this.burnoutTime = now;
+            this.burnoutSpeed = this.getVelocity();
+        }
+
+        const last = this.samples[this.samples.length - 1];
+        if (this.crashed || now - last.x >= this.sampleInterval) {
+            this.samples.push({ x: now, y: this.getVelocity() });
+            if (this.samples.length > this.maxSamples) this.samples.shift();
+        }
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        if (this.rocket) {
+            // La cámara sigue al cohete sin bajar de la plataforma
+            const position = this.renderer.getRenderPosition(this.rocket);
+            const visibleHeight = this.renderer.height / this.renderer.scale;
+            const offsetY = position.y - visibleHeight / 2;
+            this.renderer.setCamera({ offsetY: this.hasGravity() ? Math.max(-5, offsetY) : offsetY });
+
+            this.drawAltitudeScale();
+            this.drawGround();
+            this.animations.renderParticles();
+            this.drawRocket();
+
+            // Empuje y peso a la misma escala; la reacción del empuje actúa sobre los gases
+            const contributions = this.forces.calculateNetForce(this.rocket).contributions;
+            const thrust = this.getThrust();
+            const pixelsPerNewton = 70 / Math.max(thrust, this.getWeight(), 1);
+            this.renderer.drawFreeBodyDiagram(this.rocket, contributions, pixelsPerNewton);
+
+            if (thrust > 0 && this.renderer.showVectors) {
+                this.renderer.drawWorldVector(
+                    { x: position.x + this.rocketWidth, y: position.y - this.rocketLength / 2 },
+                    { x: 0, y: -thrust },
+                    pixelsPerNewton,
+                    '#facc15',
+                    '−E (gases)'
+                );
+            }
+        }
+
+        this.drawVelocityChart();
+        this.drawLawInfo();
+    }
+
+    /**
+     * Dibujar el cohete: fuselaje, ojiva y nivel de combustible
+     */
+    drawRocket() {
+        const ctx = this.renderer.getContext();
+        const position = this.renderer.getRenderPosition(this.rocket);
+        const top = this.renderer.worldToScreen(position.x - this.rocketWidth / 2, position.y + this.rocketLength / 2);
+        const width = this.renderer.toScreenLength(this.rocketWidth);
+        const height = this.renderer.toScreenLength(this.rocketLength);
+        const nose = height * 0.25;
+
+        ctx.fillStyle = '#e5e7eb';
+        ctx.strokeStyle = '#374151';
+        ctx.lineWidth = 1;
+        ctx.fillRect(top.x, top.y + nose, width, height - nose);
+        ctx.strokeRect(top.x, top.y + nose, width, height - nose);
+
+        // Combustible restante
+        const fuel = this.config.fuelMass > 0
+            ? (this.rocket.mass - this.getDryMass()) / this.config.fuelMass
+            : 0;
+        const tank = (height - nose) * 0.8 * Math.max(0, fuel);
+        ctx.fillStyle = 'rgba(249, 115, 22, 0.7)';
+        ctx.fillRect(top.x + 2, top.y + height - 2 - tank, width - 4, tank);
+
+        ctx.fillStyle = this.rocket.color;
+        ctx.beginPath();
+        ctx.moveTo(top.x, top.y + nose);
+        ctx.lineTo(top.x + width / 2, top.y);
+        ctx.lineTo(top.x + width, top.y + nose);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Regla de alturas a la izquierda (cada 10 m)
+     */
+    drawAltitudeScale() {
+        const ctx = this.renderer.getContext();
+        const bounds = this.renderer.getWorldBounds();
+
+        ctx.strokeStyle = this.renderer.colors.grid;
+        ctx.fillStyle = this.renderer.colors.text;
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.lineWidth = 1;
+
+        for (let altitude = Math.ceil(bounds.bottom / 10) * 10; altitude <= bounds.top; altitude += 10) {
+            if (this.hasGravity() && altitude < 0) continue;
+
+            const { y } = this.renderer.worldToScreen(0, altitude);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(altitude % 50 === 0 ? 30 : 15, y);
+            ctx.stroke();
+            if (altitude % 50 === 0) ctx.fillText(`${altitude} m`, 34, y + 3);
+        }
+    }
+
+    /**
+     * Dibujar el suelo y la plataforma cuando están a la vista
+     */
+    drawGround() {
+        if (!this.hasGravity()) return;
+
+        const { y } = this.renderer.worldToScreen(0, 0);
+        if (y > this.renderer.height) return;
+
+        const ctx = this.renderer.getContext();
+        ctx.fillStyle = '#86efac';
+        ctx.fillRect(0, y, this.renderer.width, this.renderer.height - y);
+
+        const pad = this.renderer.worldToScreen(this.launchX - 4, 0);
+        ctx.fillStyle = '#6b7280';
+        ctx.fillRect(pad.x, pad.y - 3, this.renderer.toScreenLength(8), 6);
+    }
+
+    /**
+     * Gráfico v(t) medido frente a la predicción de Tsiolkovsky
+     */
+    drawVelocityChart() {
+        const now = this.samples[this.samples.length - 1].x;
+        const predicted = [];
+
+        for (let i = 0; i <= 60; i++) {
+            const time = now * i / 60;
+            predicted.push({ x: time, y: this.calculateTsiolkovskyVelocity(time) });
+        }
+
+        const values = this.samples.concat(predicted).map(point => point.y);
+        this.renderer.drawLineChart(this.chartRect, [
+            { points: this.samples, color: '#f43f5e', label: `v = ${this.getVelocity().toFixed(1)} m/s` },
+            { points: predicted, color: '#6b7280', label: 'Tsiolkovsky' }
+        ], {
+            title: 'Velocidad del cohete v(t) [m/s]',
+            xLabel: 's',
+            xRange: [0, Math.max(now, 1)],
+            yRange: [Math.min(0, ...values) * 1.1, Math.max(1, ...values) * 1.1]
+        });
+    }
+
+    /**
+     * Dibujar información de la ley
+     */
+    drawLawInfo() {
+        const ctx = this.renderer.getContext();
+        const x = 520;
+        const y = 200;
+        const time = this.motion.simulationTime;
+        const balance = this.calculateMomentumBalance();
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 10, y - 20, 280, 200);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillText('Empuje: E = ṁ·u', x, y);
+        ctx.fillText(`m = ${this.getMass().toFixed(1)} kg (seca ${this.getDryMass().toFixed(0)} kg)`, x, y + 20);
+        ctx.fillText(`E = ${this.getThrust().toFixed(0)} N   mg = ${this.getWeight().toFixed(0)} N`, x, y + 40);
+        ctx.fillText(`a = (E − mg)/m = ${this.getAcceleration().toFixed(2)} m/s²`, x, y + 60);
+        ctx.fillText(
+            `v = ${this.getVelocity().toFixed(1)} | Tsiolkovsky ${this.calculateTsiolkovskyVelocity(time).toFixed(1)} m/s`,
+            x,
+            y + 80
+        );
+        ctx.fillText(`Δv ideal = u·ln(m₀/m_seca) = ${this.calculateIdealDeltaV().toFixed(0)} m/s`, x, y + 100);
+        ctx.fillText(`p cohete = ${balance.rocket.y.toFixed(0)} kg·m/s`, x, y + 120);
+        ctx.fillText(`p gases = ${balance.exhaust.y.toFixed(0)} kg·m/s`, x, y + 140);
+
+        let status = `Suma = ${balance.total.y.toFixed(0)} (impulso ext. ${balance.externalImpulse.y.toFixed(0)})`;
+        if (this.liftoffTime === null) {
+            status = 'No despega: el empuje nunca supera al peso';
+        } else if (this.crashed) {
+            status = `Impacto tras subir ${this.maxAltitude.toFixed(0)} m`;
+        }
+        ctx.fillText(status, x, y + 160);
+    }
+
+    /**
+     * Actualizar configuración
+     * Cualquier cambio vuelve a cargar el cohete en la plataforma.
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+        this.config.fuelMass = Math.min(this.config.fuelMass, this.config.initialMass - MIN_DRY_MASS);
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        if (!this.rocket) return null;
+
+        const time = this.motion.simulationTime;
+
+        return {
+            environment: this.config.environment,
+            mass: this.getMass(),
+            dryMass: this.getDryMass(),
+            thrust: this.getThrust(),
+            weight: this.getWeight(),
+            acceleration: this.getAcceleration(),
+            velocity: this.getVelocity(),
+            altitude: this.getAltitude(),
+            maxAltitude: this.maxAltitude,
+            tsiolkovskyVelocity: this.calculateTsiolkovskyVelocity(time),
+            idealDeltaV: this.calculateIdealDeltaV(),
+            burnTime: this.calculateBurnTime(),
+            liftoffTime: this.liftoffTime,
+            burnoutTime: this.burnoutTime,
+            burnoutSpeed: this.burnoutSpeed,
+            crashed: this.crashed,
+            momentum: this.calculateMomentumBalance()
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     */
+    createExample(exampleType) {
+        const examples = {
+            'earth-launch': {
+                environment: 'earth',
+                initialMass: 100,
+                fuelMass: 75,
+                exhaustSpeed: 250,
+                massFlowRate: 6
+            },
+            'deep-space': {
+                environment: 'space',
+                initialMass: 100,
+                fuelMass: 75,
+                exhaustSpeed: 250,
+                massFlowRate: 6
+            },
+            'heavy-payload': {
+                environment: 'earth',
+                initialMass: 100,
+                fuelMass: 40,
+                exhaustSpeed: 250,
+                massFlowRate: 6
+            },
+            'low-thrust': {
+                environment: 'earth',
+                initialMass: 100,
+                fuelMass: 75,
+                exhaustSpeed: 250,
+                massFlowRate: 3
+            },
+            'fast-exhaust': {
+                environment: 'earth',
+                initialMass: 100,
+                fuelMass: 75,
+                exhaustSpeed: 400,
+                massFlowRate: 4
+            }
+        };
+
+        const example = examples[exampleType];
+        if (example) {
+            this.updateConfig(example);
+        }
+    }
+}
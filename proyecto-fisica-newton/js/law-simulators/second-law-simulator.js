@@ -3,48 +3,221 @@
  * Demuestra la relación entre fuerza, masa y aceleración
  */
 
-import { PhysicsEngine } from '../physics/newton-laws.js';
-import { ForceSystem } from '../physics/forces.js';
-import { MotionSystem } from '../physics/motion.js';
-import { CanvasRenderer } from '../canvas/renderer.js';
-import { AnimationSystem } from '../canvas/animations.js';
-
-export class SecondLawSimulator {
+import { BaseSimulator } from './base-simulator.js';
+import { createBoxShape } from '../physics/shapes.js';
+import { FORCE_PROFILES, evaluateForceProfile, integrateForceProfile } from '../physics/forces.js';
+
+// Tiempos de los perfiles F(t) (s): el escalón y el impulso empiezan a los 0.5 s,
+// la rampa tarda 2 s en alcanzar F y la senoidal tiene un periodo de 2 s
+const PROFILE_TIMING = {
+    start: 0.5,
+    stepDuration: 2,
+    rampDuration: 2,
+    frequency: 0.5, // Hz
+    impulseDuration: 0.1
+};
+
+// Perfil dibujado por defecto: empuja, mantiene, frena y se detiene
+const DEFAULT_FORCE_SKETCH = [
+    { t: 0, F: 0 },
+    { t: 1, F: 30 },
+    { t: 2, F: 30 },
+    { t: 3, F: -20 },
+    { t: 4, F: 0 },
+    { t: 5, F: 0 }
+];
+
+export class SecondLawSimulator extends BaseSimulator {
     constructor(canvasId) {
-        this.canvasId = canvasId;
-        this.physics = new PhysicsEngine();
-        this.forces = new ForceSystem();
-        this.motion = new MotionSystem();
-        this.renderer = new CanvasRenderer(canvasId);
-        this.animations = new AnimationSystem(this.renderer);
-
-        this.isRunning = false;
-        this.animationId = null;
-        this.lastTime = 0;
+        super(canvasId);
 
         // Configuración del simulador
         this.config = {
             appliedForce: 20,
             objectMass: 1,
-            forceDirection: 0, // grados
-            objectRadius: 15
+            forceDirection: 0, // grados, antihorario desde +x
+            applicationHeight: 0, // altura del punto de empuje sobre la cara izquierda (m); 0 = centro de masa
+            objectRadius: 0.3, // m
+            linkedMass: 0, // masa del bloque arrastrado por la cuerda (kg); 0 = sin cuerda
+            stringLength: 1.5, // m
+            tableFriction: 0, // μk de la mesa (0 = sin mesa)
+            forceProfile: 'constant', // 'constant' | 'step' | 'ramp' | 'sine' | 'impulse' | 'piecewise'
+            forceSketch: DEFAULT_FORCE_SKETCH.map(point => ({ ...point })) // F(t) dibujada [{ t, F }]
         };
 
         // Objetos del simulador
         this.object = null;
+        this.linkedObject = null;
+        this.tableLevel = 0; // altura de la mesa (m), bajo la caja
         this.forceApplicationPoint = null;
         this.currentForce = { x: 0, y: 0 };
+        this.forceSamples = []; // F aplicada en cada paso [{ x: t, y: F }]
+        this.maxForceSamples = 600;
+        this.initialVelocity = { x: 0, y: 0 };
+        this.chartRect = { x: 520, y: 20, width: 260, height: 130 };
+        // Partida de la solución analítica: { time, bodies: { id: { position, velocity } } }
+        // y, con un perfil F(t), ∫F dt y ∫∫F dt² desde `time`, que avanzan un paso cada vez
+        this.ghostSeed = null;
+        this.ghostReseed = false; // volver a partir del estado simulado al final del paso
+
+        this.physics.setBounds(this.renderer.getWorldBounds());
+        this.physics.onBoundary(event => this.handleBoundary(event));
 
         this.initialize();
     }
 
     /**
-     * Inicializar simulador
+     * Crear escena: objeto de prueba y fuerza aplicada
      */
-    initialize() {
+    createScene() {
         this.createObject();
+        this.forces.createForce(
+            'applied-force',
+            this.config.appliedForce,
+            this.config.forceDirection,
+            'constant',
+            'test-object',
+            this.getApplicationOffset()
+        );
         this.setupForceApplication();
-        this.render();
+        this.createLinkedObject();
+        this.setupTable();
+
+        this.forceSamples = [];
+        this.initialVelocity = { ...this.object.velocity };
+        this.seedGhost();
+    }
+
+    /**
+     * Los rebotes en los bordes no están en la solución analítica:
+     * se reanuda desde el estado simulado al final del paso
+     */
+    handleBoundary(event) {
+        if (event.type !== 'wall') return;
+        if (event.objectId !== 'test-object' && event.objectId !== 'linked-object') return;
+
+        this.ghostReseed = true;
+    }
+
+    /**
+     * Tomar el estado actual de los bloques como partida de la solución analítica
+     */
+    seedGhost(time = this.motion.simulationTime) {
+        this.ghostReseed = false;
+        if (!this.object) return;
+
+        const bodies = {};
+        [this.object, this.linkedObject].forEach(object => {
+            if (!object) return;
+            bodies[object.id] = { position: { ...object.position }, velocity: { ...object.velocity } };
+        });
+
+        const profile = this.getForceProfile();
+        this.ghostSeed = {
+            time,
+            bodies,
+            profileStart: profile ? integrateForceProfile(profile, time) : 0, // ∫F dt de 0 a `time`
+            impulse: 0, // ∫F dt desde `time` (N·s)
+            moment: 0 // ∫∫F dt² desde `time` (N·s²)
+        };
+    }
+
+    /**
+     * Avanzar un paso las integrales del perfil F(t) de la solución analítica
+     * ∫F dt es exacta; ∫∫F dt² suma cada paso por la regla de Simpson, así el coste
+     * por paso no crece con el tiempo de simulación.
+     */
+    advanceGhostProfile(time, dt) {
+        const profile = this.getForceProfile();
+        const seed = this.ghostSeed;
+        if (!profile || !seed) return;
+
+        const impulseAt = t => integrateForceProfile(profile, t) - seed.profileStart;
+        const end = impulseAt(time + dt);
+
+        seed.moment += dt / 6 * (seed.impulse + 4 * impulseAt(time + dt / 2) + end);
+        seed.impulse = end;
+    }
+
+    /**
+     * ¿Parten todos los bloques con la misma velocidad, nula o en el sentido de `axis`?
+     * Solo entonces la fricción se opone a F y la cuerda sigue tensa.
+     */
+    movesAlong(axis) {
+        const velocities = Object.values(this.ghostSeed.bodies).map(body => body.velocity);
+        const [first] = velocities;
+        const tolerance = 1e-6;
+
+        const together = velocities.every(velocity =>
+            Math.abs(velocity.x - first.x) < tolerance && Math.abs(velocity.y - first.y) < tolerance
+        );
+        const across = first.x * axis.y - first.y * axis.x;
+        const along = first.x * axis.x + first.y * axis.y;
+
+        return together && Math.abs(across) < tolerance && along >= -tolerance;
+    }
+
+    /**
+     * Solución analítica: x = x₀ + v₀·t + ½·a·t² con a = F/m a lo largo de la fuerza
+     * Con cuerda, los dos bloques se mueven juntos con a = F/(m₁ + m₂); con mesa, la
+     * fricción cinética μk·g·(m₁ + m₂) se opone a F. Con un perfil F(t) la velocidad es
+     * Δv = ∫F dt / m y el desplazamiento la doble integral del perfil entre la masa,
+     * ambas acumuladas paso a paso desde la partida (`advanceGhostProfile`).
+     * No hay solución cerrada (se devuelve vacío) para F(t) con fricción, para la
+     * cuerda tirada fuera de su línea ni, con mesa o cuerda, cuando los bloques no
+     * parten juntos en el sentido de F (p. ej. al rebotar en un borde).
+     */
+    getAnalyticStates(time) {
+        if (!this.ghostSeed || !this.object) return [];
+
+        const profile = this.getForceProfile();
+        const hasTable = this.config.tableFriction > 0;
+        if (profile && hasTable) return [];
+        if (this.linkedObject && this.config.forceDirection % 360 !== 0) return [];
+
+        const mass = this.object.mass + (this.linkedObject ? this.linkedObject.mass : 0);
+        const direction = this.config.forceDirection * Math.PI / 180;
+        const axis = { x: Math.cos(direction), y: Math.sin(direction) };
+        const seed = this.ghostSeed;
+        const elapsed = Math.max(0, time - seed.time);
+
+        if ((hasTable || this.linkedObject) && !this.movesAlong(axis)) return [];
+
+        // Cambio de velocidad a lo largo de F y desplazamiento que se suma a x₀ + v₀·t
+        let speedChange;
+        let displacement;
+
+        if (profile) {
+            speedChange = seed.impulse / mass;
+            displacement = seed.moment / mass;
+        } else {
+            const seedVelocity = seed.bodies[this.object.id].velocity;
+            const speed = seedVelocity.x * axis.x + seedVelocity.y * axis.y;
+            const friction = hasTable ? this.config.tableFriction * this.forces.gravity * mass : 0;
+            const atRest = seedVelocity.x === 0 && seedVelocity.y === 0;
+            const acceleration = atRest && this.config.appliedForce <= friction
+                ? 0
+                : (this.config.appliedForce - friction) / mass;
+
+            // Si la fricción gana, el bloque frena hasta detenerse y ahí se queda
+            const stopTime = acceleration < 0 && speed > 0 ? speed / -acceleration : Infinity;
+            const moving = Math.min(elapsed, stopTime);
+
+            speedChange = acceleration * moving;
+            displacement = 0.5 * acceleration * moving ** 2 - speed * (elapsed - moving);
+        }
+
+        return Object.entries(seed.bodies).map(([id, { position, velocity }]) => ({
+            id,
+            position: {
+                x: position.x + velocity.x * elapsed + axis.x * displacement,
+                y: position.y + velocity.y * elapsed + axis.y * displacement
+            },
+            velocity: {
+                x: velocity.x + axis.x * speedChange,
+                y: velocity.y + axis.y * speedChange
+            }
+        }));
     }
 
     /**
@@ -53,7 +226,7 @@ export class SecondLawSimulator {
     createObject() {
         this.object = this.physics.createObject(
             'test-object',
-            { x: 150, y: 200 },
+            { x: 3, y: 4 },
             { x: 0, y: 0 },
             this.config.objectMass,
             this.config.objectRadius
@@ -62,106 +235,181 @@ export class SecondLawSimulator {
         this.object.color = '#10b981';
         this.object.type = 'box';
         this.object.label = 'Objeto';
+        this.physics.setShape('test-object', createBoxShape(this.config.objectRadius * 2));
     }
 
     /**
-     * Configurar punto de aplicación de fuerza
+     * Crear el segundo bloque unido a la caja por una cuerda
+     * La cuerda va de la cara derecha del bloque a la cara izquierda de la caja.
      */
-    setupForceApplication() {
-        this.forceApplicationPoint = {
-            x: this.object.position.x + 30,
-            y: this.object.position.y
-        };
+    createLinkedObject() {
+        this.linkedObject = null;
+        if (this.config.linkedMass <= 0) return;
 
-        this.calculateForce();
+        const halfSize = this.config.objectRadius;
+
+        this.linkedObject = this.physics.createObject(
+            'linked-object',
+            { x: this.object.position.x - 2 * halfSize - this.config.stringLength, y: this.object.position.y },
+            { x: 0, y: 0 },
+            this.config.linkedMass,
+            halfSize
+        );
+
+        this.linkedObject.color = '#14b8a6';
+        this.linkedObject.type = 'box';
+        this.linkedObject.label = 'Bloque 2';
+        this.physics.setShape('linked-object', createBoxShape(halfSize * 2));
+
+        this.physics.constraints.addRope('string', 'linked-object', 'test-object', {
+            anchorA: { x: halfSize, y: 0 },
+            anchorB: { x: -halfSize, y: 0 },
+            length: this.config.stringLength
+        });
     }
 
     /**
-     * Calcular fuerza aplicada
+     * Fricción de la mesa sobre cada bloque (N = m·g)
      */
-    calculateForce() {
-        const angle = this.config.forceDirection * Math.PI / 180;
-        this.currentForce = {
-            x: this.config.appliedForce * Math.cos(angle),
-            y: this.config.appliedForce * Math.sin(angle)
-        };
+    setupTable() {
+        if (this.config.tableFriction <= 0) return;
+
+        this.tableLevel = this.object.position.y - this.config.objectRadius;
+        this.forces.addFriction('table-friction', 'test-object', this.config.tableFriction);
+        if (this.linkedObject) {
+            this.forces.addFriction('table-friction-linked', 'linked-object', this.config.tableFriction);
+        }
     }
 
     /**
-     * Iniciar simulación
+     * Tensión de la cuerda (N)
      */
-    start() {
-        if (this.isRunning) return;
+    getTension() {
+        const string = this.physics.constraints.get('string');
+        return string ? string.tension : 0;
+    }
 
-        this.isRunning = true;
-        this.lastTime = 0;
-        this.animate();
+    /**
+     * Punto de aplicación en coordenadas del cuerpo
+     * Con altura nula la fuerza pasa por el centro de masa (F = ma sin giro, sea cual
+     * sea su dirección); con otra altura empuja la cara izquierda de la caja a esa
+     * altura, fuera del centro de masa, y la caja gira.
+     */
+    getApplicationOffset() {
+        const halfSize = this.config.objectRadius;
+        const height = Math.max(-halfSize, Math.min(halfSize, this.config.applicationHeight));
+        if (height === 0) return { x: 0, y: 0 };
 
-        // Crear efecto de fuerza aplicada
-        this.animations.createForceEffect(this.object, this.currentForce);
+        return { x: -halfSize, y: height };
     }
 
     /**
-     * Pausar simulación
+     * Configurar punto de aplicación de fuerza
      */
-    pause() {
-        this.isRunning = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
+    setupForceApplication() {
+        this.forceApplicationPoint = { x: 0, y: 0 };
+        this.updateApplicationPoint();
+        this.calculateForce();
     }
 
     /**
-     * Detener simulación
+     * Posición del punto de aplicación en el mundo (gira con el cuerpo)
      */
-    stop() {
-        this.pause();
-        this.reset();
+    updateApplicationPoint() {
+        if (!this.object || !this.forceApplicationPoint) return;
+
+        const offset = this.getApplicationOffset();
+        const cos = Math.cos(this.object.angle);
+        const sin = Math.sin(this.object.angle);
+
+        this.forceApplicationPoint.x = this.object.position.x + offset.x * cos - offset.y * sin;
+        this.forceApplicationPoint.y = this.object.position.y + offset.x * sin + offset.y * cos;
     }
 
     /**
-     * Resetear simulador
+     * Perfil F(t) de la fuerza aplicada según la configuración
+     * `appliedForce` es el valor final del escalón y la rampa, la amplitud de la
+     * senoidal y la altura del pulso de impulso; null = fuerza constante.
      */
-    reset() {
-        this.pause();
-        this.physics.clear();
-        this.animations.stopAllAnimations();
-        this.renderer.clearTrajectory();
-        this.createObject();
-        this.setupForceApplication();
-        this.render();
+    getForceProfile() {
+        const magnitude = this.config.appliedForce;
+        const { start, stepDuration, rampDuration, frequency, impulseDuration } = PROFILE_TIMING;
+
+        switch (this.config.forceProfile) {
+            case 'step':
+                return { type: 'step', magnitude, start, end: start + stepDuration };
+            case 'ramp':
+                return { type: 'ramp', magnitude, start: 0, duration: rampDuration };
+            case 'sine':
+                return { type: 'sine', magnitude, start: 0, frequency };
+            case 'impulse':
+                return { type: 'impulse', impulse: magnitude * impulseDuration, start, duration: impulseDuration };
+            case 'piecewise':
+                return { type: 'piecewise', points: this.config.forceSketch };
+            default:
+                return null;
+        }
     }
 
     /**
-     * Bucle de animación
+     * Módulo de la fuerza aplicada en el instante `time` (N, con signo)
      */
-    animate() {
-        if (!this.isRunning) return;
-
-        const currentTime = performance.now();
-        const deltaTime = this.motion.updateTime(currentTime);
+    getForceMagnitude(time = this.motion.simulationTime) {
+        const profile = this.getForceProfile();
+        return profile ? evaluateForceProfile(profile, time) : this.config.appliedForce;
+    }
 
-        if (deltaTime > 0) {
-            this.update(deltaTime);
-            this.render();
-        }
+    /**
+     * Calcular fuerza aplicada
+     */
+    calculateForce() {
+        const force = this.forces.updateForce('applied-force', {
+            magnitude: this.config.appliedForce,
+            direction: this.config.forceDirection,
+            offset: this.getApplicationOffset(),
+            profile: this.getForceProfile()
+        });
+
+        this.currentForce = force
+            ? this.forces.calculateForceComponents(force, this.motion.simulationTime)
+            : { x: 0, y: 0 };
+    }
 
-        this.animationId = requestAnimationFrame(() => this.animate());
+    /**
+     * Efecto visual al iniciar
+     */
+    onStart() {
+        this.animations.createForceEffect(this.object, this.currentForce);
     }
 
     /**
-     * Actualizar simulación
+     * Reaccionar a cada paso de la simulación
      */
-    update(deltaTime) {
+    afterStep(dt, time) {
         if (!this.object) return;
 
-        // Aplicar Segunda Ley de Newton: F = ma
-        const acceleration = this.physics.applySecondLaw('test-object', this.currentForce);
+        if (this.ghostReseed) {
+            this.seedGhost(time + dt);
+        } else {
+            this.advanceGhostProfile(time, dt);
+        }
+
+        // Fuerza realmente aplicada en este paso (evaluada en el tiempo de simulación)
+        const applied = this.object.netForce.contributions.find(contribution => contribution.id === 'applied-force');
+        if (applied) {
+            const direction = this.config.forceDirection * Math.PI / 180;
+            this.forceSamples.push({ x: time, y: applied.x * Math.cos(direction) + applied.y * Math.sin(direction) });
+            if (this.forceSamples.length > this.maxForceSamples) this.forceSamples.shift();
+        }
+
+        // La flecha muestra F al final del paso
+        const force = this.forces.forces.get('applied-force');
+        if (force) {
+            this.currentForce = this.forces.calculateForceComponents(force, time + dt);
+        }
 
         // Actualizar punto de aplicación de fuerza
-        this.forceApplicationPoint.x = this.object.position.x + 30;
-        this.forceApplicationPoint.y = this.object.position.y;
+        this.updateApplicationPoint();
 
         // Añadir punto a la trayectoria
         this.renderer.addTrajectoryPoint(
@@ -184,9 +432,24 @@ export class SecondLawSimulator {
         // Dibujar fondo con cuadrícula
         this.renderer.setRenderOptions({ showGrid: true });
 
+        // Dibujar la mesa
+        if (this.config.tableFriction > 0) {
+            this.renderer.drawSurface('wood', this.tableLevel);
+        }
+
         // Dibujar trayectoria
         this.renderer.drawTrajectory();
 
+        this.drawGhosts();
+
+        // Dibujar el bloque arrastrado y la cuerda
+        if (this.linkedObject) {
+            const string = this.physics.constraints.get('string');
+            const { a, b } = this.physics.constraints.getWorldAnchors(string, this.physics.objects);
+            this.renderer.drawConstraint(a, b, string, true);
+            this.renderer.drawObject(this.linkedObject);
+        }
+
         // Dibujar objeto
         if (this.object) {
             this.renderer.drawObject(this.object);
@@ -204,10 +467,64 @@ export class SecondLawSimulator {
         this.animations.renderEffects();
         this.animations.renderParticles();
 
+        // Perfil F(t) frente a la fuerza aplicada en cada paso
+        if (this.config.forceProfile !== 'constant') {
+            this.drawProfileChart();
+        }
+
         // Dibujar información de la ley
         this.drawLawInfo();
     }
 
+    /**
+     * Gráfico F(t): el perfil elegido y la fuerza aplicada en cada paso
+     */
+    drawProfileChart() {
+        const profile = this.getForceProfile();
+        const now = this.motion.simulationTime;
+        const end = Math.max(5, now);
+        const curve = [];
+
+        for (let i = 0; i <= 200; i++) {
+            const time = end * i / 200;
+            curve.push({ x: time, y: evaluateForceProfile(profile, time) });
+        }
+
+        const values = curve.concat(this.forceSamples).map(point => point.y);
+        const series = [{ points: curve, color: '#6b7280', label: FORCE_PROFILES[this.config.forceProfile] }];
+        if (this.forceSamples.length > 0) {
+            series.push({ points: this.forceSamples, color: '#10b981', label: `F = ${this.getForceMagnitude(now).toFixed(1)} N` });
+        }
+
+        this.renderer.drawLineChart(this.chartRect, series, {
+            title: 'Fuerza aplicada F(t) [N]',
+            xLabel: 's',
+            xRange: [0, end],
+            yRange: [Math.min(0, ...values) * 1.1 - 1, Math.max(0, ...values) * 1.1 + 1]
+        });
+    }
+
+    /**
+     * Impulso del perfil hasta el instante actual: J = ∫F dt (N·s)
+     */
+    getProfileImpulse() {
+        const profile = this.getForceProfile() || { type: 'constant', magnitude: this.config.appliedForce };
+        return integrateForceProfile(profile, this.motion.simulationTime);
+    }
+
+    /**
+     * Cambio de momento del objeto en la dirección de la fuerza: Δp = m·Δv (kg·m/s)
+     */
+    getMomentumChange() {
+        if (!this.object) return 0;
+
+        const direction = this.config.forceDirection * Math.PI / 180;
+        const dvx = this.object.velocity.x - this.initialVelocity.x;
+        const dvy = this.object.velocity.y - this.initialVelocity.y;
+
+        return this.object.mass * (dvx * Math.cos(direction) + dvy * Math.sin(direction));
+    }
+
     /**
      * Dibujar punto de aplicación de fuerza
      */
@@ -215,8 +532,10 @@ export class SecondLawSimulator {
         if (!this.forceApplicationPoint) return;
 
         const ctx = this.renderer.getContext();
-        const x = this.forceApplicationPoint.x;
-        const y = this.forceApplicationPoint.y;
+        const { x, y } = this.renderer.worldToScreen(
+            this.forceApplicationPoint.x,
+            this.forceApplicationPoint.y
+        );
 
         // Punto de aplicación
         ctx.fillStyle = '#ef4444';
@@ -228,7 +547,7 @@ export class SecondLawSimulator {
         const angle = this.config.forceDirection * Math.PI / 180;
         const arrowLength = 15;
         const arrowX = x + Math.cos(angle) * arrowLength;
-        const arrowY = y + Math.sin(angle) * arrowLength;
+        const arrowY = y - Math.sin(angle) * arrowLength; // el eje y de pantalla apunta hacia abajo
 
         ctx.strokeStyle = '#ef4444';
         ctx.lineWidth = 2;
@@ -247,14 +566,20 @@ export class SecondLawSimulator {
         const y = 30;
 
         ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(x - 10, y - 20, 200, 80);
+        const hasProfile = this.config.forceProfile !== 'constant';
+        const lines = 6 + (this.linkedObject ? 1 : 0) + (hasProfile ? 1 : 0);
+        ctx.fillRect(x - 10, y - 20, 200, 20 * lines);
 
         ctx.fillStyle = 'white';
         ctx.font = '14px Inter, sans-serif';
         ctx.textAlign = 'left';
 
-        ctx.fillText('F = ma', x, y);
-        ctx.fillText(`F = ${this.config.appliedForce} N`, x, y + 20);
+        ctx.fillText('F = ma, τ = Iα', x, y);
+        ctx.fillText(
+            hasProfile ? `F(t) = ${this.getForceMagnitude().toFixed(1)} N` : `F = ${this.config.appliedForce} N`,
+            x,
+            y + 20
+        );
         ctx.fillText(`m = ${this.config.objectMass} kg`, x, y + 40);
 
         if (this.object) {
@@ -262,6 +587,17 @@ export class SecondLawSimulator {
                 this.object.acceleration.x ** 2 + this.object.acceleration.y ** 2
             );
             ctx.fillText(`a = ${acceleration.toFixed(2)} m/s²`, x, y + 60);
+            ctx.fillText(`τ = ${this.object.netForce.torque.toFixed(2)} N⋅m`, x, y + 80);
+            ctx.fillText(`ω = ${this.object.angularVelocity.toFixed(2)} rad/s`, x, y + 100);
+        }
+
+        let line = 6;
+        if (this.linkedObject) {
+            ctx.fillText(`T = ${this.getTension().toFixed(2)} N`, x, y + 20 * line++);
+        }
+
+        if (hasProfile) {
+            ctx.fillText(`∫F dt = ${this.getProfileImpulse().toFixed(2)} N⋅s`, x, y + 20 * line);
         }
     }
 
@@ -271,13 +607,24 @@ export class SecondLawSimulator {
     updateConfig(newConfig) {
         Object.assign(this.config, newConfig);
 
-        if (newConfig.appliedForce !== undefined || newConfig.forceDirection !== undefined) {
+        // Un perfil nuevo se recorre desde t = 0
+        if (newConfig.forceProfile !== undefined || newConfig.forceSketch !== undefined) {
+            this.reset();
+            return;
+        }
+
+        if (newConfig.appliedForce !== undefined || newConfig.forceDirection !== undefined ||
+            newConfig.applicationHeight !== undefined) {
             this.calculateForce();
+            this.updateApplicationPoint();
         }
 
         if (newConfig.objectMass !== undefined && this.object) {
             this.object.mass = newConfig.objectMass;
         }
+
+        // La solución analítica sigue desde aquí con la nueva fuerza o masa
+        this.seedGhost();
     }
 
     /**
@@ -286,20 +633,23 @@ export class SecondLawSimulator {
     getInfo() {
         if (!this.object) return null;
 
-        const speed = Math.sqrt(
-            this.object.velocity.x ** 2 + this.object.velocity.y ** 2
-        );
-
         const acceleration = Math.sqrt(
             this.object.acceleration.x ** 2 + this.object.acceleration.y ** 2
         );
 
+        // La velocidad depende del observador; fuerza y aceleración no (Galileo)
+        const velocity = this.toFrameVelocity(this.object.velocity);
+
         return {
             force: {
                 x: this.currentForce.x,
                 y: this.currentForce.y,
-                magnitude: this.config.appliedForce
+                magnitude: this.getForceMagnitude()
             },
+            forceProfile: this.config.forceProfile,
+            profileLabel: FORCE_PROFILES[this.config.forceProfile],
+            profileImpulse: this.getProfileImpulse(),
+            momentumChange: this.getMomentumChange(),
             mass: this.object.mass,
             acceleration: {
                 x: this.object.acceleration.x,
@@ -307,13 +657,33 @@ export class SecondLawSimulator {
                 magnitude: acceleration
             },
             velocity: {
-                x: this.object.velocity.x,
-                y: this.object.velocity.y,
-                magnitude: speed
-            }
+                x: velocity.x,
+                y: velocity.y,
+                magnitude: Math.sqrt(velocity.x ** 2 + velocity.y ** 2)
+            },
+            frameLabel: this.getFrameLabel(),
+            torque: this.object.netForce.torque,
+            momentOfInertia: this.physics.calculateMomentOfInertia(this.object),
+            angle: this.object.angle,
+            angularVelocity: this.object.angularVelocity,
+            angularAcceleration: this.object.angularAcceleration,
+            linkedMass: this.linkedObject ? this.linkedObject.mass : 0,
+            tension: this.getTension(),
+            analyticError: this.getAnalyticError(),
+            analyticErrorLabel: this.getAnalyticErrorLabel()
         };
     }
 
+    /**
+     * Cuerpos a los que puede ligarse el observador
+     */
+    getFrameBodies() {
+        return [
+            { id: 'test-object', label: 'Objeto' },
+            { id: 'linked-object', label: 'Bloque 2' }
+        ];
+    }
+
     /**
      * Obtener estadísticas de fuerza
      */
@@ -332,9 +702,8 @@ export class SecondLawSimulator {
             this.object.acceleration.x ** 2 + this.object.acceleration.y ** 2
         );
 
-        const velocityMagnitude = Math.sqrt(
-            this.object.velocity.x ** 2 + this.object.velocity.y ** 2
-        );
+        const velocity = this.toFrameVelocity(this.object.velocity);
+        const velocityMagnitude = Math.sqrt(velocity.x ** 2 + velocity.y ** 2);
 
         return {
             forceMagnitude,
@@ -351,22 +720,92 @@ export class SecondLawSimulator {
             'light-push': {
                 appliedForce: 10,
                 objectMass: 0.5,
-                forceDirection: 0
+                forceDirection: 0,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'constant'
             },
             'heavy-push': {
                 appliedForce: 50,
                 objectMass: 2,
-                forceDirection: 0
+                forceDirection: 0,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'constant'
             },
             'angled-force': {
                 appliedForce: 30,
                 objectMass: 1,
-                forceDirection: 45
+                forceDirection: 45,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'constant'
             },
             'upward-force': {
                 appliedForce: 25,
                 objectMass: 1,
-                forceDirection: 90
+                forceDirection: 90,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'constant'
+            },
+            'corner-push': {
+                appliedForce: 20,
+                objectMass: 1,
+                forceDirection: 0,
+                applicationHeight: 0.25,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'constant'
+            },
+            'string-pull': {
+                appliedForce: 20,
+                objectMass: 1,
+                forceDirection: 0,
+                applicationHeight: 0,
+                linkedMass: 2,
+                tableFriction: 0.2,
+                forceProfile: 'constant'
+            },
+            'ramp-push': {
+                appliedForce: 20,
+                objectMass: 1,
+                forceDirection: 0,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'ramp'
+            },
+            'oscillating-force': {
+                appliedForce: 20,
+                objectMass: 1,
+                forceDirection: 0,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'sine'
+            },
+            'impulse-kick': {
+                appliedForce: 100,
+                objectMass: 2,
+                forceDirection: 0,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'impulse'
+            },
+            'sketched-force': {
+                appliedForce: 20,
+                objectMass: 1,
+                forceDirection: 0,
+                applicationHeight: 0,
+                linkedMass: 0,
+                tableFriction: 0,
+                forceProfile: 'piecewise'
             }
         };
 
@@ -378,30 +817,12 @@ export class SecondLawSimulator {
     }
 
     /**
-     * Aplicar fuerza temporal
-     */
-    applyTemporaryForce(force, duration = 1000) {
-        const forceId = this.forces.createForce(
-            'temp-force',
-            force.magnitude,
-            force.direction,
-            'temporary'
-        );
-
-        this.forces.activateForce(forceId);
-
-        setTimeout(() => {
-            this.forces.deactivateForce(forceId);
-        }, duration);
-    }
-
-    /**
-     * Destruir simulador
+     * Aplicar fuerza temporal durante `duration` segundos de simulación
+     * El motor la apaga al vencer, aunque la simulación se pause o cambie de escala.
      */
-    destroy() {
-        this.stop();
-        this.physics.clear();
-        this.forces.clear();
-        this.animations.stopAllAnimations();
+    applyTemporaryForce(force, duration = 1) {
+        this.forces.createForce('temp-force', force.magnitude, force.direction, 'temporary', 'test-object');
+        this.forces.updateForce('temp-force', { duration });
+        this.forces.activateForce('temp-force');
     }
 }
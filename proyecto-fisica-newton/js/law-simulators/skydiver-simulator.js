@@ -0,0 +1,482 @@
+/**
+ * Simulador del Paracaidista - Velocidad Terminal
+ * Caída vertical con arrastre lineal (D = b·v) o cuadrático (D = ½ρC_dA·v²)
+ *
+ * El peso es constante y el arrastre crece con la rapidez hasta igualarlo:
+ * la fuerza neta se anula y la velocidad se estabiliza en la terminal.
+ * Al abrir el paracaídas el área crece, el arrastre supera al peso y el
+ * paracaidista frena hasta una terminal mucho menor.
+ */
+
+import { BaseSimulator } from './base-simulator.js';
+import { AIR_DENSITY, calculateQuadraticDragCoefficient } from '../physics/forces.js';
+
+// Tiempo que tarda el paracaídas en inflarse por completo (s)
+const PARACHUTE_INFLATION_TIME = 2;
+
+/**
+ * Estados del paracaídas
+ */
+export const PARACHUTE_STATES = {
+    closed: 'Cerrado',
+    opening: 'Abriéndose',
+    open: 'Abierto'
+};
+
+export class SkydiverSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
+
+        // Configuración del simulador
+        this.config = {
+            dragModel: 'quadratic', // 'linear' | 'quadratic'
+            mass: 80, // kg
+            airDensity: AIR_DENSITY, // kg/m³
+            area: 0.7, // área frontal del cuerpo (m²)
+            dragCoefficient: 1.0, // C_d del cuerpo
+            linearCoefficient: 18, // b del modelo lineal con el paracaídas cerrado (N·s/m)
+            dropAltitude: 600, // m
+            parachuteMode: 'altitude', // 'altitude' | 'time' | 'none'
+            parachuteAltitude: 250, // m
+            parachuteTime: 15, // s desde el salto
+            parachuteArea: 20, // m²
+            parachuteDragCoefficient: 1.3
+        };
+
+        // Geometría: el paracaidista cae por la izquierda y el gráfico queda a la derecha
+        this.dropX = 12; // m
+        this.chartRect = { x: 520, y: 20, width: 260, height: 150 };
+
+        // Objetos del simulador
+        this.skydiver = null;
+        this.deployTime = null; // instante en que se abre el paracaídas (s)
+        this.landed = false;
+        this.landingSpeed = 0; // m/s
+        this.peakDeceleration = 0; // m/s²
+        this.samples = [];
+        this.maxSamples = 1200;
+        this.sampleInterval = 0.05; // s
+
+        this.renderer.setCamera({ scale: 10, offsetX: 0 });
+        this.physics.setBoundaries({
+            left: { type: 'open' },
+            right: { type: 'open' },
+            bottom: { type: 'open' },
+            top: { type: 'open' }
+        });
+
+        this.initialize();
+    }
+
+    /**
+     * Crear escena: paracaidista en reposo a la altura de salto, con peso y arrastre
+     */
+    createScene() {
+        this.skydiver = this.physics.createObject(
+            'skydiver',
+            { x: this.dropX, y: this.config.dropAltitude },
+            { x: 0, y: 0 },
+            this.config.mass,
+            0.5
+        );
+
+        this.skydiver.color = '#0ea5e9';
+        this.skydiver.label = `${this.config.mass} kg`;
+
+        this.forces.addGravity('gravity', 'skydiver');
+        this.forces.addDrag('air-drag', 'skydiver', this.getDragCoefficient(0), this.config.dragModel);
+
+        this.deployTime = null;
+        this.landed = false;
+        this.landingSpeed = 0;
+        this.peakDeceleration = 0;
+        this.samples = [{ x: 0, y: 0 }];
+    }
+
+    /**
+     * Fracción inflada del paracaídas en el instante `time` (0 cerrado, 1 abierto)
+     */
+    getDeployFraction(time) {
+        if (this.deployTime === null) return 0;
+
+        return Math.min(1, Math.max(0, (time - this.deployTime) / PARACHUTE_INFLATION_TIME));
+    }
+
+    /**
+     * Coeficiente de arrastre para una fracción inflada del paracaídas
+     * Cuadrático: c = ½ρ(C_dA cuerpo + f·C_dA paracaídas).
+     * Lineal: en la ley de Stokes b = 6πηr es proporcional al tamaño, así que
+     * escala con la raíz del cociente de áreas efectivas.
+     */
+    getDragCoefficient(deployFraction) {
+        const bodyArea = this.config.dragCoefficient * this.config.area;
+        const effectiveArea = bodyArea +
+            deployFraction * this.config.parachuteDragCoefficient * this.config.parachuteArea;
+
+        if (this.config.dragModel === 'linear') {
+            return this.config.linearCoefficient * Math.sqrt(effectiveArea / bodyArea);
+        }
+
+        return calculateQuadraticDragCoefficient(this.config.airDensity, 1, effectiveArea);
+    }
+
+    /**
+     * Velocidad terminal: el arrastre iguala al peso
+     * Lineal: v_t = mg/b; cuadrático: v_t = √(mg/c)
+     */
+    calculateTerminalVelocity(deployFraction = 0) {
+        const weight = this.config.mass * this.forces.gravity;
+        const coefficient = this.getDragCoefficient(deployFraction);
+
+        return this.config.dragModel === 'linear'
+            ? weight / coefficient
+            : Math.sqrt(weight / coefficient);
+    }
+
+    /**
+     * Rapidez analítica de caída libre desde el reposo, antes de abrir el paracaídas
+     * Lineal: v = v_t(1 − e^(−t·g/v_t)); cuadrático: v = v_t·tanh(g·t/v_t)
+     */
+    calculateFreeFallSpeed(time) {
+        const terminal = this.calculateTerminalVelocity(0);
+        const g = this.forces.gravity;
+
+        return this.config.dragModel === 'linear'
+            ? terminal * (1 - Math.exp(-g * time / terminal))
+            : terminal * Math.tanh(g * time / terminal);
+    }
+
+    /**
+     * Altura del paracaidista sobre el suelo (m)
+     */
+    getAltitude() {
+        if (!this.skydiver) return 0;
+
+        return Math.max(0, this.skydiver.position.y - this.skydiver.radius);
+    }
+
+    /**
+     * Rapidez de descenso (m/s, positiva hacia abajo)
+     */
+    getFallSpeed() {
+        return this.skydiver ? -this.skydiver.velocity.y : 0;
+    }
+
+    /**
+     * Estado del paracaídas en el instante `time`
+     */
+    getParachuteState(time = this.motion.simulationTime) {
+        if (this.deployTime === null) return 'closed';
+
+        return this.getDeployFraction(time) < 1 ? 'opening' : 'open';
+    }
+
+    /**
+     * ¿Debe abrirse el paracaídas al final de este paso?
+     */
+    shouldDeploy(time) {
+        if (this.deployTime !== null) return false;
+
+        if (this.config.parachuteMode === 'altitude') {
+            return this.getAltitude() <= this.config.parachuteAltitude;
+        }
+
+        if (this.config.parachuteMode === 'time') {
+            return time >= this.config.parachuteTime;
+        }
+
+        return false;
+    }
+
+    /**
+     * Reaccionar a cada paso de la simulación
+     */
+    afterStep(dt, time) {
+        if (!this.skydiver || this.landed) return;
+
+        const now = time + dt;
+
+        this.peakDeceleration = Math.max(this.peakDeceleration, this.skydiver.acceleration.y);
+
+        // Aterrizaje: el suelo detiene al paracaidista
+        if (this.skydiver.position.y - this.skydiver.radius <= 0) {
+            this.landed = true;
+            this.landingSpeed = this.getFallSpeed();
+            this.skydiver.position.y = this.skydiver.radius;
+            this.skydiver.velocity = { x: 0, y: 0 };
+            this.skydiver.isStatic = true;
+            this.animations.createCollisionEffect(this.skydiver.position.x, 0, 1);
+        }
+
+        if (this.shouldDeploy(now)) {
+            this.deployTime = now;
+        }
+
+        // El paracaídas se infla progresivamente: el arrastre se actualiza en cada paso
+        this.forces.updateForce('air-drag', { coefficient: this.getDragCoefficient(this.getDeployFraction(now)) });
+
+        const last = this.samples[this.samples.length - 1];
+        if (this.landed || now - last.x >= this.sampleInterval) {
+            this.samples.push({ x: now, y: this.getFallSpeed() });
+            if (this.samples.length > this.maxSamples) this.samples.shift();
+        }
+    }
+
+    /**
+     * Renderizar escena
+     */
+    render() {
+        this.renderer.clear();
+
+        if (this.skydiver) {
+            // La cámara sigue al paracaidista sin bajar del suelo
+            const position = this.renderer.getRenderPosition(this.skydiver);
+            const visibleHeight = this.renderer.height / this.renderer.scale;
+            this.renderer.setCamera({ offsetY: Math.max(-2, position.y - visibleHeight / 2) });
+
+            this.drawAltitudeScale();
+            this.drawGround();
+            this.drawParachute();
+            this.renderer.drawObject(this.skydiver);
+
+            // Peso y arrastre a la misma escala; convergen en la velocidad terminal
+            const weight = this.config.mass * this.forces.gravity;
+            const contributions = this.skydiver.netForce.contributions.length > 0
+                ? this.skydiver.netForce.contributions
+                : this.forces.calculateNetForce(this.skydiver).contributions;
+            const drag = contributions.find(contribution => contribution.kind === 'drag');
+            const largest = Math.max(weight, drag ? Math.abs(drag.y) / 3 : 0);
+            this.renderer.drawFreeBodyDiagram(this.skydiver, contributions, 60 / largest);
+        }
+
+        this.drawSpeedChart();
+        this.drawLawInfo();
+    }
+
+    /**
+     * Gráfico v(t) con la solución analítica de caída libre y las velocidades terminales
+     */
+    drawSpeedChart() {
+        const now = this.samples[this.samples.length - 1].x;
+        const freeFallEnd = this.deployTime ?? now;
+        const analytic = [];
+
+        for (let i = 0; i <= 60; i++) {
+            const time = freeFallEnd * i / 60;
+            analytic.push({ x: time, y: this.calculateFreeFallSpeed(time) });
+        }
+
+        const terminal = this.calculateTerminalVelocity(0);
+        const series = [
+            { points: this.samples, color: '#0ea5e9', label: `v = ${this.getFallSpeed().toFixed(1)} m/s` },
+            { points: analytic, color: '#6b7280', label: 'caída libre analítica' },
+            { points: [{ x: 0, y: terminal }, { x: now, y: terminal }], color: '#ef4444', label: `vₜ = ${terminal.toFixed(1)} m/s` }
+        ];
+
+        if (this.config.parachuteMode !== 'none') {
+            const parachuteTerminal = this.calculateTerminalVelocity(1);
+            series.push({
+                points: [{ x: 0, y: parachuteTerminal }, { x: now, y: parachuteTerminal }],
+                color: '#10b981',
+                label: `vₜ paracaídas = ${parachuteTerminal.toFixed(1)} m/s`
+            });
+        }
+
+        const maxSpeed = Math.max(terminal, ...this.samples.map(sample => sample.y));
+        this.renderer.drawLineChart(this.chartRect, series, {
+            title: 'Rapidez de caída v(t) [m/s]',
+            xLabel: 's',
+            xRange: [0, Math.max(now, 1)],
+            yRange: [0, maxSpeed * 1.1]
+        });
+    }
+
+    /**
+     * Regla de alturas a la izquierda (cada 10 m)
+     */
+    drawAltitudeScale() {
+        const ctx = this.renderer.getContext();
+        const bounds = this.renderer.getWorldBounds();
+
+        ctx.strokeStyle = this.renderer.colors.grid;
+        ctx.fillStyle = this.renderer.colors.text;
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.lineWidth = 1;
+
+        for (let altitude = Math.ceil(bounds.bottom / 10) * 10; altitude <= bounds.top; altitude += 10) {
+            if (altitude < 0) continue;
+
+            const { y } = this.renderer.worldToScreen(0, altitude);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(altitude % 50 === 0 ? 30 : 15, y);
+            ctx.stroke();
+            if (altitude % 50 === 0) ctx.fillText(`${altitude} m`, 34, y + 3);
+        }
+
+        // Altura de apertura programada
+        if (this.config.parachuteMode === 'altitude') {
+            const { y } = this.renderer.worldToScreen(0, this.config.parachuteAltitude);
+            ctx.strokeStyle = 'rgba(16, 185, 129, 0.6)';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.chartRect.x - 20, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Dibujar el suelo cuando está a la vista
+     */
+    drawGround() {
+        const { y } = this.renderer.worldToScreen(0, 0);
+        if (y > this.renderer.height) return;
+
+        const ctx = this.renderer.getContext();
+        ctx.fillStyle = '#86efac';
+        ctx.fillRect(0, y, this.renderer.width, this.renderer.height - y);
+    }
+
+    /**
+     * Dibujar el paracaídas: el casquete crece mientras se infla
+     */
+    drawParachute() {
+        const fraction = this.getDeployFraction(this.motion.simulationTime);
+        if (fraction === 0 || this.landed) return;
+
+        const ctx = this.renderer.getContext();
+        const position = this.renderer.getRenderPosition(this.skydiver);
+        const center = this.renderer.worldToScreen(position.x, position.y + 6);
+        const radius = this.renderer.toScreenLength(Math.sqrt(this.config.parachuteArea / Math.PI) * fraction);
+        const harness = this.renderer.worldToScreen(position.x, position.y);
+
+        ctx.strokeStyle = 'rgba(55, 65, 81, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(center.x - radius, center.y);
+        ctx.lineTo(harness.x, harness.y);
+        ctx.lineTo(center.x + radius, center.y);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(249, 115, 22, 0.85)';
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, Math.PI, 0);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Dibujar información de la ley
+     */
+    drawLawInfo() {
+        const ctx = this.renderer.getContext();
+        const x = 520;
+        const y = 200;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - 10, y - 20, 280, 140);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillText(
+            this.config.dragModel === 'linear' ? 'Arrastre lineal: D = b·v' : 'Arrastre cuadrático: D = ½ρC_dA·v²',
+            x,
+            y
+        );
+        ctx.fillText(`Altura = ${this.getAltitude().toFixed(1)} m`, x, y + 20);
+        ctx.fillText(`vₜ = ${this.calculateTerminalVelocity(0).toFixed(1)} m/s (cerrado)`, x, y + 40);
+        ctx.fillText(`Paracaídas: ${PARACHUTE_STATES[this.getParachuteState()].toLowerCase()}`, x, y + 60);
+        ctx.fillText(`Desaceleración máx. = ${(this.peakDeceleration / this.forces.gravity).toFixed(1)} g`, x, y + 80);
+        ctx.fillText(
+            this.landed ? `Aterrizaje a ${this.landingSpeed.toFixed(1)} m/s` : `m = ${this.config.mass} kg`,
+            x,
+            y + 100
+        );
+    }
+
+    /**
+     * Actualizar configuración
+     * Cualquier cambio vuelve a preparar el salto.
+     */
+    updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+        this.reset();
+    }
+
+    /**
+     * Obtener información del simulador
+     */
+    getInfo() {
+        if (!this.skydiver) return null;
+
+        const time = this.motion.simulationTime;
+        const drag = this.forces.calculateForce(this.forces.forces.get('air-drag'), this.skydiver);
+
+        return {
+            dragModel: this.config.dragModel,
+            altitude: this.getAltitude(),
+            fallSpeed: this.getFallSpeed(),
+            terminalVelocity: this.calculateTerminalVelocity(this.getDeployFraction(time)),
+            freeFallTerminalVelocity: this.calculateTerminalVelocity(0),
+            parachuteTerminalVelocity: this.calculateTerminalVelocity(1),
+            weight: this.config.mass * this.forces.gravity,
+            drag: drag ? Math.abs(drag.y) : 0,
+            dragCoefficient: this.getDragCoefficient(this.getDeployFraction(time)),
+            parachuteState: this.getParachuteState(time),
+            parachuteLabel: PARACHUTE_STATES[this.getParachuteState(time)],
+            deployTime: this.deployTime,
+            peakDeceleration: this.peakDeceleration,
+            landed: this.landed,
+            landingSpeed: this.landingSpeed
+        };
+    }
+
+    /**
+     * Crear ejemplo predefinido
+     */
+    createExample(exampleType) {
+        const examples = {
+            'belly-to-earth': {
+                dragModel: 'quadratic',
+                mass: 80,
+                area: 0.7,
+                dragCoefficient: 1.0,
+                parachuteMode: 'altitude',
+                parachuteAltitude: 250
+            },
+            'head-down': {
+                dragModel: 'quadratic',
+                mass: 80,
+                area: 0.35,
+                dragCoefficient: 0.7,
+                parachuteMode: 'altitude',
+                parachuteAltitude: 250
+            },
+            'stokes-drag': {
+                dragModel: 'linear',
+                mass: 80,
+                linearCoefficient: 18,
+                parachuteMode: 'altitude',
+                parachuteAltitude: 250
+            },
+            'timed-opening': {
+                dragModel: 'quadratic',
+                mass: 80,
+                area: 0.7,
+                dragCoefficient: 1.0,
+                parachuteMode: 'time',
+                parachuteTime: 8
+            }
+        };
+
+        const example = examples[exampleType];
+        if (example) {
+            this.updateConfig(example);
+        }
+    }
+}
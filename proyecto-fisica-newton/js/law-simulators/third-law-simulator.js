@@ -3,48 +3,232 @@
  * Demuestra las fuerzas de acción y reacción en colisiones
  */
 
-import { PhysicsEngine } from '../physics/newton-laws.js';
-import { ForceSystem } from '../physics/forces.js';
-import { MotionSystem } from '../physics/motion.js';
-import { CanvasRenderer } from '../canvas/renderer.js';
-import { AnimationSystem } from '../canvas/animations.js';
+import { BaseSimulator } from './base-simulator.js';
+import { RESTITUTION_PRESETS } from '../physics/collisions.js';
+import { createBoxShape, createRegularPolygonShape } from '../physics/shapes.js';
 
-export class ThirdLawSimulator {
-    constructor(canvasId) {
-        this.canvasId = canvasId;
-        this.physics = new PhysicsEngine();
-        this.forces = new ForceSystem();
-        this.motion = new MotionSystem();
-        this.renderer = new CanvasRenderer(canvasId);
-        this.animations = new AnimationSystem(this.renderer);
+/**
+ * Bordes del recinto: paredes perfectamente elásticas, paredes con pérdidas,
+ * recinto periódico o abierto
+ */
+const WALL_PRESETS = {
+    elastic: { type: 'wall', restitution: 1, friction: 0 },
+    lossy: { type: 'wall', restitution: 0.8, friction: 0.2 },
+    wrap: { type: 'wrap' },
+    open: { type: 'open' }
+};
+
+// Identificador de la fuerza de contacto elástico entre A y B
+const SOFT_CONTACT_ID = 'soft-contact';
 
-        this.isRunning = false;
-        this.animationId = null;
-        this.lastTime = 0;
+// Muestras de F(t) que se guardan del último contacto elástico
+const MAX_CONTACT_SAMPLES = 600;
+
+export class ThirdLawSimulator extends BaseSimulator {
+    constructor(canvasId) {
+        super(canvasId);
 
         // Configuración del simulador
         this.config = {
             objectAMass: 1,
             objectBMass: 2,
-            collisionType: 'elastic',
-            objectRadius: 20
+            collisionType: 'elastic', // preajuste de restitución
+            restitution: 1, // coeficiente de restitución (0–1)
+            contactFriction: 0.3, // fricción de Coulomb entre superficies
+            impactParameter: 0, // desplazamiento vertical de B para choques oblicuos (m)
+            objectRadius: 0.4, // m
+            velocityA: 5, // velocidad inicial de A a lo largo de x (m/s)
+            velocityB: -3, // velocidad inicial de B a lo largo de x (m/s)
+            objectShape: 'ball', // 'ball' | 'box' | 'triangle'
+            extraBodies: 0, // partículas adicionales para colisiones de N cuerpos
+            walls: 'elastic', // 'elastic' | 'lossy' | 'wrap' | 'open'
+            contactModel: 'rigid', // 'rigid' (impulso instantáneo) | 'soft' (resorte-amortiguador)
+            contactStiffness: 300 // rigidez del contacto elástico (N/m)
         };
 
         // Objetos del simulador
         this.objectA = null;
         this.objectB = null;
         this.collisionOccurred = false;
-        this.collisionForces = { forceA: { x: 0, y: 0 }, forceB: { x: 0, y: 0 } };
+        this.collisionImpulses = { impulseA: { x: 0, y: 0 }, impulseB: { x: 0, y: 0 } }; // último choque rígido (N·s)
+        this.collisionCount = 0;
+        this.wallHits = 0;
+        this.lastWallImpulse = { x: 0, y: 0 }; // impulso de la última pared sobre A o B (N·s)
+
+        // Contacto elástico: fuerzas actuales (N) y registro F(t) del último choque
+        this.contactForces = { forceA: { x: 0, y: 0 }, forceB: { x: 0, y: 0 } };
+        this.contactSamples = []; // [{ t, dt, forceA, forceB }] de cada subpaso del contacto
+        this.contactImpulse = { impulseA: { x: 0, y: 0 }, impulseB: { x: 0, y: 0 } }; // N·s
+        this.contactActive = false;
+        this.contactStart = null; // { time, normal, momentumB } al empezar el contacto
+        this.contactEnd = null; // { momentumB } al terminar
+        this.contactSubStepLimit = false; // el motor llegó al tope de subpasos durante el contacto
+
+        // Momentum vectorial de A y B al inicio del paso en curso (kg·m/s)
+        this.stepMomenta = null;
+
+        // Balance de momentum del sistema A + B: estado antes del último choque entre
+        // ellos e impulso externo recibido desde entonces (paredes, otros cuerpos, fuerzas)
+        this.momentumBefore = null;
+        this.externalImpulse = { x: 0, y: 0 };
+        this.externalSources = new Set();
+        this.lastPairContactTime = null; // inicio del último paso con choque rígido A-B (s)
+        this.diagramRect = { x: 560, y: 245, width: 220, height: 135 };
+        this.chartRect = { x: 520, y: 20, width: 260, height: 130 };
+
+        // Solución analítica de A y B: estado de partida y choque previsto entre ellos
+        this.ghostSeed = null; // { time, bodies: { id: { position, velocity } }, collision }
+        this.ghostReseed = false; // volver a partir del estado simulado al final del paso
+
+        this.physics.setBounds(this.renderer.getWorldBounds());
+        this.physics.onContact(contact => this.handleCollision(contact));
+        this.physics.onBoundary(event => this.handleBoundary(event));
 
         this.initialize();
     }
 
     /**
-     * Inicializar simulador
+     * Crear escena: dos cuerpos aislados (sin fuerzas externas)
      */
-    initialize() {
+    createScene() {
+        this.applyWalls();
         this.createObjects();
-        this.render();
+        this.createExtraBodies();
+        this.applyMaterials();
+        this.applyContactModel();
+        this.collisionOccurred = false;
+        this.collisionImpulses = { impulseA: { x: 0, y: 0 }, impulseB: { x: 0, y: 0 } };
+        this.collisionCount = 0;
+        this.wallHits = 0;
+        this.lastWallImpulse = { x: 0, y: 0 };
+        this.contactForces = { forceA: { x: 0, y: 0 }, forceB: { x: 0, y: 0 } };
+        this.contactSamples = [];
+        this.contactImpulse = { impulseA: { x: 0, y: 0 }, impulseB: { x: 0, y: 0 } };
+        this.contactActive = false;
+        this.contactStart = null;
+        this.contactEnd = null;
+        this.contactSubStepLimit = false;
+        this.lastPairContactTime = null;
+        this.stepMomenta = this.getMomentumVectors();
+        this.takeMomentumSnapshot(this.stepMomenta);
+        this.seedGhost();
+    }
+
+    /**
+     * Tomar el estado actual de A y B como partida de la solución analítica
+     * y calcular su próximo choque
+     */
+    seedGhost(time = this.motion.simulationTime) {
+        this.ghostReseed = false;
+        if (!this.objectA || !this.objectB) return;
+
+        const state = object => ({ position: { ...object.position }, velocity: { ...object.velocity } });
+        const bodies = { [this.objectA.id]: state(this.objectA), [this.objectB.id]: state(this.objectB) };
+
+        this.ghostSeed = { time, bodies, collision: this.predictCollision(bodies) };
+    }
+
+    /**
+     * Choque analítico entre A y B, tratados como esferas de radio r sin fricción
+     * Se mueven en línea recta hasta que |p_B − p_A + (v_B − v_A)·t| = 2r; entonces
+     * las componentes de la velocidad sobre la línea de centros salen de las fórmulas
+     * del choque en una dimensión y las tangenciales no cambian:
+     *   u_A' = (m_A·u_A + m_B·u_B − m_B·e·(u_A − u_B)) / (m_A + m_B)
+     *   u_B' = (m_A·u_A + m_B·u_B + m_A·e·(u_A − u_B)) / (m_A + m_B)
+     * Devuelve { time, bodies } (tiempo desde la partida y estado justo después) o null.
+     */
+    predictCollision(bodies) {
+        const a = bodies[this.objectA.id];
+        const b = bodies[this.objectB.id];
+        const distance = 2 * this.config.objectRadius;
+
+        const dx = b.position.x - a.position.x;
+        const dy = b.position.y - a.position.y;
+        const wx = b.velocity.x - a.velocity.x;
+        const wy = b.velocity.y - a.velocity.y;
+
+        // |d + w·t|² = (2r)²: solo hay choque si se acercan y la recta pasa a menos de 2r
+        const quadratic = wx * wx + wy * wy;
+        const linear = 2 * (dx * wx + dy * wy);
+        const constant = dx * dx + dy * dy - distance * distance;
+        const discriminant = linear * linear - 4 * quadratic * constant;
+        if (quadratic === 0 || linear >= 0 || discriminant < 0) return null;
+
+        const time = constant <= 0 ? 0 : (-linear - Math.sqrt(discriminant)) / (2 * quadratic);
+        const at = body => ({
+            x: body.position.x + body.velocity.x * time,
+            y: body.position.y + body.velocity.y * time
+        });
+        const positionA = at(a);
+        const positionB = at(b);
+
+        const separation = Math.hypot(positionB.x - positionA.x, positionB.y - positionA.y) || 1;
+        const normal = {
+            x: (positionB.x - positionA.x) / separation,
+            y: (positionB.y - positionA.y) / separation
+        };
+
+        const massA = this.objectA.mass;
+        const massB = this.objectB.mass;
+        const e = this.config.restitution;
+        const uA = a.velocity.x * normal.x + a.velocity.y * normal.y;
+        const uB = b.velocity.x * normal.x + b.velocity.y * normal.y;
+        const momentum = massA * uA + massB * uB;
+        const finalA = (momentum - massB * e * (uA - uB)) / (massA + massB);
+        const finalB = (momentum + massA * e * (uA - uB)) / (massA + massB);
+
+        const after = (body, position, u, final) => ({
+            position,
+            velocity: {
+                x: body.velocity.x + (final - u) * normal.x,
+                y: body.velocity.y + (final - u) * normal.y
+            }
+        });
+
+        return {
+            time,
+            bodies: {
+                [this.objectA.id]: after(a, positionA, uA, finalA),
+                [this.objectB.id]: after(b, positionB, uB, finalB)
+            }
+        };
+    }
+
+    /**
+     * Solución analítica: movimiento rectilíneo uniforme y el choque previsto
+     * No modela paredes ni otros cuerpos: tras cada choque con ellos se parte
+     * del estado simulado. El choque previsto es el instantáneo de esferas sin
+     * fricción, así que no hay solución cerrada (se devuelve vacío) con contacto
+     * elástico, que dura un tiempo finito, con fricción entre A y B ni con cajas
+     * o triángulos: la diferencia sería el modelo, no el error numérico.
+     */
+    getAnalyticStates(time) {
+        if (!this.ghostSeed) return [];
+        if (this.config.contactModel === 'soft' || this.config.contactFriction > 0) return [];
+        if (this.config.objectShape !== 'ball') return [];
+
+        const { collision } = this.ghostSeed;
+        let elapsed = Math.max(0, time - this.ghostSeed.time);
+        let bodies = this.ghostSeed.bodies;
+
+        if (collision && elapsed >= collision.time) {
+            elapsed -= collision.time;
+            bodies = collision.bodies;
+        }
+
+        return Object.entries(bodies).map(([id, { position, velocity }]) => ({
+            id,
+            position: { x: position.x + velocity.x * elapsed, y: position.y + velocity.y * elapsed },
+            velocity: { ...velocity }
+        }));
+    }
+
+    /**
+     * Aplicar el preajuste de bordes a los cuatro lados del recinto
+     */
+    applyWalls() {
+        const preset = WALL_PRESETS[this.config.walls] || WALL_PRESETS.elastic;
+        this.physics.setBoundaries({ left: preset, right: preset, bottom: preset, top: preset });
     }
 
     /**
@@ -54,8 +238,8 @@ export class ThirdLawSimulator {
         // Objeto A (izquierda)
         this.objectA = this.physics.createObject(
             'object-a',
-            { x: 200, y: 200 },
-            { x: 5, y: 0 },
+            { x: 4, y: 4 },
+            { x: this.config.velocityA, y: 0 },
             this.config.objectAMass,
             this.config.objectRadius
         );
@@ -67,8 +251,8 @@ export class ThirdLawSimulator {
         // Objeto B (derecha)
         this.objectB = this.physics.createObject(
             'object-b',
-            { x: 500, y: 200 },
-            { x: -3, y: 0 },
+            { x: 10, y: 4 + this.config.impactParameter },
+            { x: this.config.velocityB, y: 0 },
             this.config.objectBMass,
             this.config.objectRadius
         );
@@ -76,85 +260,122 @@ export class ThirdLawSimulator {
         this.objectB.color = '#8b5cf6';
         this.objectB.type = 'ball';
         this.objectB.label = 'B';
+
+        this.applyShape(this.objectA);
+        this.applyShape(this.objectB);
     }
 
     /**
-     * Iniciar simulación
+     * Asignar la forma de colisión elegida a A y B
      */
-    start() {
-        if (this.isRunning) return;
-
-        this.isRunning = true;
-        this.lastTime = 0;
-        this.collisionOccurred = false;
-        this.animate();
+    applyShape(object) {
+        const radius = this.config.objectRadius;
+
+        if (this.config.objectShape === 'box') {
+            object.type = 'box';
+            this.physics.setShape(object.id, createBoxShape(radius * 2));
+        } else if (this.config.objectShape === 'triangle') {
+            object.type = 'polygon';
+            this.physics.setShape(object.id, createRegularPolygonShape(3, radius * 1.3));
+        } else {
+            object.type = 'ball';
+            object.shape = null;
+            object.radius = radius;
+        }
     }
 
     /**
-     * Pausar simulación
+     * Asignar restitución y fricción a todos los cuerpos
      */
-    pause() {
-        this.isRunning = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
+    applyMaterials() {
+        this.physics.getAllObjects().forEach(object => {
+            object.restitution = this.config.restitution;
+            object.friction = this.config.contactFriction;
+        });
     }
 
     /**
-     * Detener simulación
+     * Registrar (o quitar) el contacto elástico entre A y B
+     * En el modelo rígido el motor resuelve el choque con un impulso instantáneo;
+     * en el elástico A y B se empujan con un resorte-amortiguador mientras se solapan.
      */
-    stop() {
-        this.pause();
-        this.reset();
+    applyContactModel() {
+        this.forces.removeForce(SOFT_CONTACT_ID);
+        if (this.config.contactModel !== 'soft' || !this.objectA || !this.objectB) return;
+
+        this.forces.addContact(SOFT_CONTACT_ID, this.objectA.id, this.objectB.id, {
+            stiffness: this.config.contactStiffness,
+            damping: this.calculateContactDamping()
+        });
     }
 
     /**
-     * Resetear simulador
+     * Amortiguamiento del contacto elástico (N·s/m) que reproduce la restitución elegida
+     * Para un oscilador amortiguado e = exp(−πζ/√(1 − ζ²)), así que
+     * ζ = −ln e / √(π² + ln² e) y c = 2ζ·√(k·μ), con μ = m_A·m_B/(m_A + m_B).
      */
-    reset() {
-        this.pause();
-        this.physics.clear();
-        this.animations.stopAllAnimations();
-        this.renderer.clearTrajectory();
-        this.createObjects();
-        this.collisionOccurred = false;
-        this.render();
+    calculateContactDamping() {
+        const restitution = this.config.restitution;
+        if (restitution >= 1) return 0;
+
+        const reducedMass = this.config.objectAMass * this.config.objectBMass /
+            (this.config.objectAMass + this.config.objectBMass);
+        const logRestitution = Math.log(restitution);
+        const dampingRatio = restitution <= 0
+            ? 1
+            : -logRestitution / Math.sqrt(Math.PI * Math.PI + logRestitution * logRestitution);
+
+        return 2 * dampingRatio * Math.sqrt(this.config.contactStiffness * reducedMass);
     }
 
     /**
-     * Bucle de animación
+     * Duración de un choque elástico sin amortiguar: Δt = π·√(μ/k) (s)
      */
-    animate() {
-        if (!this.isRunning) return;
+    calculateContactDuration() {
+        const reducedMass = this.config.objectAMass * this.config.objectBMass /
+            (this.config.objectAMass + this.config.objectBMass);
+        return Math.PI * Math.sqrt(reducedMass / this.config.contactStiffness);
+    }
 
-        const currentTime = performance.now();
-        const deltaTime = this.motion.updateTime(currentTime);
+    /**
+     * Crear partículas adicionales con posiciones y velocidades aleatorias
+     */
+    createExtraBodies() {
+        const bounds = this.physics.bounds;
+        const radius = 0.12;
+
+        for (let i = 0; i < this.config.extraBodies; i++) {
+            const particle = this.physics.createObject(
+                `particle-${i}`,
+                {
+                    x: bounds.left + radius + Math.random() * (bounds.right - bounds.left - 2 * radius),
+                    y: bounds.bottom + radius + Math.random() * (bounds.top - bounds.bottom - 2 * radius)
+                },
+                { x: (Math.random() - 0.5) * 6, y: (Math.random() - 0.5) * 6 },
+                0.2,
+                radius
+            );
 
-        if (deltaTime > 0) {
-            this.update(deltaTime);
-            this.render();
+            particle.color = '#94a3b8';
         }
-
-        this.animationId = requestAnimationFrame(() => this.animate());
     }
 
     /**
-     * Actualizar simulación
+     * Reaccionar a cada paso de la simulación
      */
-    update(deltaTime) {
+    afterStep(dt, time) {
         if (!this.objectA || !this.objectB) return;
 
-        // Verificar colisión
-        if (this.physics.checkCollision('object-a', 'object-b') && !this.collisionOccurred) {
-            this.handleCollision();
+        if (this.ghostReseed) {
+            this.seedGhost(time + dt);
         }
 
-        // Aplicar movimiento normal si no hay colisión
-        if (!this.collisionOccurred) {
-            this.physics.applyInertia('object-a', 0.01);
-            this.physics.applyInertia('object-b', 0.01);
+        this.accumulateExternalForces(dt);
+
+        if (this.config.contactModel === 'soft') {
+            this.recordContactForces(dt, time);
         }
+        this.stepMomenta = this.getMomentumVectors();
 
         // Añadir puntos a la trayectoria
         this.renderer.addTrajectoryPoint(
@@ -169,37 +390,289 @@ export class ThirdLawSimulator {
     }
 
     /**
-     * Manejar colisión
+     * Registrar F_AB(t) y F_BA(t) del contacto elástico
+     * Mientras A y B se tocan el motor los integra en subpasos; de cada uno se toma la
+     * fuerza efectiva del integrador (la que cambió su velocidad), que es constante en el
+     * subpaso. Así el área bajo la curva escalonada es exactamente el impulso del choque
+     * y coincide con Δp_B. Las dos fuerzas de cada subpaso son exactamente opuestas.
+     */
+    recordContactForces(dt, time) {
+        if (this.physics.subStepLimitReached) this.contactSubStepLimit = true;
+
+        const contactOn = entry => {
+            const contribution = entry && entry.contributions.find(item => item.id === SOFT_CONTACT_ID);
+            return contribution ? { x: contribution.x, y: contribution.y } : { x: 0, y: 0 };
+        };
+
+        this.objectB.stepForces.forEach((entryB, index) => {
+            const forceA = contactOn(this.objectA.stepForces[index]); // fuerza de B sobre A
+            const forceB = contactOn(entryB); // fuerza de A sobre B
+            const touching = forceB.x !== 0 || forceB.y !== 0;
+            this.contactForces = { forceA, forceB };
+
+            if (touching && !this.contactActive) {
+                this.startContact(time + entryB.offset);
+            }
+
+            if (!this.contactActive) return;
+
+            if (!touching) {
+                // Fin del contacto: B ya no recibe fuerza hasta el final del paso
+                this.contactActive = false;
+                this.contactEnd = {
+                    momentumB: this.physics.calculateMomentum(this.objectB)
+                };
+                return;
+            }
+
+            this.contactSamples.push({ t: time + entryB.offset, dt: entryB.dt, forceA, forceB });
+            if (this.contactSamples.length > MAX_CONTACT_SAMPLES) this.contactSamples.shift();
+
+            this.contactImpulse.impulseA.x += forceA.x * entryB.dt;
+            this.contactImpulse.impulseA.y += forceA.y * entryB.dt;
+            this.contactImpulse.impulseB.x += forceB.x * entryB.dt;
+            this.contactImpulse.impulseB.y += forceB.y * entryB.dt;
+        });
+    }
+
+    /**
+     * Empezar el registro de un contacto elástico nuevo en el instante `time`
+     * Antes de tocarse A y B no reciben ninguna fuerza, así que el momentum "antes"
+     * es el del inicio del paso.
      */
-    handleCollision() {
+    startContact(time) {
+        const dx = this.objectB.position.x - this.objectA.position.x;
+        const dy = this.objectB.position.y - this.objectA.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        this.contactActive = true;
         this.collisionOccurred = true;
+        this.collisionCount++;
+        this.contactStart = {
+            time,
+            normal: { x: dx / distance, y: dy / distance },
+            momentumB: { ...this.stepMomenta.b }
+        };
+        this.takeMomentumSnapshot(this.stepMomenta);
+        this.contactEnd = null;
+        this.contactSamples = [];
+        this.contactImpulse = { impulseA: { x: 0, y: 0 }, impulseB: { x: 0, y: 0 } };
+        this.contactSubStepLimit = false;
+
+        const point = {
+            x: (this.objectA.position.x + this.objectB.position.x) / 2,
+            y: (this.objectA.position.y + this.objectB.position.y) / 2
+        };
+        this.animations.createCollisionEffect(point.x, point.y, 1);
+    }
 
-        // Aplicar Tercera Ley de Newton
-        const collisionResult = this.physics.applyThirdLaw(
-            'object-a',
-            'object-b',
-            this.config.collisionType
-        );
+    /**
+     * Impulso del último contacto elástico: suma de F·dt de cada subpaso (N·s)
+     */
+    getContactImpulse() {
+        const { impulseA, impulseB } = this.contactImpulse;
+        return { impulseA: { ...impulseA }, impulseB: { ...impulseB } };
+    }
 
-        if (collisionResult) {
-            this.collisionForces = {
-                forceA: collisionResult.forceA,
-                forceB: collisionResult.forceB
-            };
+    /**
+     * Cambio de momentum de B durante el último contacto elástico (kg·m/s)
+     * Según el teorema impulso-momentum coincide con el impulso de A sobre B.
+     */
+    getContactMomentumChange() {
+        if (!this.contactStart || !this.objectB) return { x: 0, y: 0 };
 
-            // Crear efectos visuales
-            this.animations.createCollisionEffect(
-                (this.objectA.position.x + this.objectB.position.x) / 2,
-                (this.objectA.position.y + this.objectB.position.y) / 2,
-                2
-            );
+        const end = this.contactActive || !this.contactEnd
+            ? this.physics.calculateMomentum(this.objectB)
+            : this.contactEnd.momentumB;
 
-            this.animations.createExplosionParticles(
-                (this.objectA.position.x + this.objectB.position.x) / 2,
-                (this.objectA.position.y + this.objectB.position.y) / 2,
-                15
-            );
+        return {
+            x: end.x - this.contactStart.momentumB.x,
+            y: end.y - this.contactStart.momentumB.y
+        };
+    }
+
+    /**
+     * Momentum vectorial de A, de B y del sistema A + B (kg·m/s)
+     */
+    getMomentumVectors() {
+        if (!this.objectA || !this.objectB) {
+            return { a: { x: 0, y: 0 }, b: { x: 0, y: 0 }, total: { x: 0, y: 0 } };
+        }
+
+        const a = this.physics.calculateMomentum(this.objectA);
+        const b = this.physics.calculateMomentum(this.objectB);
+        return { a, b, total: { x: a.x + b.x, y: a.y + b.y } };
+    }
+
+    /**
+     * Guardar el momentum "antes" y empezar a contar el impulso externo desde cero
+     */
+    takeMomentumSnapshot(momenta) {
+        this.momentumBefore = {
+            a: { ...momenta.a },
+            b: { ...momenta.b },
+            total: { ...momenta.total }
+        };
+        this.externalImpulse = { x: 0, y: 0 };
+        this.externalSources = new Set();
+    }
+
+    /**
+     * Sumar un impulso externo sobre A o B (N·s) y anotar su origen
+     */
+    addExternalImpulse(impulse, source) {
+        if (impulse.x === 0 && impulse.y === 0) return;
+
+        this.externalImpulse.x += impulse.x;
+        this.externalImpulse.y += impulse.y;
+        this.externalSources.add(source);
+    }
+
+    /**
+     * Impulso de las fuerzas registradas sobre A y B durante el paso
+     * El contacto elástico entre ellos es interno: acción y reacción se anulan.
+     */
+    accumulateExternalForces(dt) {
+        [this.objectA, this.objectB].forEach(object => {
+            if (!object.netForce) return;
+
+            object.netForce.contributions.forEach(contribution => {
+                if (contribution.id === SOFT_CONTACT_ID) return;
+                this.addExternalImpulse({ x: contribution.x * dt, y: contribution.y * dt }, 'fuerzas externas');
+            });
+        });
+    }
+
+    /**
+     * Balance de momentum del sistema A + B desde el último choque entre ellos
+     * Sin fuerzas externas P_después = P_antes; con ellas, P_después = P_antes + J_ext.
+     * `error` es el módulo de lo que no explica ese balance (kg·m/s).
+     */
+    getMomentumBalance() {
+        const after = this.getMomentumVectors();
+        const before = this.momentumBefore || after;
+        const error = {
+            x: after.total.x - before.total.x - this.externalImpulse.x,
+            y: after.total.y - before.total.y - this.externalImpulse.y
+        };
+
+        return {
+            before,
+            after,
+            externalImpulse: { ...this.externalImpulse },
+            error: Math.sqrt(error.x ** 2 + error.y ** 2),
+            isolated: this.externalSources.size === 0,
+            externalSources: Array.from(this.externalSources)
+        };
+    }
+
+    /**
+     * Momentos de A, B y del total vistos por el observador (p' = p − m·V)
+     */
+    toFrameMomenta(momenta) {
+        if (!this.objectA || !this.objectB) return momenta;
+
+        const a = this.toFrameMomentum(momenta.a, this.objectA.mass);
+        const b = this.toFrameMomentum(momenta.b, this.objectB.mass);
+        return { a, b, total: { x: a.x + b.x, y: a.y + b.y } };
+    }
+
+    /**
+     * Balance de momentum visto por el observador
+     * "Antes" y "después" se transforman con la misma velocidad del observador, así
+     * que el error y el impulso externo son los mismos en todos los sistemas. En el
+     * del centro de masa el total es nulo y el choque se ve simétrico.
+     */
+    getFrameMomentumBalance() {
+        const balance = this.getMomentumBalance();
+
+        return {
+            ...balance,
+            before: this.toFrameMomenta(balance.before),
+            after: this.toFrameMomenta(balance.after)
+        };
+    }
+
+    /**
+     * Cuerpos a los que puede ligarse el observador (y que forman el centro de masa)
+     */
+    getFrameBodies() {
+        return [
+            { id: 'object-a', label: 'Objeto A' },
+            { id: 'object-b', label: 'Objeto B' }
+        ];
+    }
+
+    /**
+     * Impulsos del último choque de A y B (N·s) según el modelo de contacto
+     */
+    getCollisionImpulses() {
+        return this.config.contactModel === 'soft' ? this.getContactImpulse() : this.collisionImpulses;
+    }
+
+    /**
+     * Manejar colisión resuelta por el motor
+     */
+    handleCollision(contact) {
+        // Solo el par A-B muestra fuerzas y efectos; los choques de A o B con
+        // otros cuerpos son impulsos externos al sistema A + B
+        const ids = [contact.objectA, contact.objectB];
+        if (!ids.includes('object-a') || !ids.includes('object-b')) {
+            this.collisionCount++;
+            if (ids.includes('object-a') || ids.includes('object-b')) {
+                const onFirst = ids[0] === 'object-a' || ids[0] === 'object-b';
+                this.addExternalImpulse(onFirst ? contact.forceA : contact.forceB, 'otros cuerpos');
+                this.ghostReseed = true;
+            }
+            return;
         }
+
+        this.collisionOccurred = true;
+
+        // Un choque nuevo (no la continuación de un contacto que dura varios pasos)
+        // fija el momentum "antes": el del inicio de este paso
+        const continuing = this.lastPairContactTime !== null &&
+            contact.time - this.lastPairContactTime <= this.motion.timeStep * 1.5;
+        if (!continuing) {
+            this.collisionCount++;
+            this.takeMomentumSnapshot(this.stepMomenta);
+        }
+        this.lastPairContactTime = contact.time;
+
+        // El motor publica impulsos (N·s): el choque rígido es instantáneo. Si el
+        // contacto sigue en los pasos siguientes, su impulso se suma al del choque
+        const aIsFirst = contact.objectA === 'object-a';
+        const impulseA = aIsFirst ? contact.forceA : contact.forceB;
+        const impulseB = aIsFirst ? contact.forceB : contact.forceA;
+        if (continuing) {
+            const { impulseA: totalA, impulseB: totalB } = this.collisionImpulses;
+            this.collisionImpulses = {
+                impulseA: { x: totalA.x + impulseA.x, y: totalA.y + impulseA.y },
+                impulseB: { x: totalB.x + impulseB.x, y: totalB.y + impulseB.y }
+            };
+        } else {
+            this.collisionImpulses = { impulseA: { ...impulseA }, impulseB: { ...impulseB } };
+        }
+
+        // Crear efectos visuales en el punto de contacto
+        this.animations.createCollisionEffect(contact.point.x, contact.point.y, 2);
+        this.animations.createExplosionParticles(contact.point.x, contact.point.y, 15);
+    }
+
+    /**
+     * Registrar los choques de A y B con las paredes y el impulso que reciben
+     */
+    handleBoundary(event) {
+        if (event.objectId !== 'object-a' && event.objectId !== 'object-b') return;
+
+        // Las paredes y los bordes periódicos no están en la solución analítica
+        this.ghostReseed = true;
+        if (event.type !== 'wall') return;
+
+        this.wallHits++;
+        this.lastWallImpulse = event.impulse;
+        this.addExternalImpulse(event.impulse, 'paredes');
+        this.animations.createCollisionEffect(event.point.x, event.point.y, 1);
     }
 
     /**
@@ -210,18 +683,28 @@ export class ThirdLawSimulator {
 
         // Dibujar fondo
         this.renderer.setRenderOptions({ showGrid: true });
+        this.renderer.drawBoundaries(this.physics.bounds, this.physics.boundaries);
 
         // Dibujar trayectoria
         this.renderer.drawTrajectory();
 
         // Dibujar zona de colisión si los objetos están cerca
         if (this.objectA && this.objectB) {
-            const distance = this.physics.calculateDistance(this.objectA, this.objectB);
-            if (distance < 100) {
+            const distance = this.motion.calculateDistance(this.objectA, this.objectB);
+            if (distance < 2) {
                 this.renderer.drawCollisionZone(this.objectA, this.objectB);
             }
         }
 
+        // Dibujar partículas adicionales
+        this.physics.getAllObjects().forEach(object => {
+            if (object !== this.objectA && object !== this.objectB) {
+                this.renderer.drawObject(object);
+            }
+        });
+
+        this.drawGhosts();
+
         // Dibujar objetos
         if (this.objectA) {
             this.renderer.drawObject(this.objectA);
@@ -234,10 +717,17 @@ export class ThirdLawSimulator {
         }
 
         // Dibujar fuerzas de acción y reacción si hay colisión
-        if (this.collisionOccurred) {
+        // (en el modelo elástico, solo mientras dura el contacto)
+        if (this.config.contactModel === 'soft' ? this.contactActive : this.collisionOccurred) {
             this.drawActionReactionForces();
         }
 
+        if (this.config.contactModel === 'soft') {
+            this.drawContactChart();
+        }
+
+        this.drawMomentumDiagram();
+
         // Renderizar efectos
         this.animations.renderEffects();
         this.animations.renderParticles();
@@ -253,12 +743,16 @@ export class ThirdLawSimulator {
         if (!this.objectA || !this.objectB) return;
 
         const ctx = this.renderer.getContext();
+        const renderA = this.renderer.getRenderPosition(this.objectA);
+        const renderB = this.renderer.getRenderPosition(this.objectB);
+        const positionA = this.renderer.worldToScreen(renderA.x, renderA.y);
+        const positionB = this.renderer.worldToScreen(renderB.x, renderB.y);
 
         // Fuerza de A sobre B (acción)
-        const actionStartX = this.objectA.position.x;
-        const actionStartY = this.objectA.position.y;
-        const actionEndX = this.objectB.position.x;
-        const actionEndY = this.objectB.position.y;
+        const actionStartX = positionA.x;
+        const actionStartY = positionA.y;
+        const actionEndX = positionB.x;
+        const actionEndY = positionB.y;
 
         this.renderer.drawVector(
             actionStartX, actionStartY,
@@ -267,10 +761,10 @@ export class ThirdLawSimulator {
         );
 
         // Fuerza de B sobre A (reacción)
-        const reactionStartX = this.objectB.position.x;
-        const reactionStartY = this.objectB.position.y;
-        const reactionEndX = this.objectA.position.x;
-        const reactionEndY = this.objectA.position.y;
+        const reactionStartX = positionB.x;
+        const reactionStartY = positionB.y;
+        const reactionEndX = positionA.x;
+        const reactionEndY = positionA.y;
 
         this.renderer.drawVector(
             reactionStartX, reactionStartY,
@@ -291,6 +785,127 @@ export class ThirdLawSimulator {
         ctx.fillText('F = -F', midX, midY + 5);
     }
 
+    /**
+     * Dibujar F_AB(t) y F_BA(t) del último contacto elástico
+     * Ambas se proyectan sobre la normal de A hacia B: son imágenes especulares
+     * y el área sombreada bajo cada curva es el impulso que recibe cada cuerpo.
+     */
+    drawContactChart() {
+        const normal = this.contactStart ? this.contactStart.normal : { x: 1, y: 0 };
+        const start = this.contactStart ? this.contactStart.time : 0;
+        const along = force => force.x * normal.x + force.y * normal.y;
+
+        // Curva escalonada: cada subpaso aplica una fuerza constante durante su dt
+        const steps = force => {
+            const points = [{ x: 0, y: 0 }];
+            this.contactSamples.forEach(sample => {
+                points.push({ x: sample.t - start, y: along(sample[force]) });
+                points.push({ x: sample.t + sample.dt - start, y: along(sample[force]) });
+            });
+            if (this.contactSamples.length > 0) points.push({ x: points[points.length - 1].x, y: 0 });
+            return points;
+        };
+        const pointsAB = steps('forceB');
+        const pointsBA = steps('forceA');
+        const { impulseA, impulseB } = this.getContactImpulse();
+        const peak = Math.max(1, ...pointsAB.map(point => Math.abs(point.y)));
+        const duration = Math.max(this.calculateContactDuration() * 1.5, ...pointsAB.map(point => point.x));
+
+        this.renderer.drawLineChart(this.chartRect, [
+            {
+                points: pointsAB,
+                color: '#ef4444',
+                fill: 'rgba(239, 68, 68, 0.25)',
+                label: `F A→B: J = ${along(impulseB).toFixed(2)} N⋅s`
+            },
+            {
+                points: pointsBA,
+                color: '#8b5cf6',
+                fill: 'rgba(139, 92, 246, 0.25)',
+                label: `F B→A: J = ${along(impulseA).toFixed(2)} N⋅s`
+            }
+        ], {
+            title: 'Fuerzas de contacto F(t) [N]',
+            xLabel: 's',
+            xRange: [0, duration],
+            yRange: [-peak * 1.1, peak * 1.1]
+        });
+
+        // Teorema impulso-momentum: el área coincide con Δp de B
+        const ctx = this.renderer.getContext();
+        const { x, y, height } = this.chartRect;
+        ctx.fillStyle = '#1f2937';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Δp_B = ${along(this.getContactMomentumChange()).toFixed(2)} kg⋅m/s`, x, y + height + 24);
+
+        // Con menos subpasos de los necesarios el contacto se integra con un paso grueso
+        if (this.contactSubStepLimit) {
+            ctx.fillStyle = '#dc2626';
+            ctx.fillText('Contacto muy rígido: subpasos limitados', x, y + height + 42);
+        }
+    }
+
+    /**
+     * Dibujar el momentum antes y después como suma de vectores (punta con cola)
+     * p_A parte del origen, p_B parte de la punta de p_A y el total P cierra el
+     * triángulo. Ambos diagramas comparten escala para poder compararlos.
+     */
+    drawMomentumDiagram() {
+        const balance = this.getFrameMomentumBalance();
+        const ctx = this.renderer.getContext();
+        const { x, y, width, height } = this.diagramRect;
+        const panelWidth = width / 2;
+        const panelHeight = height - 50;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        const states = [['Antes', balance.before], ['Después', balance.after]];
+        const length = vector => Math.sqrt(vector.x ** 2 + vector.y ** 2);
+        const largest = Math.max(...states.map(([, state]) => Math.max(
+            length(state.a), length(state.b), length(state.total),
+            Math.abs(state.a.x) + Math.abs(state.b.x), Math.abs(state.a.y) + Math.abs(state.b.y)
+        )));
+        const scale = largest > 0 ? 0.8 * Math.min(panelWidth, panelHeight) / largest : 0; // px por kg·m/s
+
+        states.forEach(([title, state], index) => {
+            const left = x + index * panelWidth;
+
+            // Centrar el triángulo 0 → p_A → p_A + p_B en su mitad del recuadro
+            const tips = [{ x: 0, y: 0 }, state.a, state.total];
+            const minX = Math.min(...tips.map(tip => tip.x));
+            const maxX = Math.max(...tips.map(tip => tip.x));
+            const minY = Math.min(...tips.map(tip => tip.y));
+            const maxY = Math.max(...tips.map(tip => tip.y));
+            const originX = left + panelWidth / 2 - (minX + maxX) / 2 * scale;
+            const originY = y + 20 + panelHeight / 2 + (minY + maxY) / 2 * scale;
+            const toScreen = vector => ({ x: originX + vector.x * scale, y: originY - vector.y * scale });
+
+            const tipA = toScreen(state.a);
+            const tipTotal = toScreen(state.total);
+            this.renderer.drawVector(originX, originY, tipA.x, tipA.y, this.objectA ? this.objectA.color : '#f59e0b');
+            this.renderer.drawVector(tipA.x, tipA.y, tipTotal.x, tipTotal.y, this.objectB ? this.objectB.color : '#8b5cf6');
+            this.renderer.drawVector(originX, originY, tipTotal.x, tipTotal.y, '#10b981');
+
+            ctx.fillStyle = '#1f2937';
+            ctx.font = '12px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(title, left + panelWidth / 2, y + 14);
+            ctx.fillText(`|P| = ${length(state.total).toFixed(2)}`, left + panelWidth / 2, y + height - 30);
+        });
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = balance.isolated ? '#047857' : '#b45309';
+        const status = balance.isolated
+            ? 'Sistema aislado'
+            : `No aislado: ${balance.externalSources.join(', ')}`;
+        ctx.fillText(`Error: ${balance.error.toFixed(3)} kg⋅m/s · ${status}`, x + 6, y + height - 10);
+    }
+
     /**
      * Dibujar información de la ley
      */
@@ -300,24 +915,32 @@ export class ThirdLawSimulator {
         const y = 30;
 
         ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(x - 10, y - 20, 250, 100);
+        ctx.fillRect(x - 10, y - 20, 250, 140);
 
         ctx.fillStyle = 'white';
         ctx.font = '14px Inter, sans-serif';
         ctx.textAlign = 'left';
 
         ctx.fillText('Tercera Ley: Acción y Reacción', x, y);
-        ctx.fillText(`Tipo de colisión: ${this.config.collisionType}`, x, y + 20);
+        ctx.fillText(`e = ${this.config.restitution.toFixed(2)}, μ = ${this.config.contactFriction.toFixed(2)}`, x, y + 20);
 
         if (this.objectA && this.objectB) {
-            const momentumA = this.physics.calculateMomentum(this.objectA);
-            const momentumB = this.physics.calculateMomentum(this.objectB);
-            const totalMomentum = momentumA + momentumB;
+            const { a, b, total } = this.toFrameMomenta(this.getMomentumVectors());
+            const format = vector => `(${vector.x.toFixed(1)}, ${vector.y.toFixed(1)})`;
 
-            ctx.fillText(`Momentum A: ${momentumA.toFixed(1)} kg⋅m/s`, x, y + 40);
-            ctx.fillText(`Momentum B: ${momentumB.toFixed(1)} kg⋅m/s`, x, y + 60);
-            ctx.fillText(`Total: ${totalMomentum.toFixed(1)} kg⋅m/s`, x, y + 80);
+            ctx.fillText(`p A: ${format(a)} kg⋅m/s`, x, y + 40);
+            ctx.fillText(`p B: ${format(b)} kg⋅m/s`, x, y + 60);
+            ctx.fillText(`P total: ${format(total)} kg⋅m/s`, x, y + 80);
         }
+
+        const wallImpulse = Math.hypot(this.lastWallImpulse.x, this.lastWallImpulse.y);
+        ctx.fillText(`Paredes: ${this.wallHits} choques, J = ${wallImpulse.toFixed(2)} N⋅s`, x, y + 100);
+
+        const { impulseB } = this.getCollisionImpulses();
+        const contactText = this.config.contactModel === 'soft'
+            ? `k = ${this.config.contactStiffness} N/m, Δt ≈ ${this.calculateContactDuration().toFixed(2)} s`
+            : 'choque instantáneo';
+        ctx.fillText(`J A→B = ${Math.hypot(impulseB.x, impulseB.y).toFixed(2)} N⋅s (${contactText})`, x, y + 120);
     }
 
     /**
@@ -333,6 +956,35 @@ export class ThirdLawSimulator {
         if (this.objectB && newConfig.objectBMass !== undefined) {
             this.objectB.mass = newConfig.objectBMass;
         }
+
+        // Los tipos de colisión son preajustes del coeficiente de restitución
+        if (newConfig.collisionType !== undefined && newConfig.restitution === undefined) {
+            this.config.restitution = RESTITUTION_PRESETS[newConfig.collisionType] ?? this.config.restitution;
+        }
+
+        if (newConfig.walls !== undefined) {
+            this.applyWalls();
+        }
+
+        if (newConfig.objectShape !== undefined && this.objectA && this.objectB) {
+            this.applyShape(this.objectA);
+            this.applyShape(this.objectB);
+        }
+
+        if (newConfig.restitution !== undefined || newConfig.contactFriction !== undefined ||
+            newConfig.collisionType !== undefined) {
+            this.applyMaterials();
+        }
+
+        // La rigidez, las masas y la restitución fijan el resorte-amortiguador
+        if (newConfig.contactModel !== undefined || newConfig.contactStiffness !== undefined ||
+            newConfig.objectAMass !== undefined || newConfig.objectBMass !== undefined ||
+            newConfig.restitution !== undefined || newConfig.collisionType !== undefined) {
+            this.applyContactModel();
+        }
+
+        // El choque previsto depende de las masas y de la restitución
+        this.seedGhost();
     }
 
     /**
@@ -341,39 +993,64 @@ export class ThirdLawSimulator {
     getInfo() {
         if (!this.objectA || !this.objectB) return null;
 
-        const momentumA = this.physics.calculateMomentum(this.objectA);
-        const momentumB = this.physics.calculateMomentum(this.objectB);
-        const totalMomentum = momentumA + momentumB;
+        const balance = this.getFrameMomentumBalance();
+
+        // Fuerzas (N) solo existen con contacto elástico; el choque rígido entrega impulsos (N·s)
+        const { impulseA, impulseB } = this.getCollisionImpulses();
+        const soft = this.config.contactModel === 'soft';
 
         return {
-            forceAB: this.collisionForces.forceA,
-            forceBA: this.collisionForces.forceB,
-            momentum: totalMomentum,
-            momentumA,
-            momentumB,
+            forceAB: soft ? this.contactForces.forceB : { x: 0, y: 0 },
+            forceBA: soft ? this.contactForces.forceA : { x: 0, y: 0 },
+            impulseAB: impulseB,
+            impulseBA: impulseA,
+            contactModel: this.config.contactModel,
+            contactStiffness: this.config.contactStiffness,
+            frameLabel: this.getFrameLabel(),
+            momentum: balance.after.total,
+            momentumA: balance.after.a,
+            momentumB: balance.after.b,
+            momentumBefore: balance.before.total,
+            externalImpulse: balance.externalImpulse,
+            momentumError: balance.error,
+            isolated: balance.isolated,
+            isolation: balance.isolated ? 'Aislado' : `No aislado (${balance.externalSources.join(', ')})`,
             collisionOccurred: this.collisionOccurred,
-            collisionType: this.config.collisionType
+            collisionType: this.config.collisionType,
+            restitution: this.config.restitution,
+            contactFriction: this.config.contactFriction,
+            bodies: this.physics.objects.size,
+            collisionCount: this.collisionCount,
+            walls: this.config.walls,
+            wallHits: this.wallHits,
+            wallImpulse: this.lastWallImpulse,
+            // Energía perdida por A y B en choques y paredes (en un contacto elástico, solo
+            // la del amortiguador: la que guarda el resorte la devuelve al separarse)
+            dissipatedEnergy: this.physics.getEnergyLedger([this.objectA.id, this.objectB.id]).dissipated,
+            analyticError: this.getAnalyticError(),
+            analyticErrorLabel: this.getAnalyticErrorLabel(),
+            angularVelocityA: this.objectA.angularVelocity,
+            angularVelocityB: this.objectB.angularVelocity,
+            spin: `${this.objectA.angularVelocity.toFixed(2)} / ${this.objectB.angularVelocity.toFixed(2)}`,
+            angularMomentum: this.physics.calculateAngularMomentum(this.objectA) +
+                this.physics.calculateAngularMomentum(this.objectB)
         };
     }
 
     /**
      * Obtener estadísticas de momentum
+     * Módulos de p_A, p_B y de su suma vectorial (el total no es |p_A| + |p_B|),
+     * vistos por el observador.
      */
     getMomentumStats() {
-        if (!this.objectA || !this.objectB) return {
-            momentumA: 0,
-            momentumB: 0,
-            totalMomentum: 0
-        };
-
-        const momentumA = this.physics.calculateMomentum(this.objectA);
-        const momentumB = this.physics.calculateMomentum(this.objectB);
-        const totalMomentum = momentumA + momentumB;
+        const { a, b, total } = this.toFrameMomenta(this.getMomentumVectors());
+        const length = vector => Math.sqrt(vector.x ** 2 + vector.y ** 2);
 
         return {
-            momentumA,
-            momentumB,
-            totalMomentum
+            momentumA: length(a),
+            momentumB: length(b),
+            totalMomentum: length(total),
+            momentumError: this.getMomentumBalance().error
         };
     }
 
@@ -385,22 +1062,134 @@ export class ThirdLawSimulator {
             'elastic-collision': {
                 objectAMass: 1,
                 objectBMass: 1,
-                collisionType: 'elastic'
+                collisionType: 'elastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'rigid'
             },
             'inelastic-collision': {
                 objectAMass: 2,
                 objectBMass: 1,
-                collisionType: 'inelastic'
+                collisionType: 'inelastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'rigid'
             },
             'heavy-light': {
                 objectAMass: 5,
                 objectBMass: 1,
-                collisionType: 'elastic'
+                collisionType: 'elastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'rigid'
             },
             'perfectly-inelastic': {
                 objectAMass: 1,
                 objectBMass: 2,
-                collisionType: 'perfectly-inelastic'
+                collisionType: 'perfectly-inelastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'rigid'
+            },
+            'glancing-collision': {
+                objectAMass: 1,
+                objectBMass: 1,
+                collisionType: 'inelastic',
+                contactFriction: 0.5,
+                objectShape: 'ball',
+                impactParameter: 0.5,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'rigid'
+            },
+            'box-collision': {
+                objectAMass: 1,
+                objectBMass: 1,
+                collisionType: 'inelastic',
+                contactFriction: 0.3,
+                objectShape: 'box',
+                impactParameter: 0.4,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'rigid'
+            },
+            'high-speed': {
+                objectAMass: 1,
+                objectBMass: 1,
+                collisionType: 'elastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 90,
+                velocityB: -60,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'rigid'
+            },
+            'many-bodies': {
+                objectAMass: 1,
+                objectBMass: 2,
+                collisionType: 'elastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 200,
+                walls: 'elastic',
+                contactModel: 'rigid'
+            },
+            'soft-collision': {
+                objectAMass: 1,
+                objectBMass: 2,
+                collisionType: 'elastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'soft',
+                contactStiffness: 300
+            },
+            'damped-contact': {
+                objectAMass: 2,
+                objectBMass: 1,
+                collisionType: 'inelastic',
+                contactFriction: 0,
+                objectShape: 'ball',
+                impactParameter: 0,
+                velocityA: 5,
+                velocityB: -3,
+                extraBodies: 0,
+                walls: 'elastic',
+                contactModel: 'soft',
+                contactStiffness: 150
             }
         };
 
@@ -419,19 +1208,10 @@ export class ThirdLawSimulator {
 
         // Mover objetos para que colisionen
         if (this.objectA && this.objectB) {
-            this.objectA.position.x = this.objectB.position.x - 50;
+            this.objectA.position.x = this.objectB.position.x - 1;
             this.objectA.velocity.x = 10;
             this.objectB.velocity.x = -5;
+            this.seedGhost();
         }
     }
-
-    /**
-     * Destruir simulador
-     */
-    destroy() {
-        this.stop();
-        this.physics.clear();
-        this.forces.clear();
-        this.animations.stopAllAnimations();
-    }
 }
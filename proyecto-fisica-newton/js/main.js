@@ -8,6 +8,14 @@ import { PanelSystem } from './ui/panels.js';
 import { FirstLawSimulator } from './law-simulators/first-law-simulator.js';
 import { SecondLawSimulator } from './law-simulators/second-law-simulator.js';
 import { ThirdLawSimulator } from './law-simulators/third-law-simulator.js';
+import { InclinedPlaneSimulator } from './law-simulators/inclined-plane-simulator.js';
+import { PendulumSimulator } from './law-simulators/pendulum-simulator.js';
+import { PulleySimulator } from './law-simulators/pulley-simulator.js';
+import { OrbitSimulator } from './law-simulators/orbit-simulator.js';
+import { ProjectileSimulator } from './law-simulators/projectile-simulator.js';
+import { SkydiverSimulator } from './law-simulators/skydiver-simulator.js';
+import { RocketSimulator } from './law-simulators/rocket-simulator.js';
+import { IntegratorComparisonSimulator } from './law-simulators/integrator-comparison-simulator.js';
 
 class NewtonLawsApp {
     constructor() {
@@ -15,6 +23,7 @@ class NewtonLawsApp {
         this.panelSystem = new PanelSystem();
         this.simulators = new Map();
         this.currentLaw = 'first';
+        this.panelInterval = null;
         this.isInitialized = false;
 
         this.init();
@@ -40,6 +49,9 @@ class NewtonLawsApp {
             // Configurar controles
             this.setupControls();
 
+            // Refrescar paneles mientras la simulación corre
+            this.startPanelUpdates();
+
             this.isInitialized = true;
             console.log('Aplicación inicializada correctamente');
 
@@ -68,6 +80,30 @@ class NewtonLawsApp {
 
         // Simulador de la Tercera Ley
         this.simulators.set('third', new ThirdLawSimulator('third-law-canvas'));
+
+        // Plano inclinado
+        this.simulators.set('incline', new InclinedPlaneSimulator('incline-law-canvas'));
+
+        // Péndulo simple
+        this.simulators.set('pendulum', new PendulumSimulator('pendulum-law-canvas'));
+
+        // Sistemas de poleas
+        this.simulators.set('pulley', new PulleySimulator('pulley-law-canvas'));
+
+        // Gravitación universal y órbitas
+        this.simulators.set('orbit', new OrbitSimulator('orbit-law-canvas'));
+
+        // Tiro parabólico
+        this.simulators.set('projectile', new ProjectileSimulator('projectile-law-canvas'));
+
+        // Paracaidista y velocidad terminal
+        this.simulators.set('skydiver', new SkydiverSimulator('skydiver-law-canvas'));
+
+        // Cohete de masa variable
+        this.simulators.set('rocket', new RocketSimulator('rocket-law-canvas'));
+
+        // Comparación de integradores numéricos
+        this.simulators.set('integrators', new IntegratorComparisonSimulator('integrators-law-canvas'));
     }
 
     /**
@@ -88,6 +124,30 @@ class NewtonLawsApp {
         // Controles de la Tercera Ley
         this.setupThirdLawControls();
 
+        // Controles del plano inclinado
+        this.setupInclineControls();
+
+        // Controles del péndulo
+        this.setupPendulumControls();
+
+        // Controles de las poleas
+        this.setupPulleyControls();
+
+        // Controles de las órbitas
+        this.setupOrbitControls();
+
+        // Controles del tiro parabólico
+        this.setupProjectileControls();
+
+        // Controles del paracaidista
+        this.setupSkydiverControls();
+
+        // Controles del cohete
+        this.setupRocketControls();
+
+        // Controles de la comparación de integradores
+        this.setupIntegratorControls();
+
         // Eventos de ventana
         window.addEventListener('resize', () => {
             this.handleResize();
@@ -120,6 +180,11 @@ class NewtonLawsApp {
             simulator.updateConfig({ surfaceType: value });
         });
 
+        // Pista sin fin (extremos periódicos) o con paredes
+        this.controlSystem.onControlChange('first-law', 'track-type', (value) => {
+            simulator.updateConfig({ track: value });
+        });
+
         // Botones de control
         this.controlSystem.onControlChange('first-law', 'start', () => {
             simulator.start();
@@ -153,6 +218,24 @@ class NewtonLawsApp {
             simulator.updateConfig({ forceDirection: value });
         });
 
+        // Punto de aplicación (fuera del centro produce torque)
+        this.controlSystem.onControlChange('second-law', 'application-height', (value) => {
+            simulator.updateConfig({ applicationHeight: value });
+        });
+
+        // Perfil F(t) en tiempo de simulación; el editor parte del perfil dibujado del simulador
+        this.controlSystem.setForceSketch(simulator.config.forceSketch);
+
+        this.controlSystem.onControlChange('second-law', 'force-profile', (value) => {
+            simulator.updateConfig({ forceProfile: value });
+            this.updatePanelInfo('second');
+        });
+
+        this.controlSystem.onControlChange('second-law', 'force-sketch', (points) => {
+            simulator.updateConfig({ forceProfile: 'piecewise', forceSketch: points });
+            this.updatePanelInfo('second');
+        });
+
         // Botones de control
         this.controlSystem.onControlChange('second-law', 'start', () => {
             simulator.start();
@@ -181,9 +264,34 @@ class NewtonLawsApp {
             simulator.updateConfig({ objectBMass: value });
         });
 
-        // Tipo de colisión
-        this.controlSystem.onControlChange('third-law', 'collision-type', (value) => {
-            simulator.updateConfig({ collisionType: value });
+        // Coeficiente de restitución (el selector de tipo de colisión lo preajusta)
+        this.controlSystem.onControlChange('third-law', 'restitution', (value) => {
+            simulator.updateConfig({ restitution: value });
+        });
+
+        // Fricción entre objetos
+        this.controlSystem.onControlChange('third-law', 'contact-friction', (value) => {
+            simulator.updateConfig({ contactFriction: value });
+        });
+
+        // Forma de los objetos (círculo o polígono convexo)
+        this.controlSystem.onControlChange('third-law', 'object-shape', (value) => {
+            simulator.updateConfig({ objectShape: value });
+        });
+
+        // Bordes del recinto: paredes elásticas, con pérdidas, periódicos o abiertos
+        this.controlSystem.onControlChange('third-law', 'wall-type', (value) => {
+            simulator.updateConfig({ walls: value });
+        });
+
+        // Modelo de contacto: impulso instantáneo o resorte-amortiguador
+        this.controlSystem.onControlChange('third-law', 'contact-model', (value) => {
+            simulator.updateConfig({ contactModel: value });
+        });
+
+        // Rigidez del contacto elástico
+        this.controlSystem.onControlChange('third-law', 'contact-stiffness', (value) => {
+            simulator.updateConfig({ contactStiffness: value });
         });
 
         // Botones de control
@@ -198,6 +306,359 @@ class NewtonLawsApp {
         });
     }
 
+    /**
+     * Configurar controles del plano inclinado
+     */
+    setupInclineControls() {
+        const simulator = this.simulators.get('incline');
+
+        this.controlSystem.onControlChange('incline-law', 'angle', (value) => {
+            simulator.updateConfig({ angle: value });
+            this.updatePanelInfo('incline');
+        });
+
+        this.controlSystem.onControlChange('incline-law', 'surface-type', (value) => {
+            simulator.updateConfig({ surfaceType: value });
+            this.updatePanelInfo('incline');
+        });
+
+        this.controlSystem.onControlChange('incline-law', 'block-mass', (value) => {
+            simulator.updateConfig({ blockMass: value });
+            this.updatePanelInfo('incline');
+        });
+
+        this.controlSystem.onControlChange('incline-law', 'start', () => {
+            simulator.start();
+            this.updatePanelInfo('incline');
+        });
+
+        this.controlSystem.onControlChange('incline-law', 'reset', () => {
+            simulator.reset();
+            this.updatePanelInfo('incline');
+        });
+    }
+
+    /**
+     * Configurar controles del péndulo
+     */
+    setupPendulumControls() {
+        const simulator = this.simulators.get('pendulum');
+
+        this.controlSystem.onControlChange('pendulum-law', 'length', (value) => {
+            simulator.updateConfig({ length: value });
+            this.updatePanelInfo('pendulum');
+        });
+
+        this.controlSystem.onControlChange('pendulum-law', 'bob-mass', (value) => {
+            simulator.updateConfig({ bobMass: value });
+            this.updatePanelInfo('pendulum');
+        });
+
+        this.controlSystem.onControlChange('pendulum-law', 'release-angle', (value) => {
+            simulator.updateConfig({ releaseAngle: value });
+            this.updatePanelInfo('pendulum');
+        });
+
+        this.controlSystem.onControlChange('pendulum-law', 'air-resistance', (value) => {
+            simulator.updateConfig({ airResistance: value });
+            this.updatePanelInfo('pendulum');
+        });
+
+        this.controlSystem.onControlChange('pendulum-law', 'start', () => {
+            simulator.start();
+            this.updatePanelInfo('pendulum');
+        });
+
+        this.controlSystem.onControlChange('pendulum-law', 'reset', () => {
+            simulator.reset();
+            this.updatePanelInfo('pendulum');
+        });
+    }
+
+    /**
+     * Configurar controles de las poleas
+     */
+    setupPulleyControls() {
+        const simulator = this.simulators.get('pulley');
+
+        this.controlSystem.onControlChange('pulley-law', 'setup', (value) => {
+            simulator.updateConfig({ setup: value });
+            this.updatePanelInfo('pulley');
+        });
+
+        this.controlSystem.onControlChange('pulley-law', 'mass-1', (value) => {
+            simulator.updateConfig({ mass1: value });
+            this.updatePanelInfo('pulley');
+        });
+
+        this.controlSystem.onControlChange('pulley-law', 'mass-2', (value) => {
+            simulator.updateConfig({ mass2: value });
+            this.updatePanelInfo('pulley');
+        });
+
+        this.controlSystem.onControlChange('pulley-law', 'friction', (value) => {
+            simulator.updateConfig({ friction: value });
+            this.updatePanelInfo('pulley');
+        });
+
+        this.controlSystem.onControlChange('pulley-law', 'pulley-inertia', (value) => {
+            simulator.updateConfig({ pulleyInertia: value });
+            this.updatePanelInfo('pulley');
+        });
+
+        this.controlSystem.onControlChange('pulley-law', 'incline-angle', (value) => {
+            simulator.updateConfig({ inclineAngle: value });
+            this.updatePanelInfo('pulley');
+        });
+
+        this.controlSystem.onControlChange('pulley-law', 'start', () => {
+            simulator.start();
+            this.updatePanelInfo('pulley');
+        });
+
+        this.controlSystem.onControlChange('pulley-law', 'reset', () => {
+            simulator.reset();
+            this.updatePanelInfo('pulley');
+        });
+    }
+
+    /**
+     * Configurar controles de las órbitas
+     */
+    setupOrbitControls() {
+        const simulator = this.simulators.get('orbit');
+
+        this.controlSystem.onControlChange('orbit-law', 'gravitational-constant', (value) => {
+            simulator.updateConfig({ gravitationalConstant: value });
+            this.updatePanelInfo('orbit');
+        });
+
+        this.controlSystem.onControlChange('orbit-law', 'planet-mass', (value) => {
+            simulator.updateConfig({ planetMass: value });
+            this.updatePanelInfo('orbit');
+        });
+
+        this.controlSystem.onControlChange('orbit-law', 'satellite-mass', (value) => {
+            simulator.updateConfig({ satelliteMass: value });
+            this.updatePanelInfo('orbit');
+        });
+
+        this.controlSystem.onControlChange('orbit-law', 'orbit-radius', (value) => {
+            simulator.updateConfig({ orbitRadius: value });
+            this.updatePanelInfo('orbit');
+        });
+
+        this.controlSystem.onControlChange('orbit-law', 'launch-speed', (value) => {
+            simulator.updateConfig({ launchSpeed: value });
+            this.updatePanelInfo('orbit');
+        });
+
+        this.controlSystem.onControlChange('orbit-law', 'launch-angle', (value) => {
+            simulator.updateConfig({ launchAngle: value });
+            this.updatePanelInfo('orbit');
+        });
+
+        this.controlSystem.onControlChange('orbit-law', 'start', () => {
+            simulator.start();
+            this.updatePanelInfo('orbit');
+        });
+
+        this.controlSystem.onControlChange('orbit-law', 'reset', () => {
+            simulator.reset();
+            this.updatePanelInfo('orbit');
+        });
+    }
+
+    /**
+     * Configurar controles del tiro parabólico
+     */
+    setupProjectileControls() {
+        const simulator = this.simulators.get('projectile');
+
+        this.controlSystem.onControlChange('projectile-law', 'speed', (value) => {
+            simulator.updateConfig({ launchSpeed: value });
+            this.updatePanelInfo('projectile');
+        });
+
+        this.controlSystem.onControlChange('projectile-law', 'angle', (value) => {
+            simulator.updateConfig({ launchAngle: value });
+            this.updatePanelInfo('projectile');
+        });
+
+        this.controlSystem.onControlChange('projectile-law', 'height', (value) => {
+            simulator.updateConfig({ launchHeight: value });
+            this.updatePanelInfo('projectile');
+        });
+
+        this.controlSystem.onControlChange('projectile-law', 'drag', (value) => {
+            simulator.updateConfig({ airResistance: value });
+            this.updatePanelInfo('projectile');
+        });
+
+        this.controlSystem.onControlChange('projectile-law', 'target-distance', (value) => {
+            simulator.updateConfig({ targetDistance: value });
+            this.updatePanelInfo('projectile');
+        });
+
+        this.controlSystem.onControlChange('projectile-law', 'start', () => {
+            simulator.start();
+            this.updatePanelInfo('projectile');
+        });
+
+        this.controlSystem.onControlChange('projectile-law', 'reset', () => {
+            simulator.reset();
+            this.updatePanelInfo('projectile');
+        });
+    }
+
+    /**
+     * Configurar controles del paracaidista
+     */
+    setupSkydiverControls() {
+        const simulator = this.simulators.get('skydiver');
+
+        // Modelo de arrastre: lineal o cuadrático
+        this.controlSystem.onControlChange('skydiver-law', 'drag-model', (value) => {
+            simulator.updateConfig({ dragModel: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'mass', (value) => {
+            simulator.updateConfig({ mass: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'air-density', (value) => {
+            simulator.updateConfig({ airDensity: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'body-area', (value) => {
+            simulator.updateConfig({ area: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'drag-coefficient', (value) => {
+            simulator.updateConfig({ dragCoefficient: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'linear-coefficient', (value) => {
+            simulator.updateConfig({ linearCoefficient: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'drop-altitude', (value) => {
+            simulator.updateConfig({ dropAltitude: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        // Paracaídas: apertura a una altura, a un tiempo o nunca
+        this.controlSystem.onControlChange('skydiver-law', 'parachute-mode', (value) => {
+            simulator.updateConfig({ parachuteMode: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'parachute-altitude', (value) => {
+            simulator.updateConfig({ parachuteAltitude: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'parachute-time', (value) => {
+            simulator.updateConfig({ parachuteTime: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'parachute-area', (value) => {
+            simulator.updateConfig({ parachuteArea: value });
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'start', () => {
+            simulator.start();
+            this.updatePanelInfo('skydiver');
+        });
+
+        this.controlSystem.onControlChange('skydiver-law', 'reset', () => {
+            simulator.reset();
+            this.updatePanelInfo('skydiver');
+        });
+    }
+
+    /**
+     * Configurar controles del cohete
+     */
+    setupRocketControls() {
+        const simulator = this.simulators.get('rocket');
+
+        // Entorno: lanzamiento con peso o en el espacio libre
+        this.controlSystem.onControlChange('rocket-law', 'environment', (value) => {
+            simulator.updateConfig({ environment: value });
+            this.updatePanelInfo('rocket');
+        });
+
+        this.controlSystem.onControlChange('rocket-law', 'initial-mass', (value) => {
+            simulator.updateConfig({ initialMass: value });
+            this.updatePanelInfo('rocket');
+        });
+
+        this.controlSystem.onControlChange('rocket-law', 'fuel-mass', (value) => {
+            simulator.updateConfig({ fuelMass: value });
+            this.updatePanelInfo('rocket');
+        });
+
+        this.controlSystem.onControlChange('rocket-law', 'exhaust-speed', (value) => {
+            simulator.updateConfig({ exhaustSpeed: value });
+            this.updatePanelInfo('rocket');
+        });
+
+        this.controlSystem.onControlChange('rocket-law', 'mass-flow-rate', (value) => {
+            simulator.updateConfig({ massFlowRate: value });
+            this.updatePanelInfo('rocket');
+        });
+
+        this.controlSystem.onControlChange('rocket-law', 'start', () => {
+            simulator.start();
+            this.updatePanelInfo('rocket');
+        });
+
+        this.controlSystem.onControlChange('rocket-law', 'reset', () => {
+            simulator.reset();
+            this.updatePanelInfo('rocket');
+        });
+    }
+
+    /**
+     * Configurar controles de la comparación de integradores
+     */
+    setupIntegratorControls() {
+        const simulator = this.simulators.get('integrators');
+
+        this.controlSystem.onControlChange('integrators-law', 'integrator-a', (value) => {
+            simulator.updateConfig({ integratorA: value });
+        });
+
+        this.controlSystem.onControlChange('integrators-law', 'integrator-b', (value) => {
+            simulator.updateConfig({ integratorB: value });
+        });
+
+        this.controlSystem.onControlChange('integrators-law', 'scenario', (value) => {
+            simulator.updateConfig({ scenario: value });
+        });
+
+        this.controlSystem.onControlChange('integrators-law', 'time-step', (value) => {
+            simulator.updateConfig({ timeStep: value });
+        });
+
+        this.controlSystem.onControlChange('integrators-law', 'start', () => {
+            simulator.start();
+        });
+
+        this.controlSystem.onControlChange('integrators-law', 'reset', () => {
+            simulator.reset();
+        });
+    }
+
     /**
      * Cambiar de ley activa
      */
@@ -219,6 +680,18 @@ class NewtonLawsApp {
         console.log(`Cambiado a la ${law} ley de Newton`);
     }
 
+    /**
+     * Refrescar periódicamente el panel de la ley activa
+     */
+    startPanelUpdates() {
+        this.panelInterval = setInterval(() => {
+            const simulator = this.simulators.get(this.currentLaw);
+            if (simulator && simulator.isRunning) {
+                this.updatePanelInfo(this.currentLaw);
+            }
+        }, 100);
+    }
+
     /**
      * Actualizar información del panel
      */
@@ -271,6 +744,70 @@ class NewtonLawsApp {
 
         // Configurar ejemplos predefinidos
         this.setupExamples();
+
+        // Selector de integrador en cada simulador de las leyes
+        this.setupIntegratorSelectors();
+
+        // Fantasma de la solución analítica en las tres leyes
+        this.setupGhostToggles();
+
+        // Sistema de referencia (Galileo) en las tres leyes
+        this.setupFrameSelectors();
+    }
+
+    /**
+     * Añadir un selector de integrador a cada ley
+     */
+    setupIntegratorSelectors() {
+        ['first', 'second', 'third', 'incline', 'pendulum', 'pulley', 'orbit', 'projectile', 'skydiver', 'rocket'].forEach(law => {
+            const simulator = this.simulators.get(law);
+            if (!simulator) return;
+
+            this.controlSystem.createIntegratorSelector(law, simulator.motion.integrator);
+            this.controlSystem.onControlChange(`${law}-law`, 'integrator', (value) => {
+                simulator.motion.setIntegrator(value);
+            });
+        });
+    }
+
+    /**
+     * Añadir la casilla del fantasma analítico a cada ley
+     */
+    setupGhostToggles() {
+        ['first', 'second', 'third'].forEach(law => {
+            const simulator = this.simulators.get(law);
+            if (!simulator) return;
+
+            this.controlSystem.createGhostToggle(law, simulator.showGhost);
+            this.controlSystem.onControlChange(`${law}-law`, 'ghost', (value) => {
+                simulator.setGhostVisible(value);
+            });
+        });
+    }
+
+    /**
+     * Añadir el selector del sistema de referencia a cada ley
+     * 'body:<id>' liga el observador a ese cuerpo; el resto son tipos de sistema.
+     */
+    setupFrameSelectors() {
+        ['first', 'second', 'third'].forEach(law => {
+            const simulator = this.simulators.get(law);
+            if (!simulator) return;
+
+            this.controlSystem.createFrameSelector(law, simulator.getFrameBodies(), simulator.frame.velocity.x);
+            this.controlSystem.onControlChange(`${law}-law`, 'frame', (value) => {
+                if (value.startsWith('body:')) {
+                    simulator.setFrame({ type: 'body', bodyId: value.slice('body:'.length) });
+                } else {
+                    simulator.setFrame({ type: value });
+                }
+                this.updatePanelInfo(law);
+            });
+            this.controlSystem.onControlChange(`${law}-law`, 'frame-velocity', (value) => {
+                simulator.setFrame({ velocity: { x: value, y: 0 } });
+                this.updatePanelInfo(law);
+            });
+        });
     }
 
     /**
@@ -321,11 +858,73 @@ class NewtonLawsApp {
         this.addExampleButton('second', 'Empuje Ligero', 'light-push');
         this.addExampleButton('second', 'Empuje Fuerte', 'heavy-push');
         this.addExampleButton('second', 'Fuerza Angulada', 'angled-force');
+        this.addExampleButton('second', 'Empuje en la Esquina', 'corner-push');
+        this.addExampleButton('second', 'Bloques con Cuerda', 'string-pull');
+        this.addExampleButton('second', 'Rampa de Fuerza', 'ramp-push');
+        this.addExampleButton('second', 'Fuerza Oscilante', 'oscillating-force');
+        this.addExampleButton('second', 'Golpe (Impulso)', 'impulse-kick');
+        this.addExampleButton('second', 'Fuerza Dibujada', 'sketched-force');
 
         // Ejemplos para la Tercera Ley
         this.addExampleButton('third', 'Colisión Elástica', 'elastic-collision');
         this.addExampleButton('third', 'Colisión Inelástica', 'inelastic-collision');
         this.addExampleButton('third', 'Choque Perfecto', 'perfectly-inelastic');
+        this.addExampleButton('third', 'Choque Oblicuo', 'glancing-collision');
+        this.addExampleButton('third', 'Choque de Cajas', 'box-collision');
+        this.addExampleButton('third', 'Alta Velocidad', 'high-speed');
+        this.addExampleButton('third', 'Muchas Partículas', 'many-bodies');
+        this.addExampleButton('third', 'Contacto Elástico', 'soft-collision');
+        this.addExampleButton('third', 'Contacto Amortiguado', 'damped-contact');
+
+        // Ejemplos para el plano inclinado
+        this.addExampleButton('incline', 'Madera que Sostiene', 'wood-holds');
+        this.addExampleButton('incline', 'Hielo que Desliza', 'ice-slides');
+        this.addExampleButton('incline', 'Ángulo Crítico', 'asphalt-critical');
+        this.addExampleButton('incline', 'Arena Empinada', 'sand-steep');
+
+        // Ejemplos para el péndulo
+        this.addExampleButton('pendulum', 'Lenteja Ligera', 'light-bob');
+        this.addExampleButton('pendulum', 'Lenteja Pesada', 'heavy-bob');
+        this.addExampleButton('pendulum', 'Gran Amplitud', 'large-angle');
+        this.addExampleButton('pendulum', 'Con Aire', 'air-damped');
+
+        // Ejemplos para las poleas
+        this.addExampleButton('pulley', 'Atwood Clásica', 'classic-atwood');
+        this.addExampleButton('pulley', 'Polea Pesada', 'heavy-pulley');
+        this.addExampleButton('pulley', 'Bloque Arrastrado', 'table-pull');
+        this.addExampleButton('pulley', 'La Fricción lo Sostiene', 'table-holds');
+        this.addExampleButton('pulley', 'Plano con Polea', 'incline-pulley');
+
+        // Ejemplos para las órbitas
+        this.addExampleButton('orbit', 'Órbita Circular', 'circular');
+        this.addExampleButton('orbit', 'Órbita Elíptica', 'elliptical');
+        this.addExampleButton('orbit', 'Velocidad de Escape', 'escape');
+        this.addExampleButton('orbit', 'Sistema Binario', 'binary');
+        this.addExampleButton('orbit', 'Choque con el Planeta', 'crash');
+
+        // Ejemplos para el tiro parabólico
+        this.addExampleButton('projectile', 'Alcance Máximo (45°)', 'max-range');
+        this.addExampleButton('projectile', 'Tiro Bajo (30°)', 'low-angle');
+        this.addExampleButton('projectile', 'Tiro Alto (60°)', 'high-angle');
+        this.addExampleButton('projectile', 'Desde un Acantilado', 'cliff-launch');
+        this.addExampleButton('projectile', 'Con Aire', 'with-drag');
+
+        // Ejemplos para el paracaidista
+        this.addExampleButton('skydiver', 'Posición Plana', 'belly-to-earth');
+        this.addExampleButton('skydiver', 'Cabeza Abajo', 'head-down');
+        this.addExampleButton('skydiver', 'Arrastre de Stokes', 'stokes-drag');
+        this.addExampleButton('skydiver', 'Apertura a los 8 s', 'timed-opening');
+
+        // Ejemplos para el cohete
+        this.addExampleButton('rocket', 'Lanzamiento', 'earth-launch');
+        this.addExampleButton('rocket', 'Espacio Libre', 'deep-space');
+        this.addExampleButton('rocket', 'Carga Pesada', 'heavy-payload');
+        this.addExampleButton('rocket', 'Empuje Escaso', 'low-thrust');
+        this.addExampleButton('rocket', 'Escape Rápido', 'fast-exhaust');
+
+        // Ejemplos para la comparación de integradores
+        this.addExampleButton('integrators', 'Euler vs Simpléctico', 'euler-vs-symplectic');
+        this.addExampleButton('integrators', 'Verlet vs RK4', 'verlet-vs-rk4');
     }
 
     /**
@@ -363,6 +962,10 @@ class NewtonLawsApp {
                 if (container) {
                     const rect = container.getBoundingClientRect();
                     simulator.renderer.resize(rect.width, rect.height);
+
+                    // Los límites del mundo (m) siguen al área visible
+                    simulator.physics.setBounds(simulator.renderer.getWorldBounds());
+                    simulator.render();
                 }
             }
         });
@@ -390,9 +993,30 @@ class NewtonLawsApp {
             case '3':
                 this.switchLaw('third');
                 break;
+            case '+':
+                this.changeTimeScale(2);
+                break;
+            case '-':
+                this.changeTimeScale(0.5);
+                break;
         }
     }
 
+    /**
+     * Cambiar la escala de tiempo de la simulación actual
+     */
+    changeTimeScale(factor) {
+        const simulator = this.simulators.get(this.currentLaw);
+        if (!simulator) return;
+
+        simulator.motion.setTimeScale(simulator.motion.timeScale * factor);
+        this.panelSystem.showNotification(
+            `Escala de tiempo: ${simulator.motion.timeScale.toFixed(2)}x`,
+            'info',
+            1500
+        );
+    }
+
     /**
      * Alternar simulación actual
      */
@@ -443,6 +1067,8 @@ class NewtonLawsApp {
      * Destruir aplicación
      */
     destroy() {
+        clearInterval(this.panelInterval);
+
         this.simulators.forEach(simulator => {
             if (simulator.destroy) {
                 simulator.destroy();
@@ -0,0 +1,537 @@
+/**
+ * Sistema de Colisiones
+ * Fase amplia con una rejilla uniforme (spatial hash), fase estrecha
+ * entre círculos y polígonos convexos (teorema del eje separador),
+ * instante de impacto para cuerpos rápidos (detección continua)
+ * y eventos de contacto a los que se puede suscribir
+ */
+
+import { getShape, getWorldPolygon, getBoundingRadius, getInnerRadius } from './shapes.js';
+
+// Máximo de muestras del barrido entre polígonos y pasadas de bisección
+const MAX_SWEEP_SAMPLES = 64;
+const BISECTION_ITERATIONS = 12;
+
+/**
+ * Coeficientes de restitución de los tipos de colisión clásicos
+ */
+export const RESTITUTION_PRESETS = {
+    'elastic': 1,
+    'inelastic': 0.5,
+    'perfectly-inelastic': 0
+};
+
+/**
+ * Restitución de un par: domina el material más elástico
+ */
+export function combineRestitution(restitutionA, restitutionB) {
+    return Math.max(restitutionA, restitutionB);
+}
+
+/**
+ * Fricción de un par: media geométrica de ambos materiales
+ */
+export function combineFriction(frictionA, frictionB) {
+    return Math.sqrt(frictionA * frictionB);
+}
+
+/**
+ * Rejilla uniforme: cada cuerpo se inserta en las celdas que cubre
+ * y solo se comparan los cuerpos que comparten alguna celda.
+ */
+export class SpatialHash {
+    constructor(cellSize = 1) {
+        this.cellSize = cellSize; // m
+        this.cells = new Map();
+    }
+
+    /**
+     * Vaciar la rejilla
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * Clave de la celda (ix, iy)
+     */
+    getKey(ix, iy) {
+        return `${ix},${iy}`;
+    }
+
+    /**
+     * Insertar un cuerpo en todas las celdas que toca su caja envolvente
+     */
+    insert(object) {
+        const radius = object.radius;
+        const minX = Math.floor((object.position.x - radius) / this.cellSize);
+        const maxX = Math.floor((object.position.x + radius) / this.cellSize);
+        const minY = Math.floor((object.position.y - radius) / this.cellSize);
+        const maxY = Math.floor((object.position.y + radius) / this.cellSize);
+
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iy = minY; iy <= maxY; iy++) {
+                const key = this.getKey(ix, iy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(object);
+            }
+        }
+    }
+
+    /**
+     * Obtener los pares candidatos sin repetir
+     */
+    getPotentialPairs() {
+        const pairs = [];
+        const seen = new Set();
+
+        this.cells.forEach(cell => {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const objectA = cell[i];
+                    const objectB = cell[j];
+                    const key = objectA.id < objectB.id
+                        ? `${objectA.id}|${objectB.id}`
+                        : `${objectB.id}|${objectA.id}`;
+
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    pairs.push([objectA, objectB]);
+                }
+            }
+        });
+
+        return pairs;
+    }
+}
+
+export class CollisionSystem {
+    constructor(cellSize = 1) {
+        this.broadphase = new SpatialHash(cellSize);
+        this.listeners = new Set();
+    }
+
+    /**
+     * Ajustar el tamaño de celda al cuerpo más grande (diámetro)
+     */
+    updateCellSize(objects) {
+        const maxRadius = objects.reduce((max, object) => Math.max(max, object.radius), 0);
+        if (maxRadius > 0) {
+            this.broadphase.cellSize = maxRadius * 2;
+        }
+    }
+
+    /**
+     * Fase estrecha entre dos cuerpos
+     * Devuelve `{ objectA, objectB, normal, penetration, point, points }` o null.
+     * La normal es unitaria y apunta de A hacia B; `points` es la variedad de
+     * contacto (uno o dos puntos) y `point` su punto medio.
+     */
+    detectContact(objectA, objectB) {
+        const shapeA = getShape(objectA);
+        const shapeB = getShape(objectB);
+
+        if (shapeA.type === 'circle' && shapeB.type === 'circle') {
+            return collideCircles(objectA, objectB, shapeA, shapeB);
+        }
+
+        if (shapeA.type === 'polygon' && shapeB.type === 'polygon') {
+            return collidePolygons(objectA, objectB, shapeA, shapeB);
+        }
+
+        if (shapeA.type === 'polygon') {
+            return collidePolygonCircle(objectA, objectB, shapeA, shapeB);
+        }
+
+        return flipContact(collidePolygonCircle(objectB, objectA, shapeB, shapeA));
+    }
+
+    /**
+     * Instante del primer contacto durante el último paso (detección continua)
+     * Cada cuerpo avanza en línea recta de `previousPosition` a `position` y gira de
+     * `previousAngle` a `angle`. Solo se consideran pares separados al inicio del paso.
+     * Devuelve `{ time, contact }`, con `time` como fracción del paso (0-1) y el contacto
+     * en ese instante, o null si no se tocan.
+     */
+    findTimeOfImpact(objectA, objectB) {
+        const shapeA = getShape(objectA);
+        const shapeB = getShape(objectB);
+
+        // Posición de B relativa a A al inicio del paso y su desplazamiento relativo
+        const start = {
+            x: objectB.previousPosition.x - objectA.previousPosition.x,
+            y: objectB.previousPosition.y - objectA.previousPosition.y
+        };
+        const motion = {
+            x: (objectB.position.x - objectB.previousPosition.x) - (objectA.position.x - objectA.previousPosition.x),
+            y: (objectB.position.y - objectB.previousPosition.y) - (objectA.position.y - objectA.previousPosition.y)
+        };
+
+        // Descarte rápido: la distancia mínima del barrido supera los radios envolventes
+        const travelSquared = motion.x ** 2 + motion.y ** 2;
+        const closest = travelSquared > 0
+            ? Math.max(0, Math.min(1, -(start.x * motion.x + start.y * motion.y) / travelSquared))
+            : 0;
+        const reach = getBoundingRadius(shapeA) + getBoundingRadius(shapeB);
+        if ((start.x + motion.x * closest) ** 2 + (start.y + motion.y * closest) ** 2 >= reach * reach) {
+            return null;
+        }
+
+        if (shapeA.type === 'circle' && shapeB.type === 'circle') {
+            return sweepCircles(objectA, objectB, start, motion, shapeA.radius, shapeB.radius);
+        }
+
+        return this.sweepShapes(objectA, objectB, shapeA, shapeB, Math.sqrt(travelSquared));
+    }
+
+    /**
+     * Barrido general: muestrear el paso en tramos más cortos que el radio inscrito
+     * de la forma más pequeña y refinar el primer tramo con contacto por bisección
+     */
+    sweepShapes(objectA, objectB, shapeA, shapeB, travel) {
+        const contactAt = time => {
+            const contact = this.detectContact(poseAt(objectA, time), poseAt(objectB, time));
+            return contact ? { ...contact, objectA, objectB } : null;
+        };
+
+        if (contactAt(0)) return null;
+
+        // Los vértices también recorren un arco al girar
+        const rotation = Math.abs(objectA.angle - objectA.previousAngle) * getBoundingRadius(shapeA) +
+            Math.abs(objectB.angle - objectB.previousAngle) * getBoundingRadius(shapeB);
+        const resolution = 0.5 * Math.min(getInnerRadius(shapeA), getInnerRadius(shapeB));
+        const samples = Math.min(MAX_SWEEP_SAMPLES, Math.max(1, Math.ceil((travel + rotation) / resolution)));
+
+        let lower = 0;
+        for (let i = 1; i <= samples; i++) {
+            let upper = i / samples;
+            let contact = contactAt(upper);
+            if (!contact) {
+                lower = upper;
+                continue;
+            }
+
+            for (let iteration = 0; iteration < BISECTION_ITERATIONS; iteration++) {
+                const middle = (lower + upper) / 2;
+                const middleContact = contactAt(middle);
+                if (middleContact) {
+                    upper = middle;
+                    contact = middleContact;
+                } else {
+                    lower = middle;
+                }
+            }
+
+            return { time: upper, contact };
+        }
+
+        return null;
+    }
+
+    /**
+     * Encontrar todos los contactos entre los cuerpos dados
+     */
+    findContacts(objects) {
+        this.updateCellSize(objects);
+        this.broadphase.clear();
+        objects.forEach(object => this.broadphase.insert(object));
+
+        const contacts = [];
+
+        this.broadphase.getPotentialPairs().forEach(([objectA, objectB]) => {
+            // Dos cuerpos estáticos nunca se responden
+            if (objectA.isStatic && objectB.isStatic) return;
+
+            const contact = this.detectContact(objectA, objectB);
+            if (contact) {
+                contacts.push(contact);
+            }
+        });
+
+        return contacts;
+    }
+
+    /**
+     * Suscribirse a los eventos de contacto
+     * Devuelve una función para cancelar la suscripción.
+     */
+    onContact(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Notificar los contactos resueltos en un paso
+     */
+    emit(events) {
+        if (events.length === 0) return;
+
+        events.forEach(event => {
+            this.listeners.forEach(callback => callback(event));
+        });
+    }
+}
+
+/**
+ * Copia de un cuerpo en la fracción `time` de su último paso
+ */
+function poseAt(object, time) {
+    return {
+        ...object,
+        position: {
+            x: object.previousPosition.x + (object.position.x - object.previousPosition.x) * time,
+            y: object.previousPosition.y + (object.position.y - object.previousPosition.y) * time
+        },
+        angle: object.previousAngle + (object.angle - object.previousAngle) * time
+    };
+}
+
+/**
+ * Barrido de dos círculos: resolver |start + motion·t| = r₁ + r₂ para el primer t en [0, 1]
+ */
+function sweepCircles(objectA, objectB, start, motion, radiusA, radiusB) {
+    const radiusSum = radiusA + radiusB;
+    const a = motion.x ** 2 + motion.y ** 2;
+    const b = 2 * (start.x * motion.x + start.y * motion.y);
+    const c = start.x ** 2 + start.y ** 2 - radiusSum ** 2;
+
+    // Ya se tocaban al inicio (la fase discreta se encarga) o no se acercan
+    if (c <= 0 || a === 0 || b >= 0) return null;
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (time > 1) return null;
+
+    const offset = { x: start.x + motion.x * time, y: start.y + motion.y * time };
+    const distance = Math.sqrt(offset.x ** 2 + offset.y ** 2);
+    const normal = { x: offset.x / distance, y: offset.y / distance };
+    const positionA = poseAt(objectA, time).position;
+    const point = {
+        x: positionA.x + normal.x * radiusA,
+        y: positionA.y + normal.y * radiusA
+    };
+
+    return { time, contact: createContact(objectA, objectB, normal, [point], 0) };
+}
+
+/**
+ * Construir un contacto a partir de su variedad de puntos
+ */
+function createContact(objectA, objectB, normal, points, penetration) {
+    const point = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+
+    return { objectA, objectB, normal, penetration, point, points };
+}
+
+/**
+ * Intercambiar A y B en un contacto (la normal cambia de sentido)
+ */
+function flipContact(contact) {
+    if (!contact) return null;
+
+    return {
+        ...contact,
+        objectA: contact.objectB,
+        objectB: contact.objectA,
+        normal: { x: -contact.normal.x, y: -contact.normal.y }
+    };
+}
+
+/**
+ * Círculo contra círculo
+ */
+function collideCircles(objectA, objectB, shapeA, shapeB) {
+    const dx = objectB.position.x - objectA.position.x;
+    const dy = objectB.position.y - objectA.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const radiusSum = shapeA.radius + shapeB.radius;
+
+    if (distance >= radiusSum) return null;
+
+    // Centros coincidentes: elegir una normal arbitraria
+    const normal = distance > 0
+        ? { x: dx / distance, y: dy / distance }
+        : { x: 1, y: 0 };
+
+    const point = {
+        x: objectA.position.x + normal.x * shapeA.radius,
+        y: objectA.position.y + normal.y * shapeA.radius
+    };
+
+    return createContact(objectA, objectB, normal, [point], radiusSum - distance);
+}
+
+/**
+ * Polígono (A) contra círculo (B)
+ */
+function collidePolygonCircle(polygonObject, circleObject, polygonShape, circleShape) {
+    const { vertices, normals } = getWorldPolygon(polygonObject, polygonShape);
+    const center = circleObject.position;
+    const radius = circleShape.radius;
+
+    // Cara con mayor separación respecto al centro del círculo
+    let maxSeparation = -Infinity;
+    let faceIndex = 0;
+
+    normals.forEach((normal, i) => {
+        const separation = normal.x * (center.x - vertices[i].x) + normal.y * (center.y - vertices[i].y);
+        if (separation > maxSeparation) {
+            maxSeparation = separation;
+            faceIndex = i;
+        }
+    });
+
+    if (maxSeparation > radius) return null;
+
+    const faceNormal = normals[faceIndex];
+
+    // Centro dentro del polígono: empujar por la cara más cercana
+    if (maxSeparation < 0) {
+        const point = {
+            x: center.x - faceNormal.x * maxSeparation,
+            y: center.y - faceNormal.y * maxSeparation
+        };
+        return createContact(polygonObject, circleObject, { ...faceNormal }, [point], radius - maxSeparation);
+    }
+
+    // Punto más cercano de la arista (o de sus vértices)
+    const v1 = vertices[faceIndex];
+    const v2 = vertices[(faceIndex + 1) % vertices.length];
+    const edgeX = v2.x - v1.x;
+    const edgeY = v2.y - v1.y;
+    const t = Math.max(0, Math.min(1,
+        ((center.x - v1.x) * edgeX + (center.y - v1.y) * edgeY) / (edgeX * edgeX + edgeY * edgeY)
+    ));
+    const closest = { x: v1.x + edgeX * t, y: v1.y + edgeY * t };
+
+    const dx = center.x - closest.x;
+    const dy = center.y - closest.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance > radius) return null;
+
+    const normal = distance > 0 ? { x: dx / distance, y: dy / distance } : { ...faceNormal };
+    return createContact(polygonObject, circleObject, normal, [closest], radius - distance);
+}
+
+/**
+ * Máxima separación de `incident` a lo largo de las normales de `reference`
+ */
+function findMaxSeparation(reference, incident) {
+    let best = { separation: -Infinity, index: 0 };
+
+    reference.normals.forEach((normal, i) => {
+        const vertex = reference.vertices[i];
+        let minProjection = Infinity;
+
+        incident.vertices.forEach(point => {
+            const projection = normal.x * (point.x - vertex.x) + normal.y * (point.y - vertex.y);
+            minProjection = Math.min(minProjection, projection);
+        });
+
+        if (minProjection > best.separation) {
+            best = { separation: minProjection, index: i };
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Recortar un segmento contra el semiplano n·p ≤ offset
+ */
+function clipSegment(points, normal, offset) {
+    const clipped = [];
+    const [p1, p2] = points;
+    const d1 = normal.x * p1.x + normal.y * p1.y - offset;
+    const d2 = normal.x * p2.x + normal.y * p2.y - offset;
+
+    if (d1 <= 0) clipped.push(p1);
+    if (d2 <= 0) clipped.push(p2);
+
+    if (d1 * d2 < 0) {
+        const t = d1 / (d1 - d2);
+        clipped.push({ x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t });
+    }
+
+    return clipped;
+}
+
+/**
+ * Polígono contra polígono: teorema del eje separador y recorte de la cara incidente
+ */
+function collidePolygons(objectA, objectB, shapeA, shapeB) {
+    const polygonA = getWorldPolygon(objectA, shapeA);
+    const polygonB = getWorldPolygon(objectB, shapeB);
+
+    const separationA = findMaxSeparation(polygonA, polygonB);
+    if (separationA.separation > 0) return null;
+
+    const separationB = findMaxSeparation(polygonB, polygonA);
+    if (separationB.separation > 0) return null;
+
+    // La cara de referencia es la de menor penetración (con preferencia por A)
+    const flip = separationB.separation > separationA.separation + 1e-4;
+    const reference = flip ? polygonB : polygonA;
+    const incident = flip ? polygonA : polygonB;
+    const referenceIndex = flip ? separationB.index : separationA.index;
+
+    const referenceNormal = reference.normals[referenceIndex];
+    const v1 = reference.vertices[referenceIndex];
+    const v2 = reference.vertices[(referenceIndex + 1) % reference.vertices.length];
+
+    // Cara incidente: la más opuesta a la normal de referencia
+    let incidentIndex = 0;
+    let minDot = Infinity;
+    incident.normals.forEach((normal, i) => {
+        const dot = normal.x * referenceNormal.x + normal.y * referenceNormal.y;
+        if (dot < minDot) {
+            minDot = dot;
+            incidentIndex = i;
+        }
+    });
+
+    let points = [
+        incident.vertices[incidentIndex],
+        incident.vertices[(incidentIndex + 1) % incident.vertices.length]
+    ];
+
+    // Recortar contra los planos laterales de la cara de referencia
+    const length = Math.sqrt((v2.x - v1.x) ** 2 + (v2.y - v1.y) ** 2);
+    const tangent = { x: (v2.x - v1.x) / length, y: (v2.y - v1.y) / length };
+
+    points = clipSegment(points, { x: -tangent.x, y: -tangent.y }, -(tangent.x * v1.x + tangent.y * v1.y));
+    if (points.length < 2) return null;
+
+    points = clipSegment(points, tangent, tangent.x * v2.x + tangent.y * v2.y);
+    if (points.length < 2) return null;
+
+    // Conservar solo los puntos por debajo de la cara de referencia
+    const manifold = [];
+    let penetration = 0;
+
+    points.forEach(point => {
+        const separation = referenceNormal.x * (point.x - v1.x) + referenceNormal.y * (point.y - v1.y);
+        if (separation <= 0) {
+            manifold.push(point);
+            penetration = Math.max(penetration, -separation);
+        }
+    });
+
+    if (manifold.length === 0) return null;
+
+    const normal = flip
+        ? { x: -referenceNormal.x, y: -referenceNormal.y }
+        : { ...referenceNormal };
+
+    return createContact(objectA, objectB, normal, manifold, penetration);
+}
@@ -0,0 +1,183 @@
+/**
+ * Sistema de Restricciones
+ * Cuerdas, varillas, pasadores y anclajes fijos entre dos cuerpos o entre un cuerpo y el mundo
+ *
+ * Cada restricción une un punto del cuerpo A (`anchorA`, en coordenadas del cuerpo)
+ * con un punto del cuerpo B (`anchorB`, en coordenadas de B) o, si `bodyB` es null,
+ * con un punto fijo del mundo (`anchorB` en m). El motor las resuelve con impulsos
+ * después de integrar las fuerzas; el impulso acumulado en el paso dividido por dt
+ * es la fuerza de restricción que se publica en `force` y `tension`.
+ *
+ * Tipos:
+ * - rope: distancia máxima; puede quedar floja pero nunca empuja.
+ * - rod: distancia fija; tira o empuja (tensión negativa = compresión).
+ * - pin: los dos puntos coinciden; los cuerpos giran libremente alrededor del pasador.
+ * - pulley: una cuerda que pasa por una polea fija; la suma de los dos tramos no supera
+ *   `length`. Con `inertia` > 0 la polea gira con la cuerda sin deslizar y las tensiones
+ *   de los dos lados difieren en I·α/r.
+ */
+
+import { toWorld } from './shapes.js';
+
+export class ConstraintSystem {
+    constructor() {
+        this.constraints = new Map();
+    }
+
+    /**
+     * Registrar una restricción
+     */
+    add(id, type, bodyA, bodyB, { anchorA = { x: 0, y: 0 }, anchorB = { x: 0, y: 0 }, length = null } = {}) {
+        const constraint = {
+            id,
+            type,
+            bodyA,
+            bodyB,
+            anchorA: { ...anchorA },
+            anchorB: { ...anchorB },
+            length,
+            active: true,
+            isTaut: type !== 'rope',
+            impulse: { x: 0, y: 0 }, // Impulso acumulado sobre B en el último paso (N·s)
+            force: { x: 0, y: 0 }, // Fuerza de restricción sobre B (N); A recibe la opuesta
+            tension: 0 // N (cuerdas y varillas; negativa si la varilla está comprimida)
+        };
+
+        this.constraints.set(id, constraint);
+        return constraint;
+    }
+
+    /**
+     * Cuerda inextensible de longitud máxima `length`
+     * Sin `length`, toma la distancia actual entre los anclajes.
+     */
+    addRope(id, bodyA, bodyB, options = {}) {
+        return this.add(id, 'rope', bodyA, bodyB, options);
+    }
+
+    /**
+     * Varilla rígida de longitud fija
+     */
+    addRod(id, bodyA, bodyB, options = {}) {
+        return this.add(id, 'rod', bodyA, bodyB, options);
+    }
+
+    /**
+     * Pasador: el punto `anchorA` de A coincide con el punto `anchorB` de B
+     */
+    addPin(id, bodyA, bodyB, options = {}) {
+        return this.add(id, 'pin', bodyA, bodyB, options);
+    }
+
+    /**
+     * Anclaje fijo: el punto `anchor` del cuerpo queda clavado en `worldPoint`
+     */
+    addFixedAnchor(id, body, worldPoint, anchor = { x: 0, y: 0 }) {
+        return this.add(id, 'pin', body, null, { anchorA: anchor, anchorB: worldPoint });
+    }
+
+    /**
+     * Cuerda sobre una polea fija entre dos cuerpos
+     * `center` y `radius` sitúan la polea (m); la cuerda de A sale de la polea en `exitA`
+     * y la de B en `exitB` (por defecto, los extremos izquierdo y derecho de la rueda).
+     * Los tramos tiran del centro de masa de cada cuerpo.
+     */
+    addPulley(id, bodyA, bodyB, { center, radius = 0.2, inertia = 0, exitA = null, exitB = null, length = null }) {
+        const constraint = this.add(id, 'pulley', bodyA, bodyB, { length });
+
+        constraint.pulley = {
+            center: { ...center },
+            radius,
+            inertia, // kg·m²
+            exitA: exitA ? { ...exitA } : { x: center.x - radius, y: center.y },
+            exitB: exitB ? { ...exitB } : { x: center.x + radius, y: center.y },
+            angle: 0, // rad, positivo cuando la cuerda pasa del lado A al lado B
+            angularVelocity: 0 // rad/s
+        };
+        constraint.lengthA = null; // Longitud de cada tramo con la polea en su ángulo inicial (m)
+        constraint.lengthB = null;
+        constraint.tensionB = 0; // N, tensión del tramo B (`tension` es la del tramo A)
+
+        return constraint;
+    }
+
+    /**
+     * Obtener una restricción
+     */
+    get(id) {
+        return this.constraints.get(id) || null;
+    }
+
+    /**
+     * Eliminar una restricción
+     */
+    remove(id) {
+        this.constraints.delete(id);
+    }
+
+    /**
+     * Eliminar todas las restricciones
+     */
+    clear() {
+        this.constraints.clear();
+    }
+
+    /**
+     * Restricciones activas cuyos cuerpos existen
+     */
+    getActiveConstraints(objects) {
+        return Array.from(this.constraints.values()).filter(constraint =>
+            constraint.active &&
+            objects.has(constraint.bodyA) &&
+            (constraint.bodyB === null || objects.has(constraint.bodyB))
+        );
+    }
+
+    /**
+     * Posición en el mundo de ambos anclajes
+     */
+    getWorldAnchors(constraint, objects) {
+        const objectA = objects.get(constraint.bodyA);
+        const objectB = constraint.bodyB === null ? null : objects.get(constraint.bodyB);
+
+        return {
+            a: toWorld(objectA, constraint.anchorA),
+            b: objectB ? toWorld(objectB, constraint.anchorB) : { ...constraint.anchorB }
+        };
+    }
+
+    /**
+     * Fijar la longitud de las cuerdas y varillas que no la indicaron
+     * a la distancia actual entre sus anclajes
+     */
+    initializeLengths(objects) {
+        this.getActiveConstraints(objects).forEach(constraint => {
+            if (constraint.type === 'pulley') {
+                this.initializePulleyLengths(constraint, objects);
+                return;
+            }
+
+            if (constraint.type === 'pin' || constraint.length !== null) return;
+
+            const { a, b } = this.getWorldAnchors(constraint, objects);
+            constraint.length = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+        });
+    }
+
+    /**
+     * Repartir la longitud de una cuerda de polea entre sus dos tramos
+     * El tramo A conserva su longitud actual y el B recibe el resto de `length`.
+     */
+    initializePulleyLengths(constraint, objects) {
+        if (constraint.lengthA !== null) return;
+
+        const { a, b } = this.getWorldAnchors(constraint, objects);
+        const { exitA, exitB } = constraint.pulley;
+        const lengthA = Math.sqrt((a.x - exitA.x) ** 2 + (a.y - exitA.y) ** 2);
+        const lengthB = Math.sqrt((b.x - exitB.x) ** 2 + (b.y - exitB.y) ** 2);
+
+        constraint.lengthA = lengthA;
+        constraint.lengthB = constraint.length !== null ? constraint.length - lengthA : lengthB;
+        constraint.length = constraint.lengthA + constraint.lengthB;
+    }
+}
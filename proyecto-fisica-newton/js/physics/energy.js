@@ -0,0 +1,115 @@
+/**
+ * Balance de Energía
+ * Lleva la cuenta, por cuerpo, del trabajo de cada fuerza registrada y de la energía
+ * cinética que cambia en los choques, en las paredes y al proyectar las restricciones
+ *
+ * Cada asiento es trabajo hecho sobre el cuerpo (J): negativo si le quita energía.
+ * El trabajo de las fuerzas conservativas ya está en la energía potencial, así que
+ * KE + PE + disipada − aportada se mantiene igual a la energía inicial.
+ */
+
+/**
+ * Categorías del balance según el tipo de fuerza (`force.kind`)
+ * - conservative: su trabajo es −ΔPE (peso, gravitación, resortes; la normal no trabaja)
+ * - input: aportan energía al sistema (fuerzas aplicadas, empuje)
+ * - friction, drag, collisions: la disipan; 'contact' es el resorte-amortiguador de los
+ *   choques, cuya parte elástica se anota aparte como conservativa (ver `addWork`)
+ */
+export const ENERGY_CATEGORIES = {
+    gravity: 'conservative',
+    gravitation: 'conservative',
+    spring: 'conservative',
+    normal: 'conservative',
+    applied: 'input',
+    thrust: 'input',
+    friction: 'friction',
+    drag: 'drag',
+    contact: 'collisions'
+};
+
+// Categorías que pierden energía (la disipada es menos su trabajo)
+const DISSIPATIVE_CATEGORIES = ['friction', 'drag', 'collisions', 'walls', 'constraints'];
+
+export class EnergyLedger {
+    constructor() {
+        this.bodies = new Map();
+    }
+
+    /**
+     * Asientos de un cuerpo (se crean al primer uso)
+     */
+    getEntry(bodyId) {
+        if (!this.bodies.has(bodyId)) {
+            this.bodies.set(bodyId, { forces: new Map(), categories: {} });
+        }
+
+        return this.bodies.get(bodyId);
+    }
+
+    /**
+     * Anotar el trabajo (J) de una fuerza registrada sobre un cuerpo
+     * `category` sustituye a la del tipo de fuerza (la parte elástica de un contacto
+     * es conservativa aunque el contacto sea un choque).
+     */
+    addWork(bodyId, forceId, kind, work, category = ENERGY_CATEGORIES[kind] || 'input') {
+        if (work === 0 || !Number.isFinite(work)) return;
+
+        const entry = this.getEntry(bodyId);
+        const force = entry.forces.get(forceId) || { kind, work: 0 };
+        force.work += work;
+        entry.forces.set(forceId, force);
+
+        entry.categories[category] = (entry.categories[category] || 0) + work;
+    }
+
+    /**
+     * Anotar un cambio de energía cinética ajeno a las fuerzas (J)
+     * `category` es 'collisions', 'walls' o 'constraints'.
+     */
+    addEnergyChange(bodyId, category, change) {
+        if (change === 0 || !Number.isFinite(change)) return;
+
+        const entry = this.getEntry(bodyId);
+        entry.categories[category] = (entry.categories[category] || 0) + change;
+    }
+
+    /**
+     * Resumen de uno, varios o todos los cuerpos (`bodyIds` null = todos)
+     * Devuelve el trabajo por categoría y por fuerza, la energía disipada
+     * (siempre ≥ 0 salvo error numérico) y la aportada por las fuerzas aplicadas.
+     */
+    summarize(bodyIds = null) {
+        const ids = bodyIds || Array.from(this.bodies.keys());
+        const categories = {};
+        const forces = {};
+
+        ids.forEach(id => {
+            const entry = this.bodies.get(id);
+            if (!entry) return;
+
+            Object.entries(entry.categories).forEach(([category, work]) => {
+                categories[category] = (categories[category] || 0) + work;
+            });
+            entry.forces.forEach((force, forceId) => {
+                forces[forceId] = (forces[forceId] || 0) + force.work;
+            });
+        });
+
+        const dissipated = DISSIPATIVE_CATEGORIES.reduce((sum, category) => sum - (categories[category] || 0), 0);
+
+        return {
+            categories,
+            forces,
+            conservativeWork: categories.conservative || 0,
+            dissipated,
+            input: categories.input || 0
+        };
+    }
+
+    /**
+     * Borrar todos los asientos
+     */
+    clear() {
+        this.bodies.clear();
+    }
+}
@@ -1,80 +1,512 @@
 /**
  * Sistema de Fuerzas
  * Maneja diferentes tipos de fuerzas en el simulador
+ *
+ * Las fuerzas se expresan en N en coordenadas del mundo (eje y hacia arriba);
+ * las direcciones se miden en grados en sentido antihorario desde +x.
  */
 
+/**
+ * Coeficientes de fricción por superficie (μs estático, μk cinético)
+ */
+export const SURFACE_FRICTION = {
+    ice: { label: 'Hielo', static: 0.02, kinetic: 0.01 },
+    wood: { label: 'Madera', static: 0.3, kinetic: 0.2 },
+    asphalt: { label: 'Asfalto', static: 0.9, kinetic: 0.7 },
+    sand: { label: 'Arena', static: 1.0, kinetic: 0.9 }
+};
+
+// Constante de gravitación universal (N·m²/kg²)
+export const GRAVITATIONAL_CONSTANT = 6.674e-11;
+
+// Densidad del aire al nivel del mar (kg/m³)
+export const AIR_DENSITY = 1.225;
+
+/**
+ * Modelos de arrastre: lineal (Stokes, D = b·v) y cuadrático (D = ½ρC_dA·v²)
+ */
+export const DRAG_MODELS = {
+    linear: 'Lineal (Stokes)',
+    quadratic: 'Cuadrático'
+};
+
+/**
+ * Coeficiente del arrastre cuadrático: c = ½·ρ·C_d·A (kg/m)
+ */
+export function calculateQuadraticDragCoefficient(density, dragCoefficient, area) {
+    return 0.5 * density * dragCoefficient * area;
+}
+
+/**
+ * Perfiles temporales de una fuerza aplicada F(t)
+ */
+export const FORCE_PROFILES = {
+    constant: 'Constante',
+    step: 'Escalón',
+    ramp: 'Rampa',
+    sine: 'Senoidal',
+    impulse: 'Impulso',
+    piecewise: 'Dibujada'
+};
+
+// Tolerancia (s) para que los bordes de un perfil caigan en el paso que les corresponde
+// aunque el reloj acumule errores de redondeo de 1/60
+const PROFILE_TIME_EPSILON = 1e-9;
+
+/**
+ * Evaluar un perfil F(t) (N) en el instante `time` de la simulación (s)
+ * - constant: `magnitude` siempre
+ * - step: `magnitude` entre `start` y `end`
+ * - ramp: crece de 0 a `magnitude` en `duration` s desde `start` y se mantiene
+ * - sine: `magnitude`·sin(2π·`frequency`·(t − `start`)) a partir de `start`
+ * - impulse: pulso rectangular que entrega `impulse` N·s en `duration` s desde `start`
+ * - piecewise: interpolación lineal entre `points` [{ t, F }]; nula fuera del tramo
+ */
+export function evaluateForceProfile(profile, time) {
+    const start = profile.start ?? 0;
+    const elapsed = time - start + PROFILE_TIME_EPSILON;
+
+    switch (profile.type) {
+        case 'constant':
+            return profile.magnitude;
+
+        case 'step':
+            return elapsed >= 0 && time < (profile.end ?? Infinity) - PROFILE_TIME_EPSILON
+                ? profile.magnitude
+                : 0;
+
+        case 'ramp':
+            if (elapsed < 0) return 0;
+            return profile.magnitude * Math.min(1, (time - start) / profile.duration);
+
+        case 'sine':
+            if (elapsed < 0) return 0;
+            return profile.magnitude * Math.sin(2 * Math.PI * profile.frequency * (time - start));
+
+        case 'impulse':
+            return elapsed >= 0 && elapsed < profile.duration
+                ? profile.impulse / profile.duration
+                : 0;
+
+        case 'piecewise': {
+            const points = profile.points;
+            if (!points || points.length === 0) return 0;
+
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (time < first.t - PROFILE_TIME_EPSILON || time > last.t + PROFILE_TIME_EPSILON) return 0;
+
+            const index = points.findIndex(point => point.t >= time);
+            if (index <= 0) return index === 0 ? first.F : last.F;
+
+            const a = points[index - 1];
+            const b = points[index];
+            return a.F + (b.F - a.F) * (time - a.t) / (b.t - a.t);
+        }
+
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Impulso de un perfil entre 0 y `time`: J = ∫F dt (N·s)
+ * Integral exacta de cada perfil (el dibujado, tramo a tramo), así que el coste
+ * no crece con el tiempo de simulación.
+ */
+export function integrateForceProfile(profile, time) {
+    const start = profile.start ?? 0;
+    const elapsed = Math.max(0, time - start);
+
+    switch (profile.type) {
+        case 'constant':
+            return profile.magnitude * Math.max(0, time);
+
+        case 'step':
+            return profile.magnitude * Math.max(0, Math.min(time, profile.end ?? Infinity) - Math.max(0, start));
+
+        case 'ramp': {
+            const rising = Math.min(elapsed, profile.duration);
+            return profile.magnitude * (rising ** 2 / (2 * profile.duration) + (elapsed - rising));
+        }
+
+        case 'sine': {
+            const omega = 2 * Math.PI * profile.frequency;
+            if (omega === 0) return 0;
+            return profile.magnitude * (1 - Math.cos(omega * elapsed)) / omega;
+        }
+
+        case 'impulse':
+            return profile.impulse * Math.min(elapsed, profile.duration) / profile.duration;
+
+        case 'piecewise': {
+            const points = profile.points || [];
+            let impulse = 0;
+
+            // Área de cada tramo lineal hasta `time` (el último, recortado)
+            for (let i = 1; i < points.length && points[i - 1].t < time; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                if (b.t <= a.t) continue;
+
+                const end = Math.min(b.t, time);
+                const forceAtEnd = a.F + (b.F - a.F) * (end - a.t) / (b.t - a.t);
+                impulse += (a.F + forceAtEnd) * (end - a.t) / 2;
+            }
+
+            return impulse;
+        }
+
+        default:
+            return 0;
+    }
+}
+
+// Por debajo de esta rapidez (m/s) el cuerpo se considera en reposo sobre la superficie
+const REST_SPEED = 1e-6;
+
+// Orden de evaluación: las reacciones (normal y luego fricción) dependen de la suma de las demás
+const EVALUATION_ORDER = { normal: 1, friction: 2 };
+
 export class ForceSystem {
     constructor() {
         this.forces = new Map();
         this.gravity = 9.81; // m/s²
+        this.time = 0; // Tiempo de simulación (s) de perfiles y fuerzas temporales
     }
 
     /**
-     * Crear una fuerza
+     * Crear una fuerza aplicada
+     * `target` es el id del cuerpo sobre el que actúa (null = todos los cuerpos).
+     * `offset` es el punto de aplicación en coordenadas del cuerpo (m); si no es nulo
+     * la fuerza produce un torque τ = r × F.
+     * Una fuerza 'temporary' se apaga tras `duration` s de simulación; con un `profile`
+     * (ver `evaluateForceProfile`) el módulo sigue F(t) en lugar de `magnitude`.
      */
-    createForce(id, magnitude, direction, type = 'constant') {
+    createForce(id, magnitude, direction, type = 'constant', target = null, offset = null) {
         const force = {
             id,
+            kind: 'applied',
+            target,
+            offset,
             magnitude,
             direction: direction * Math.PI / 180, // Convertir a radianes
             type,
+            profile: null, // Perfil F(t); null = módulo constante
             active: true,
-            duration: Infinity, // Duración infinita por defecto
-            startTime: Date.now()
+            duration: Infinity, // Duración infinita por defecto (s)
+            startTime: this.time // Tiempo de simulación al crearla (s)
         };
 
         this.forces.set(id, force);
         return force;
     }
 
+    /**
+     * Registrar un generador de fuerza (gravedad, fricción, arrastre, resorte...)
+     * Las fuerzas registradas se suman en `calculateNetForce` en cada paso.
+     */
+    registerForce(id, kind, params = {}, target = null) {
+        const force = {
+            id,
+            kind,
+            target,
+            type: 'constant',
+            active: true,
+            duration: Infinity,
+            startTime: this.time,
+            ...params
+        };
+
+        this.forces.set(id, force);
+        return force;
+    }
+
+    /**
+     * Registrar el peso (m·g hacia -y)
+     */
+    addGravity(id = 'gravity', target = null) {
+        return this.registerForce(id, 'gravity', {}, target);
+    }
+
+    /**
+     * Registrar la atracción gravitatoria mutua F = G·m₁·m₂/r² entre cuerpos
+     * `bodies` limita los cuerpos que se atraen (null = todos); `constant` es G,
+     * que las escenas a escala de pantalla pueden aumentar.
+     */
+    addGravitation(id = 'gravitation', { constant = GRAVITATIONAL_CONSTANT, bodies = null } = {}) {
+        return this.registerForce(id, 'gravitation', { constant, bodies }, null);
+    }
+
+    /**
+     * Registrar fricción de Coulomb con una superficie
+     * `coefficient` es μk y `staticCoefficient` es μs (por defecto igual a μk).
+     * `normalForce` (N) reemplaza a m·g cuando la superficie no es horizontal.
+     */
+    addFriction(id, target, coefficient, staticCoefficient = coefficient, normalForce = null) {
+        return this.registerForce(id, 'friction', { coefficient, staticCoefficient, normalForce }, target);
+    }
+
+    /**
+     * Registrar la fuerza normal de una superficie inclinada `surfaceAngle` grados
+     * respecto a la horizontal (0 = suelo horizontal)
+     */
+    addNormalForce(id, target, surfaceAngle = 0) {
+        return this.registerForce(id, 'normal', { surfaceAngle: surfaceAngle * Math.PI / 180 }, target);
+    }
+
+    /**
+     * Registrar resistencia del aire
+     * `coefficient` es b (N·s/m) en el modelo lineal y c = ½ρC_dA (N·s²/m²) en el cuadrático.
+     */
+    addDrag(id, target, coefficient = 0.01, model = 'quadratic') {
+        return this.registerForce(id, 'drag', { coefficient, model }, target);
+    }
+
+    /**
+     * Registrar el empuje de un cuerpo de masa variable
+     * Toma el caudal y la velocidad de escape de `object.massFlow` (ver PhysicsEngine.setMassFlow).
+     */
+    addThrust(id, target) {
+        return this.registerForce(id, 'thrust', {}, target);
+    }
+
+    /**
+     * Registrar un resorte entre un cuerpo y un punto fijo (`anchor`)
+     * o entre dos cuerpos (`anchorBodyId`); en ese caso ambos reciben fuerzas opuestas.
+     */
+    addSpring(id, target, { anchor = null, anchorBodyId = null, springConstant, restLength = 0 }) {
+        return this.registerForce(id, 'spring', { anchor, anchorBodyId, springConstant, restLength }, target);
+    }
+
+    /**
+     * Registrar un contacto elástico (resorte-amortiguador) entre dos cuerpos
+     * Mientras se solapan se empujan con k·δ + c·δ̇ a lo largo de la línea de centros,
+     * así que el choque dura un tiempo finito en lugar de ser un impulso instantáneo.
+     * El motor deja de resolver ese par con impulsos (ver `hasCompliantContact`).
+     */
+    addContact(id, bodyA, bodyB, { stiffness, damping = 0 }) {
+        return this.registerForce(id, 'contact', { bodies: [bodyA, bodyB], stiffness, damping });
+    }
+
+    /**
+     * Comprobar si dos cuerpos están unidos por un contacto elástico activo
+     */
+    hasCompliantContact(idA, idB) {
+        return this.getCompliantContacts().some(
+            force => force.bodies.includes(idA) && force.bodies.includes(idB)
+        );
+    }
+
+    /**
+     * Contactos elásticos activos
+     */
+    getCompliantContacts() {
+        return Array.from(this.forces.values()).filter(force => force.active && force.kind === 'contact');
+    }
+
+    /**
+     * Modificar los parámetros de una fuerza registrada
+     */
+    updateForce(forceId, params) {
+        const force = this.forces.get(forceId);
+        if (!force) return null;
+
+        if (params.direction !== undefined) {
+            params = { ...params, direction: params.direction * Math.PI / 180 };
+        }
+
+        if (params.surfaceAngle !== undefined) {
+            params = { ...params, surfaceAngle: params.surfaceAngle * Math.PI / 180 };
+        }
+
+        Object.assign(force, params);
+        return force;
+    }
+
+    /**
+     * Módulo de una fuerza aplicada en el instante `time` (s)
+     * Con perfil sigue F(t); un valor negativo empuja en sentido contrario a `direction`.
+     */
+    getMagnitude(force, time = this.time) {
+        return force.profile ? evaluateForceProfile(force.profile, time) : force.magnitude;
+    }
+
     /**
      * Calcular componentes de una fuerza
      */
-    calculateForceComponents(force) {
+    calculateForceComponents(force, time = this.time) {
+        const magnitude = this.getMagnitude(force, time);
+
         return {
-            x: force.magnitude * Math.cos(force.direction),
-            y: force.magnitude * Math.sin(force.direction)
+            x: magnitude * Math.cos(force.direction),
+            y: magnitude * Math.sin(force.direction)
         };
     }
 
     /**
-     * Aplicar gravedad a un objeto
+     * Aplicar gravedad a un objeto (peso hacia -y)
      */
     applyGravity(object) {
         return {
             x: 0,
-            y: object.mass * this.gravity
+            y: -object.mass * this.gravity
         };
     }
 
     /**
-     * Aplicar fricción a un objeto
+     * Aplicar la atracción gravitatoria de los demás cuerpos
+     * Cada par se atrae con G·m₁·m₂/r² a lo largo de la línea que los une,
+     * así que las fuerzas sobre los dos cuerpos son iguales y opuestas.
+     */
+    applyGravitation(object, bodies, constant, members = null) {
+        const force = { x: 0, y: 0 };
+
+        bodies.forEach(other => {
+            if (other.id === object.id || (members && !members.includes(other.id))) return;
+
+            const dx = other.position.x - object.position.x;
+            const dy = other.position.y - object.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) return;
+
+            const magnitude = constant * object.mass * other.mass / (distance * distance);
+            force.x += (dx / distance) * magnitude;
+            force.y += (dy / distance) * magnitude;
+        });
+
+        return force;
+    }
+
+    /**
+     * Aplicar la fuerza normal de una superficie
+     * La superficie empuja hacia afuera lo justo para anular la componente de la
+     * fuerza impulsora que la presiona; nunca tira del cuerpo hacia ella.
+     */
+    applyNormalForce(surfaceAngle, drivingForce = { x: 0, y: 0 }) {
+        const normal = { x: -Math.sin(surfaceAngle), y: Math.cos(surfaceAngle) };
+        const pressing = drivingForce.x * normal.x + drivingForce.y * normal.y;
+        if (pressing >= 0) return { x: 0, y: 0 };
+
+        return { x: -pressing * normal.x, y: -pressing * normal.y };
+    }
+
+    /**
+     * Aplicar fricción de Coulomb a un objeto
+     * En movimiento: μk·N opuesta a la velocidad, de módulo constante.
+     * En reposo: anula la fuerza impulsora (`drivingForce`) mientras no supere μs·N;
+     * si la supera, el cuerpo arranca con fricción cinética opuesta a ella.
      */
-    applyFriction(object, coefficient) {
+    applyFriction(object, coefficient, staticCoefficient = coefficient, normalForce = null, drivingForce = { x: 0, y: 0 }) {
+        const normal = normalForce ?? object.mass * this.gravity;
         const speed = Math.sqrt(object.velocity.x ** 2 + object.velocity.y ** 2);
-        if (speed === 0) return { x: 0, y: 0 };
 
-        const frictionMagnitude = coefficient * object.mass * this.gravity;
-        const frictionX = -(object.velocity.x / speed) * frictionMagnitude;
-        const frictionY = -(object.velocity.y / speed) * frictionMagnitude;
+        if (speed > REST_SPEED) {
+            const frictionMagnitude = coefficient * normal;
+            return {
+                x: -(object.velocity.x / speed) * frictionMagnitude,
+                y: -(object.velocity.y / speed) * frictionMagnitude
+            };
+        }
+
+        const drivingMagnitude = Math.sqrt(drivingForce.x ** 2 + drivingForce.y ** 2);
+        if (drivingMagnitude === 0) return { x: 0, y: 0 };
+
+        if (drivingMagnitude <= staticCoefficient * normal) {
+            return { x: -drivingForce.x, y: -drivingForce.y };
+        }
 
-        return { x: frictionX, y: frictionY };
+        const frictionMagnitude = coefficient * normal;
+        return {
+            x: -(drivingForce.x / drivingMagnitude) * frictionMagnitude,
+            y: -(drivingForce.y / drivingMagnitude) * frictionMagnitude
+        };
     }
 
     /**
-     * Aplicar resistencia del aire
+     * Comprobar si la fricción detiene a un objeto durante el último paso
+     * La fricción cinética solo puede frenar: si la velocidad cambió de sentido
+     * respecto a `previousVelocity`, el cuerpo llegó al reposo dentro del paso.
+     * Con `dt`, también se detiene si la fuerza neta del inicio del paso (`object.netForce`)
+     * lo frena lo bastante para pararlo en ese paso: RK4 promedia etapas en las que la
+     * fricción cambia de sentido y puede dejar al cuerpo avanzando sin frenar.
      */
-    applyAirResistance(object, coefficient = 0.01) {
+    stopsByFriction(object, previousVelocity, dt = 0) {
+        const previousSpeed = Math.sqrt(previousVelocity.x ** 2 + previousVelocity.y ** 2);
+        if (previousSpeed <= REST_SPEED) return false;
+
+        const hasFriction = Array.from(this.forces.values()).some(
+            force => force.active && force.kind === 'friction' && this.actsOn(force, object)
+        );
+        if (!hasFriction) return false;
+
+        if (object.velocity.x * previousVelocity.x + object.velocity.y * previousVelocity.y <= 0) return true;
+        if (!dt || !object.netForce) return false;
+
+        const braking = -(object.netForce.x * previousVelocity.x + object.netForce.y * previousVelocity.y) / previousSpeed;
+        return braking > 0 && braking / object.mass * dt >= previousSpeed;
+    }
+
+    /**
+     * Fricción máxima de un cuerpo en reposo (N): estática μs·N y cinética μk·N
+     * Devuelve null si el cuerpo se mueve o no tiene fricción. La normal se toma del
+     * desglose `netForce` del último paso (m·g si no hay ninguna registrada).
+     */
+    getFrictionLimits(object, netForce = object.netForce) {
+        const speed = Math.sqrt(object.velocity.x ** 2 + object.velocity.y ** 2);
+        if (speed > REST_SPEED) return null;
+
+        const friction = Array.from(this.forces.values()).find(
+            force => force.active && force.kind === 'friction' && this.actsOn(force, object)
+        );
+        if (!friction) return null;
+
+        const normals = netForce.contributions.filter(contribution => contribution.kind === 'normal');
+        const normal = friction.normalForce ?? (
+            normals.length > 0
+                ? normals.reduce((sum, contribution) => sum + Math.sqrt(contribution.x ** 2 + contribution.y ** 2), 0)
+                : object.mass * this.gravity
+        );
+
+        return {
+            static: (friction.staticCoefficient ?? friction.coefficient) * normal,
+            kinetic: friction.coefficient * normal
+        };
+    }
+
+    /**
+     * Aplicar resistencia del aire, opuesta a la velocidad
+     * Lineal: |D| = b·v; cuadrático: |D| = c·v²
+     */
+    applyAirResistance(object, coefficient = 0.01, model = 'quadratic') {
         const speed = Math.sqrt(object.velocity.x ** 2 + object.velocity.y ** 2);
         if (speed === 0) return { x: 0, y: 0 };
 
-        const dragMagnitude = coefficient * speed * speed;
+        const dragMagnitude = model === 'linear' ? coefficient * speed : coefficient * speed * speed;
         const dragX = -(object.velocity.x / speed) * dragMagnitude;
         const dragY = -(object.velocity.y / speed) * dragMagnitude;
 
         return { x: dragX, y: dragY };
     }
 
+    /**
+     * Aplicar el empuje de un motor: T = ṁ·u, opuesto a la dirección de escape
+     * Se anula cuando el cuerpo agota el combustible (masa igual a la masa en seco).
+     */
+    applyThrust(object) {
+        const flow = object.massFlow;
+        if (!flow || flow.rate <= 0 || object.mass <= flow.dryMass) return { x: 0, y: 0 };
+
+        const thrust = flow.rate * flow.exhaustSpeed;
+        const cos = Math.cos(object.angle);
+        const sin = Math.sin(object.angle);
+
+        return {
+            x: -thrust * (flow.direction.x * cos - flow.direction.y * sin),
+            y: -thrust * (flow.direction.x * sin + flow.direction.y * cos)
+        };
+    }
+
     /**
      * Aplicar fuerza elástica (resorte)
      */
@@ -94,6 +526,37 @@ export class ForceSystem {
         };
     }
 
+    /**
+     * Aplicar la fuerza de contacto de `other` sobre `object` (modelo resorte-amortiguador)
+     * Ambos se tratan como esferas de radio `radius`: con solapamiento δ = r₁ + r₂ − d,
+     * la fuerza vale k·δ + c·δ̇ hacia fuera de `other`. Nunca atrae: si el amortiguador
+     * tira de los cuerpos mientras se separan, la fuerza se anula.
+     * `elastic` es la parte del resorte, k·δ: el balance de energía la anota como
+     * conservativa y solo el resto (el amortiguador) como energía disipada.
+     */
+    applyContactForce(object, other, stiffness, damping) {
+        const dx = object.position.x - other.position.x;
+        const dy = object.position.y - other.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const overlap = object.radius + other.radius - distance;
+
+        if (distance === 0 || overlap <= 0) return { x: 0, y: 0, elastic: { x: 0, y: 0 } };
+
+        const nx = dx / distance;
+        const ny = dy / distance;
+
+        // δ̇ > 0 mientras los cuerpos se acercan
+        const compressionRate = -((object.velocity.x - other.velocity.x) * nx + (object.velocity.y - other.velocity.y) * ny);
+        const elastic = stiffness * overlap;
+        const magnitude = Math.max(0, elastic + damping * compressionRate);
+
+        return {
+            x: nx * magnitude,
+            y: ny * magnitude,
+            elastic: { x: nx * elastic, y: ny * elastic }
+        };
+    }
+
     /**
      * Aplicar fuerza centrípeta
      */
@@ -112,40 +575,140 @@ export class ForceSystem {
         };
     }
 
+    /**
+     * Comprobar si una fuerza actúa sobre un objeto
+     */
+    actsOn(force, object) {
+        if (force.bodies) return force.bodies.includes(object.id);
+
+        return !force.target || force.target === object.id || force.anchorBodyId === object.id;
+    }
+
+    /**
+     * Calcular la contribución de una fuerza sobre un objeto
+     * `bodies` permite consultar el estado de otros cuerpos (resortes entre cuerpos, gravitación, contactos).
+     * `drivingForce` es la suma de las fuerzas ya evaluadas y `normalForce` el módulo
+     * de las normales registradas (null si no hay ninguna). `time` es el instante de
+     * simulación en que se evalúan los perfiles F(t).
+     */
+    calculateForce(force, object, bodies = new Map(), drivingForce = { x: 0, y: 0 }, normalForce = null, time = this.time) {
+        switch (force.kind) {
+            case 'applied':
+                return this.calculateForceComponents(force, time);
+
+            case 'gravity':
+                return this.applyGravity(object);
+
+            case 'gravitation':
+                return this.applyGravitation(object, bodies, force.constant, force.bodies);
+
+            case 'normal':
+                return this.applyNormalForce(force.surfaceAngle, drivingForce);
+
+            case 'friction':
+                return this.applyFriction(
+                    object,
+                    force.coefficient,
+                    force.staticCoefficient ?? force.coefficient,
+                    force.normalForce ?? normalForce,
+                    drivingForce
+                );
+
+            case 'drag':
+                return this.applyAirResistance(object, force.coefficient, force.model);
+
+            case 'thrust':
+                return this.applyThrust(object);
+
+            case 'spring': {
+                if (!force.anchorBodyId) {
+                    return this.applySpringForce(object, force.anchor, force.springConstant, force.restLength);
+                }
+
+                // Resorte entre dos cuerpos: fuerza sobre el objetivo y reacción opuesta
+                const isTarget = object.id === force.target;
+                const other = bodies.get(isTarget ? force.anchorBodyId : force.target);
+                if (!other) return { x: 0, y: 0 };
+
+                return this.applySpringForce(object, other.position, force.springConstant, force.restLength);
+            }
+
+            case 'contact': {
+                const other = bodies.get(force.bodies[0] === object.id ? force.bodies[1] : force.bodies[0]);
+                if (!other) return { x: 0, y: 0 };
+
+                return this.applyContactForce(object, other, force.stiffness, force.damping);
+            }
+
+            default:
+                return { x: 0, y: 0 };
+        }
+    }
+
+    /**
+     * Calcular el torque de una fuerza aplicada fuera del centro de masa
+     * El punto de aplicación gira con el cuerpo: r = R(θ)·offset, τ = r × F (N·m, antihorario positivo)
+     */
+    calculateTorque(force, components, angle = 0) {
+        if (!force.offset) return 0;
+
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const rx = force.offset.x * cos - force.offset.y * sin;
+        const ry = force.offset.x * sin + force.offset.y * cos;
+
+        return rx * components.y - ry * components.x;
+    }
+
     /**
      * Calcular fuerza neta sobre un objeto
+     * Suma todas las fuerzas activas registradas que actúan sobre él.
+     * La normal y la fricción se evalúan al final porque dependen de la suma de las demás;
+     * sin normal registrada la fricción usa N = m·g (superficie horizontal).
+     * `time` es el instante de simulación (s) de la etapa del integrador.
+     * Devuelve `{ x, y, torque, contributions }`, con el desglose por fuerza.
      */
-    calculateNetForce(object, activeForces = []) {
-        let netForce = { x: 0, y: 0 };
-
-        // Aplicar gravedad
-        const gravity = this.applyGravity(object);
-        netForce.x += gravity.x;
-        netForce.y += gravity.y;
-
-        // Aplicar fuerzas activas
-        activeForces.forEach(forceId => {
-            const force = this.forces.get(forceId);
-            if (force && force.active) {
-                const components = this.calculateForceComponents(force);
-                netForce.x += components.x;
-                netForce.y += components.y;
+    calculateNetForce(object, bodies = new Map(), time = this.time) {
+        const netForce = { x: 0, y: 0, torque: 0, contributions: [] };
+        let normalForce = null;
+
+        const forces = Array.from(this.forces.values())
+            .filter(force => force.active && this.actsOn(force, object))
+            .sort((a, b) => (EVALUATION_ORDER[a.kind] || 0) - (EVALUATION_ORDER[b.kind] || 0));
+
+        forces.forEach(force => {
+            const drivingForce = { x: netForce.x, y: netForce.y };
+            const components = this.calculateForce(force, object, bodies, drivingForce, normalForce, time);
+
+            if (force.kind === 'normal') {
+                normalForce = (normalForce || 0) + Math.sqrt(components.x ** 2 + components.y ** 2);
             }
+
+            const torque = this.calculateTorque(force, components, object.angle);
+
+            netForce.x += components.x;
+            netForce.y += components.y;
+            netForce.torque += torque;
+            const contribution = { id: force.id, kind: force.kind, x: components.x, y: components.y, torque };
+            if (components.elastic) contribution.elastic = { ...components.elastic };
+            netForce.contributions.push(contribution);
         });
 
         return netForce;
     }
 
     /**
-     * Actualizar fuerzas temporales
+     * Avanzar el reloj de las fuerzas y apagar las temporales vencidas
+     * `time` es el tiempo de simulación (s): pausar o cambiar la escala de tiempo
+     * no altera la duración de las fuerzas.
      */
-    updateTemporaryForces() {
-        const currentTime = Date.now();
+    updateTemporaryForces(time = this.time) {
+        this.time = time;
 
         this.forces.forEach((force, id) => {
             if (force.type === 'temporary' && force.duration !== Infinity) {
-                const elapsed = currentTime - force.startTime;
-                if (elapsed >= force.duration) {
+                const elapsed = time - force.startTime;
+                if (elapsed >= force.duration - PROFILE_TIME_EPSILON) {
                     force.active = false;
                 }
             }
@@ -186,7 +749,7 @@ export class ForceSystem {
         const force = this.forces.get(forceId);
         if (force) {
             force.active = true;
-            force.startTime = Date.now();
+            force.startTime = this.time;
         }
     }
 
@@ -198,10 +761,11 @@ export class ForceSystem {
     }
 
     /**
-     * Limpiar todas las fuerzas
+     * Limpiar todas las fuerzas y reiniciar su reloj
      */
     clear() {
         this.forces.clear();
+        this.time = 0;
     }
 
     /**
@@ -0,0 +1,131 @@
+/**
+ * Integradores Numéricos
+ * Registro de métodos para avanzar el estado de un cuerpo un paso de tiempo
+ *
+ * Cada integrador trabaja sobre arreglos de coordenadas `q` (posiciones) y
+ * `v` (velocidades) y una función `accelerate(q, v, t)` que devuelve el arreglo
+ * de aceleraciones; `t` es el instante de la etapa dentro del paso (0 a dt), para
+ * que las fuerzas entre cuerpos usen la posición de los demás en ese instante.
+ * Devuelve el nuevo estado `{ q, v, a }`.
+ *
+ * `weights` es el peso de cada evaluación de `accelerate`, en orden, en la velocidad
+ * nueva: v' = v + dt·Σ wᵢ·aᵢ. El motor lo usa para obtener la fuerza efectiva
+ * que movió al cuerpo.
+ */
+
+/**
+ * Combinar arreglos: a + b * factor
+ */
+function addScaled(a, b, factor) {
+    return a.map((value, i) => value + b[i] * factor);
+}
+
+export const INTEGRATORS = {
+    /**
+     * Euler explícito: usa la velocidad del inicio del paso.
+     * Primer orden; la energía de un oscilador crece en cada paso.
+     */
+    'explicit-euler': {
+        label: 'Euler explícito',
+        order: 1,
+        weights: [1],
+        step(q, v, dt, accelerate) {
+            const a = accelerate(q, v, 0);
+            return {
+                q: addScaled(q, v, dt),
+                v: addScaled(v, a, dt),
+                a
+            };
+        }
+    },
+
+    /**
+     * Euler semi-implícito (simpléctico): actualiza la velocidad y
+     * luego la posición con la velocidad nueva. Primer orden, energía acotada.
+     */
+    'semi-implicit-euler': {
+        label: 'Euler semi-implícito',
+        order: 1,
+        weights: [1],
+        step(q, v, dt, accelerate) {
+            const a = accelerate(q, v, 0);
+            const newV = addScaled(v, a, dt);
+            return {
+                q: addScaled(q, newV, dt),
+                v: newV,
+                a
+            };
+        }
+    },
+
+    /**
+     * Verlet de velocidades: promedia la aceleración del inicio y del final
+     * del paso. Segundo orden y simpléctico para fuerzas que dependen de la posición.
+     */
+    'velocity-verlet': {
+        label: 'Verlet de velocidades',
+        order: 2,
+        weights: [0.5, 0.5],
+        step(q, v, dt, accelerate) {
+            const a0 = accelerate(q, v, 0);
+            const newQ = q.map((value, i) => value + v[i] * dt + 0.5 * a0[i] * dt * dt);
+
+            // Para fuerzas dependientes de la velocidad se usa una predicción de Euler
+            const a1 = accelerate(newQ, addScaled(v, a0, dt), dt);
+            const newV = v.map((value, i) => value + 0.5 * (a0[i] + a1[i]) * dt);
+
+            return { q: newQ, v: newV, a: a1 };
+        }
+    },
+
+    /**
+     * Runge-Kutta clásico de cuarto orden
+     */
+    'rk4': {
+        label: 'Runge-Kutta 4',
+        order: 4,
+        weights: [1 / 6, 1 / 3, 1 / 3, 1 / 6],
+        step(q, v, dt, accelerate) {
+            const k1q = v;
+            const k1v = accelerate(q, v, 0);
+
+            const k2q = addScaled(v, k1v, dt / 2);
+            const k2v = accelerate(addScaled(q, k1q, dt / 2), k2q, dt / 2);
+
+            const k3q = addScaled(v, k2v, dt / 2);
+            const k3v = accelerate(addScaled(q, k2q, dt / 2), k3q, dt / 2);
+
+            const k4q = addScaled(v, k3v, dt);
+            const k4v = accelerate(addScaled(q, k3q, dt), k4q, dt);
+
+            const combine = (x, k1, k2, k3, k4) =>
+                x.map((value, i) => value + dt / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+
+            return {
+                q: combine(q, k1q, k2q, k3q, k4q),
+                v: combine(v, k1v, k2v, k3v, k4v),
+                a: k1v
+            };
+        }
+    }
+};
+
+export const DEFAULT_INTEGRATOR = 'semi-implicit-euler';
+
+/**
+ * Obtener un integrador del registro
+ */
+export function getIntegrator(name) {
+    return INTEGRATORS[name] || null;
+}
+
+/**
+ * Listar los integradores disponibles ({ id, label, order })
+ */
+export function listIntegrators() {
+    return Object.entries(INTEGRATORS).map(([id, integrator]) => ({
+        id,
+        label: integrator.label,
+        order: integrator.order
+    }));
+}
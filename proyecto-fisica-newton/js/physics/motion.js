@@ -3,74 +3,127 @@
  * Maneja la integración temporal y cálculos de movimiento
  */
 
+import { DEFAULT_INTEGRATOR, getIntegrator } from './integrators.js';
+
 export class MotionSystem {
     constructor() {
         this.timeStep = 1 / 60; // 60 FPS
         this.timeScale = 1.0; // Escala de tiempo
+        this.integrator = DEFAULT_INTEGRATOR;
         this.isPaused = false;
         this.lastTime = 0;
-        this.accumulator = 0;
+        this.accumulator = 0; // Tiempo simulado pendiente de integrar (s)
+        this.simulationTime = 0; // Tiempo simulado transcurrido (s)
+        this.alpha = 0; // Fracción del paso sobrante, para interpolar el render
+
+        // Protección contra la "espiral de la muerte"
+        this.maxFrameTime = 0.25; // Máximo tiempo real considerado por cuadro (s)
+        this.maxSubSteps = 64; // Máximo de pasos fijos por cuadro
+        this.droppedTime = 0; // Tiempo simulado descartado por la protección (s)
     }
 
     /**
-     * Integrar movimiento usando el método de Verlet
+     * Avanzar la simulación con paso fijo
+     * Acumula el tiempo real del cuadro (multiplicado por timeScale) y ejecuta
+     * `step(timeStep, simulationTime)` tantas veces como pasos completos quepan.
+     * Devuelve la fracción de paso sobrante (0-1) para interpolar el render.
      */
-    integrateMotion(object, netForce, deltaTime) {
-        const dt = deltaTime * this.timeScale;
+    advance(frameTime, step) {
+        if (this.isPaused) return this.alpha;
 
-        // Calcular aceleración: a = F/m
-        const acceleration = {
-            x: netForce.x / object.mass,
-            y: netForce.y / object.mass
-        };
+        this.accumulator += Math.min(frameTime, this.maxFrameTime) * this.timeScale;
 
-        // Almacenar posición anterior para Verlet
-        const prevPosition = { ...object.position };
+        // Tolerancia para que el redondeo de 1/60 no pierda un paso completo
+        const epsilon = 1e-9;
 
-        // Actualizar posición: x = x + v*dt + 0.5*a*dt²
-        object.position.x += object.velocity.x * dt + 0.5 * acceleration.x * dt * dt;
-        object.position.y += object.velocity.y * dt + 0.5 * acceleration.y * dt * dt;
-
-        // Actualizar velocidad: v = v + a*dt
-        object.velocity.x += acceleration.x * dt;
-        object.velocity.y += acceleration.y * dt;
+        let subSteps = 0;
+        while (this.accumulator >= this.timeStep - epsilon) {
+            if (subSteps >= this.maxSubSteps) {
+                // La simulación no da abasto: descartar el atraso en lugar de acumularlo
+                this.droppedTime += this.accumulator - this.accumulator % this.timeStep;
+                this.accumulator %= this.timeStep;
+                break;
+            }
 
-        // Actualizar aceleración
-        object.acceleration = acceleration;
+            step(this.timeStep, this.simulationTime);
+            this.simulationTime += this.timeStep;
+            this.accumulator -= this.timeStep;
+            subSteps++;
+        }
 
-        return {
-            acceleration,
-            displacement: {
-                x: object.position.x - prevPosition.x,
-                y: object.position.y - prevPosition.y
-            }
-        };
+        this.accumulator = Math.max(0, this.accumulator);
+        this.alpha = this.accumulator / this.timeStep;
+        return this.alpha;
     }
 
     /**
-     * Integrar movimiento usando el método de Euler
+     * Reiniciar el reloj de la simulación
      */
-    integrateEuler(object, netForce, deltaTime) {
-        const dt = deltaTime * this.timeScale;
+    reset() {
+        this.lastTime = 0;
+        this.accumulator = 0;
+        this.simulationTime = 0;
+        this.alpha = 0;
+        this.droppedTime = 0;
+    }
 
-        // Calcular aceleración
-        const acceleration = {
-            x: netForce.x / object.mass,
-            y: netForce.y / object.mass
-        };
+    /**
+     * Seleccionar el integrador numérico (ver integrators.js)
+     */
+    setIntegrator(name) {
+        if (!getIntegrator(name)) return false;
 
-        // Actualizar velocidad
-        object.velocity.x += acceleration.x * dt;
-        object.velocity.y += acceleration.y * dt;
+        this.integrator = name;
+        return true;
+    }
 
-        // Actualizar posición
-        object.position.x += object.velocity.x * dt;
-        object.position.y += object.velocity.y * dt;
+    /**
+     * Peso de cada etapa del integrador en la velocidad nueva (ver integrators.js)
+     */
+    getStageWeights() {
+        return getIntegrator(this.integrator).weights;
+    }
 
-        // Actualizar aceleración
-        object.acceleration = acceleration;
+    /**
+     * Integrar el movimiento de un objeto un paso `dt`
+     * `accelerate(position, velocity, angle, angularVelocity, elapsed)` devuelve la aceleración
+     * lineal (m/s²) y, opcionalmente, la angular en `angular` (rad/s²) para ese estado,
+     * de modo que los integradores de varias etapas puedan reevaluar las fuerzas;
+     * `elapsed` es el tiempo de la etapa desde el inicio del paso (s).
+     * La orientación se integra junto con la posición como una tercera coordenada.
+     */
+    integrate(object, accelerate, dt) {
+        const integrator = getIntegrator(this.integrator);
+
+        const result = integrator.step(
+            [object.position.x, object.position.y, object.angle || 0],
+            [object.velocity.x, object.velocity.y, object.angularVelocity || 0],
+            dt,
+            (q, v, elapsed) => {
+                const acceleration = accelerate(
+                    { x: q[0], y: q[1] },
+                    { x: v[0], y: v[1] },
+                    q[2],
+                    v[2],
+                    elapsed
+                );
+                return [acceleration.x, acceleration.y, acceleration.angular || 0];
+            }
+        );
+
+        object.position.x = result.q[0];
+        object.position.y = result.q[1];
+        object.velocity.x = result.v[0];
+        object.velocity.y = result.v[1];
+        object.acceleration = { x: result.a[0], y: result.a[1] };
+
+        if (object.angle !== undefined) {
+            object.angle = result.q[2];
+            object.angularVelocity = result.v[2];
+            object.angularAcceleration = result.a[2];
+        }
 
-        return acceleration;
+        return object.acceleration;
     }
 
     /**
@@ -128,17 +181,28 @@ export class MotionSystem {
 
     /**
      * Calcular energía total del sistema
+     * `gravity` es el campo uniforme (m/s², 0 para omitir m·g·h) y `gravitationalConstant`
+     * añade la energía potencial de cada par, U = −G·m₁·m₂/r.
      */
-    calculateSystemEnergy(objects, groundLevel = 400) {
+    calculateSystemEnergy(objects, groundLevel = 0, { gravity = 9.81, gravitationalConstant = 0 } = {}) {
         let totalKinetic = 0;
         let totalPotential = 0;
 
-        objects.forEach(object => {
+        objects.forEach((object, index) => {
             const speed = Math.sqrt(object.velocity.x ** 2 + object.velocity.y ** 2);
             totalKinetic += 0.5 * object.mass * speed ** 2;
 
-            const height = groundLevel - object.position.y;
-            totalPotential += object.mass * 9.81 * height;
+            const height = object.position.y - groundLevel;
+            totalPotential += object.mass * gravity * height;
+
+            if (!gravitationalConstant) return;
+
+            for (let j = index + 1; j < objects.length; j++) {
+                const distance = this.calculateDistance(object, objects[j]);
+                if (distance > 0) {
+                    totalPotential -= gravitationalConstant * object.mass * objects[j].mass / distance;
+                }
+            }
         });
 
         return {
@@ -167,8 +231,26 @@ export class MotionSystem {
         };
     }
 
+    /**
+     * Calcular el momento angular orbital del sistema respecto a `origin`
+     * L = Σ m·(r × v) (kg·m²/s, antihorario positivo)
+     */
+    calculateAngularMomentum(objects, origin = { x: 0, y: 0 }) {
+        let total = 0;
+
+        objects.forEach(object => {
+            const rx = object.position.x - origin.x;
+            const ry = object.position.y - origin.y;
+            total += object.mass * (rx * object.velocity.y - ry * object.velocity.x);
+        });
+
+        return total;
+    }
+
     /**
      * Actualizar sistema de tiempo
+     * Devuelve el tiempo real transcurrido desde el cuadro anterior (s);
+     * `advance` se encarga de limitarlo y escalarlo.
      */
     updateTime(currentTime) {
         if (this.isPaused) return 0;
@@ -181,7 +263,7 @@ export class MotionSystem {
         const deltaTime = (currentTime - this.lastTime) / 1000; // Convertir a segundos
         this.lastTime = currentTime;
 
-        return Math.min(deltaTime, 0.1); // Limitar deltaTime para evitar saltos grandes
+        return deltaTime;
     }
 
     /**
@@ -214,6 +296,9 @@ export class MotionSystem {
             timeStep: this.timeStep,
             timeScale: this.timeScale,
             isPaused: this.isPaused,
+            simulationTime: this.simulationTime,
+            integrator: this.integrator,
+            droppedTime: this.droppedTime,
             fps: this.timeScale / this.timeStep
         };
     }
@@ -1,166 +1,1275 @@
 /**
  * Motor de Física - Las 3 Leyes de Newton
  * Implementa las ecuaciones fundamentales de la mecánica clásica
+ *
+ * Todas las magnitudes están en unidades SI: posiciones en metros,
+ * velocidades en m/s y fuerzas en N, con el eje y apuntando hacia arriba.
  */
 
+import { MotionSystem } from './motion.js';
+import { ForceSystem } from './forces.js';
+import { CollisionSystem, combineRestitution, combineFriction } from './collisions.js';
+import { ConstraintSystem } from './constraints.js';
+import { EnergyLedger } from './energy.js';
+import { getShape, getBoundingRadius, getInnerRadius, getWorldBounds, calculateShapeInertia, toWorld } from './shapes.js';
+
+/**
+ * Bordes del mundo: eje que limitan y sentido hacia afuera
+ */
+const BOUNDARY_EDGES = {
+    left: { axis: 'x', sign: -1 },
+    right: { axis: 'x', sign: 1 },
+    bottom: { axis: 'y', sign: -1 },
+    top: { axis: 'y', sign: 1 }
+};
+
+/**
+ * Tipos de borde: pared sólida, borde abierto (los cuerpos salen del mundo)
+ * o periódico (reaparecen por el borde opuesto)
+ */
+export const BOUNDARY_TYPES = {
+    wall: 'Pared',
+    open: 'Abierto',
+    wrap: 'Periódico'
+};
+
+// Impulso normal (N·s) por debajo del cual no hay choque: dos cuerpos en reposo
+// que se tocan dejan un residuo de redondeo del orden de 1e-16
+const CONTACT_IMPULSE_TOLERANCE = 1e-9;
+
+// Fase (rad) de la oscilación de un contacto elástico que puede avanzar cada subpaso
+// y tope de subpasos por paso. El contacto más rígido de la Tercera Ley (k = 2000 N/m,
+// A y B de 0.1 kg, ω = 200 rad/s) necesita 167 a 60 Hz; el tope solo frena valores
+// fuera de ese rango y el simulador lo avisa (ver `subStepLimitReached`)
+const CONTACT_PHASE_STEP = 0.02;
+const MAX_CONTACT_SUBSTEPS = 256;
+
 export class PhysicsEngine {
-    constructor() {
+    constructor(motion = new MotionSystem(), forceSystem = new ForceSystem()) {
+        this.motion = motion; // Integración temporal (integrador seleccionable)
+        this.forceSystem = forceSystem; // Fuerzas registradas que actúan en cada paso
         this.gravity = 9.81; // m/s²
         this.drag = 0.01; // Coeficiente de resistencia del aire
         this.timeStep = 1 / 60; // 60 FPS
         this.isRunning = false;
         this.objects = new Map();
         this.forces = new Map();
+        this.collisions = new CollisionSystem(); // Fase amplia y eventos de contacto
+        this.contacts = []; // Contactos resueltos en el último paso
+        this.contactIterations = 8; // Pasadas de impulsos por variedad de contacto
+        this.continuousCollisions = true; // Instante de impacto para cuerpos rápidos (evita el efecto túnel)
+        this.constraints = new ConstraintSystem(); // Cuerdas, varillas, pasadores y anclajes
+        this.constraintIterations = 10; // Pasadas de proyección sobre todas las restricciones
+
+        // Límites del mundo en metros y comportamiento de cada borde
+        this.bounds = { left: 0, right: 16, bottom: 0, top: 8 };
+        this.boundaries = {};
+        Object.keys(BOUNDARY_EDGES).forEach(edge => {
+            this.boundaries[edge] = { type: 'wall', restitution: 0.8, friction: 0 };
+        });
+        this.boundaryEvents = []; // Impactos con paredes, salidas y cruces del último paso
+        this.boundaryListeners = new Set();
+        this.ejections = []; // Masa expulsada por los cuerpos de masa variable en el último paso
+        this.subStepLimitReached = false; // El último paso necesitó más subpasos de contacto que el tope
+        this.energy = new EnergyLedger(); // Trabajo de cada fuerza y pérdidas en choques y paredes
+    }
+
+    /**
+     * Establecer los límites del mundo (m)
+     */
+    setBounds(bounds) {
+        this.bounds = { ...this.bounds, ...bounds };
+    }
+
+    /**
+     * Configurar los bordes del mundo
+     * `edges` asigna a cada borde (`left`, `right`, `bottom`, `top`) un
+     * `{ type, restitution, friction }` parcial; `type` es 'wall', 'open' o 'wrap'.
+     */
+    setBoundaries(edges) {
+        Object.entries(edges).forEach(([edge, options]) => {
+            if (!this.boundaries[edge]) return;
+
+            this.boundaries[edge] = { ...this.boundaries[edge], ...options };
+        });
+    }
+
+    /**
+     * Suscribirse a los eventos de borde
+     * `{ objectId, edge, type, ... }`: 'wall' incluye el impulso entregado por la pared,
+     * 'exit' indica que el cuerpo salió por un borde abierto y 'wrap' que reapareció
+     * por el opuesto. Devuelve una función para cancelar la suscripción.
+     */
+    onBoundary(callback) {
+        this.boundaryListeners.add(callback);
+        return () => this.boundaryListeners.delete(callback);
     }
 
     /**
-     * Primera Ley de Newton - Ley de Inercia
-     * Un objeto en reposo permanece en reposo, y un objeto en movimiento
-     * permanece en movimiento a velocidad constante, a menos que actúe sobre él una fuerza neta.
+     * Convertir un cuerpo en uno de masa variable (cohete)
+     * Pierde `rate` kg/s expulsados a `exhaustSpeed` m/s relativos al cuerpo en la
+     * dirección `direction` (marco del cuerpo, gira con él) hasta quedarse en `dryMass`.
+     * `rate` = 0 apaga el motor; `null` en lugar de opciones vuelve a masa constante.
      */
-    applyInertia(objectId, friction = 0) {
+    setMassFlow(objectId, options) {
         const object = this.objects.get(objectId);
         if (!object) return;
 
-        // Aplicar fricción (fuerza opuesta al movimiento)
-        const frictionForce = {
-            x: -object.velocity.x * friction * object.mass,
-            y: -object.velocity.y * friction * object.mass
+        if (!options) {
+            object.massFlow = null;
+            return;
+        }
+
+        object.massFlow = {
+            rate: 0,
+            exhaustSpeed: 0,
+            direction: { x: 0, y: -1 },
+            dryMass: 0,
+            ...object.massFlow,
+            ...options
         };
+    }
 
-        // Actualizar velocidad con fricción
-        object.velocity.x += frictionForce.x / object.mass * this.timeStep;
-        object.velocity.y += frictionForce.y / object.mass * this.timeStep;
+    /**
+     * Masa de un cuerpo `elapsed` segundos después del inicio del paso
+     */
+    getMassAt(object, elapsed = 0) {
+        const flow = object.massFlow;
+        if (!flow || flow.rate <= 0) return object.mass;
 
-        // Detener el objeto si la velocidad es muy pequeña
-        if (Math.abs(object.velocity.x) < 0.01) object.velocity.x = 0;
-        if (Math.abs(object.velocity.y) < 0.01) object.velocity.y = 0;
+        return Math.max(flow.dryMass, object.mass - flow.rate * elapsed);
+    }
 
-        // Actualizar posición
-        object.position.x += object.velocity.x * this.timeStep;
-        object.position.y += object.velocity.y * this.timeStep;
+    /**
+     * Velocidad de salida de los gases en el marco del mundo
+     * v_gas = v_cuerpo + u·d, con d la dirección de escape girada con el cuerpo
+     */
+    getExhaustVelocity(object, velocity = object.velocity) {
+        const { exhaustSpeed, direction } = object.massFlow;
+        const cos = Math.cos(object.angle);
+        const sin = Math.sin(object.angle);
 
-        // Aplicar límites del canvas
-        this.applyBoundaries(object);
+        return {
+            x: velocity.x + exhaustSpeed * (direction.x * cos - direction.y * sin),
+            y: velocity.y + exhaustSpeed * (direction.x * sin + direction.y * cos)
+        };
     }
 
     /**
-     * Segunda Ley de Newton - F = ma
-     * La aceleración de un objeto es directamente proporcional a la fuerza neta aplicada
-     * e inversamente proporcional a su masa.
+     * Consumir la masa quemada durante el paso
+     * La masa expulsada sale con la velocidad media del cuerpo en el paso más la de
+     * escape, de modo que el momento del cuerpo más el de los gases se conserva.
+     * Devuelve `{ objectId, mass, velocity, momentum }` o null si no se expulsó nada.
      */
-    applySecondLaw(objectId, force) {
-        const object = this.objects.get(objectId);
-        if (!object) return;
+    burnMass(object, startVelocity, dt) {
+        const flow = object.massFlow;
+        if (!flow || flow.rate <= 0) return null;
 
-        // Calcular aceleración: a = F/m
-        const acceleration = {
-            x: force.x / object.mass,
-            y: force.y / object.mass
+        const mass = object.mass - this.getMassAt(object, dt);
+        if (mass <= 0) return null;
+
+        object.mass -= mass;
+
+        const velocity = this.getExhaustVelocity(object, {
+            x: (startVelocity.x + object.velocity.x) / 2,
+            y: (startVelocity.y + object.velocity.y) / 2
+        });
+
+        return {
+            objectId: object.id,
+            mass,
+            velocity,
+            momentum: { x: mass * velocity.x, y: mass * velocity.y }
         };
+    }
+
+    /**
+     * Avanzar el mundo un paso `dt`
+     * - Primera Ley: sin fuerza neta, el integrador conserva la velocidad.
+     * - Segunda Ley: cada cuerpo acelera con a = F/m, donde F es la suma de todas
+     *   las fuerzas registradas en el ForceSystem (gravedad, fricción, arrastre, resortes, aplicadas),
+     *   y gira con α = τ/I por las fuerzas aplicadas fuera del centro de masa.
+     * - Tercera Ley: las restricciones (cuerdas, varillas, pasadores) y los contactos
+     *   se resuelven con impulsos iguales y opuestos; los cuerpos de masa variable
+     *   expulsan gases con el momento opuesto al que ganan (ver `ejections`).
+     * El trabajo de cada fuerza y la energía perdida en choques y paredes se anotan en `energy`.
+     * Devuelve la lista de contactos resueltos en este paso.
+     */
+    step(dt = this.timeStep) {
+        this.storePreviousState();
+        this.constraints.initializeLengths(this.objects);
+        this.forceSystem.updateTemporaryForces(this.motion.simulationTime);
+        this.ejections = [];
 
-        // Actualizar velocidad: v = v₀ + at
-        object.velocity.x += acceleration.x * this.timeStep;
-        object.velocity.y += acceleration.y * this.timeStep;
+        // Estado de todos los cuerpos al inicio del paso (para fuerzas entre cuerpos)
+        const snapshot = this.createSnapshot();
 
-        // Actualizar posición: x = x₀ + vt
-        object.position.x += object.velocity.x * this.timeStep;
-        object.position.y += object.velocity.y * this.timeStep;
+        // Los cuerpos de un contacto elástico activo se integran en subpasos
+        const { bodies: contactBodies, subSteps } = this.getContactSubSteps(dt);
+        const subStep = dt / subSteps;
 
-        // Aplicar límites del canvas
-        this.applyBoundaries(object);
+        this.integrateForces(snapshot, dt, 0, object => !contactBodies.has(object.id));
+        for (let i = 0; i < subSteps; i++) {
+            // Los demás cuerpos se ven donde estarán al empezar el subpaso
+            const current = i === 0 ? snapshot : this.predictSnapshot(snapshot, i * subStep);
+            if (i > 0) {
+                this.createSnapshot(contactBodies).forEach((state, id) => current.set(id, state));
+            }
 
-        return acceleration;
+            this.integrateForces(current, subStep, i * subStep, object => contactBodies.has(object.id));
+        }
+
+        this.resolveConstraints(dt);
+
+        // La fricción frena hasta el reposo pero no invierte el movimiento
+        // (se comprueba después de las cuerdas, que pueden seguir tirando del cuerpo)
+        this.objects.forEach(object => {
+            if (object.isStatic) return;
+
+            if (this.forceSystem.stopsByFriction(object, snapshot.get(object.id).velocity, dt)) {
+                // La energía cinética que queda al detenerse también la disipa la fricción
+                const friction = object.netForce.contributions.find(contribution => contribution.kind === 'friction');
+                if (friction) {
+                    this.energy.addWork(object.id, friction.id, 'friction', -0.5 * object.mass *
+                        (object.velocity.x ** 2 + object.velocity.y ** 2));
+                }
+
+                object.velocity.x = 0;
+                object.velocity.y = 0;
+            }
+        });
+        this.contacts = this.resolveContacts(dt);
+
+        this.boundaryEvents = [];
+        this.objects.forEach(object => {
+            this.boundaryEvents.push(...this.applyBoundaries(object));
+        });
+        this.boundaryEvents.forEach(event => {
+            this.boundaryListeners.forEach(callback => callback(event));
+        });
+
+        return this.contacts;
+    }
+
+    /**
+     * Integrar las fuerzas registradas sobre los cuerpos que cumplen `filter` durante `dt`
+     * `snapshot` es el estado de todos los cuerpos al inicio del (sub)paso y `offset` su
+     * instante dentro del paso (s). La fuerza neta que queda en cada cuerpo es la del
+     * inicio del paso; la fuerza efectiva del integrador en cada subpaso se guarda en
+     * `stepForces` y con ella se anota el trabajo.
+     */
+    integrateForces(snapshot, dt, offset, filter) {
+        const predictions = new Map([[0, snapshot]]);
+        const weights = this.motion.getStageWeights();
+
+        this.objects.forEach(object => {
+            if (object.isStatic || !filter(object)) return;
+
+            const inverseInertia = this.getInverseInertia(object);
+
+            const stages = [];
+            this.motion.integrate(object, (position, velocity, angle, angularVelocity, elapsed = 0) => {
+                // Las etapas intermedias ven a los demás cuerpos donde estarán en ese instante
+                if (!predictions.has(elapsed)) {
+                    predictions.set(elapsed, this.predictSnapshot(snapshot, elapsed));
+                }
+
+                // Un cuerpo de masa variable acelera con la masa que le queda en esa etapa
+                const mass = this.getMassAt(object, elapsed);
+                const force = this.forceSystem.calculateNetForce(
+                    { ...object, position, velocity, angle, angularVelocity, mass },
+                    predictions.get(elapsed),
+                    this.motion.simulationTime + offset + elapsed
+                );
+                stages.push(force);
+
+                return {
+                    x: force.x / mass,
+                    y: force.y / mass,
+                    angular: force.torque * inverseInertia // α = τ / I
+                };
+            }, dt);
+
+            // La primera evaluación corresponde al estado inicial del paso
+            if (offset === 0) {
+                object.netForce = stages[0];
+                object.stepForces = [];
+            }
+
+            const contributions = this.combineStages(stages, weights);
+            object.stepForces.push({ offset, dt, contributions });
+            this.recordWork(object, snapshot.get(object.id), contributions, dt);
+
+            const ejection = this.burnMass(object, snapshot.get(object.id).velocity, dt);
+            if (ejection) this.ejections.push(ejection);
+        });
+    }
+
+    /**
+     * Fuerza efectiva de cada contribución en un paso: Σ wᵢ·Fᵢ sobre las etapas
+     * del integrador, la que realmente cambió la velocidad del cuerpo
+     */
+    combineStages(stages, weights) {
+        return stages[0].contributions.map((contribution, index) => {
+            const combined = { ...contribution, x: 0, y: 0, torque: 0 };
+            if (contribution.elastic) combined.elastic = { x: 0, y: 0 };
+
+            stages.forEach((stage, i) => {
+                const item = stage.contributions[index];
+                combined.x += weights[i] * item.x;
+                combined.y += weights[i] * item.y;
+                combined.torque += weights[i] * item.torque;
+                if (combined.elastic && item.elastic) {
+                    combined.elastic.x += weights[i] * item.elastic.x;
+                    combined.elastic.y += weights[i] * item.elastic.y;
+                }
+            });
+            return combined;
+        });
+    }
+
+    /**
+     * Subpasos para integrar los contactos elásticos (resorte-amortiguador) de este paso
+     * Con un paso grande frente a la oscilación del contacto, ω = √(k/μ), el solapamiento
+     * entra y sale a mitad de paso y el integrador le regala energía al choque. Si un par
+     * con contacto elástico se toca, o puede tocarse durante el paso, sus cuerpos se
+     * integran en subpasos que avanzan como mucho CONTACT_PHASE_STEP rad de esa oscilación.
+     * Devuelve `{ bodies, subSteps }`: los ids de esos cuerpos y el número de subpasos.
+     * Si hacen falta más de MAX_CONTACT_SUBSTEPS se usa el tope y `subStepLimitReached`
+     * queda activo para que el simulador lo avise.
+     */
+    getContactSubSteps(dt) {
+        const bodies = new Set();
+        let subSteps = 1;
+
+        this.forceSystem.getCompliantContacts().forEach(contact => {
+            const [a, b] = contact.bodies.map(id => this.objects.get(id));
+            if (!a || !b) return;
+
+            const gap = Math.sqrt((b.position.x - a.position.x) ** 2 + (b.position.y - a.position.y) ** 2) -
+                a.radius - b.radius;
+            const approach = Math.sqrt((b.velocity.x - a.velocity.x) ** 2 + (b.velocity.y - a.velocity.y) ** 2) * dt;
+            if (gap > approach) return;
+
+            const reducedMass = a.isStatic ? b.mass : b.isStatic ? a.mass : a.mass * b.mass / (a.mass + b.mass);
+            const omega = Math.sqrt(contact.stiffness / reducedMass);
+            subSteps = Math.max(subSteps, Math.ceil(omega * dt / CONTACT_PHASE_STEP));
+            [a, b].forEach(body => {
+                if (!body.isStatic) bodies.add(body.id);
+            });
+        });
+
+        this.subStepLimitReached = subSteps > MAX_CONTACT_SUBSTEPS;
+        return { bodies, subSteps: Math.min(subSteps, MAX_CONTACT_SUBSTEPS) };
+    }
+
+    /**
+     * Resolver los impactos de los cuerpos que avanzan más que su tamaño en un paso
+     * Cada par se lleva al instante exacto del primer contacto, se resuelve el impulso
+     * y ambos cuerpos recorren el resto del paso con su nueva velocidad.
+     * Un cuerpo resuelve como mucho un impacto por paso.
+     */
+    resolveContinuousCollisions(dt) {
+        const objects = this.getAllObjects();
+
+        // Un cuerpo es rápido si avanza más de la mitad del menor radio inscrito
+        const threshold = 0.5 * objects.reduce(
+            (min, object) => Math.min(min, getInnerRadius(getShape(object))),
+            Infinity
+        );
+
+        const fast = objects.filter(object => {
+            if (object.isStatic) return false;
+
+            const dx = object.position.x - object.previousPosition.x;
+            const dy = object.position.y - object.previousPosition.y;
+            return dx * dx + dy * dy > threshold * threshold;
+        });
+
+        const results = [];
+        const handled = new Set();
+
+        fast.forEach(object => {
+            if (handled.has(object.id)) return;
+
+            let earliest = null;
+            objects.forEach(other => {
+                if (other === object || handled.has(other.id)) return;
+                if (this.forceSystem.hasCompliantContact(object.id, other.id)) return;
+
+                const impact = this.collisions.findTimeOfImpact(object, other);
+                if (impact && (!earliest || impact.time < earliest.time)) {
+                    earliest = impact;
+                }
+            });
+
+            if (!earliest) return;
+
+            const { objectA, objectB } = earliest.contact;
+            handled.add(objectA.id);
+            handled.add(objectB.id);
+
+            // Retroceder al instante del impacto, resolver y completar el paso
+            [objectA, objectB].forEach(body => this.moveToStepFraction(body, earliest.time));
+            const result = this.resolveContact(earliest.contact);
+
+            const remaining = (1 - earliest.time) * dt;
+            [objectA, objectB].forEach(body => {
+                if (body.isStatic) return;
+
+                body.position.x += body.velocity.x * remaining;
+                body.position.y += body.velocity.y * remaining;
+                body.angle += body.angularVelocity * remaining;
+            });
+
+            if (result) {
+                results.push({ ...result, timeOfImpact: earliest.time * dt });
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Colocar un cuerpo en la fracción `time` (0-1) de su último paso
+     */
+    moveToStepFraction(object, time) {
+        object.position.x = object.previousPosition.x + (object.position.x - object.previousPosition.x) * time;
+        object.position.y = object.previousPosition.y + (object.position.y - object.previousPosition.y) * time;
+        object.angle = object.previousAngle + (object.angle - object.previousAngle) * time;
+    }
+
+    /**
+     * Copiar posición, velocidad y masa de cada cuerpo (o solo de los de `ids`)
+     */
+    createSnapshot(ids = null) {
+        const snapshot = new Map();
+
+        this.objects.forEach((object, id) => {
+            if (ids && !ids.has(id)) return;
+
+            snapshot.set(id, {
+                id,
+                mass: object.mass,
+                radius: object.radius,
+                position: { ...object.position },
+                velocity: { ...object.velocity },
+                acceleration: object.isStatic ? { x: 0, y: 0 } : { ...object.acceleration },
+                angle: object.angle,
+                angularVelocity: object.angularVelocity
+            });
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Extrapolar el estado de los cuerpos `elapsed` segundos después de la instantánea
+     * con su aceleración del paso anterior (x + v·t + ½·a·t²)
+     */
+    predictSnapshot(snapshot, elapsed) {
+        const prediction = new Map();
+
+        snapshot.forEach((state, id) => {
+            const { position, velocity, acceleration } = state;
+
+            prediction.set(id, {
+                ...state,
+                position: {
+                    x: position.x + velocity.x * elapsed + 0.5 * acceleration.x * elapsed * elapsed,
+                    y: position.y + velocity.y * elapsed + 0.5 * acceleration.y * elapsed * elapsed
+                },
+                velocity: {
+                    x: velocity.x + acceleration.x * elapsed,
+                    y: velocity.y + acceleration.y * elapsed
+                }
+            });
+        });
+
+        return prediction;
+    }
+
+    /**
+     * Detectar y resolver los contactos entre todos los cuerpos
+     * Primero los impactos de los cuerpos rápidos (detección continua); luego la fase
+     * amplia (rejilla uniforme) descarta los pares lejanos y la estrecha resuelve los
+     * solapamientos. Cada contacto resuelto se publica como evento
+     * `{ objectA, objectB, normal, point, impulse, ... }`.
+     */
+    resolveContacts(dt = this.timeStep) {
+        const contacts = this.continuousCollisions ? this.resolveContinuousCollisions(dt) : [];
+
+        this.collisions.findContacts(this.getAllObjects()).forEach(contact => {
+            // Los pares con contacto elástico ya se empujan con una fuerza durante el paso
+            if (this.forceSystem.hasCompliantContact(contact.objectA.id, contact.objectB.id)) return;
+
+            const result = this.resolveContact(contact);
+            if (result) {
+                contacts.push(result);
+            }
+        });
+
+        this.collisions.emit(contacts);
+        return contacts;
+    }
+
+    /**
+     * Suscribirse a los contactos resueltos en cada paso
+     * Devuelve una función para cancelar la suscripción.
+     */
+    onContact(callback) {
+        return this.collisions.onContact(callback);
+    }
+
+    /**
+     * Resolver todas las restricciones activas
+     * Tras integrar, cada pasada proyecta las posiciones sobre las restricciones
+     * (las cuerdas solo tiran y solo actúan tensas) y aplica a la velocidad el mismo
+     * desplazamiento dividido por dt, como un impulso. Las cuerdas y varillas corrigen
+     * a lo largo de su dirección al inicio del paso (método SHAKE), de modo que
+     * un péndulo no pierde energía por la discretización.
+     * La fuerza de cada restricción es su impulso acumulado / dt y se añade
+     * al desglose `netForce.contributions` de ambos cuerpos (tipo 'tension') y a
+     * su aceleración, que el integrador calculó sin ella.
+     *
+     * Los cuerpos en reposo con fricción se resuelven primero como fijos: si la fuerza
+     * total que reciben no supera la fricción estática máxima μs·N, la fricción los
+     * sujeta; si la supera, se sueltan y el paso se resuelve de nuevo.
+     */
+    resolveConstraints(dt) {
+        const constraints = this.constraints.getActiveConstraints(this.objects);
+        if (constraints.length === 0) return [];
+
+        const kineticBefore = this.measureKineticEnergies();
+
+        const held = this.findHeldBodies(constraints);
+        const state = held.size > 0 ? this.saveConstraintState(constraints) : null;
+        let rows = this.solveConstraints(constraints, dt, held);
+
+        const released = Array.from(held)
+            .map(id => {
+                const object = this.objects.get(id);
+                return { object, force: this.calculateHoldingForce(object, rows, dt) };
+            })
+            .filter(({ object, force }) =>
+                Math.sqrt(force.x ** 2 + force.y ** 2) > this.forceSystem.getFrictionLimits(object).static
+            );
+
+        if (released.length > 0) {
+            this.restoreConstraintState(state);
+            released.forEach(({ object, force }) => {
+                held.delete(object.id);
+                this.releaseFromStaticFriction(object, force, dt);
+            });
+            rows = this.solveConstraints(constraints, dt, held);
+        }
+
+        rows.forEach(row => this.publishConstraintForce(row, dt));
+        held.forEach(id => this.holdByStaticFriction(this.objects.get(id)));
+        this.recordEnergyChanges(kineticBefore, 'constraints');
+        return constraints;
+    }
+
+    /**
+     * Preparar y resolver todas las restricciones tratando los cuerpos de `held` como fijos
+     */
+    solveConstraints(constraints, dt, held) {
+        const rows = constraints.map(constraint => constraint.type === 'pulley'
+            ? this.preparePulley(constraint, dt, held)
+            : this.prepareConstraint(constraint, held));
+
+        for (let iteration = 0; iteration < this.constraintIterations; iteration++) {
+            rows.forEach(row => {
+                if (row.constraint.type === 'pulley') {
+                    this.solvePulley(row, dt);
+                } else {
+                    this.solveConstraint(row, dt);
+                }
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Cuerpos de las restricciones que la fricción estática puede sujetar:
+     * en reposo y sobre una superficie con fricción
+     */
+    findHeldBodies(constraints) {
+        const held = new Set();
+
+        constraints.forEach(constraint => {
+            [constraint.bodyA, constraint.bodyB].forEach(id => {
+                const object = id === null ? null : this.objects.get(id);
+                if (!object || object.isStatic || held.has(id)) return;
+
+                if (this.forceSystem.getFrictionLimits(object)) {
+                    held.add(id);
+                }
+            });
+        });
+
+        return held;
+    }
+
+    /**
+     * Copiar el estado que modifican las restricciones para poder repetir el paso
+     */
+    saveConstraintState(constraints) {
+        const bodies = new Map();
+        const pulleys = [];
+
+        constraints.forEach(constraint => {
+            [constraint.bodyA, constraint.bodyB].forEach(id => {
+                if (id === null || bodies.has(id)) return;
+
+                const object = this.objects.get(id);
+                bodies.set(id, {
+                    object,
+                    position: { ...object.position },
+                    velocity: { ...object.velocity },
+                    angle: object.angle,
+                    angularVelocity: object.angularVelocity
+                });
+            });
+
+            if (constraint.pulley) {
+                const { pulley } = constraint;
+                pulleys.push({ pulley, angle: pulley.angle, angularVelocity: pulley.angularVelocity });
+            }
+        });
+
+        return { bodies, pulleys };
+    }
+
+    /**
+     * Volver al estado copiado con `saveConstraintState`
+     */
+    restoreConstraintState({ bodies, pulleys }) {
+        bodies.forEach(saved => {
+            Object.assign(saved.object.position, saved.position);
+            Object.assign(saved.object.velocity, saved.velocity);
+            saved.object.angle = saved.angle;
+            saved.object.angularVelocity = saved.angularVelocity;
+        });
+
+        pulleys.forEach(saved => {
+            saved.pulley.angle = saved.angle;
+            saved.pulley.angularVelocity = saved.angularVelocity;
+        });
+    }
+
+    /**
+     * Fuerza que la fricción estática tendría que anular para sujetar un cuerpo:
+     * las fuerzas registradas (sin la fricción) más las de las restricciones
+     */
+    calculateHoldingForce(object, rows, dt) {
+        const force = { x: 0, y: 0 };
+
+        object.netForce.contributions.forEach(contribution => {
+            if (contribution.kind === 'friction') return;
+            force.x += contribution.x;
+            force.y += contribution.y;
+        });
+
+        rows.forEach(row => {
+            this.getConstraintForces(row, dt).forEach(item => {
+                if (item.object !== object) return;
+                force.x += item.force.x;
+                force.y += item.force.y;
+            });
+        });
+
+        return force;
+    }
+
+    /**
+     * Un cuerpo que se suelta empieza a deslizar en este mismo paso:
+     * la fricción cinética μk·N se opone a la fuerza que lo arrastra
+     */
+    releaseFromStaticFriction(object, holdingForce, dt) {
+        const { kinetic } = this.forceSystem.getFrictionLimits(object);
+        const magnitude = Math.sqrt(holdingForce.x ** 2 + holdingForce.y ** 2);
+        const friction = {
+            x: -holdingForce.x / magnitude * kinetic,
+            y: -holdingForce.y / magnitude * kinetic
+        };
+
+        object.velocity.x += friction.x / object.mass * dt;
+        object.velocity.y += friction.y / object.mass * dt;
+        object.position.x += friction.x / object.mass * dt * dt;
+        object.position.y += friction.y / object.mass * dt * dt;
+
+        // La fricción cinética sustituye a la estática que el integrador ya había sumado
+        const contribution = object.netForce.contributions.find(item => item.kind === 'friction');
+        const previous = contribution || { x: 0, y: 0 };
+        object.acceleration.x += (friction.x - previous.x) / object.mass;
+        object.acceleration.y += (friction.y - previous.y) / object.mass;
+        if (!contribution) return;
+
+        object.netForce.x += friction.x - contribution.x;
+        object.netForce.y += friction.y - contribution.y;
+        contribution.x = friction.x;
+        contribution.y = friction.y;
+    }
+
+    /**
+     * La fricción estática anula el resto de fuerzas de un cuerpo sujeto
+     * (las tensiones ya están en su desglose)
+     */
+    holdByStaticFriction(object) {
+        const { netForce } = object;
+        const friction = netForce.contributions.find(contribution => contribution.kind === 'friction');
+        if (!friction) return;
+
+        const others = { x: netForce.x - friction.x, y: netForce.y - friction.y };
+
+        friction.x = -others.x;
+        friction.y = -others.y;
+        netForce.x = 0;
+        netForce.y = 0;
+        object.acceleration = { x: 0, y: 0 };
+    }
+
+    /**
+     * Preparar una restricción: cuerpos y masas inversas
+     * Un anclaje en el mundo se trata como un cuerpo estático en ese punto,
+     * igual que los cuerpos de `held`.
+     */
+    prepareConstraint(constraint, held = new Set()) {
+        const objectA = this.objects.get(constraint.bodyA);
+        const objectB = constraint.bodyB === null
+            ? {
+                id: null,
+                position: { ...constraint.anchorB },
+                previousPosition: { ...constraint.anchorB },
+                velocity: { x: 0, y: 0 },
+                angle: 0,
+                angularVelocity: 0,
+                isStatic: true
+            }
+            : this.objects.get(constraint.bodyB);
+
+        const row = {
+            constraint,
+            objectA,
+            objectB,
+            anchorB: constraint.bodyB === null ? { x: 0, y: 0 } : constraint.anchorB,
+            inverseMassA: held.has(objectA.id) ? 0 : this.getInverseMass(objectA),
+            inverseMassB: held.has(objectB.id) ? 0 : this.getInverseMass(objectB),
+            inverseInertiaA: held.has(objectA.id) ? 0 : this.getInverseInertia(objectA),
+            inverseInertiaB: held.has(objectB.id) ? 0 : this.getInverseInertia(objectB),
+            impulse: { x: 0, y: 0 },
+            lambda: 0 // Corrección acumulada a lo largo de la dirección de A hacia B
+        };
+
+        Object.assign(row, this.calculateConstraintGeometry(row));
+        constraint.isTaut = row.isActive;
+
+        // Dirección de A hacia B al inicio del paso
+        const startA = toWorld({ position: objectA.previousPosition, angle: objectA.previousAngle }, constraint.anchorA);
+        const startB = toWorld({ position: objectB.previousPosition, angle: objectB.previousAngle }, row.anchorB);
+        const startDistance = Math.sqrt((startB.x - startA.x) ** 2 + (startB.y - startA.y) ** 2);
+        row.startNormal = startDistance > 1e-9
+            ? { x: (startB.x - startA.x) / startDistance, y: (startB.y - startA.y) / startDistance }
+            : row.normal;
+
+        return row;
+    }
+
+    /**
+     * Brazos, dirección y error de posición de una restricción con las posiciones actuales
+     */
+    calculateConstraintGeometry(row) {
+        const { constraint, objectA, objectB } = row;
+        const pointA = toWorld(objectA, constraint.anchorA);
+        const pointB = toWorld(objectB, row.anchorB);
+
+        const rA = { x: pointA.x - objectA.position.x, y: pointA.y - objectA.position.y };
+        const rB = { x: pointB.x - objectB.position.x, y: pointB.y - objectB.position.y };
+        const dx = pointB.x - pointA.x;
+        const dy = pointB.y - pointA.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (constraint.type === 'pin') {
+            return { rA, rB, error: { x: dx, y: dy }, isActive: true };
+        }
+
+        // Cuerdas y varillas: dirección de A hacia B y exceso de longitud
+        const normal = distance > 1e-9 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 };
+        const error = distance - constraint.length;
+        const isActive = constraint.type === 'rod' || error > 0;
+
+        return { rA, rB, normal, error, isActive };
+    }
+
+    /**
+     * Resolver K·λ = b para un pasador, con K la matriz (2×2) de masa efectiva inversa
+     */
+    solvePinMatrix(row, b) {
+        const { rA, rB } = row;
+        const inverseMassSum = row.inverseMassA + row.inverseMassB;
+        const iA = row.inverseInertiaA;
+        const iB = row.inverseInertiaB;
+
+        const k11 = inverseMassSum + iA * rA.y * rA.y + iB * rB.y * rB.y;
+        const k12 = -iA * rA.x * rA.y - iB * rB.x * rB.y;
+        const k22 = inverseMassSum + iA * rA.x * rA.x + iB * rB.x * rB.x;
+
+        const determinant = k11 * k22 - k12 * k12;
+        if (Math.abs(determinant) < 1e-12) return { x: 0, y: 0 };
+
+        return {
+            x: (k22 * b.x - k12 * b.y) / determinant,
+            y: (k11 * b.y - k12 * b.x) / determinant
+        };
+    }
+
+    /**
+     * Una pasada sobre una restricción
+     * `correction` es el desplazamiento ponderado (kg·m) que se aplica a B y,
+     * con signo opuesto, a A; la velocidad recibe el impulso correction / dt.
+     */
+    solveConstraint(row, dt) {
+        Object.assign(row, this.calculateConstraintGeometry(row));
+        if (row.constraint.type === 'rope' && row.isActive) row.constraint.isTaut = true;
+        if (!row.isActive) return;
+
+        let correction;
+
+        if (row.constraint.type === 'pin') {
+            correction = this.solvePinMatrix(row, { x: -row.error.x, y: -row.error.y });
+        } else {
+            // Paso de Newton sobre C = |d| − L desplazando a lo largo de la dirección inicial
+            const { normal, startNormal, rA, rB } = row;
+            const cross = (r, n) => r.x * n.y - r.y * n.x;
+            const denominator =
+                (row.inverseMassA + row.inverseMassB) * (normal.x * startNormal.x + normal.y * startNormal.y) +
+                row.inverseInertiaA * cross(rA, normal) * cross(rA, startNormal) +
+                row.inverseInertiaB * cross(rB, normal) * cross(rB, startNormal);
+            if (denominator < 1e-9) return;
+
+            const lambda = -row.error / denominator;
+            row.lambda += lambda;
+            correction = { x: lambda * startNormal.x, y: lambda * startNormal.y };
+        }
+
+        const { objectA, objectB, rA, rB } = row;
+        const impulse = { x: correction.x / dt, y: correction.y / dt };
+
+        objectA.position.x -= correction.x * row.inverseMassA;
+        objectA.position.y -= correction.y * row.inverseMassA;
+        objectB.position.x += correction.x * row.inverseMassB;
+        objectB.position.y += correction.y * row.inverseMassB;
+        objectA.angle -= (rA.x * correction.y - rA.y * correction.x) * row.inverseInertiaA;
+        objectB.angle += (rB.x * correction.y - rB.y * correction.x) * row.inverseInertiaB;
+
+        objectA.velocity.x -= impulse.x * row.inverseMassA;
+        objectA.velocity.y -= impulse.y * row.inverseMassA;
+        objectB.velocity.x += impulse.x * row.inverseMassB;
+        objectB.velocity.y += impulse.y * row.inverseMassB;
+        objectA.angularVelocity -= (rA.x * impulse.y - rA.y * impulse.x) * row.inverseInertiaA;
+        objectB.angularVelocity += (rB.x * impulse.y - rB.y * impulse.x) * row.inverseInertiaB;
+
+        row.impulse.x += impulse.x;
+        row.impulse.y += impulse.y;
+    }
+
+    /**
+     * Preparar una cuerda de polea
+     * La polea gira libremente con su velocidad angular antes de corregir los tramos;
+     * cada tramo se corrige a lo largo de su dirección al inicio del paso.
+     */
+    preparePulley(constraint, dt, held = new Set()) {
+        const objectA = this.objects.get(constraint.bodyA);
+        const objectB = this.objects.get(constraint.bodyB);
+        const { pulley } = constraint;
+
+        pulley.angle += pulley.angularVelocity * dt;
+
+        const row = {
+            constraint,
+            objectA,
+            objectB,
+            inverseMassA: held.has(objectA.id) ? 0 : this.getInverseMass(objectA),
+            inverseMassB: held.has(objectB.id) ? 0 : this.getInverseMass(objectB),
+            startA: this.getPulleySide(objectA.previousPosition, pulley.exitA).direction,
+            startB: this.getPulleySide(objectB.previousPosition, pulley.exitB).direction,
+            lambdaA: 0, // Corrección acumulada de cada tramo (kg·m, positiva si tira)
+            lambdaB: 0
+        };
+
+        const sideA = this.getPulleySide(objectA.position, pulley.exitA);
+        const sideB = this.getPulleySide(objectB.position, pulley.exitB);
+        constraint.isTaut = sideA.length + sideB.length >= constraint.length;
+
+        return row;
+    }
+
+    /**
+     * Longitud de un tramo y dirección unitaria desde la salida de la polea hasta el cuerpo
+     */
+    getPulleySide(position, exit) {
+        const dx = position.x - exit.x;
+        const dy = position.y - exit.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        return {
+            length,
+            direction: length > 1e-9 ? { x: dx / length, y: dy / length } : { x: 0, y: -1 }
+        };
+    }
+
+    /**
+     * Una pasada sobre una cuerda de polea
+     * Con la polea girada φ, los tramos cumplen lA + rφ ≤ LA y lB − rφ ≤ LB. Si ambos
+     * están tensos se resuelven juntos; la polea entra con su masa equivalente β = I/r²
+     * (β = 0: polea ideal, misma tensión en los dos lados).
+     */
+    solvePulley(row, dt) {
+        const { constraint, objectA, objectB } = row;
+        const { pulley } = constraint;
+        const sideA = this.getPulleySide(objectA.position, pulley.exitA);
+        const sideB = this.getPulleySide(objectB.position, pulley.exitB);
+        const errorA = sideA.length + pulley.radius * pulley.angle - constraint.lengthA;
+        const errorB = sideB.length - pulley.radius * pulley.angle - constraint.lengthB;
+
+        if (errorA <= 0 && errorB <= 0) return;
+        constraint.isTaut = true;
+
+        // Masas inversas efectivas a lo largo de cada tramo
+        const a = row.inverseMassA * (sideA.direction.x * row.startA.x + sideA.direction.y * row.startA.y);
+        const b = row.inverseMassB * (sideB.direction.x * row.startB.x + sideB.direction.y * row.startB.y);
+        const beta = pulley.inertia / pulley.radius ** 2;
+
+        // Primero con los dos tramos tensos; un tramo que tendría que empujar queda flojo
+        const denominator = a * b * beta + a + b;
+        let lambdaA = denominator > 1e-12 ? ((b * beta + 1) * errorA + errorB) / denominator : 0;
+        let lambdaB = denominator > 1e-12 ? (errorA + (a * beta + 1) * errorB) / denominator : 0;
+        let rimShift; // r·Δφ (m)
+
+        if (lambdaA > 0 && lambdaB > 0) {
+            rimShift = lambdaA * a - errorA;
+        } else if (lambdaA <= 0 && errorB > 0) {
+            lambdaA = 0;
+            lambdaB = errorB * beta / (b * beta + 1);
+            rimShift = errorB - lambdaB * b;
+        } else if (lambdaB <= 0 && errorA > 0) {
+            lambdaB = 0;
+            lambdaA = errorA * beta / (a * beta + 1);
+            rimShift = lambdaA * a - errorA;
+        } else {
+            return;
+        }
+
+        const angleChange = rimShift / pulley.radius;
+        pulley.angle += angleChange;
+        pulley.angularVelocity += angleChange / dt;
+
+        // Cada tramo acerca su cuerpo a la polea
+        [[objectA, row.startA, lambdaA * row.inverseMassA], [objectB, row.startB, lambdaB * row.inverseMassB]]
+            .forEach(([object, direction, shift]) => {
+                object.position.x -= direction.x * shift;
+                object.position.y -= direction.y * shift;
+                object.velocity.x -= direction.x * shift / dt;
+                object.velocity.y -= direction.y * shift / dt;
+            });
+
+        row.lambdaA += lambdaA;
+        row.lambdaB += lambdaB;
+    }
+
+    /**
+     * Fuerzas que ejerce una restricción resuelta: [{ object, force, arm }]
+     * `arm` es el brazo desde el centro de masa hasta el punto de aplicación.
+     */
+    getConstraintForces(row, dt) {
+        const { objectA, objectB } = row;
+
+        if (row.constraint.type === 'pulley') {
+            const tensionA = row.lambdaA / (dt * dt);
+            const tensionB = row.lambdaB / (dt * dt);
+
+            return [
+                { object: objectA, force: { x: -row.startA.x * tensionA, y: -row.startA.y * tensionA }, arm: { x: 0, y: 0 } },
+                { object: objectB, force: { x: -row.startB.x * tensionB, y: -row.startB.y * tensionB }, arm: { x: 0, y: 0 } }
+            ];
+        }
+
+        const force = { x: row.impulse.x / dt, y: row.impulse.y / dt };
+
+        return [
+            { object: objectA, force: { x: -force.x, y: -force.y }, arm: row.rA },
+            { object: objectB, force, arm: row.rB }
+        ];
+    }
+
+    /**
+     * Publicar la fuerza de restricción (impulso / dt) y sumarla a la fuerza neta de los cuerpos
+     */
+    publishConstraintForce(row, dt) {
+        const { constraint } = row;
+        const forces = this.getConstraintForces(row, dt);
+
+        constraint.force = { ...forces[1].force };
+        constraint.impulse = { x: constraint.force.x * dt, y: constraint.force.y * dt };
+
+        if (constraint.type === 'pulley') {
+            constraint.tension = row.lambdaA / (dt * dt);
+            constraint.tensionB = row.lambdaB / (dt * dt);
+        } else {
+            constraint.tension = constraint.type === 'pin'
+                ? Math.sqrt(constraint.force.x ** 2 + constraint.force.y ** 2)
+                : -row.lambda / (dt * dt);
+        }
+
+        forces.forEach(({ object, force, arm }) => {
+            if (!object.netForce || object.isStatic) return;
+
+            const torque = arm.x * force.y - arm.y * force.x;
+            object.netForce.x += force.x;
+            object.netForce.y += force.y;
+            object.netForce.torque += torque;
+            object.netForce.contributions.push({ id: constraint.id, kind: 'tension', x: force.x, y: force.y, torque });
+
+            object.acceleration.x += force.x / object.mass;
+            object.acceleration.y += force.y / object.mass;
+            object.angularAcceleration += torque * this.getInverseInertia(object);
+        });
+    }
+
+    /**
+     * Velocidad de B relativa a A en un punto de contacto: (vB + ωB × rB) − (vA + ωA × rA)
+     */
+    calculateRelativeVelocity(objectA, objectB, rA, rB) {
+        return {
+            x: (objectB.velocity.x - objectB.angularVelocity * rB.y) -
+                (objectA.velocity.x - objectA.angularVelocity * rA.y),
+            y: (objectB.velocity.y + objectB.angularVelocity * rB.x) -
+                (objectA.velocity.y + objectA.angularVelocity * rA.x)
+        };
+    }
+
+    /**
+     * Masa inversa (0 para cuerpos estáticos)
+     */
+    getInverseMass(object) {
+        return object.isStatic ? 0 : 1 / object.mass;
+    }
+
+    /**
+     * Momento de inercia respecto al centro de masa (kg·m²)
+     * Si el cuerpo no fija `inertia`, se deriva de su forma:
+     * disco macizo ½mr², cuadrado de lado 2r ⅔mr², polígono por triangulación.
+     */
+    calculateMomentOfInertia(object) {
+        if (object.inertia) return object.inertia;
+
+        return calculateShapeInertia(getShape(object), object.mass);
+    }
+
+    /**
+     * Asignar una forma de colisión (círculo o polígono convexo) a un objeto
+     * El radio pasa a ser el de la circunferencia envolvente.
+     */
+    setShape(objectId, shape) {
+        const object = this.objects.get(objectId);
+        if (!object) return null;
+
+        object.shape = shape;
+        object.radius = getBoundingRadius(shape);
+        return object;
+    }
+
+    /**
+     * Inercia inversa (0 para cuerpos estáticos o sin rotación)
+     */
+    getInverseInertia(object) {
+        if (object.isStatic || object.fixedRotation) return 0;
+        return 1 / this.calculateMomentOfInertia(object);
     }
 
     /**
      * Tercera Ley de Newton - Acción y Reacción
      * Para cada acción, hay una reacción igual y opuesta.
+     * Resuelve el choque con un impulso instantáneo: el evento devuelto trae impulsos (N·s),
+     * no fuerzas. Para un choque de duración finita, ver `ForceSystem.addContact`.
      */
-    applyThirdLaw(objectAId, objectBId, collisionType = 'elastic') {
+    applyThirdLaw(objectAId, objectBId) {
         const objectA = this.objects.get(objectAId);
         const objectB = this.objects.get(objectBId);
 
         if (!objectA || !objectB) return;
 
-        // Calcular vector de separación
-        const dx = objectB.position.x - objectA.position.x;
-        const dy = objectB.position.y - objectA.position.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        const contact = this.collisions.detectContact(objectA, objectB);
+        if (!contact) return;
+
+        return this.resolveContact(contact);
+    }
 
-        if (distance === 0) return;
+    /**
+     * Resolver un contacto con impulsos iguales y opuestos
+     * - Normal: restitución continua 0–1 combinada a partir de ambos materiales.
+     * - Tangente: fricción de Coulomb, limitada a μ veces el impulso normal.
+     * Los puntos de la variedad de contacto se resuelven a la vez con impulsos secuenciales.
+     * Devuelve el evento de contacto o nada si los cuerpos ya se separan.
+     */
+    resolveContact(contact) {
+        const { objectA, objectB, normal } = contact;
+        const nx = normal.x;
+        const ny = normal.y;
 
-        // Normalizar vector de separación
-        const nx = dx / distance;
-        const ny = dy / distance;
+        const inverseMassA = this.getInverseMass(objectA);
+        const inverseMassB = this.getInverseMass(objectB);
+        const inverseMassSum = inverseMassA + inverseMassB;
+        if (inverseMassSum === 0) return;
 
-        // Calcular velocidad relativa
-        const relativeVelocityX = objectB.velocity.x - objectA.velocity.x;
-        const relativeVelocityY = objectB.velocity.y - objectA.velocity.y;
-        const relativeSpeed = relativeVelocityX * nx + relativeVelocityY * ny;
+        const inverseInertiaA = this.getInverseInertia(objectA);
+        const inverseInertiaB = this.getInverseInertia(objectB);
 
-        // No procesar colisión si los objetos se están separando
-        if (relativeSpeed > 0) return;
+        const restitution = combineRestitution(objectA.restitution, objectB.restitution);
+        const friction = combineFriction(objectA.friction, objectB.friction);
 
-        // Calcular coeficiente de restitución según el tipo de colisión
-        let restitution = 1.0; // Elástica
-        if (collisionType === 'inelastic') {
-            restitution = 0.5;
-        } else if (collisionType === 'perfectly-inelastic') {
-            restitution = 0.0;
-        }
+        const points = contact.points || [contact.point];
+        const kineticBefore = this.measureKineticEnergies([objectA, objectB]);
+
+        // Preparar cada punto de la variedad: brazos, masas efectivas y velocidad objetivo
+        const constraints = points.map(point => {
+            // Brazos desde cada centro de masa hasta el punto de contacto
+            const rA = { x: point.x - objectA.position.x, y: point.y - objectA.position.y };
+            const rB = { x: point.x - objectB.position.x, y: point.y - objectB.position.y };
+
+            // Masa efectiva a lo largo de una dirección (incluye la rotación)
+            const effectiveMass = (dx, dy) => {
+                const armA = rA.x * dy - rA.y * dx;
+                const armB = rB.x * dy - rB.y * dx;
+                return 1 / (inverseMassSum + armA * armA * inverseInertiaA + armB * armB * inverseInertiaB);
+            };
+
+            const relativeVelocity = this.calculateRelativeVelocity(objectA, objectB, rA, rB);
+            const approachSpeed = relativeVelocity.x * nx + relativeVelocity.y * ny;
 
-        // Calcular impulso
-        const impulse = -(1 + restitution) * relativeSpeed /
-            (1 / objectA.mass + 1 / objectB.mass);
+            return {
+                rA,
+                rB,
+                normalMass: effectiveMass(nx, ny),
+                tangentMass: effectiveMass(-ny, nx),
+                approachSpeed,
+                targetSpeed: approachSpeed < 0 ? -restitution * approachSpeed : 0,
+                normalImpulse: 0,
+                tangentImpulse: 0
+            };
+        });
 
-        // Aplicar fuerzas de acción y reacción
-        const impulseA = {
-            x: impulse * nx,
-            y: impulse * ny
+        // Sin velocidad de acercamiento: los cuerpos ya se separan
+        if (constraints.every(constraint => constraint.approachSpeed >= 0)) return;
+
+        const applyImpulse = (constraint, jx, jy) => {
+            // Actualizar velocidades lineales y angulares (Δω = r × J / I)
+            objectA.velocity.x -= jx * inverseMassA;
+            objectA.velocity.y -= jy * inverseMassA;
+            objectB.velocity.x += jx * inverseMassB;
+            objectB.velocity.y += jy * inverseMassB;
+            objectA.angularVelocity -= (constraint.rA.x * jy - constraint.rA.y * jx) * inverseInertiaA;
+            objectB.angularVelocity += (constraint.rB.x * jy - constraint.rB.y * jx) * inverseInertiaB;
         };
 
+        // Impulsos secuenciales: varias pasadas para que todos los puntos
+        // de la variedad se resuelvan a la vez (impulsos acumulados y acotados)
+        const tx = -ny;
+        const ty = nx;
+
+        for (let iteration = 0; iteration < this.contactIterations; iteration++) {
+            constraints.forEach(constraint => {
+                // Impulso normal: nunca atrae (acumulado ≥ 0)
+                let relativeVelocity = this.calculateRelativeVelocity(objectA, objectB, constraint.rA, constraint.rB);
+                const normalSpeed = relativeVelocity.x * nx + relativeVelocity.y * ny;
+                const previousNormal = constraint.normalImpulse;
+                constraint.normalImpulse = Math.max(
+                    0,
+                    previousNormal + (constraint.targetSpeed - normalSpeed) * constraint.normalMass
+                );
+                const deltaNormal = constraint.normalImpulse - previousNormal;
+                applyImpulse(constraint, deltaNormal * nx, deltaNormal * ny);
+
+                // Impulso tangencial: fricción de Coulomb limitada a μ·Jn
+                relativeVelocity = this.calculateRelativeVelocity(objectA, objectB, constraint.rA, constraint.rB);
+                const tangentSpeed = relativeVelocity.x * tx + relativeVelocity.y * ty;
+                const maxFriction = friction * constraint.normalImpulse;
+                const previousTangent = constraint.tangentImpulse;
+                constraint.tangentImpulse = Math.max(
+                    -maxFriction,
+                    Math.min(maxFriction, previousTangent - tangentSpeed * constraint.tangentMass)
+                );
+                const deltaTangent = constraint.tangentImpulse - previousTangent;
+                applyImpulse(constraint, deltaTangent * tx, deltaTangent * ty);
+            });
+        }
+
+        const normalImpulseTotal = constraints.reduce((sum, constraint) => sum + constraint.normalImpulse, 0);
+        const tangentImpulseTotal = constraints.reduce((sum, constraint) => sum + constraint.tangentImpulse, 0);
         const impulseB = {
-            x: -impulse * nx,
-            y: -impulse * ny
+            x: normalImpulseTotal * nx + tangentImpulseTotal * tx,
+            y: normalImpulseTotal * ny + tangentImpulseTotal * ty
         };
 
-        // Actualizar velocidades
-        objectA.velocity.x += impulseA.x / objectA.mass;
-        objectA.velocity.y += impulseA.y / objectA.mass;
-        objectB.velocity.x += impulseB.x / objectB.mass;
-        objectB.velocity.y += impulseB.y / objectB.mass;
-
-        // Separar objetos si están superpuestos
-        const overlap = (objectA.radius + objectB.radius) - distance;
-        if (overlap > 0) {
-            const separationX = nx * overlap * 0.5;
-            const separationY = ny * overlap * 0.5;
-
-            objectA.position.x -= separationX;
-            objectA.position.y -= separationY;
-            objectB.position.x += separationX;
-            objectB.position.y += separationY;
-        }
+        // Sin impulso (o solo el residuo numérico): los cuerpos ya se separaban o reposan juntos
+        if (normalImpulseTotal < CONTACT_IMPULSE_TOLERANCE) return;
+
+        // Separar objetos en proporción a su masa inversa
+        const separation = contact.penetration / inverseMassSum;
+        objectA.position.x -= nx * separation * inverseMassA;
+        objectA.position.y -= ny * separation * inverseMassA;
+        objectB.position.x += nx * separation * inverseMassB;
+        objectB.position.y += ny * separation * inverseMassB;
+
+        const impulseA = { x: -impulseB.x, y: -impulseB.y };
+        const energyLoss = -this.recordEnergyChanges(kineticBefore, 'collisions');
 
         return {
-            forceA: impulseA,
+            objectA: objectA.id,
+            objectB: objectB.id,
+            normal: { ...normal },
+            point: { ...contact.point },
+            points: points.map(point => ({ ...point })),
+            impulse: impulseB, // Impulso sobre B (N·s); A recibe el opuesto
+            normalImpulse: normalImpulseTotal,
+            tangentImpulse: tangentImpulseTotal,
+            restitution,
+            friction,
+            forceA: impulseA, // Impulsos (N·s) con el nombre heredado de las versiones anteriores
             forceB: impulseB,
-            momentum: this.calculateMomentum(objectA) + this.calculateMomentum(objectB)
+            momentum: this.motion.calculateSystemMomentum([objectA, objectB]), // tras el choque (kg·m/s)
+            energyLoss, // energía cinética perdida en el choque (J)
+            time: this.motion.simulationTime
         };
     }
 
     /**
-     * Crear un objeto físico
+     * Crear un objeto físico (posición en m, velocidad en m/s, masa en kg, radio en m)
      */
-    createObject(id, position, velocity = { x: 0, y: 0 }, mass = 1, radius = 10) {
+    createObject(id, position, velocity = { x: 0, y: 0 }, mass = 1, radius = 0.2) {
         const object = {
             id,
             position: { ...position },
+            previousPosition: { ...position }, // Posición al inicio del último paso
             velocity: { ...velocity },
             acceleration: { x: 0, y: 0 },
+            netForce: { x: 0, y: 0, torque: 0, contributions: [] }, // Fuerza neta del último paso
+            stepForces: [], // Fuerza efectiva de cada subpaso del último paso: [{ offset, dt, contributions }]
+            angle: 0, // Orientación (rad, antihoraria)
+            previousAngle: 0,
+            angularVelocity: 0, // rad/s
+            angularAcceleration: 0, // rad/s²
+            inertia: null, // kg·m²; null = derivado de la forma
+            fixedRotation: false, // Impide que el cuerpo gire
+            shape: null, // Forma de colisión; null = círculo de `radius`
             mass,
+            massFlow: null, // Masa variable: { rate, exhaustSpeed, direction, dryMass }
             radius,
+            isStatic: false, // Los cuerpos estáticos no se integran
+            restitution: 1, // Material: restitución 0–1 en colisiones
+            friction: 0, // Material: coeficiente de fricción en colisiones
             color: '#3b82f6',
             type: 'ball'
         };
@@ -169,6 +1278,18 @@ export class PhysicsEngine {
         return object;
     }
 
+    /**
+     * Guardar el estado de cada objeto antes de avanzar un paso
+     * Permite interpolar el render entre el paso anterior y el actual
+     */
+    storePreviousState() {
+        this.objects.forEach(object => {
+            object.previousPosition.x = object.position.x;
+            object.previousPosition.y = object.position.y;
+            object.previousAngle = object.angle;
+        });
+    }
+
     /**
      * Aplicar una fuerza a un objeto
      */
@@ -190,11 +1311,14 @@ export class PhysicsEngine {
     }
 
     /**
-     * Calcular momentum de un objeto
+     * Calcular momentum de un objeto: p = m·v (kg·m/s)
+     * Es un vector: el momentum de un sistema es la suma de los vectores, no de sus módulos.
      */
     calculateMomentum(object) {
-        const speed = Math.sqrt(object.velocity.x ** 2 + object.velocity.y ** 2);
-        return object.mass * speed;
+        return {
+            x: object.mass * object.velocity.x,
+            y: object.mass * object.velocity.y
+        };
     }
 
     /**
@@ -205,37 +1329,188 @@ export class PhysicsEngine {
         return 0.5 * object.mass * speed ** 2;
     }
 
+    /**
+     * Calcular energía cinética de rotación: ½Iω²
+     */
+    calculateRotationalEnergy(object) {
+        return 0.5 * this.calculateMomentOfInertia(object) * object.angularVelocity ** 2;
+    }
+
+    /**
+     * Calcular momento angular de rotación propia: L = Iω
+     */
+    calculateAngularMomentum(object) {
+        return this.calculateMomentOfInertia(object) * object.angularVelocity;
+    }
+
     /**
      * Calcular energía potencial gravitacional
+     * `groundLevel` es la altura de referencia en m (por defecto, el suelo del mundo).
      */
-    calculatePotentialEnergy(object, groundLevel = 400) {
-        const height = groundLevel - object.position.y;
+    calculatePotentialEnergy(object, groundLevel = this.bounds.bottom) {
+        const height = object.position.y - groundLevel;
         return object.mass * this.gravity * height;
     }
 
     /**
-     * Aplicar límites del canvas
+     * Anotar el trabajo de cada fuerza sobre un cuerpo durante el paso
+     * W = F·v̄·dt + τ·ω̄·dt con la fuerza efectiva del integrador (`contributions`) y la
+     * velocidad media; la suma coincide exactamente con el cambio de energía cinética.
+     * La parte elástica de un contacto (`elastic`) se anota como trabajo conservativo.
      */
-    applyBoundaries(object, canvasWidth = 800, canvasHeight = 400) {
-        // Límites horizontales
-        if (object.position.x - object.radius < 0) {
-            object.position.x = object.radius;
-            object.velocity.x = -object.velocity.x * 0.8; // Rebote con pérdida de energía
-        }
-        if (object.position.x + object.radius > canvasWidth) {
-            object.position.x = canvasWidth - object.radius;
-            object.velocity.x = -object.velocity.x * 0.8;
-        }
+    recordWork(object, start, contributions, dt) {
+        const vx = (start.velocity.x + object.velocity.x) / 2;
+        const vy = (start.velocity.y + object.velocity.y) / 2;
+        const omega = (start.angularVelocity + object.angularVelocity) / 2;
 
-        // Límites verticales
-        if (object.position.y - object.radius < 0) {
-            object.position.y = object.radius;
-            object.velocity.y = -object.velocity.y * 0.8;
-        }
-        if (object.position.y + object.radius > canvasHeight) {
-            object.position.y = canvasHeight - object.radius;
-            object.velocity.y = -object.velocity.y * 0.8;
+        contributions.forEach(contribution => {
+            const work = (contribution.x * vx + contribution.y * vy + contribution.torque * omega) * dt;
+            if (!contribution.elastic) {
+                this.energy.addWork(object.id, contribution.id, contribution.kind, work);
+                return;
+            }
+
+            const elasticWork = (contribution.elastic.x * vx + contribution.elastic.y * vy) * dt;
+            this.energy.addWork(object.id, contribution.id, contribution.kind, elasticWork, 'conservative');
+            this.energy.addWork(object.id, contribution.id, contribution.kind, work - elasticWork);
+        });
+    }
+
+    /**
+     * Energía cinética (traslación + rotación) de cada cuerpo móvil (J)
+     */
+    measureKineticEnergies(objects = this.getAllObjects()) {
+        const energies = new Map();
+
+        objects.forEach(object => {
+            if (object.isStatic) return;
+            energies.set(object.id, this.calculateKineticEnergy(object) + this.calculateRotationalEnergy(object));
+        });
+
+        return energies;
+    }
+
+    /**
+     * Anotar en `category` cuánto cambió la energía cinética desde `kineticBefore`
+     * Devuelve el cambio total (J).
+     */
+    recordEnergyChanges(kineticBefore, category) {
+        let total = 0;
+
+        kineticBefore.forEach((before, id) => {
+            const object = this.objects.get(id);
+            if (!object) return;
+
+            const change = this.calculateKineticEnergy(object) + this.calculateRotationalEnergy(object) - before;
+            this.energy.addEnergyChange(id, category, change);
+            total += change;
+        });
+
+        return total;
+    }
+
+    /**
+     * Balance de energía de uno, varios o todos los cuerpos (ver `EnergyLedger.summarize`)
+     */
+    getEnergyLedger(bodyIds = null) {
+        return this.energy.summarize(bodyIds);
+    }
+
+    /**
+     * Aplicar los bordes del mundo a un cuerpo
+     * Devuelve los eventos de borde producidos en este paso.
+     */
+    applyBoundaries(object, bounds = this.bounds) {
+        if (object.isStatic) return [];
+
+        const events = [];
+
+        Object.entries(BOUNDARY_EDGES).forEach(([edge, { axis, sign }]) => {
+            const boundary = this.boundaries[edge];
+            const limit = bounds[edge];
+
+            if (boundary.type === 'wall') {
+                const event = this.applyWall(object, edge, boundary, limit);
+                if (event) events.push(event);
+                return;
+            }
+
+            // Bordes abiertos y periódicos actúan cuando el centro cruza la línea del borde
+            const outside = sign * (object.position[axis] - limit) > 0;
+            if (!outside) return;
+
+            if (boundary.type === 'wrap') {
+                const oppositeEdge = Object.keys(BOUNDARY_EDGES).find(other =>
+                    other !== edge && BOUNDARY_EDGES[other].axis === axis
+                );
+                const shift = bounds[oppositeEdge] - limit;
+
+                // La posición previa también se traslada para no barrer todo el mundo
+                object.position[axis] += shift;
+                object.previousPosition[axis] += shift;
+                events.push({ objectId: object.id, edge, type: 'wrap', shift: { x: 0, y: 0, [axis]: shift } });
+            } else if (sign * (object.previousPosition[axis] - limit) <= 0) {
+                events.push({ objectId: object.id, edge, type: 'exit', point: { ...object.position } });
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Choque con una pared sólida
+     * La componente normal de la velocidad se invierte con la restitución de la pared
+     * y la fricción de Coulomb frena la tangencial hasta μ·Jn. El tramo que el cuerpo
+     * habría recorrido tras la pared se refleja con la velocidad de rebote: equivale a
+     * chocar en el instante exacto y completar el paso.
+     */
+    applyWall(object, edge, boundary, limit) {
+        const { axis, sign } = BOUNDARY_EDGES[edge];
+        const tangentAxis = axis === 'x' ? 'y' : 'x';
+
+        // Caja envolvente real de la forma (los polígonos giran con el cuerpo)
+        const extent = getWorldBounds(object);
+        const penetration = sign * (extent[edge] - limit);
+        if (penetration <= 0) return null;
+
+        const restitution = boundary.restitution;
+        const outwardSpeed = sign * object.velocity[axis];
+
+        // Se alejaba de la pared: solo devolverlo al interior
+        if (outwardSpeed <= 0) {
+            object.position[axis] -= sign * penetration;
+            return null;
         }
+
+        object.position[axis] -= sign * penetration * (1 + restitution);
+        const kineticBefore = this.measureKineticEnergies([object]);
+
+        const normalSpeedChange = (1 + restitution) * outwardSpeed;
+        object.velocity[axis] -= sign * normalSpeedChange;
+
+        const tangentSpeed = object.velocity[tangentAxis];
+        const tangentSpeedChange = -Math.sign(tangentSpeed) *
+            Math.min(Math.abs(tangentSpeed), boundary.friction * normalSpeedChange);
+        object.velocity[tangentAxis] += tangentSpeedChange;
+
+        const normalImpulse = object.mass * normalSpeedChange;
+        const tangentImpulse = object.mass * tangentSpeedChange;
+        const point = { ...object.position, [axis]: limit };
+        const energyLoss = -this.recordEnergyChanges(kineticBefore, 'walls');
+
+        return {
+            objectId: object.id,
+            edge,
+            type: 'wall',
+            point,
+            normal: { x: 0, y: 0, [axis]: -sign }, // hacia el interior del mundo
+            impulse: { [axis]: -sign * normalImpulse, [tangentAxis]: tangentImpulse }, // sobre el cuerpo (N·s)
+            normalImpulse,
+            tangentImpulse,
+            restitution,
+            friction: boundary.friction,
+            energyLoss // energía cinética perdida en el rebote (J)
+        };
     }
 
     /**
@@ -247,11 +1522,7 @@ export class PhysicsEngine {
 
         if (!objectA || !objectB) return false;
 
-        const dx = objectB.position.x - objectA.position.x;
-        const dy = objectB.position.y - objectA.position.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        return distance < (objectA.radius + objectB.radius);
+        return this.collisions.detectContact(objectA, objectB) !== null;
     }
 
     /**
@@ -272,7 +1543,13 @@ export class PhysicsEngine {
             speed,
             momentum,
             kineticEnergy,
-            mass: object.mass
+            mass: object.mass,
+            angle: object.angle,
+            angularVelocity: object.angularVelocity,
+            angularAcceleration: object.angularAcceleration,
+            torque: object.netForce.torque,
+            momentOfInertia: this.calculateMomentOfInertia(object),
+            rotationalEnergy: this.calculateRotationalEnergy(object)
         };
     }
 
@@ -284,8 +1561,13 @@ export class PhysicsEngine {
         if (!object) return;
 
         object.position = { ...initialPosition };
+        object.previousPosition = { ...initialPosition };
         object.velocity = { ...initialVelocity };
         object.acceleration = { x: 0, y: 0 };
+        object.angle = 0;
+        object.previousAngle = 0;
+        object.angularVelocity = 0;
+        object.angularAcceleration = 0;
     }
 
     /**
@@ -294,6 +1576,10 @@ export class PhysicsEngine {
     clear() {
         this.objects.clear();
         this.forces.clear();
+        this.constraints.clear();
+        this.contacts = [];
+        this.ejections = [];
+        this.energy.clear();
     }
 
     /**
@@ -0,0 +1,248 @@
+/**
+ * Formas de Colisión
+ * Círculos y polígonos convexos en coordenadas locales del cuerpo (m, y hacia arriba)
+ *
+ * Los vértices de un polígono se guardan en sentido antihorario y centrados
+ * en su centroide, que coincide con el centro de masa del cuerpo.
+ */
+
+/**
+ * Crear un círculo
+ */
+export function createCircleShape(radius) {
+    return { type: 'circle', radius };
+}
+
+/**
+ * Crear una caja de ancho × alto
+ */
+export function createBoxShape(width, height = width) {
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+
+    return createPolygonShape([
+        { x: -halfWidth, y: -halfHeight },
+        { x: halfWidth, y: -halfHeight },
+        { x: halfWidth, y: halfHeight },
+        { x: -halfWidth, y: halfHeight }
+    ]);
+}
+
+/**
+ * Crear un polígono regular inscrito en un círculo de radio `radius`
+ */
+export function createRegularPolygonShape(sides, radius) {
+    const vertices = [];
+
+    for (let i = 0; i < sides; i++) {
+        const angle = Math.PI / 2 + i * 2 * Math.PI / sides;
+        vertices.push({ x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+    }
+
+    return createPolygonShape(vertices);
+}
+
+/**
+ * Crear un polígono convexo a partir de cualquier nube de puntos
+ * Se usa la envolvente convexa y se centra en el centroide.
+ */
+export function createPolygonShape(points) {
+    const hull = convexHull(points);
+    const centroid = calculateCentroid(hull);
+    const vertices = hull.map(vertex => ({ x: vertex.x - centroid.x, y: vertex.y - centroid.y }));
+
+    return {
+        type: 'polygon',
+        vertices,
+        normals: calculateNormals(vertices)
+    };
+}
+
+/**
+ * Envolvente convexa (cadena monótona), en sentido antihorario
+ */
+export function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+    const lower = [];
+    sorted.forEach(point => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+            lower.pop();
+        }
+        lower.push(point);
+    });
+
+    const upper = [];
+    [...sorted].reverse().forEach(point => {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+            upper.pop();
+        }
+        upper.push(point);
+    });
+
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+/**
+ * Centroide de un polígono (centro de masa con densidad uniforme)
+ */
+function calculateCentroid(vertices) {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+
+    vertices.forEach((a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        const cross = a.x * b.y - b.x * a.y;
+        area += cross;
+        cx += (a.x + b.x) * cross;
+        cy += (a.y + b.y) * cross;
+    });
+
+    if (area === 0) return { x: 0, y: 0 };
+
+    return { x: cx / (3 * area), y: cy / (3 * area) };
+}
+
+/**
+ * Normales exteriores unitarias de cada arista (v[i] → v[i+1])
+ */
+function calculateNormals(vertices) {
+    return vertices.map((a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        return { x: dy / length, y: -dx / length };
+    });
+}
+
+/**
+ * Forma de un cuerpo
+ * Los cuerpos sin forma explícita son círculos de `radius`, o cuadrados
+ * de lado 2·radius si se dibujan como caja.
+ */
+export function getShape(object) {
+    if (object.shape) return object.shape;
+
+    if (object.type === 'box') {
+        return createBoxShape(object.radius * 2);
+    }
+
+    return createCircleShape(object.radius);
+}
+
+/**
+ * Radio de la circunferencia que envuelve la forma (para la fase amplia)
+ */
+export function getBoundingRadius(shape) {
+    if (shape.type === 'circle') return shape.radius;
+
+    return shape.vertices.reduce(
+        (max, vertex) => Math.max(max, Math.sqrt(vertex.x ** 2 + vertex.y ** 2)),
+        0
+    );
+}
+
+/**
+ * Radio de la circunferencia inscrita: distancia mínima del centro a una cara
+ * (un cuerpo que avanza menos que esto por paso no puede atravesar a otro)
+ */
+export function getInnerRadius(shape) {
+    if (shape.type === 'circle') return shape.radius;
+
+    return shape.normals.reduce(
+        (min, normal, i) => Math.min(min, normal.x * shape.vertices[i].x + normal.y * shape.vertices[i].y),
+        Infinity
+    );
+}
+
+/**
+ * Momento de inercia respecto al centroide para una masa dada (kg·m²)
+ */
+export function calculateShapeInertia(shape, mass) {
+    if (shape.type === 'circle') {
+        return 0.5 * mass * shape.radius ** 2;
+    }
+
+    let numerator = 0;
+    let denominator = 0;
+
+    shape.vertices.forEach((a, i) => {
+        const b = shape.vertices[(i + 1) % shape.vertices.length];
+        const cross = Math.abs(a.x * b.y - b.x * a.y);
+        numerator += cross * (a.x * a.x + a.y * a.y + a.x * b.x + a.y * b.y + b.x * b.x + b.y * b.y);
+        denominator += cross;
+    });
+
+    return denominator > 0 ? mass * numerator / (6 * denominator) : 0;
+}
+
+/**
+ * Transformar un punto local al mundo según la posición y orientación del cuerpo
+ */
+export function toWorld(object, point) {
+    const angle = object.angle || 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return {
+        x: object.position.x + point.x * cos - point.y * sin,
+        y: object.position.y + point.x * sin + point.y * cos
+    };
+}
+
+/**
+ * Rotar un vector local a la orientación del cuerpo
+ */
+export function rotateToWorld(object, vector) {
+    const angle = object.angle || 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return {
+        x: vector.x * cos - vector.y * sin,
+        y: vector.x * sin + vector.y * cos
+    };
+}
+
+/**
+ * Vértices y normales del polígono en coordenadas del mundo
+ */
+export function getWorldPolygon(object, shape = getShape(object)) {
+    return {
+        vertices: shape.vertices.map(vertex => toWorld(object, vertex)),
+        normals: shape.normals.map(normal => rotateToWorld(object, normal))
+    };
+}
+
+/**
+ * Caja alineada con los ejes que envuelve el cuerpo en el mundo
+ */
+export function getWorldBounds(object) {
+    const shape = getShape(object);
+
+    if (shape.type === 'circle') {
+        return {
+            left: object.position.x - shape.radius,
+            right: object.position.x + shape.radius,
+            bottom: object.position.y - shape.radius,
+            top: object.position.y + shape.radius
+        };
+    }
+
+    const { vertices } = getWorldPolygon(object, shape);
+
+    return {
+        left: Math.min(...vertices.map(vertex => vertex.x)),
+        right: Math.max(...vertices.map(vertex => vertex.x)),
+        bottom: Math.min(...vertices.map(vertex => vertex.y)),
+        top: Math.max(...vertices.map(vertex => vertex.y))
+    };
+}
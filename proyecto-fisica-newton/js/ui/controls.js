@@ -3,10 +3,16 @@
  * Maneja la interacción con los controles de usuario
  */
 
+import { listIntegrators } from '../physics/integrators.js';
+import { RESTITUTION_PRESETS } from '../physics/collisions.js';
+import { SURFACE_FRICTION } from '../physics/forces.js';
+import { ForceProfileEditor } from './force-profile-editor.js';
+
 export class ControlSystem {
     constructor() {
         this.controls = new Map();
         this.callbacks = new Map();
+        this.forceProfileEditor = null; // Editor de F(t) de la Segunda Ley
         this.isInitialized = false;
     }
 
@@ -19,6 +25,14 @@ export class ControlSystem {
         this.setupFirstLawControls();
         this.setupSecondLawControls();
         this.setupThirdLawControls();
+        this.setupInclineControls();
+        this.setupPendulumControls();
+        this.setupPulleyControls();
+        this.setupOrbitControls();
+        this.setupProjectileControls();
+        this.setupSkydiverControls();
+        this.setupRocketControls();
+        this.setupIntegratorControls();
         this.setupTabNavigation();
 
         this.isInitialized = true;
@@ -58,19 +72,22 @@ export class ControlSystem {
         if (surfaceSelect) {
             surfaceSelect.addEventListener('change', (e) => {
                 const surfaceType = e.target.value;
-                const frictionValues = {
-                    ice: 0.01,
-                    wood: 0.2,
-                    asphalt: 0.7,
-                    sand: 0.9
-                };
+                const kineticFriction = SURFACE_FRICTION[surfaceType].kinetic;
 
-                const frictionValue = frictionValues[surfaceType];
-                frictionSlider.value = frictionValue;
-                frictionValue.textContent = frictionValue.toFixed(2);
+                frictionSlider.value = kineticFriction;
+                frictionValue.textContent = kineticFriction.toFixed(2);
 
                 this.triggerCallback('first-law', 'surface-type', surfaceType);
-                this.triggerCallback('first-law', 'friction-coefficient', frictionValue);
+                this.triggerCallback('first-law', 'friction-coefficient', kineticFriction);
+            });
+        }
+
+        // Pista: sin fin o con paredes
+        const trackSelect = document.getElementById('track-type');
+
+        if (trackSelect) {
+            trackSelect.addEventListener('change', (e) => {
+                this.triggerCallback('first-law', 'track-type', e.target.value);
             });
         }
 
@@ -131,6 +148,42 @@ export class ControlSystem {
             });
         }
 
+        // Punto de aplicación (altura sobre la cara de empuje)
+        const applicationHeightSlider = document.getElementById('application-height');
+        const applicationHeightValue = document.getElementById('application-height-value');
+
+        if (applicationHeightSlider && applicationHeightValue) {
+            applicationHeightSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                applicationHeightValue.textContent = value.toFixed(2);
+                this.triggerCallback('second-law', 'application-height', value);
+            });
+        }
+
+        // Perfil temporal de la fuerza
+        const forceProfileSelect = document.getElementById('force-profile');
+
+        if (forceProfileSelect) {
+            forceProfileSelect.addEventListener('change', (e) => {
+                this.triggerCallback('second-law', 'force-profile', e.target.value);
+            });
+        }
+
+        // Editor de F(t): al soltar el trazo se usa el perfil dibujado
+        this.forceProfileEditor = new ForceProfileEditor('force-profile-editor');
+        this.forceProfileEditor.onChange(points => {
+            if (forceProfileSelect) forceProfileSelect.value = 'piecewise';
+            this.triggerCallback('second-law', 'force-sketch', points);
+        });
+
+        const clearSketchBtn = document.getElementById('clear-force-sketch');
+
+        if (clearSketchBtn) {
+            clearSketchBtn.addEventListener('click', () => {
+                this.forceProfileEditor.clear();
+            });
+        }
+
         // Botones de control
         const startBtn = document.getElementById('start-second');
         const resetBtn = document.getElementById('reset-second');
@@ -148,6 +201,15 @@ export class ControlSystem {
         }
     }
 
+    /**
+     * Mostrar un perfil F(t) en el editor sin avisar a los suscriptores
+     */
+    setForceSketch(points) {
+        if (this.forceProfileEditor) {
+            this.forceProfileEditor.setPoints(points);
+        }
+    }
+
     /**
      * Configurar controles de la Tercera Ley
      */
@@ -176,13 +238,80 @@ export class ControlSystem {
             });
         }
 
-        // Tipo de colisión
+        // Coeficiente de restitución
+        const restitutionSlider = document.getElementById('restitution');
+        const restitutionValue = document.getElementById('restitution-value');
+
+        if (restitutionSlider && restitutionValue) {
+            restitutionSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                restitutionValue.textContent = value.toFixed(2);
+                this.triggerCallback('third-law', 'restitution', value);
+            });
+        }
+
+        // Tipo de colisión: preajuste que solo mueve el control de restitución
         const collisionSelect = document.getElementById('collision-type');
 
         if (collisionSelect) {
             collisionSelect.addEventListener('change', (e) => {
-                const collisionType = e.target.value;
-                this.triggerCallback('third-law', 'collision-type', collisionType);
+                const restitution = RESTITUTION_PRESETS[e.target.value];
+                if (restitution === undefined || !restitutionSlider || !restitutionValue) return;
+
+                restitutionSlider.value = restitution;
+                restitutionValue.textContent = restitution.toFixed(2);
+                this.triggerCallback('third-law', 'restitution', restitution);
+            });
+        }
+
+        // Fricción entre objetos
+        const contactFrictionSlider = document.getElementById('contact-friction');
+        const contactFrictionValue = document.getElementById('contact-friction-value');
+
+        if (contactFrictionSlider && contactFrictionValue) {
+            contactFrictionSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                contactFrictionValue.textContent = value.toFixed(2);
+                this.triggerCallback('third-law', 'contact-friction', value);
+            });
+        }
+
+        // Forma de los objetos
+        const shapeSelect = document.getElementById('object-shape');
+
+        if (shapeSelect) {
+            shapeSelect.addEventListener('change', (e) => {
+                this.triggerCallback('third-law', 'object-shape', e.target.value);
+            });
+        }
+
+        // Bordes del recinto
+        const wallSelect = document.getElementById('wall-type');
+
+        if (wallSelect) {
+            wallSelect.addEventListener('change', (e) => {
+                this.triggerCallback('third-law', 'wall-type', e.target.value);
+            });
+        }
+
+        // Modelo de contacto entre A y B
+        const contactModelSelect = document.getElementById('contact-model');
+
+        if (contactModelSelect) {
+            contactModelSelect.addEventListener('change', (e) => {
+                this.triggerCallback('third-law', 'contact-model', e.target.value);
+            });
+        }
+
+        // Rigidez del contacto elástico
+        const contactStiffnessSlider = document.getElementById('contact-stiffness');
+        const contactStiffnessValue = document.getElementById('contact-stiffness-value');
+
+        if (contactStiffnessSlider && contactStiffnessValue) {
+            contactStiffnessSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                contactStiffnessValue.textContent = value;
+                this.triggerCallback('third-law', 'contact-stiffness', value);
             });
         }
 
@@ -203,6 +332,819 @@ export class ControlSystem {
         }
     }
 
+    /**
+     * Configurar controles del plano inclinado
+     */
+    setupInclineControls() {
+        // Ángulo de la rampa
+        const angleSlider = document.getElementById('incline-angle');
+        const angleValue = document.getElementById('incline-angle-value');
+
+        if (angleSlider && angleValue) {
+            angleSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                angleValue.textContent = value + '°';
+                this.triggerCallback('incline-law', 'angle', value);
+            });
+        }
+
+        // Superficie
+        const surfaceSelect = document.getElementById('incline-surface');
+
+        if (surfaceSelect) {
+            surfaceSelect.addEventListener('change', (e) => {
+                this.triggerCallback('incline-law', 'surface-type', e.target.value);
+            });
+        }
+
+        // Masa del bloque
+        const massSlider = document.getElementById('block-mass');
+        const massValue = document.getElementById('block-mass-value');
+
+        if (massSlider && massValue) {
+            massSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                massValue.textContent = value;
+                this.triggerCallback('incline-law', 'block-mass', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-incline');
+        const resetBtn = document.getElementById('reset-incline');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('incline-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('incline-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Configurar controles del péndulo
+     */
+    setupPendulumControls() {
+        // Longitud de la cuerda
+        const lengthSlider = document.getElementById('pendulum-length');
+        const lengthValue = document.getElementById('pendulum-length-value');
+
+        if (lengthSlider && lengthValue) {
+            lengthSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                lengthValue.textContent = value;
+                this.triggerCallback('pendulum-law', 'length', value);
+            });
+        }
+
+        // Masa de la lenteja
+        const massSlider = document.getElementById('bob-mass');
+        const massValue = document.getElementById('bob-mass-value');
+
+        if (massSlider && massValue) {
+            massSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                massValue.textContent = value;
+                this.triggerCallback('pendulum-law', 'bob-mass', value);
+            });
+        }
+
+        // Ángulo inicial
+        const angleSlider = document.getElementById('release-angle');
+        const angleValue = document.getElementById('release-angle-value');
+
+        if (angleSlider && angleValue) {
+            angleSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                angleValue.textContent = value + '°';
+                this.triggerCallback('pendulum-law', 'release-angle', value);
+            });
+        }
+
+        // Resistencia del aire
+        const airSlider = document.getElementById('air-resistance');
+        const airValue = document.getElementById('air-resistance-value');
+
+        if (airSlider && airValue) {
+            airSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                airValue.textContent = value;
+                this.triggerCallback('pendulum-law', 'air-resistance', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-pendulum');
+        const resetBtn = document.getElementById('reset-pendulum');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('pendulum-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('pendulum-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Configurar controles de las poleas
+     */
+    setupPulleyControls() {
+        // Montaje
+        const setupSelect = document.getElementById('pulley-setup');
+
+        if (setupSelect) {
+            setupSelect.addEventListener('change', (e) => {
+                this.triggerCallback('pulley-law', 'setup', e.target.value);
+            });
+        }
+
+        // Masa colgante
+        const hangingSlider = document.getElementById('hanging-mass');
+        const hangingValue = document.getElementById('hanging-mass-value');
+
+        if (hangingSlider && hangingValue) {
+            hangingSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                hangingValue.textContent = value;
+                this.triggerCallback('pulley-law', 'mass-1', value);
+            });
+        }
+
+        // Segunda masa
+        const secondSlider = document.getElementById('second-mass');
+        const secondValue = document.getElementById('second-mass-value');
+
+        if (secondSlider && secondValue) {
+            secondSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                secondValue.textContent = value;
+                this.triggerCallback('pulley-law', 'mass-2', value);
+            });
+        }
+
+        // Fricción de la segunda masa
+        const frictionSlider = document.getElementById('pulley-friction');
+        const frictionValue = document.getElementById('pulley-friction-value');
+
+        if (frictionSlider && frictionValue) {
+            frictionSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                frictionValue.textContent = value;
+                this.triggerCallback('pulley-law', 'friction', value);
+            });
+        }
+
+        // Inercia de la polea
+        const inertiaSlider = document.getElementById('pulley-inertia');
+        const inertiaValue = document.getElementById('pulley-inertia-value');
+
+        if (inertiaSlider && inertiaValue) {
+            inertiaSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                inertiaValue.textContent = value;
+                this.triggerCallback('pulley-law', 'pulley-inertia', value);
+            });
+        }
+
+        // Ángulo del plano inclinado
+        const angleSlider = document.getElementById('pulley-incline-angle');
+        const angleValue = document.getElementById('pulley-incline-angle-value');
+
+        if (angleSlider && angleValue) {
+            angleSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                angleValue.textContent = value + '°';
+                this.triggerCallback('pulley-law', 'incline-angle', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-pulley');
+        const resetBtn = document.getElementById('reset-pulley');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('pulley-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('pulley-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Configurar controles de las órbitas
+     */
+    setupOrbitControls() {
+        // Constante de gravitación
+        const gravitationalConstantSlider = document.getElementById('gravitational-constant');
+        const gravitationalConstantValue = document.getElementById('gravitational-constant-value');
+
+        if (gravitationalConstantSlider && gravitationalConstantValue) {
+            gravitationalConstantSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                gravitationalConstantValue.textContent = value;
+                this.triggerCallback('orbit-law', 'gravitational-constant', value);
+            });
+        }
+
+        // Masa del planeta
+        const planetMassSlider = document.getElementById('planet-mass');
+        const planetMassValue = document.getElementById('planet-mass-value');
+
+        if (planetMassSlider && planetMassValue) {
+            planetMassSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                planetMassValue.textContent = value;
+                this.triggerCallback('orbit-law', 'planet-mass', value);
+            });
+        }
+
+        // Masa del satélite
+        const satelliteMassSlider = document.getElementById('satellite-mass');
+        const satelliteMassValue = document.getElementById('satellite-mass-value');
+
+        if (satelliteMassSlider && satelliteMassValue) {
+            satelliteMassSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                satelliteMassValue.textContent = value;
+                this.triggerCallback('orbit-law', 'satellite-mass', value);
+            });
+        }
+
+        // Distancia inicial
+        const orbitRadiusSlider = document.getElementById('orbit-radius');
+        const orbitRadiusValue = document.getElementById('orbit-radius-value');
+
+        if (orbitRadiusSlider && orbitRadiusValue) {
+            orbitRadiusSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                orbitRadiusValue.textContent = value;
+                this.triggerCallback('orbit-law', 'orbit-radius', value);
+            });
+        }
+
+        // Rapidez de lanzamiento
+        const launchSpeedSlider = document.getElementById('launch-speed');
+        const launchSpeedValue = document.getElementById('launch-speed-value');
+
+        if (launchSpeedSlider && launchSpeedValue) {
+            launchSpeedSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                launchSpeedValue.textContent = value;
+                this.triggerCallback('orbit-law', 'launch-speed', value);
+            });
+        }
+
+        // Ángulo de lanzamiento
+        const launchAngleSlider = document.getElementById('launch-angle');
+        const launchAngleValue = document.getElementById('launch-angle-value');
+
+        if (launchAngleSlider && launchAngleValue) {
+            launchAngleSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                launchAngleValue.textContent = value + '°';
+                this.triggerCallback('orbit-law', 'launch-angle', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-orbit');
+        const resetBtn = document.getElementById('reset-orbit');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('orbit-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('orbit-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Configurar controles del tiro parabólico
+     */
+    setupProjectileControls() {
+        // Rapidez de lanzamiento
+        const projectileSpeedSlider = document.getElementById('projectile-speed');
+        const projectileSpeedValue = document.getElementById('projectile-speed-value');
+
+        if (projectileSpeedSlider && projectileSpeedValue) {
+            projectileSpeedSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                projectileSpeedValue.textContent = value;
+                this.triggerCallback('projectile-law', 'speed', value);
+            });
+        }
+
+        // Ángulo de lanzamiento
+        const projectileAngleSlider = document.getElementById('projectile-angle');
+        const projectileAngleValue = document.getElementById('projectile-angle-value');
+
+        if (projectileAngleSlider && projectileAngleValue) {
+            projectileAngleSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                projectileAngleValue.textContent = value + '°';
+                this.triggerCallback('projectile-law', 'angle', value);
+            });
+        }
+
+        // Altura inicial
+        const launchHeightSlider = document.getElementById('launch-height');
+        const launchHeightValue = document.getElementById('launch-height-value');
+
+        if (launchHeightSlider && launchHeightValue) {
+            launchHeightSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                launchHeightValue.textContent = value;
+                this.triggerCallback('projectile-law', 'height', value);
+            });
+        }
+
+        // Resistencia del aire
+        const projectileDragSlider = document.getElementById('projectile-drag');
+        const projectileDragValue = document.getElementById('projectile-drag-value');
+
+        if (projectileDragSlider && projectileDragValue) {
+            projectileDragSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                projectileDragValue.textContent = value.toFixed(3);
+                this.triggerCallback('projectile-law', 'drag', value);
+            });
+        }
+
+        // Distancia del blanco
+        const targetDistanceSlider = document.getElementById('target-distance');
+        const targetDistanceValue = document.getElementById('target-distance-value');
+
+        if (targetDistanceSlider && targetDistanceValue) {
+            targetDistanceSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                targetDistanceValue.textContent = value;
+                this.triggerCallback('projectile-law', 'target-distance', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-projectile');
+        const resetBtn = document.getElementById('reset-projectile');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('projectile-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('projectile-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Configurar controles del paracaidista
+     */
+    setupSkydiverControls() {
+        // Modelo de arrastre
+        const dragModelSelect = document.getElementById('drag-model');
+
+        if (dragModelSelect) {
+            dragModelSelect.addEventListener('change', (e) => {
+                this.triggerCallback('skydiver-law', 'drag-model', e.target.value);
+            });
+        }
+
+        // Masa del paracaidista
+        const skydiverMassSlider = document.getElementById('skydiver-mass');
+        const skydiverMassValue = document.getElementById('skydiver-mass-value');
+
+        if (skydiverMassSlider && skydiverMassValue) {
+            skydiverMassSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                skydiverMassValue.textContent = value;
+                this.triggerCallback('skydiver-law', 'mass', value);
+            });
+        }
+
+        // Densidad del aire
+        const airDensitySlider = document.getElementById('air-density');
+        const airDensityValue = document.getElementById('air-density-value');
+
+        if (airDensitySlider && airDensityValue) {
+            airDensitySlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                airDensityValue.textContent = value;
+                this.triggerCallback('skydiver-law', 'air-density', value);
+            });
+        }
+
+        // Área frontal del cuerpo
+        const bodyAreaSlider = document.getElementById('body-area');
+        const bodyAreaValue = document.getElementById('body-area-value');
+
+        if (bodyAreaSlider && bodyAreaValue) {
+            bodyAreaSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                bodyAreaValue.textContent = value.toFixed(2);
+                this.triggerCallback('skydiver-law', 'body-area', value);
+            });
+        }
+
+        // Coeficiente de arrastre del cuerpo
+        const bodyDragCoefficientSlider = document.getElementById('body-drag-coefficient');
+        const bodyDragCoefficientValue = document.getElementById('body-drag-coefficient-value');
+
+        if (bodyDragCoefficientSlider && bodyDragCoefficientValue) {
+            bodyDragCoefficientSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                bodyDragCoefficientValue.textContent = value.toFixed(2);
+                this.triggerCallback('skydiver-law', 'drag-coefficient', value);
+            });
+        }
+
+        // Coeficiente del arrastre lineal
+        const linearDragCoefficientSlider = document.getElementById('linear-drag-coefficient');
+        const linearDragCoefficientValue = document.getElementById('linear-drag-coefficient-value');
+
+        if (linearDragCoefficientSlider && linearDragCoefficientValue) {
+            linearDragCoefficientSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                linearDragCoefficientValue.textContent = value;
+                this.triggerCallback('skydiver-law', 'linear-coefficient', value);
+            });
+        }
+
+        // Altura de salto
+        const dropAltitudeSlider = document.getElementById('drop-altitude');
+        const dropAltitudeValue = document.getElementById('drop-altitude-value');
+
+        if (dropAltitudeSlider && dropAltitudeValue) {
+            dropAltitudeSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                dropAltitudeValue.textContent = value;
+                this.triggerCallback('skydiver-law', 'drop-altitude', value);
+            });
+        }
+
+        // Apertura del paracaídas: a una altura, a un tiempo o nunca
+        const parachuteModeSelect = document.getElementById('parachute-mode');
+
+        if (parachuteModeSelect) {
+            parachuteModeSelect.addEventListener('change', (e) => {
+                this.triggerCallback('skydiver-law', 'parachute-mode', e.target.value);
+            });
+        }
+
+        // Altura de apertura
+        const parachuteAltitudeSlider = document.getElementById('parachute-altitude');
+        const parachuteAltitudeValue = document.getElementById('parachute-altitude-value');
+
+        if (parachuteAltitudeSlider && parachuteAltitudeValue) {
+            parachuteAltitudeSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                parachuteAltitudeValue.textContent = value;
+                this.triggerCallback('skydiver-law', 'parachute-altitude', value);
+            });
+        }
+
+        // Tiempo de apertura
+        const parachuteTimeSlider = document.getElementById('parachute-time');
+        const parachuteTimeValue = document.getElementById('parachute-time-value');
+
+        if (parachuteTimeSlider && parachuteTimeValue) {
+            parachuteTimeSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                parachuteTimeValue.textContent = value;
+                this.triggerCallback('skydiver-law', 'parachute-time', value);
+            });
+        }
+
+        // Área del paracaídas
+        const parachuteAreaSlider = document.getElementById('parachute-area');
+        const parachuteAreaValue = document.getElementById('parachute-area-value');
+
+        if (parachuteAreaSlider && parachuteAreaValue) {
+            parachuteAreaSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                parachuteAreaValue.textContent = value;
+                this.triggerCallback('skydiver-law', 'parachute-area', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-skydiver');
+        const resetBtn = document.getElementById('reset-skydiver');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('skydiver-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('skydiver-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Configurar controles del cohete
+     */
+    setupRocketControls() {
+        // Entorno: con o sin peso
+        const environmentSelect = document.getElementById('rocket-environment');
+
+        if (environmentSelect) {
+            environmentSelect.addEventListener('change', (e) => {
+                this.triggerCallback('rocket-law', 'environment', e.target.value);
+            });
+        }
+
+        // Masa inicial (estructura + combustible)
+        const initialMassSlider = document.getElementById('rocket-initial-mass');
+        const initialMassValue = document.getElementById('rocket-initial-mass-value');
+
+        if (initialMassSlider && initialMassValue) {
+            initialMassSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                initialMassValue.textContent = value;
+                this.triggerCallback('rocket-law', 'initial-mass', value);
+            });
+        }
+
+        // Masa de combustible
+        const fuelMassSlider = document.getElementById('rocket-fuel-mass');
+        const fuelMassValue = document.getElementById('rocket-fuel-mass-value');
+
+        if (fuelMassSlider && fuelMassValue) {
+            fuelMassSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                fuelMassValue.textContent = value;
+                this.triggerCallback('rocket-law', 'fuel-mass', value);
+            });
+        }
+
+        // Velocidad de escape
+        const exhaustSpeedSlider = document.getElementById('exhaust-speed');
+        const exhaustSpeedValue = document.getElementById('exhaust-speed-value');
+
+        if (exhaustSpeedSlider && exhaustSpeedValue) {
+            exhaustSpeedSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                exhaustSpeedValue.textContent = value;
+                this.triggerCallback('rocket-law', 'exhaust-speed', value);
+            });
+        }
+
+        // Caudal de gases
+        const massFlowRateSlider = document.getElementById('mass-flow-rate');
+        const massFlowRateValue = document.getElementById('mass-flow-rate-value');
+
+        if (massFlowRateSlider && massFlowRateValue) {
+            massFlowRateSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                massFlowRateValue.textContent = value.toFixed(1);
+                this.triggerCallback('rocket-law', 'mass-flow-rate', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-rocket');
+        const resetBtn = document.getElementById('reset-rocket');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('rocket-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('rocket-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Configurar controles de la comparación de integradores
+     */
+    setupIntegratorControls() {
+        // Integradores A y B (opciones tomadas del registro)
+        ['integrator-a', 'integrator-b'].forEach(controlId => {
+            const select = document.getElementById(controlId);
+            if (!select) return;
+
+            this.populateIntegratorSelect(select, select.dataset.default);
+            select.addEventListener('change', (e) => {
+                this.triggerCallback('integrators-law', controlId, e.target.value);
+            });
+        });
+
+        // Escenario
+        const scenarioSelect = document.getElementById('comparison-scenario');
+
+        if (scenarioSelect) {
+            scenarioSelect.addEventListener('change', (e) => {
+                this.triggerCallback('integrators-law', 'scenario', e.target.value);
+            });
+        }
+
+        // Paso de tiempo
+        const timeStepSlider = document.getElementById('comparison-time-step');
+        const timeStepValue = document.getElementById('comparison-time-step-value');
+
+        if (timeStepSlider && timeStepValue) {
+            timeStepSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                timeStepValue.textContent = value.toFixed(3);
+                this.triggerCallback('integrators-law', 'time-step', value);
+            });
+        }
+
+        // Botones de control
+        const startBtn = document.getElementById('start-integrators');
+        const resetBtn = document.getElementById('reset-integrators');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.triggerCallback('integrators-law', 'start');
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.triggerCallback('integrators-law', 'reset');
+            });
+        }
+    }
+
+    /**
+     * Rellenar un selector con los integradores registrados
+     */
+    populateIntegratorSelect(select, selected) {
+        listIntegrators().forEach(integrator => {
+            const option = document.createElement('option');
+            option.value = integrator.id;
+            option.textContent = `${integrator.label} (orden ${integrator.order})`;
+            option.selected = integrator.id === selected;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Crear un selector de integrador para el simulador de una ley
+     */
+    createIntegratorSelector(law, selected) {
+        const controlsPanel = document.querySelector(`#${law}-law .controls-panel`);
+        if (!controlsPanel) return;
+
+        const buttons = controlsPanel.querySelector('.control-buttons');
+
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `${law}-integrator`;
+        label.textContent = 'Integrador:';
+        group.appendChild(label);
+
+        const select = document.createElement('select');
+        select.id = `${law}-integrator`;
+        this.populateIntegratorSelect(select, selected);
+        select.addEventListener('change', (e) => {
+            this.triggerCallback(`${law}-law`, 'integrator', e.target.value);
+        });
+        group.appendChild(select);
+
+        controlsPanel.insertBefore(group, buttons);
+    }
+
+    /**
+     * Crear la casilla que muestra el fantasma de la solución analítica de una ley
+     */
+    createGhostToggle(law, checked) {
+        const controlsPanel = document.querySelector(`#${law}-law .controls-panel`);
+        if (!controlsPanel) return;
+
+        const buttons = controlsPanel.querySelector('.control-buttons');
+
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `${law}-ghost`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `${law}-ghost`;
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', (e) => {
+            this.triggerCallback(`${law}-law`, 'ghost', e.target.checked);
+        });
+
+        const text = document.createElement('span');
+        text.textContent = 'Mostrar solución analítica (fantasma)';
+
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        group.appendChild(label);
+
+        controlsPanel.insertBefore(group, buttons);
+    }
+
+    /**
+     * Crear el selector del sistema de referencia de una ley
+     * `bodies` son los cuerpos a los que puede ligarse el observador ([{ id, label }]);
+     * la velocidad del observador solo se muestra en el sistema de velocidad constante.
+     */
+    createFrameSelector(law, bodies, velocity) {
+        const controlsPanel = document.querySelector(`#${law}-law .controls-panel`);
+        if (!controlsPanel) return;
+
+        const buttons = controlsPanel.querySelector('.control-buttons');
+
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `${law}-frame`;
+        label.textContent = 'Sistema de referencia:';
+        group.appendChild(label);
+
+        const select = document.createElement('select');
+        select.id = `${law}-frame`;
+        const options = [
+            { value: 'lab', label: 'Laboratorio' },
+            { value: 'velocity', label: 'Velocidad constante' },
+            { value: 'com', label: 'Centro de masa' },
+            ...bodies.map(body => ({ value: `body:${body.id}`, label: `Ligado a ${body.label}` }))
+        ];
+        options.forEach(({ value, label: text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        group.appendChild(select);
+
+        const velocityGroup = document.createElement('div');
+        velocityGroup.className = 'control-group';
+        velocityGroup.style.display = 'none';
+
+        const velocityLabel = document.createElement('label');
+        velocityLabel.htmlFor = `${law}-frame-velocity`;
+        velocityLabel.textContent = 'Velocidad del observador (m/s):';
+        velocityGroup.appendChild(velocityLabel);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `${law}-frame-velocity`;
+        slider.min = '-20';
+        slider.max = '20';
+        slider.step = '0.5';
+        slider.value = String(velocity);
+        velocityGroup.appendChild(slider);
+
+        const value = document.createElement('span');
+        value.className = 'control-value';
+        value.id = `${law}-frame-velocity-value`;
+        value.textContent = String(velocity);
+        velocityGroup.appendChild(value);
+
+        select.addEventListener('change', (e) => {
+            velocityGroup.style.display = e.target.value === 'velocity' ? '' : 'none';
+            this.triggerCallback(`${law}-law`, 'frame', e.target.value);
+        });
+
+        slider.addEventListener('input', (e) => {
+            const speed = parseFloat(e.target.value);
+            value.textContent = speed;
+            this.triggerCallback(`${law}-law`, 'frame-velocity', speed);
+        });
+
+        controlsPanel.insertBefore(group, buttons);
+        controlsPanel.insertBefore(velocityGroup, buttons);
+    }
+
     /**
      * Configurar navegación por pestañas
      */
@@ -362,6 +1304,8 @@ export class ControlSystem {
     updateThirdLawInfo(info, infoElement) {
         const forceABDisplay = infoElement.querySelector('#force-ab-display');
         const forceBADisplay = infoElement.querySelector('#force-ba-display');
+        const impulseABDisplay = infoElement.querySelector('#impulse-ab-display');
+        const impulseBADisplay = infoElement.querySelector('#impulse-ba-display');
         const momentumDisplay = infoElement.querySelector('#momentum-display');
 
         if (forceABDisplay && info.forceAB !== undefined) {
@@ -374,8 +1318,20 @@ export class ControlSystem {
             forceBADisplay.textContent = forceMagnitude.toFixed(1) + ' N';
         }
 
+        if (impulseABDisplay && info.impulseAB !== undefined) {
+            const impulseMagnitude = Math.sqrt(info.impulseAB.x ** 2 + info.impulseAB.y ** 2);
+            impulseABDisplay.textContent = impulseMagnitude.toFixed(2) + ' N⋅s';
+        }
+
+        if (impulseBADisplay && info.impulseBA !== undefined) {
+            const impulseMagnitude = Math.sqrt(info.impulseBA.x ** 2 + info.impulseBA.y ** 2);
+            impulseBADisplay.textContent = impulseMagnitude.toFixed(2) + ' N⋅s';
+        }
+
+        // El momentum es un vector: se muestra el módulo de la suma p_A + p_B
         if (momentumDisplay && info.momentum !== undefined) {
-            momentumDisplay.textContent = info.momentum.toFixed(1) + ' kg⋅m/s';
+            const momentumMagnitude = Math.sqrt(info.momentum.x ** 2 + info.momentum.y ** 2);
+            momentumDisplay.textContent = momentumMagnitude.toFixed(1) + ' kg⋅m/s';
         }
     }
 
@@ -416,16 +1372,79 @@ export class ControlSystem {
                 config.initialVelocity = this.getControlValue('first', 'initial-velocity');
                 config.frictionCoefficient = this.getControlValue('first', 'friction-coefficient');
                 config.surfaceType = this.getControlValue('first', 'surface-type');
+                config.track = this.getControlValue('first', 'track-type');
                 break;
             case 'second':
                 config.appliedForce = this.getControlValue('second', 'applied-force');
                 config.objectMass = this.getControlValue('second', 'object-mass');
                 config.forceDirection = this.getControlValue('second', 'force-direction');
+                config.applicationHeight = this.getControlValue('second', 'application-height');
+                config.forceProfile = this.getControlValue('second', 'force-profile');
                 break;
             case 'third':
                 config.objectAMass = this.getControlValue('third', 'object-a-mass');
                 config.objectBMass = this.getControlValue('third', 'object-b-mass');
                 config.collisionType = this.getControlValue('third', 'collision-type');
+                config.restitution = this.getControlValue('third', 'restitution');
+                config.contactFriction = this.getControlValue('third', 'contact-friction');
+                config.objectShape = this.getControlValue('third', 'object-shape');
+                config.walls = this.getControlValue('third', 'wall-type');
+                config.contactModel = this.getControlValue('third', 'contact-model');
+                config.contactStiffness = this.getControlValue('third', 'contact-stiffness');
+                break;
+            case 'incline':
+                config.angle = this.getControlValue('incline', 'incline-angle');
+                config.surfaceType = this.getControlValue('incline', 'incline-surface');
+                config.blockMass = this.getControlValue('incline', 'block-mass');
+                break;
+            case 'pendulum':
+                config.length = this.getControlValue('pendulum', 'pendulum-length');
+                config.bobMass = this.getControlValue('pendulum', 'bob-mass');
+                config.releaseAngle = this.getControlValue('pendulum', 'release-angle');
+                config.airResistance = this.getControlValue('pendulum', 'air-resistance');
+                break;
+            case 'pulley':
+                config.setup = this.getControlValue('pulley', 'pulley-setup');
+                config.mass1 = this.getControlValue('pulley', 'hanging-mass');
+                config.mass2 = this.getControlValue('pulley', 'second-mass');
+                config.friction = this.getControlValue('pulley', 'pulley-friction');
+                config.pulleyInertia = this.getControlValue('pulley', 'pulley-inertia');
+                config.inclineAngle = this.getControlValue('pulley', 'pulley-incline-angle');
+                break;
+            case 'orbit':
+                config.gravitationalConstant = this.getControlValue('orbit', 'gravitational-constant');
+                config.planetMass = this.getControlValue('orbit', 'planet-mass');
+                config.satelliteMass = this.getControlValue('orbit', 'satellite-mass');
+                config.orbitRadius = this.getControlValue('orbit', 'orbit-radius');
+                config.launchSpeed = this.getControlValue('orbit', 'launch-speed');
+                config.launchAngle = this.getControlValue('orbit', 'launch-angle');
+                break;
+            case 'projectile':
+                config.launchSpeed = this.getControlValue('projectile', 'projectile-speed');
+                config.launchAngle = this.getControlValue('projectile', 'projectile-angle');
+                config.launchHeight = this.getControlValue('projectile', 'launch-height');
+                config.airResistance = this.getControlValue('projectile', 'projectile-drag');
+                config.targetDistance = this.getControlValue('projectile', 'target-distance');
+                break;
+            case 'skydiver':
+                config.dragModel = this.getControlValue('skydiver', 'drag-model');
+                config.mass = this.getControlValue('skydiver', 'skydiver-mass');
+                config.airDensity = this.getControlValue('skydiver', 'air-density');
+                config.area = this.getControlValue('skydiver', 'body-area');
+                config.dragCoefficient = this.getControlValue('skydiver', 'body-drag-coefficient');
+                config.linearCoefficient = this.getControlValue('skydiver', 'linear-drag-coefficient');
+                config.dropAltitude = this.getControlValue('skydiver', 'drop-altitude');
+                config.parachuteMode = this.getControlValue('skydiver', 'parachute-mode');
+                config.parachuteAltitude = this.getControlValue('skydiver', 'parachute-altitude');
+                config.parachuteTime = this.getControlValue('skydiver', 'parachute-time');
+                config.parachuteArea = this.getControlValue('skydiver', 'parachute-area');
+                break;
+            case 'rocket':
+                config.environment = this.getControlValue('rocket', 'rocket-environment');
+                config.initialMass = this.getControlValue('rocket', 'rocket-initial-mass');
+                config.fuelMass = this.getControlValue('rocket', 'rocket-fuel-mass');
+                config.exhaustSpeed = this.getControlValue('rocket', 'exhaust-speed');
+                config.massFlowRate = this.getControlValue('rocket', 'mass-flow-rate');
                 break;
         }
 
@@ -439,18 +1458,81 @@ export class ControlSystem {
         const defaultValues = {
             first: {
                 'initial-velocity': 10,
-                'friction-coefficient': 0.1,
-                'surface-type': 'ice'
+                'friction-coefficient': 0.01,
+                'surface-type': 'ice',
+                'track-type': 'endless'
             },
             second: {
                 'applied-force': 20,
                 'object-mass': 1,
-                'force-direction': 0
+                'force-direction': 0,
+                'application-height': 0,
+                'force-profile': 'constant'
             },
             third: {
                 'object-a-mass': 1,
                 'object-b-mass': 2,
-                'collision-type': 'elastic'
+                'collision-type': 'elastic',
+                'restitution': 1,
+                'contact-friction': 0.3,
+                'object-shape': 'ball',
+                'wall-type': 'elastic',
+                'contact-model': 'rigid',
+                'contact-stiffness': 300
+            },
+            incline: {
+                'incline-angle': 30,
+                'incline-surface': 'wood',
+                'block-mass': 2
+            },
+            pendulum: {
+                'pendulum-length': 2,
+                'bob-mass': 1,
+                'release-angle': 30,
+                'air-resistance': 0
+            },
+            pulley: {
+                'pulley-setup': 'atwood',
+                'hanging-mass': 3,
+                'second-mass': 2,
+                'pulley-friction': 0.2,
+                'pulley-inertia': 0,
+                'pulley-incline-angle': 30
+            },
+            orbit: {
+                'gravitational-constant': 1,
+                'planet-mass': 1000,
+                'satellite-mass': 1,
+                'orbit-radius': 5,
+                'launch-speed': 14.1,
+                'launch-angle': 0
+            },
+            projectile: {
+                'projectile-speed': 20,
+                'projectile-angle': 45,
+                'launch-height': 0,
+                'projectile-drag': 0,
+                'target-distance': 30
+            },
+            skydiver: {
+                'drag-model': 'quadratic',
+                'skydiver-mass': 80,
+                'air-density': 1.225,
+                'body-area': 0.7,
+                'body-drag-coefficient': 1,
+                'linear-drag-coefficient': 18,
+                'drop-altitude': 600,
+                'parachute-mode': 'altitude',
+                'parachute-altitude': 250,
+                'parachute-time': 15,
+                'parachute-area': 20
+            },
+            rocket: {
+                'rocket-environment': 'earth',
+                'rocket-initial-mass': 100,
+                'rocket-fuel-mass': 75,
+                'exhaust-speed': 250,
+                'mass-flow-rate': 6
             }
         };
 
@@ -0,0 +1,234 @@
+/**
+ * Editor de Perfiles de Fuerza
+ * Permite dibujar F(t) a mano alzada sobre un pequeño gráfico
+ *
+ * El trazo se guarda como una curva por tramos con `samples` puntos
+ * equiespaciados entre 0 y `duration` segundos, en N entre ±`maxForce`.
+ */
+
+export class ForceProfileEditor {
+    constructor(canvasId, { duration = 5, maxForce = 50, samples = 26 } = {}) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.duration = duration; // s
+        this.maxForce = maxForce; // N
+        this.padding = 24; // px alrededor del área de dibujo
+        this.points = [];
+        this.listeners = new Set();
+        this.isDrawing = false;
+        this.lastIndex = null; // última columna pintada en el trazo actual
+
+        for (let i = 0; i < samples; i++) {
+            this.points.push({ t: duration * i / (samples - 1), F: 0 });
+        }
+
+        this.setupEvents();
+        this.draw();
+    }
+
+    /**
+     * Eventos del ratón y táctiles sobre el lienzo
+     */
+    setupEvents() {
+        if (!this.canvas) return;
+
+        const begin = (e) => {
+            e.preventDefault();
+            this.isDrawing = true;
+            this.lastIndex = null;
+            this.paint(e);
+        };
+
+        const move = (e) => {
+            if (!this.isDrawing) return;
+
+            e.preventDefault();
+            this.paint(e);
+        };
+
+        const end = () => {
+            if (!this.isDrawing) return;
+
+            this.isDrawing = false;
+            this.lastIndex = null;
+            this.notify();
+        };
+
+        this.canvas.addEventListener('mousedown', begin);
+        this.canvas.addEventListener('mousemove', move);
+        this.canvas.addEventListener('mouseup', end);
+        this.canvas.addEventListener('mouseleave', end);
+        this.canvas.addEventListener('touchstart', begin);
+        this.canvas.addEventListener('touchmove', move);
+        this.canvas.addEventListener('touchend', end);
+    }
+
+    /**
+     * Suscribirse a los cambios del perfil (al soltar el trazo)
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Avisar a los suscriptores con una copia de los puntos
+     */
+    notify() {
+        const points = this.getPoints();
+        this.listeners.forEach(callback => callback(points));
+    }
+
+    /**
+     * Obtener los puntos del perfil [{ t, F }]
+     */
+    getPoints() {
+        return this.points.map(point => ({ ...point }));
+    }
+
+    /**
+     * Reemplazar el perfil (se remuestrea sobre las columnas del editor)
+     */
+    setPoints(points) {
+        this.points.forEach(point => {
+            point.F = this.interpolate(points, point.t);
+        });
+        this.draw();
+    }
+
+    /**
+     * Volver a F(t) = 0
+     */
+    clear() {
+        this.points.forEach(point => {
+            point.F = 0;
+        });
+        this.draw();
+        this.notify();
+    }
+
+    /**
+     * Interpolación lineal de una lista de puntos [{ t, F }] en `time`
+     */
+    interpolate(points, time) {
+        if (points.length === 0) return 0;
+
+        const index = points.findIndex(point => point.t >= time);
+        if (index === 0) return points[0].F;
+        if (index === -1) return points[points.length - 1].F;
+
+        const a = points[index - 1];
+        const b = points[index];
+        return a.F + (b.F - a.F) * (time - a.t) / (b.t - a.t);
+    }
+
+    /**
+     * Pintar la columna bajo el puntero
+     * Entre dos lecturas del puntero se rellenan las columnas intermedias,
+     * así un trazo rápido no deja huecos.
+     */
+    paint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const source = e.touches ? e.touches[0] : e;
+        const x = (source.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (source.clientY - rect.top) * this.canvas.height / rect.height;
+
+        const area = this.getPlotArea();
+        const last = this.points.length - 1;
+        const index = Math.round(Math.max(0, Math.min(1, (x - area.x) / area.width)) * last);
+        const fraction = Math.max(0, Math.min(1, (y - area.y) / area.height));
+        const force = Math.round(this.maxForce * (1 - 2 * fraction));
+
+        if (this.lastIndex !== null && this.lastIndex !== index) {
+            const from = this.points[this.lastIndex].F;
+            const step = index > this.lastIndex ? 1 : -1;
+            const span = Math.abs(index - this.lastIndex);
+
+            for (let i = 1; i < span; i++) {
+                const column = this.lastIndex + i * step;
+                this.points[column].F = Math.round(from + (force - from) * i / span);
+            }
+        }
+
+        this.points[index].F = force;
+        this.lastIndex = index;
+        this.draw();
+    }
+
+    /**
+     * Área de dibujo dentro del lienzo (px)
+     */
+    getPlotArea() {
+        return {
+            x: this.padding,
+            y: this.padding / 2,
+            width: this.canvas.width - this.padding * 1.5,
+            height: this.canvas.height - this.padding * 1.5
+        };
+    }
+
+    /**
+     * Convertir un punto del perfil a píxeles
+     */
+    toScreen(point) {
+        const area = this.getPlotArea();
+
+        return {
+            x: area.x + point.t / this.duration * area.width,
+            y: area.y + (1 - point.F / this.maxForce) * area.height / 2
+        };
+    }
+
+    /**
+     * Dibujar ejes, cuadrícula y curva F(t)
+     */
+    draw() {
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const area = this.getPlotArea();
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.fillStyle = '#f8fafc';
+        ctx.fillRect(area.x, area.y, area.width, area.height);
+
+        // Cuadrícula: un segundo por columna
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        for (let t = 0; t <= this.duration; t++) {
+            const { x } = this.toScreen({ t, F: 0 });
+            ctx.beginPath();
+            ctx.moveTo(x, area.y);
+            ctx.lineTo(x, area.y + area.height);
+            ctx.stroke();
+        }
+
+        // Eje F = 0
+        const zero = this.toScreen({ t: 0, F: 0 });
+        ctx.strokeStyle = '#94a3b8';
+        ctx.beginPath();
+        ctx.moveTo(area.x, zero.y);
+        ctx.lineTo(area.x + area.width, zero.y);
+        ctx.stroke();
+
+        ctx.fillStyle = '#64748b';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${this.maxForce} N`, area.x - 3, area.y + 8);
+        ctx.fillText('0', area.x - 3, zero.y + 3);
+        ctx.fillText(`−${this.maxForce} N`, area.x - 3, area.y + area.height);
+        ctx.textAlign = 'center';
+        ctx.fillText(`t (s) 0–${this.duration}`, area.x + area.width / 2, this.canvas.height - 2);
+
+        // Curva dibujada
+        ctx.strokeStyle = '#10b981';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        this.points.forEach((point, i) => {
+            const { x, y } = this.toScreen(point);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+}
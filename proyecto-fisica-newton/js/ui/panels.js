@@ -25,32 +25,127 @@ export class PanelSystem {
      */
     setupInfoPanels() {
         // Panel de la Primera Ley
-        this.createInfoPanel('first-law', {
+        this.createInfoPanel('first', {
             title: 'Información de Movimiento',
             metrics: [
                 { id: 'velocity', label: 'Velocidad', unit: 'm/s', color: '#10b981' },
                 { id: 'friction', label: 'Fricción', unit: '', color: '#6b7280' },
-                { id: 'distance', label: 'Distancia', unit: 'm', color: '#3b82f6' }
+                { id: 'distance', label: 'Distancia', unit: 'm', color: '#3b82f6' },
+                { id: 'stopping-distance', key: 'stoppingDistance', label: 'Distancia teórica', unit: 'm', color: '#6b7280' },
+                { id: 'laps', label: 'Vueltas', unit: '', color: '#6b7280' },
+                { id: 'dissipated-energy', key: 'dissipatedEnergy', label: 'Energía disipada', unit: 'J', color: '#ef4444' },
+                { id: 'skater-analytic-error', key: 'analyticErrorLabel', label: 'Error analítico', unit: '', color: '#6b7280' },
+                { id: 'skater-frame', key: 'frameLabel', label: 'Sistema de referencia', unit: '', color: '#6b7280' }
             ]
         });
 
         // Panel de la Segunda Ley
-        this.createInfoPanel('second-law', {
+        this.createInfoPanel('second', {
             title: 'Información de Fuerza',
             metrics: [
                 { id: 'force', label: 'Fuerza', unit: 'N', color: '#ef4444' },
                 { id: 'mass', label: 'Masa', unit: 'kg', color: '#6b7280' },
-                { id: 'acceleration', label: 'Aceleración', unit: 'm/s²', color: '#f59e0b' }
+                { id: 'acceleration', label: 'Aceleración', unit: 'm/s²', color: '#f59e0b' },
+                { id: 'torque', label: 'Torque', unit: 'N⋅m', color: '#ef4444' },
+                { id: 'angular-velocity', key: 'angularVelocity', label: 'Velocidad Angular', unit: 'rad/s', color: '#f59e0b' },
+                { id: 'box-analytic-error', key: 'analyticErrorLabel', label: 'Error analítico', unit: '', color: '#6b7280' },
+                { id: 'box-frame', key: 'frameLabel', label: 'Sistema de referencia', unit: '', color: '#6b7280' }
             ]
         });
 
         // Panel de la Tercera Ley
-        this.createInfoPanel('third-law', {
+        this.createInfoPanel('third', {
             title: 'Información de Colisión',
             metrics: [
-                { id: 'force-ab', label: 'Fuerza A→B', unit: 'N', color: '#ef4444' },
-                { id: 'force-ba', label: 'Fuerza B→A', unit: 'N', color: '#8b5cf6' },
-                { id: 'momentum', label: 'Momentum Total', unit: 'kg⋅m/s', color: '#10b981' }
+                { id: 'force-ab', key: 'forceAB', label: 'Fuerza A→B', unit: 'N', color: '#ef4444' },
+                { id: 'force-ba', key: 'forceBA', label: 'Fuerza B→A', unit: 'N', color: '#8b5cf6' },
+                { id: 'impulse-ab', key: 'impulseAB', label: 'Impulso A→B', unit: 'N⋅s', color: '#ef4444' },
+                { id: 'impulse-ba', key: 'impulseBA', label: 'Impulso B→A', unit: 'N⋅s', color: '#8b5cf6' },
+                { id: 'momentum', label: 'Momentum Total', unit: 'kg⋅m/s', color: '#10b981' },
+                { id: 'momentum-error', key: 'momentumError', label: 'Error de Conservación', unit: 'kg⋅m/s', color: '#10b981' },
+                { id: 'isolation', label: 'Sistema A + B', unit: '', color: '#6b7280' },
+                { id: 'spin', label: 'ω A / ω B', unit: 'rad/s', color: '#6b7280' },
+                { id: 'wall-impulse', key: 'wallImpulse', label: 'Impulso de Pared', unit: 'N⋅s', color: '#374151' },
+                { id: 'collision-energy', key: 'dissipatedEnergy', label: 'Energía Disipada', unit: 'J', color: '#ef4444' },
+                { id: 'collision-analytic-error', key: 'analyticErrorLabel', label: 'Error Analítico', unit: '', color: '#6b7280' },
+                { id: 'collision-frame', key: 'frameLabel', label: 'Sistema de Referencia', unit: '', color: '#6b7280' }
+            ]
+        });
+
+        // Panel del plano inclinado
+        this.createInfoPanel('incline', {
+            title: 'Fuerzas sobre el Bloque',
+            metrics: [
+                { id: 'weight-parallel', key: 'weightParallel', label: 'mg sin θ', unit: 'N', color: '#ef4444' },
+                { id: 'normal-force', key: 'normalForce', label: 'Normal', unit: 'N', color: '#3b82f6' },
+                { id: 'friction-force', key: 'frictionForce', label: 'Fricción', unit: 'N', color: '#f59e0b' },
+                { id: 'incline-acceleration', key: 'acceleration', label: 'Aceleración', unit: 'm/s²', color: '#0ea5e9' }
+            ]
+        });
+
+        // Panel del péndulo
+        this.createInfoPanel('pendulum', {
+            title: 'Periodo del Péndulo',
+            metrics: [
+                { id: 'measured-period', key: 'measuredPeriod', label: 'Periodo medido', unit: 's', color: '#e11d48' },
+                { id: 'small-angle-period', key: 'smallAnglePeriod', label: '2π√(L/g)', unit: 's', color: '#6b7280' },
+                { id: 'exact-period', key: 'exactPeriod', label: 'Periodo exacto', unit: 's', color: '#10b981' },
+                { id: 'pendulum-tension', key: 'tension', label: 'Tensión', unit: 'N', color: '#14b8a6' }
+            ]
+        });
+
+        // Panel de las poleas
+        this.createInfoPanel('pulley', {
+            title: 'Sistema de Poleas',
+            metrics: [
+                { id: 'pulley-acceleration', key: 'acceleration', label: 'Aceleración', unit: 'm/s²', color: '#f97316' },
+                { id: 'predicted-acceleration', key: 'predictedAcceleration', label: 'Analítica', unit: 'm/s²', color: '#6b7280' },
+                { id: 'tension-1', key: 'tension1', label: 'T₁', unit: 'N', color: '#14b8a6' },
+                { id: 'tension-2', key: 'tension2', label: 'T₂', unit: 'N', color: '#14b8a6' }
+            ]
+        });
+
+        // Panel de las órbitas
+        this.createInfoPanel('orbit', {
+            title: 'Gravitación Universal',
+            metrics: [
+                { id: 'orbit-type', key: 'orbitLabel', label: 'Órbita', unit: '', color: '#6366f1' },
+                { id: 'orbital-energy', key: 'energy', label: 'Energía', unit: 'J', color: '#374151' },
+                { id: 'angular-momentum', key: 'angularMomentum', label: 'Momento Angular', unit: 'kg·m²/s', color: '#8b5cf6' },
+                { id: 'eccentricity', key: 'eccentricity', label: 'Excentricidad', unit: '', color: '#3b82f6' }
+            ]
+        });
+
+        // Panel del tiro parabólico
+        this.createInfoPanel('projectile', {
+            title: 'Tiro Parabólico',
+            metrics: [
+                { id: 'range', label: 'Alcance', unit: 'm', color: '#84cc16' },
+                { id: 'apex', label: 'Altura máxima', unit: 'm', color: '#3b82f6' },
+                { id: 'flight-time', key: 'flightTime', label: 'Tiempo de vuelo', unit: 's', color: '#6b7280' },
+                { id: 'target-result', key: 'targetLabel', label: 'Blanco', unit: '', color: '#ef4444' }
+            ]
+        });
+
+        // Panel del paracaidista
+        this.createInfoPanel('skydiver', {
+            title: 'Caída con Arrastre',
+            metrics: [
+                { id: 'altitude', label: 'Altura', unit: 'm', color: '#0ea5e9' },
+                { id: 'fall-speed', key: 'fallSpeed', label: 'Rapidez de caída', unit: 'm/s', color: '#10b981' },
+                { id: 'terminal-velocity', key: 'terminalVelocity', label: 'Velocidad terminal', unit: 'm/s', color: '#ef4444' },
+                { id: 'parachute-state', key: 'parachuteLabel', label: 'Paracaídas', unit: '', color: '#f97316' }
+            ]
+        });
+
+        // Panel del cohete
+        this.createInfoPanel('rocket', {
+            title: 'Propulsión con Masa Variable',
+            metrics: [
+                { id: 'rocket-mass', key: 'mass', label: 'Masa', unit: 'kg', color: '#f43f5e' },
+                { id: 'thrust', label: 'Empuje', unit: 'N', color: '#f97316' },
+                { id: 'rocket-acceleration', key: 'acceleration', label: 'Aceleración', unit: 'm/s²', color: '#3b82f6' },
+                { id: 'tsiolkovsky-velocity', key: 'tsiolkovskyVelocity', label: 'v Tsiolkovsky', unit: 'm/s', color: '#6b7280' }
             ]
         });
     }
@@ -93,7 +188,8 @@ export class PanelSystem {
         if (!panel) return;
 
         panel.metrics.forEach(metric => {
-            const value = panel.values[metric.id];
+            // `key` es la propiedad de getInfo() cuando no coincide con el id del display
+            const value = panel.values[metric.key || metric.id];
             if (value === undefined) return;
 
             const displayElement = document.getElementById(`${metric.id}-display`);
@@ -109,7 +205,7 @@ export class PanelSystem {
                 displayValue = displayValue.toFixed(2);
             }
 
-            displayElement.textContent = displayValue + ' ' + metric.unit;
+            displayElement.textContent = metric.unit ? displayValue + ' ' + metric.unit : displayValue;
         });
     }
 
@@ -118,15 +214,16 @@ export class PanelSystem {
      */
     setupDataVisualization() {
         // Crear gráficos de barras para cada ley
-        this.createBarChart('first-law', 'energy-chart', {
+        this.createBarChart('first', 'energy-chart', {
             title: 'Energía del Sistema',
             bars: [
                 { id: 'kinetic', label: 'Cinética', color: '#10b981' },
-                { id: 'potential', label: 'Potencial', color: '#3b82f6' }
+                { id: 'potential', label: 'Potencial', color: '#3b82f6' },
+                { id: 'dissipated', label: 'Disipada', color: '#ef4444' }
             ]
         });
 
-        this.createBarChart('second-law', 'force-chart', {
+        this.createBarChart('second', 'force-chart', {
             title: 'Magnitudes Físicas',
             bars: [
                 { id: 'force', label: 'Fuerza', color: '#ef4444' },
@@ -135,7 +232,7 @@ export class PanelSystem {
             ]
         });
 
-        this.createBarChart('third-law', 'momentum-chart', {
+        this.createBarChart('third', 'momentum-chart', {
             title: 'Momentum y Fuerzas',
             bars: [
                 { id: 'momentum-a', label: 'Momentum A', color: '#ef4444' },
@@ -378,8 +475,9 @@ export class PanelSystem {
         // Actualizar gráficos con estadísticas
         if (law === 'first') {
             this.updateBarChart(law, 'energy-chart', {
-                kinetic: stats.kineticEnergy || 0,
-                potential: stats.potentialEnergy || 0
+                kinetic: stats.kinetic || 0,
+                potential: stats.potential || 0,
+                dissipated: stats.dissipated || 0
             });
         } else if (law === 'second') {
             this.updateBarChart(law, 'force-chart', {